@@ -0,0 +1,280 @@
+<?php
+/**
+ * admissions.php — Inpatient admission and discharge endpoint for MediSync HMS.
+ *
+ * Supports:
+ * - GET: Admissions, newest first (optional filters: patient_id, status; mine=1 for the caller's own
+ *        patients as attending doctor)
+ * - GET ?id=: One admission with its discharge summary — the snapshot stored at discharge, or a
+ *        live summary while the patient is still in — and the hospital letterhead (for printing)
+ * - POST: Admits a patient (fields: patient_id, reason; optional: attending_doctor — defaults to the
+ *         calling doctor or the patient's doctor, and must be a doctor — and bed_id to put them straight
+ *         into a free bed)
+ * - PUT/PATCH: Moves a stay on (fields: action, id)
+ *   - action=diagnosis (Doctor): records a diagnosis (fields: description; optional: code, type primary/secondary)
+ *   - action=discharge: discharges the patient (fields: disposition home/transferred/against_advice/deceased;
+ *     optional: instructions). Their bed goes to cleaning and the discharge summary is stored.
+ *
+ * A patient has at most one open admission. Bed moves during the stay are made in beds.php.
+ * Doctors and nurses only see admissions of patients in their scope (see patient_scope_sql), and can
+ * only admit, diagnose and discharge those patients (403 otherwise).
+ *
+ * Usage:
+ * - POST api/admissions.php with patient_id=3, reason="Chest pain" and bed_id=2
+ * - PUT api/admissions.php with action=discharge, id=1 and disposition=home
+ */
+
+include_once(__DIR__ . "/../config.php");
+
+$method = $_SERVER["REQUEST_METHOD"];
+
+if ($method === "GET" && !empty($_GET["id"])) {
+    require_role(['Admin', 'Doctor', 'Nurse']);
+    $id = (int)$_GET["id"];
+    $res = $conn->query("SELECT status, discharge_summary FROM admissions WHERE id = $id AND " . patient_scope_sql($conn, 'patient_id'));
+    $row = $res ? $res->fetch_assoc() : null;
+    $summary = $row && $row["discharge_summary"] ? json_decode($row["discharge_summary"], true) : null;
+    if ($row && !$summary) $summary = admission_summary($conn, $id);
+
+    if (!$summary) {
+        send_json([
+            "status" => "error",
+            "message" => "Admission not found"
+        ], 404);
+        $conn->close();
+        exit;
+    }
+    log_action('admission_viewed', '', 'admission', $id);
+    send_json([
+        "status" => "success",
+        "admission" => $summary,
+        "hospital" => hospital_info()
+    ], 200);
+}
+
+elseif ($method === "GET") {
+    require_role(['Admin', 'Doctor', 'Nurse', 'Receptionist']);
+    $where = [patient_scope_sql($conn, 'a.patient_id')];
+    $types = "";
+    $params = [];
+    foreach (['patient_id' => 'a.patient_id = ?', 'status' => 'a.status = ?'] as $key => $clause) {
+        $value = trim($_GET[$key] ?? "");
+        if ($value === "") continue;
+        $where[] = $clause;
+        $types .= "s";
+        $params[] = $value;
+    }
+    if (!empty($_GET["mine"])) {
+        $where[] = "a.attending_doctor = ?";
+        $types .= "s";
+        $params[] = current_user()['username'];
+    }
+
+    $sql = "SELECT a.id, a.patient_id, p.name AS patient_name, a.attending_doctor, a.admit_reason, a.status,
+                   a.admitted_at, a.discharged_at, a.disposition,
+                   (SELECT b.label FROM bed_assignments ba JOIN beds b ON b.id = ba.bed_id
+                    WHERE ba.admission_id = a.id AND ba.end_at IS NULL LIMIT 1) AS bed,
+                   (SELECT description FROM admission_diagnoses WHERE admission_id = a.id
+                    ORDER BY type = 'primary' DESC, recorded_at LIMIT 1) AS diagnosis
+            FROM admissions a
+            LEFT JOIN patients p ON p.id = a.patient_id";
+    if ($where) $sql .= " WHERE " . implode(" AND ", $where);
+    $sql .= " ORDER BY a.admitted_at DESC, a.id DESC";
+
+    $stmt = $conn->prepare($sql);
+    if (!$stmt) {
+        send_json([
+            "status" => "error",
+            "message" => "Query failed"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    if ($params) $stmt->bind_param($types, ...$params);
+    $stmt->execute();
+    $res = $stmt->get_result();
+    $admissions = [];
+    while ($row = $res->fetch_assoc()) {
+        $admissions[] = $row;
+    }
+    if (!empty($_GET["patient_id"])) log_patient_view($conn, $_GET["patient_id"], 'admissions');
+    send_json($admissions, 200);
+    $stmt->close();
+}
+
+elseif ($method === "POST") {
+    require_role(['Admin', 'Doctor', 'Nurse']);
+    $data = get_request_data();
+    $user = current_user();
+    $patientId = (int)($data["patient_id"] ?? 0);
+    $reason = trim($data["reason"] ?? "");
+    $doctor = trim($data["attending_doctor"] ?? "");
+    $bedId = (int)($data["bed_id"] ?? 0);
+
+    if (!$patientId || $reason === "") {
+        send_json([
+            "status" => "error",
+            "message" => "Patient and reason for admission required"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+
+    $conn->begin_transaction();
+    $res = $conn->query("SELECT p.name, p.doctor,
+                                (SELECT id FROM admissions WHERE patient_id = p.id AND status = 'admitted' LIMIT 1) AS open_admission
+                         FROM patients p WHERE p.id = $patientId FOR UPDATE");
+    $patient = $res ? $res->fetch_assoc() : null;
+    if ($doctor === "") $doctor = strcasecmp($user['role'], 'Doctor') === 0 ? $user['username'] : (string)($patient["doctor"] ?? "");
+    $chk = $conn->prepare("SELECT 1 FROM staff WHERE username = ? AND role = 'Doctor'");
+    $chk->bind_param("s", $doctor);
+    $chk->execute();
+    $doctorFound = $chk->get_result()->num_rows > 0;
+    $chk->close();
+    $bed = null;
+    if ($bedId) {
+        $res = $conn->query("SELECT label, status FROM beds WHERE id = $bedId FOR UPDATE");
+        $bed = $res ? $res->fetch_assoc() : null;
+    }
+
+    $error = null;
+    if (!$patient) $error = [404, "Patient not found"];
+    // Attending a stay brings the patient into the doctor's scope, so only patients already in it can be admitted
+    elseif (!patient_in_scope($conn, $patientId)) $error = [403, "Patient is not in your care"];
+    elseif ($patient["open_admission"]) $error = [409, $patient["name"] . " is already admitted"];
+    elseif ($doctor === "") $error = [400, "Attending doctor required"];
+    elseif (!$doctorFound) $error = [404, "Attending doctor not found"];
+    elseif ($bedId && !$bed) $error = [404, "Bed not found"];
+    elseif ($bed && $bed["status"] !== "free") $error = [409, "Bed " . $bed["label"] . " is " . $bed["status"]];
+    if ($error) {
+        $conn->rollback();
+        send_json([
+            "status" => "error",
+            "message" => $error[1]
+        ], $error[0]);
+        $conn->close();
+        exit;
+    }
+
+    $userId = (int)$user['id'];
+    $stmt = $conn->prepare("INSERT INTO admissions (patient_id, attending_doctor, admit_reason, admitted_by) VALUES (?,?,?,?)");
+    $stmt->bind_param("issi", $patientId, $doctor, $reason, $userId);
+    $ok = $stmt->execute();
+    $admissionId = $stmt->insert_id;
+    $stmt->close();
+    if ($ok && $bed) $ok = bed_occupy($conn, $bedId, $patientId, $admissionId, $userId);
+
+    if ($ok) {
+        $conn->commit();
+        log_action('admission_created', [
+            'admission_id' => $admissionId,
+            'patient_id' => $patientId,
+            'bed_id' => $bedId ?: null
+        ], 'admission', $admissionId, null, audit_row($conn, 'admissions', $admissionId));
+        send_json([
+            "status" => "success",
+            "message" => $patient["name"] . " admitted" . ($bed ? " to bed " . $bed["label"] : ""),
+            "id" => $admissionId
+        ], 201);
+    } else {
+        $conn->rollback();
+        send_json([
+            "status" => "error",
+            "message" => "Failed to admit patient",
+            "error" => $conn->error
+        ], 500);
+    }
+}
+
+elseif ($method === "PUT" || $method === "PATCH") {
+    require_role(['Admin', 'Doctor', 'Nurse']);
+    $data = get_request_data();
+    $user = current_user();
+    $action = strtolower(trim($data["action"] ?? ""));
+    $id = (int)($data["id"] ?? 0);
+
+    if (!in_array($action, ['diagnosis', 'discharge'], true)) {
+        send_json([
+            "status" => "error",
+            "message" => "Action must be diagnosis or discharge"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+    if ($action === "diagnosis") require_role(['Doctor']);
+
+    $conn->begin_transaction();
+    $res = $conn->query("SELECT a.id, a.status, a.patient_id, p.name AS patient_name
+                         FROM admissions a LEFT JOIN patients p ON p.id = a.patient_id
+                         WHERE a.id = $id FOR UPDATE");
+    $admission = $res ? $res->fetch_assoc() : null;
+    $description = trim($data["description"] ?? "");
+    $type = strtolower(trim($data["type"] ?? "primary"));
+    $disposition = strtolower(trim($data["disposition"] ?? ""));
+
+    $error = null;
+    if (!$admission) $error = [404, "Admission not found"];
+    elseif (!patient_in_scope($conn, $admission["patient_id"])) $error = [403, "Patient is not in your care"];
+    elseif ($admission["status"] !== "admitted") $error = [409, $admission["patient_name"] . " has already been discharged"];
+    elseif ($action === "diagnosis" && $description === "") $error = [400, "Diagnosis description required"];
+    elseif ($action === "diagnosis" && !in_array($type, ['primary', 'secondary'], true)) $error = [400, "Type must be primary or secondary"];
+    elseif ($action === "discharge" && !in_array($disposition, admission_dispositions(), true)) $error = [400, "Disposition must be one of: " . implode(", ", admission_dispositions())];
+    if ($error) {
+        $conn->rollback();
+        send_json([
+            "status" => "error",
+            "message" => $error[1]
+        ], $error[0]);
+        $conn->close();
+        exit;
+    }
+
+    $userId = (int)$user['id'];
+    $before = ['status' => $admission["status"]];
+    $after = null;
+    if ($action === "diagnosis") {
+        $code = strtoupper(trim($data["code"] ?? ""));
+        $code = $code !== "" ? $code : null;
+        $stmt = $conn->prepare("INSERT INTO admission_diagnoses (admission_id, code, description, type, recorded_by) VALUES (?,?,?,?,?)");
+        $stmt->bind_param("isssi", $id, $code, $description, $type, $userId);
+        $ok = $stmt->execute();
+        $stmt->close();
+        $before = null;
+        $after = ['code' => $code, 'description' => $description, 'type' => $type];
+        $message = "Diagnosis recorded";
+    } else {
+        $instructions = trim($data["instructions"] ?? "");
+        $ok = admission_discharge($conn, $id, $userId, $disposition, $instructions !== "" ? $instructions : null);
+        $after = ['status' => 'discharged', 'disposition' => $disposition];
+        $message = $admission["patient_name"] . " discharged";
+    }
+
+    if ($ok) {
+        $conn->commit();
+        log_action('admission_' . $action, [
+            'admission_id' => $id,
+            'patient_id' => (int)$admission["patient_id"],
+            'disposition' => $action === "discharge" ? $disposition : null
+        ], 'admission', $id, $before, $after);
+        send_json([
+            "status" => "success",
+            "message" => $message
+        ], 200);
+    } else {
+        $conn->rollback();
+        send_json([
+            "status" => "error",
+            "message" => $action === "diagnosis" ? "Failed to record diagnosis" : "Failed to discharge patient",
+            "error" => $conn->error
+        ], 500);
+    }
+}
+
+else {
+    send_json([
+        "status" => "error",
+        "message" => "Method not allowed"
+    ], 405);
+}
+
+$conn->close();
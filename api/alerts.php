@@ -0,0 +1,176 @@
+<?php
+/**
+ * alerts.php — Clinical and operational alerts endpoint for MediSync HMS.
+ *
+ * Supports:
+ * - GET: Evaluates the alert rules, then returns the alerts targeted at the session user
+ *        (by role or assignment) with their unacknowledged count.
+ *        Optional: status=active|open|acknowledged|resolved (default active), count_only=1, all=1 (Admin)
+ * - PUT/PATCH: Changes an alert (fields: id, action=acknowledge|resolve|assign, note, staff_id)
+ *
+ * Alerts are generated by alerts_run_rules() in config.php and carry a severity
+ * (info, warning, critical) and a status (open, acknowledged, resolved). The rules run at most once
+ * a minute however many clients poll. Resolving an alert whose condition still holds keeps it
+ * resolved; it is only raised again once the condition has cleared and come back.
+ *
+ * Usage:
+ * - GET api/alerts.php?count_only=1 for the sidebar badge
+ * - PUT api/alerts.php with id and action=acknowledge
+ */
+
+include_once(__DIR__ . "/../config.php");
+
+$user = current_user();
+if (!$user) {
+    send_json([
+        "status" => "error",
+        "message" => "Not authenticated"
+    ], 401);
+    $conn->close();
+    exit;
+}
+$userId = (int)$user['id'];
+$isAdmin = strcasecmp($user['role'], 'Admin') === 0;
+
+// Alerts visible to the user: assigned to them, or targeted at their role and not assigned to someone else
+$visibleSql = "(a.target_staff_id = $userId OR (a.target_staff_id IS NULL AND a.target_role = '" . $conn->real_escape_string($user['role']) . "'))";
+
+$method = $_SERVER["REQUEST_METHOD"];
+
+if ($method === "GET") {
+    alerts_run_rules($conn);
+
+    $where = [];
+    if (!($isAdmin && !empty($_GET["all"]))) $where[] = $visibleSql;
+    $countWhere = array_merge($where, ["a.status = 'open'"]);
+
+    $res = $conn->query("SELECT COUNT(*) AS c FROM alerts a WHERE " . implode(" AND ", $countWhere));
+    $unacknowledged = $res ? (int)$res->fetch_assoc()['c'] : 0;
+    if (!empty($_GET["count_only"])) {
+        send_json([
+            "status" => "success",
+            "unacknowledged" => $unacknowledged
+        ], 200);
+        $conn->close();
+        exit;
+    }
+
+    $status = strtolower(trim($_GET["status"] ?? "active"));
+    if ($status === "active") {
+        $where[] = "a.status <> 'resolved'";
+    } elseif (in_array($status, ['open', 'acknowledged', 'resolved'], true)) {
+        $where[] = "a.status = '$status'";
+    }
+
+    $sql = "SELECT a.id, a.rule, a.severity, a.title, a.details, a.target_role, a.target_staff_id, t.username AS assigned_to,
+                   a.status, a.created_at, a.acknowledged_at, k.username AS acknowledged_by,
+                   a.resolved_at, r.username AS resolved_by, a.resolution_note
+            FROM alerts a
+            LEFT JOIN staff t ON t.id = a.target_staff_id
+            LEFT JOIN staff k ON k.id = a.acknowledged_by
+            LEFT JOIN staff r ON r.id = a.resolved_by";
+    if ($where) $sql .= " WHERE " . implode(" AND ", $where);
+    $sql .= " ORDER BY a.status = 'open' DESC, FIELD(a.severity, 'critical', 'warning', 'info'), a.created_at DESC LIMIT 200";
+
+    $res = $conn->query($sql);
+    if ($res === false) {
+        send_json([
+            "status" => "error",
+            "message" => "Query failed"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    $alerts = [];
+    while ($row = $res->fetch_assoc()) {
+        $alerts[] = $row;
+    }
+    send_json([
+        "status" => "success",
+        "unacknowledged" => $unacknowledged,
+        "alerts" => $alerts
+    ], 200);
+}
+
+elseif ($method === "PUT" || $method === "PATCH") {
+    $data = get_request_data();
+    $id = (int)($data["id"] ?? 0);
+    $action = strtolower(trim($data["action"] ?? ""));
+    $note = trim($data["note"] ?? "");
+
+    // Admins can act on any alert; everyone else only on alerts visible to them
+    $res = $conn->query("SELECT a.id, a.status FROM alerts a WHERE a.id = $id" . ($isAdmin ? "" : " AND $visibleSql"));
+    $alert = $res ? $res->fetch_assoc() : null;
+    if (!$alert) {
+        send_json([
+            "status" => "error",
+            "message" => "Alert not found"
+        ], 404);
+        $conn->close();
+        exit;
+    }
+    if ($alert["status"] === "resolved") {
+        send_json([
+            "status" => "error",
+            "message" => "Alert is already resolved"
+        ], 409);
+        $conn->close();
+        exit;
+    }
+
+    if ($action === "acknowledge") {
+        $stmt = $conn->prepare("UPDATE alerts SET status = 'acknowledged', acknowledged_by = ?, acknowledged_at = NOW() WHERE id = ? AND status = 'open'");
+        $stmt->bind_param("ii", $userId, $id);
+    } elseif ($action === "resolve") {
+        $note = $note !== "" ? $note : null;
+        $stmt = $conn->prepare("UPDATE alerts SET status = 'resolved', resolved_by = ?, resolved_at = NOW(), resolution_note = ?,
+                                       acknowledged_by = COALESCE(acknowledged_by, ?), acknowledged_at = COALESCE(acknowledged_at, NOW())
+                                WHERE id = ?");
+        $stmt->bind_param("isii", $userId, $note, $userId, $id);
+    } elseif ($action === "assign") {
+        require_role(['Admin']);
+        $staffId = (int)($data["staff_id"] ?? 0);
+        if (!$staffId) {
+            send_json([
+                "status" => "error",
+                "message" => "Staff member required"
+            ], 400);
+            $conn->close();
+            exit;
+        }
+        $stmt = $conn->prepare("UPDATE alerts SET target_staff_id = ? WHERE id = ?");
+        $stmt->bind_param("ii", $staffId, $id);
+    } else {
+        send_json([
+            "status" => "error",
+            "message" => "Action must be acknowledge, resolve or assign"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+
+    $before = audit_row($conn, 'alerts', $id);
+    if ($stmt->execute()) {
+        log_action('alert_' . $action, ['alert_id' => $id], 'alert', $id, $before, audit_row($conn, 'alerts', $id));
+        send_json([
+            "status" => "success",
+            "message" => "Alert updated"
+        ], 200);
+    } else {
+        send_json([
+            "status" => "error",
+            "message" => "Failed to update alert",
+            "error" => $stmt->error
+        ], 500);
+    }
+    $stmt->close();
+}
+
+else {
+    send_json([
+        "status" => "error",
+        "message" => "Method not allowed"
+    ], 405);
+}
+
+$conn->close();
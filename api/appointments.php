@@ -3,21 +3,119 @@
  * appointments.php — Appointment management endpoint for MediSync HMS.
  *
  * Supports:
- * - GET: Returns all appointments as JSON array
- * - PUT/PATCH: Updates appointment (reschedule)
+ * - GET: Returns appointments with basic patient details as JSON array (optional filters: patient_id, date, from, to, doctor, status)
+ *        Doctors get their own bookings plus those of patients in their scope; nurses only the latter
+ *        (see patient_scope_sql in config.php).
+ * - GET ?slots=1&doctor=&date=: Returns the doctor's free slot start times for that date
+ * - POST: Books an appointment (fields: patient_id, doctor, date, time, reason)
+ * - PUT/PATCH: Reschedules (fields: id, date, time) or changes status (fields: id, status, reason)
+ *
+ * Appointments occupy fixed-length slots inside the doctor's working hours; a booking
+ * that overlaps another active appointment for the same doctor is rejected with 409, and one
+ * for a username that is not a doctor with 404.
+ * Status lifecycle: Pending -> Checked-in -> Completed, or Pending -> No-show / Cancelled. No-show is
+ * only accepted once the appointment's start time has passed.
+ * Checking in (today's appointments only) adds the patient to the waiting-room queue (see queue.php).
  *
  * Usage:
  * - GET api/appointments.php for appointment list
+ * - POST api/appointments.php with patient_id, doctor, date and time to book
  * - PUT api/appointments.php with id and date/time to reschedule
+ * - PUT api/appointments.php with id and status to check in, complete, cancel or mark no-show
  */
 
 include_once(__DIR__ . "/../config.php");
 
+/**
+ * validate_booking — Checks that a doctor/date/time is a free slot inside working hours.
+ * Returns [http_code, message] on failure or null when the slot can be booked.
+ */
+function validate_booking($conn, $doctor, $date, $time, $excludeId = 0)
+{
+    if (!preg_match('/^\d{4}-\d{2}-\d{2}$/', $date) || !preg_match('/^\d{2}:\d{2}$/', $time)) {
+        return [400, "Date must be YYYY-MM-DD and time HH:MM"];
+    }
+    if (strtotime("$date $time") < time()) {
+        return [400, "Appointments cannot be booked in the past"];
+    }
+    $chk = $conn->prepare("SELECT 1 FROM staff WHERE username = ? AND role = 'Doctor'");
+    $chk->bind_param("s", $doctor);
+    $chk->execute();
+    $found = $chk->get_result()->num_rows > 0;
+    $chk->close();
+    if (!$found) {
+        return [404, "Doctor not found"];
+    }
+    $schedule = doctor_schedule_for_date($conn, $doctor, $date);
+    if (!$schedule) {
+        return [409, "Doctor is not available on that date"];
+    }
+    $start = strtotime("$date {$schedule['start']}");
+    $end = strtotime("$date {$schedule['end']}");
+    $t = strtotime("$date $time");
+    $step = (int)$schedule['slot_minutes'] * 60;
+    if ($t < $start || $t + $step > $end || ($t - $start) % $step !== 0) {
+        return [409, "Time must be a {$schedule['slot_minutes']} minute slot between {$schedule['start']} and {$schedule['end']}"];
+    }
+    if (appointment_conflict($conn, $doctor, $date, $time, (int)$schedule['slot_minutes'], $excludeId)) {
+        return [409, "Doctor already has an appointment at that time"];
+    }
+    return null;
+}
+
 $method = $_SERVER["REQUEST_METHOD"];
 
-if ($method === "GET") {
-    $res = $conn->query("SELECT id, patient_name, doctor, date, time, status FROM appointments ORDER BY id DESC");
-    if ($res === false) {
+if ($method === "GET" && !empty($_GET["slots"])) {
+    require_role(['Admin', 'Receptionist', 'Doctor', 'Nurse']);
+    $doctor = trim($_GET["doctor"] ?? "");
+    $date = $_GET["date"] ?? "";
+    if (!$doctor || !$date) {
+        send_json([
+            "status" => "error",
+            "message" => "doctor and date required"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+    $schedule = doctor_schedule_for_date($conn, $doctor, $date);
+    send_json([
+        "status" => "success",
+        "doctor" => $doctor,
+        "date" => $date,
+        "schedule" => $schedule,
+        "slots" => appointment_free_slots($conn, $doctor, $date, (int)($_GET["exclude_id"] ?? 0))
+    ], 200);
+}
+
+elseif ($method === "GET") {
+    require_role(['Admin', 'Receptionist', 'Doctor', 'Nurse']);
+    $user = current_user();
+    $where = [patient_scope_sql($conn, 'a.patient_id')];
+    $types = "";
+    $params = [];
+    // A doctor always sees their own bookings, whoever the patient is assigned to
+    if (strcasecmp($user['role'], 'Doctor') === 0) {
+        $where[0] = "(a.doctor = ? OR " . $where[0] . ")";
+        $types .= "s";
+        $params[] = $user['username'];
+    }
+    foreach (['patient_id' => 'a.patient_id = ?', 'date' => 'a.date = ?', 'from' => 'a.date >= ?', 'to' => 'a.date <= ?', 'doctor' => 'a.doctor = ?', 'status' => 'a.status = ?'] as $key => $clause) {
+        $value = trim($_GET[$key] ?? "");
+        if ($value === "") continue;
+        $where[] = $clause;
+        $types .= "s";
+        $params[] = $value;
+    }
+
+    $sql = "SELECT a.id, a.patient_id, a.patient_name, p.mrn AS patient_mrn, TIMESTAMPDIFF(YEAR, p.dob, CURDATE()) AS patient_age, p.gender AS patient_gender,
+                   a.doctor, a.date, TIME_FORMAT(a.time, '%H:%i') AS time, a.duration_minutes, a.reason, a.status, a.status_reason
+            FROM appointments a
+            LEFT JOIN patients p ON p.id = a.patient_id
+            WHERE " . implode(" AND ", $where) . "
+            ORDER BY a.date DESC, a.time ASC, a.id DESC";
+
+    $stmt = $conn->prepare($sql);
+    if (!$stmt) {
         send_json([
           "status" => "error",
           "message" => "Query failed"
@@ -25,66 +123,316 @@ if ($method === "GET") {
         $conn->close();
         exit;
     }
+    if ($params) $stmt->bind_param($types, ...$params);
+    $stmt->execute();
+    $res = $stmt->get_result();
     $appointments = [];
     while ($row = $res->fetch_assoc()) {
         $appointments[] = $row;
     }
+    // One patient's appointments are their visit history, a read of their chart
+    if (!empty($_GET["patient_id"])) log_patient_view($conn, $_GET["patient_id"], 'appointments');
     send_json($appointments, 200);
+    $stmt->close();
 }
 
-elseif ($method === "PUT" || $method === "PATCH") {
-    // Only Admins and Receptionists can reschedule appointments
+elseif ($method === "POST") {
+    // Only Admins and Receptionists can book appointments
     require_role(['Admin', 'Receptionist']);
+    $data = get_request_data();
+    $patientId = (int)($data["patient_id"] ?? 0);
+    $doctor = trim($data["doctor"] ?? "");
+    $date = trim($data["date"] ?? "");
+    $time = trim($data["time"] ?? "");
+    $reason = trim($data["reason"] ?? "");
+
+    if (!$patientId || !$doctor || !$date || !$time) {
+        send_json([
+            "status" => "error",
+            "message" => "Patient, doctor, date and time required"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+
+    $chk = $conn->prepare("SELECT name FROM patients WHERE id = ?");
+    $chk->bind_param("i", $patientId);
+    $chk->execute();
+    $patient = $chk->get_result()->fetch_assoc();
+    $chk->close();
+    if (!$patient) {
+        send_json([
+            "status" => "error",
+            "message" => "Patient not found"
+        ], 404);
+        $conn->close();
+        exit;
+    }
+
+    // Lock the doctor's appointments for the day so two desks cannot take the same slot
+    $conn->begin_transaction();
+    $lock = $conn->prepare("SELECT id FROM appointments WHERE doctor = ? AND date = ? FOR UPDATE");
+    $lock->bind_param("ss", $doctor, $date);
+    $lock->execute();
+    $lock->close();
+
+    $error = validate_booking($conn, $doctor, $date, $time);
+    if ($error) {
+        $conn->rollback();
+        send_json([
+            "status" => "error",
+            "message" => $error[1]
+        ], $error[0]);
+        $conn->close();
+        exit;
+    }
+
+    $minutes = (int)doctor_schedule_for_date($conn, $doctor, $date)['slot_minutes'];
+    $createdBy = (int)current_user()['id'];
+    $reason = $reason !== "" ? $reason : null;
+    $stmt = $conn->prepare("INSERT INTO appointments (patient_id, patient_name, doctor, date, time, duration_minutes, reason, status, created_by) VALUES (?,?,?,?,?,?,?,'Pending',?)");
+    if (!$stmt) {
+        $conn->rollback();
+        send_json([
+            "status" => "error",
+            "message" => "Server error preparing statement"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    $stmt->bind_param("issssisi", $patientId, $patient["name"], $doctor, $date, $time, $minutes, $reason, $createdBy);
+
+    if ($stmt->execute()) {
+        $conn->commit();
+        log_action('appointment_booked', [
+            'appointment_id' => $stmt->insert_id,
+            'patient_id' => $patientId,
+            'doctor' => $doctor,
+            'date' => $date,
+            'time' => $time
+        ], 'appointment', $stmt->insert_id, null, audit_row($conn, 'appointments', $stmt->insert_id));
+        send_json([
+            "status" => "success",
+            "message" => "Appointment booked",
+            "id" => $stmt->insert_id
+        ], 201);
+    } else {
+        $conn->rollback();
+        send_json([
+            "status" => "error",
+            "message" => "Failed to book appointment",
+            "error" => $stmt->error
+        ], 500);
+    }
+    $stmt->close();
+}
+
+elseif ($method === "PUT" || $method === "PATCH") {
     $data = get_request_data();
     $id = (int)($data["id"] ?? 0);
-    $date = $data["date"] ?? "";
-    $time = $data["time"] ?? "";
+    $newStatus = trim($data["status"] ?? "");
 
-    if (!$id || !$date) {
+    if (!$id) {
         send_json([
             "status" => "error",
-            "message" => "Appointment ID and date required"
+            "message" => "Appointment ID required"
         ], 400);
         $conn->close();
         exit;
     }
 
-    if ($time) {
-        $stmt = $conn->prepare("UPDATE appointments SET date=?, time=? WHERE id=?");
-        if (!$stmt) {
-            $err = $conn->error ?: 'unknown';
-            error_log("appointments.php prepare failed: $err");
+    $chk = $conn->prepare("SELECT id, patient_id, doctor, date, TIME_FORMAT(time, '%H:%i') AS time, status FROM appointments WHERE id = ?");
+    $chk->bind_param("i", $id);
+    $chk->execute();
+    $appointment = $chk->get_result()->fetch_assoc();
+    $chk->close();
+    if (!$appointment) {
+        send_json([
+            "status" => "error",
+            "message" => "Appointment not found"
+        ], 404);
+        $conn->close();
+        exit;
+    }
+    $before = audit_row($conn, 'appointments', $id);
+
+    if ($newStatus !== "") {
+        // Doctors may complete their own visits; the front desk handles the rest
+        require_role($newStatus === 'Completed' ? ['Admin', 'Receptionist', 'Doctor'] : ['Admin', 'Receptionist']);
+        $user = current_user();
+        if (strcasecmp($user['role'], 'Doctor') === 0 && $appointment["doctor"] !== $user['username']) {
             send_json([
                 "status" => "error",
-                "message" => "Server error preparing statement",
-                "db_error" => $err
-            ], 500);
-            if (isset($conn) && $conn) $conn->close();
+                "message" => "Doctors can only complete their own appointments"
+            ], 403);
+            $conn->close();
             exit;
         }
-        $stmt->bind_param("ssi", $date, $time, $id);
-    } else {
-        $stmt = $conn->prepare("UPDATE appointments SET date=? WHERE id=?");
-        if (!$stmt) {
-            $err = $conn->error ?: 'unknown';
-            error_log("appointments.php prepare failed: $err");
+        $allowed = appointment_status_transitions()[$appointment["status"]] ?? [];
+        if (!in_array($newStatus, $allowed, true)) {
             send_json([
                 "status" => "error",
-                "message" => "Server error preparing statement",
-                "db_error" => $err
-            ], 500);
-            if (isset($conn) && $conn) $conn->close();
+                "message" => "Cannot change status from {$appointment['status']} to $newStatus"
+            ], 409);
+            $conn->close();
+            exit;
+        }
+        $reason = trim($data["reason"] ?? "");
+        if ($newStatus === 'Cancelled' && $reason === "") {
+            send_json([
+                "status" => "error",
+                "message" => "A reason is required to cancel an appointment"
+            ], 400);
+            $conn->close();
+            exit;
+        }
+        if ($newStatus === 'No-show' && strtotime($appointment["date"] . " " . $appointment["time"]) > time()) {
+            send_json([
+                "status" => "error",
+                "message" => "The appointment has not started yet"
+            ], 409);
+            $conn->close();
+            exit;
+        }
+        if ($newStatus === 'Checked-in' && $appointment["date"] !== date("Y-m-d")) {
+            send_json([
+                "status" => "error",
+                "message" => "Only today's appointments can be checked in"
+            ], 409);
+            $conn->close();
             exit;
         }
-        $stmt->bind_param("si", $date, $id);
+        if ($newStatus === 'Checked-in') {
+            // A patient who came in as a walk-in already has a place in today's queue
+            $queued = $conn->prepare("SELECT COUNT(*) FROM queue_entries WHERE patient_id = ? AND queue_date = CURDATE() AND status IN ('waiting', 'called')");
+            $queued->bind_param("i", $appointment["patient_id"]);
+            $queued->execute();
+            $inQueue = (int)$queued->get_result()->fetch_row()[0] > 0;
+            $queued->close();
+            if ($inQueue) {
+                send_json([
+                    "status" => "error",
+                    "message" => "Patient is already in the queue"
+                ], 409);
+                $conn->close();
+                exit;
+            }
+        }
+        $reason = $reason !== "" ? $reason : null;
+        $conn->begin_transaction();
+        $stmt = $conn->prepare("UPDATE appointments SET status = ?, status_reason = ?, updated_at = NOW() WHERE id = ? AND status = ?");
+        $stmt->bind_param("ssis", $newStatus, $reason, $id, $appointment["status"]);
+        $ok = $stmt->execute() && $stmt->affected_rows > 0;
+
+        // Keep the waiting-room queue in step: check-in joins it, completion or cancellation leaves it
+        if ($ok && $newStatus === 'Checked-in') {
+            $checkedInBy = (int)current_user()['id'];
+            $today = date("Y-m-d");
+            $queue = $conn->prepare("INSERT INTO queue_entries (patient_id, appointment_id, doctor, source, queue_date, checked_in_by) VALUES (?,?,?,'appointment',?,?)");
+            $queue->bind_param("iissi", $appointment["patient_id"], $id, $appointment["doctor"], $today, $checkedInBy);
+            $ok = $queue->execute();
+            $queue->close();
+        } elseif ($ok && in_array($newStatus, ['Completed', 'Cancelled'], true)) {
+            $queueStatus = $newStatus === 'Completed' ? 'done' : 'left';
+            $queue = $conn->prepare("UPDATE queue_entries SET status = ?, completed_at = NOW() WHERE appointment_id = ? AND status IN ('waiting', 'called')");
+            $queue->bind_param("si", $queueStatus, $id);
+            $ok = $queue->execute();
+            $queue->close();
+        }
+
+        if ($ok) {
+            $conn->commit();
+            log_action('appointment_status_changed', [
+                'appointment_id' => $id,
+                'from' => $appointment["status"],
+                'to' => $newStatus
+            ], 'appointment', $id, $before, audit_row($conn, 'appointments', $id));
+            send_json([
+                "status" => "success",
+                "message" => "Appointment marked $newStatus"
+            ], 200);
+        } else {
+            $conn->rollback();
+            send_json([
+                "status" => "error",
+                "message" => "Failed to update appointment status",
+                "error" => $stmt->error
+            ], 500);
+        }
+        $stmt->close();
+        $conn->close();
+        exit;
+    }
+
+    // Reschedule: only Admins and Receptionists, and only while the appointment is still Pending
+    require_role(['Admin', 'Receptionist']);
+    $date = trim($data["date"] ?? "");
+    $time = trim($data["time"] ?? "");
+    $doctor = trim($data["doctor"] ?? "") ?: $appointment["doctor"];
+
+    if (!$date || !$time) {
+        send_json([
+            "status" => "error",
+            "message" => "Appointment date and time required"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+    if ($appointment["status"] !== "Pending") {
+        send_json([
+            "status" => "error",
+            "message" => "Only pending appointments can be rescheduled"
+        ], 409);
+        $conn->close();
+        exit;
     }
 
+    $conn->begin_transaction();
+    $lock = $conn->prepare("SELECT id FROM appointments WHERE doctor = ? AND date = ? FOR UPDATE");
+    $lock->bind_param("ss", $doctor, $date);
+    $lock->execute();
+    $lock->close();
+
+    $error = validate_booking($conn, $doctor, $date, $time, $id);
+    if ($error) {
+        $conn->rollback();
+        send_json([
+            "status" => "error",
+            "message" => $error[1]
+        ], $error[0]);
+        $conn->close();
+        exit;
+    }
+
+    $minutes = (int)doctor_schedule_for_date($conn, $doctor, $date)['slot_minutes'];
+    $stmt = $conn->prepare("UPDATE appointments SET doctor = ?, date = ?, time = ?, duration_minutes = ?, updated_at = NOW() WHERE id = ?");
+    if (!$stmt) {
+        $conn->rollback();
+        $err = $conn->error ?: 'unknown';
+        error_log("appointments.php prepare failed: $err");
+        send_json([
+            "status" => "error",
+            "message" => "Server error preparing statement",
+            "db_error" => $err
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    $stmt->bind_param("sssii", $doctor, $date, $time, $minutes, $id);
+
     if ($stmt->execute()) {
+        $conn->commit();
+        log_action('appointment_rescheduled', [
+            'appointment_id' => $id,
+            'from' => $appointment["date"],
+            'to' => "$date $time"
+        ], 'appointment', $id, $before, audit_row($conn, 'appointments', $id));
         send_json([
             "status" => "success",
             "message" => "Appointment rescheduled successfully"
         ], 200);
     } else {
+        $conn->rollback();
         send_json([
             "status" => "error",
             "message" => "Failed to reschedule appointment",
@@ -94,4 +442,11 @@ elseif ($method === "PUT" || $method === "PATCH") {
     $stmt->close();
 }
 
+else {
+    send_json([
+        "status" => "error",
+        "message" => "Method not allowed"
+    ], 405);
+}
+
 $conn->close();
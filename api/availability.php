@@ -0,0 +1,332 @@
+<?php
+/**
+ * availability.php — Doctor working hours, slot length and leave endpoint for MediSync HMS.
+ *
+ * Supports:
+ * - GET: Availability of every doctor for a date (field: date, default today) with their
+ *        working window, leave status, appointments booked, next free slot and patients assigned
+ * - GET ?doctor=: One doctor's weekly hours, slot length and upcoming leave
+ * - PUT/PATCH: Replaces a doctor's weekly hours and slot length (fields: staff_id, slot_minutes, hours[])
+ * - POST: Records leave (fields: staff_id, start_date, end_date, reason)
+ * - DELETE: Removes a leave entry (field: id)
+ *
+ * Doctors manage their own availability; Admins can manage anyone's (pass staff_id).
+ * Weekdays are 1 = Monday ... 7 = Sunday.
+ *
+ * Usage:
+ * - GET api/availability.php for the receptionist Doctors section
+ * - PUT api/availability.php with slot_minutes=20 and hours=[{weekday:1,start:"09:00",end:"17:00"}]
+ */
+
+include_once(__DIR__ . "/../config.php");
+
+$SLOT_LENGTHS = [10, 15, 20, 30, 45, 60];
+
+/**
+ * availability_target — Resolves which doctor a change applies to: the session doctor,
+ * or for Admins the doctor named by staff_id. Sends 400/404 and exits when invalid.
+ */
+function availability_target($conn, $data)
+{
+    $user = current_user();
+    $staffId = strcasecmp($user['role'], 'Admin') === 0 ? (int)($data["staff_id"] ?? 0) : (int)$user['id'];
+    $stmt = $conn->prepare("SELECT id, username FROM staff WHERE id = ? AND role = 'Doctor'");
+    $stmt->bind_param("i", $staffId);
+    $stmt->execute();
+    $doctor = $stmt->get_result()->fetch_assoc();
+    $stmt->close();
+    if (!$doctor) {
+        send_json([
+            "status" => "error",
+            "message" => "Doctor not found"
+        ], $staffId ? 404 : 400);
+        $conn->close();
+        exit;
+    }
+    return $doctor;
+}
+
+$method = $_SERVER["REQUEST_METHOD"];
+
+if ($method === "GET" && !empty($_GET["doctor"])) {
+    require_role(['Admin', 'Receptionist', 'Doctor']);
+    $username = trim($_GET["doctor"]);
+    $stmt = $conn->prepare("SELECT s.id, s.username, d.slot_minutes FROM staff s
+                            LEFT JOIN doctor_settings d ON d.staff_id = s.id
+                            WHERE s.username = ? AND s.role = 'Doctor'");
+    $stmt->bind_param("s", $username);
+    $stmt->execute();
+    $doctor = $stmt->get_result()->fetch_assoc();
+    $stmt->close();
+    if (!$doctor) {
+        send_json([
+            "status" => "error",
+            "message" => "Doctor not found"
+        ], 404);
+        $conn->close();
+        exit;
+    }
+
+    $staffId = (int)$doctor["id"];
+    $hours = [];
+    $res = $conn->query("SELECT weekday, TIME_FORMAT(start_time, '%H:%i') AS start, TIME_FORMAT(end_time, '%H:%i') AS end
+                         FROM doctor_working_hours WHERE staff_id = $staffId ORDER BY weekday");
+    while ($res && $row = $res->fetch_assoc()) {
+        $row["weekday"] = (int)$row["weekday"];
+        $hours[] = $row;
+    }
+    $leave = [];
+    $res = $conn->query("SELECT id, start_date, end_date, reason FROM doctor_leave
+                         WHERE staff_id = $staffId AND end_date >= CURDATE() ORDER BY start_date");
+    while ($res && $row = $res->fetch_assoc()) {
+        $leave[] = $row;
+    }
+
+    send_json([
+        "status" => "success",
+        "staff_id" => $staffId,
+        "doctor" => $doctor["username"],
+        "slot_minutes" => (int)($doctor["slot_minutes"] ?: DOCTOR_DEFAULT_SLOT_MINUTES),
+        "default_hours" => count($hours) === 0,
+        "hours" => $hours,
+        "leave" => $leave
+    ], 200);
+}
+
+elseif ($method === "GET") {
+    require_role(['Admin', 'Receptionist', 'Doctor']);
+    $date = $_GET["date"] ?? date("Y-m-d");
+
+    $res = $conn->query("SELECT id, username FROM staff WHERE role = 'Doctor' ORDER BY username");
+    if ($res === false) {
+        send_json([
+            "status" => "error",
+            "message" => "Query failed"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    $booked = $conn->prepare("SELECT COUNT(*) AS c FROM appointments WHERE doctor = ? AND date = ? AND status NOT IN ('Cancelled', 'No-show')");
+    $leave = $conn->prepare("SELECT reason, end_date FROM doctor_leave WHERE staff_id = ? AND ? BETWEEN start_date AND end_date LIMIT 1");
+
+    $patientCounts = [];
+    $counts = $conn->query("SELECT doctor, COUNT(*) FROM patients GROUP BY doctor");
+    while ($counts && $countRow = $counts->fetch_row()) {
+        $patientCounts[$countRow[0]] = (int)$countRow[1];
+    }
+
+    $doctors = [];
+    while ($row = $res->fetch_assoc()) {
+        $id = (int)$row["id"];
+        $leave->bind_param("is", $id, $date);
+        $leave->execute();
+        $onLeave = $leave->get_result()->fetch_assoc();
+        $booked->bind_param("ss", $row["username"], $date);
+        $booked->execute();
+        $count = (int)$booked->get_result()->fetch_assoc()["c"];
+        $schedule = doctor_schedule_for_date($conn, $row["username"], $date);
+
+        $doctors[] = [
+            "id" => $id,
+            "username" => $row["username"],
+            "schedule" => $schedule,
+            "on_leave" => $onLeave ?: null,
+            "booked" => $count,
+            "free_slots" => count(appointment_free_slots($conn, $row["username"], $date)),
+            "next_slot" => doctor_next_free_slot($conn, $row["username"]),
+            "patients" => $patientCounts[$row["username"]] ?? 0
+        ];
+    }
+    $booked->close();
+    $leave->close();
+
+    send_json([
+        "status" => "success",
+        "date" => $date,
+        "doctors" => $doctors
+    ], 200);
+}
+
+elseif ($method === "PUT" || $method === "PATCH") {
+    require_role(['Admin', 'Doctor']);
+    $data = get_request_data();
+    $doctor = availability_target($conn, $data);
+    $staffId = (int)$doctor["id"];
+    $slotMinutes = (int)($data["slot_minutes"] ?? DOCTOR_DEFAULT_SLOT_MINUTES);
+    $hours = is_array($data["hours"] ?? null) ? $data["hours"] : [];
+
+    if (!$hours) {
+        send_json([
+            "status" => "error",
+            "message" => "At least one working day required; record time off as leave"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+    if (!in_array($slotMinutes, $SLOT_LENGTHS, true)) {
+        send_json([
+            "status" => "error",
+            "message" => "Slot length must be one of " . implode(", ", $SLOT_LENGTHS) . " minutes"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+    $seen = [];
+    foreach ($hours as $h) {
+        $weekday = (int)($h["weekday"] ?? 0);
+        $start = trim($h["start"] ?? "");
+        $end = trim($h["end"] ?? "");
+        if ($weekday < 1 || $weekday > 7 || isset($seen[$weekday])
+            || !preg_match('/^\d{2}:\d{2}$/', $start) || !preg_match('/^\d{2}:\d{2}$/', $end)
+            || strtotime("1970-01-01 $end") - strtotime("1970-01-01 $start") < $slotMinutes * 60) {
+            send_json([
+                "status" => "error",
+                "message" => "Each working day needs a start and end at least one slot apart"
+            ], 400);
+            $conn->close();
+            exit;
+        }
+        $seen[$weekday] = true;
+    }
+
+    $hoursSql = "SELECT h.weekday, h.start_time, h.end_time, ds.slot_minutes
+                 FROM doctor_working_hours h LEFT JOIN doctor_settings ds ON ds.staff_id = h.staff_id
+                 WHERE h.staff_id = $staffId ORDER BY h.weekday";
+    $res = $conn->query($hoursSql);
+    $before = $res ? $res->fetch_all(MYSQLI_ASSOC) : null;
+
+    $conn->begin_transaction();
+    $ok = $conn->query("DELETE FROM doctor_working_hours WHERE staff_id = $staffId");
+    $insert = $conn->prepare("INSERT INTO doctor_working_hours (staff_id, weekday, start_time, end_time) VALUES (?,?,?,?)");
+    foreach ($hours as $h) {
+        if (!$ok) break;
+        $weekday = (int)$h["weekday"];
+        $insert->bind_param("iiss", $staffId, $weekday, $h["start"], $h["end"]);
+        $ok = $insert->execute();
+    }
+    $insert->close();
+    if ($ok) {
+        $settings = $conn->prepare("INSERT INTO doctor_settings (staff_id, slot_minutes) VALUES (?,?)
+                                    ON DUPLICATE KEY UPDATE slot_minutes = VALUES(slot_minutes)");
+        $settings->bind_param("ii", $staffId, $slotMinutes);
+        $ok = $settings->execute();
+        $settings->close();
+    }
+
+    if ($ok) {
+        $conn->commit();
+        log_action('doctor_hours_updated', [
+            'staff_id' => $staffId,
+            'slot_minutes' => $slotMinutes,
+            'days' => count($hours)
+        ], 'staff', $staffId, $before, $conn->query($hoursSql)->fetch_all(MYSQLI_ASSOC));
+        send_json([
+            "status" => "success",
+            "message" => "Working hours saved"
+        ], 200);
+    } else {
+        $conn->rollback();
+        send_json([
+            "status" => "error",
+            "message" => "Failed to save working hours",
+            "error" => $conn->error
+        ], 500);
+    }
+}
+
+elseif ($method === "POST") {
+    require_role(['Admin', 'Doctor']);
+    $data = get_request_data();
+    $doctor = availability_target($conn, $data);
+    $staffId = (int)$doctor["id"];
+    $startDate = trim($data["start_date"] ?? "");
+    $endDate = trim($data["end_date"] ?? "") ?: $startDate;
+    $reason = trim($data["reason"] ?? "");
+
+    if (!$startDate || $endDate < $startDate) {
+        send_json([
+            "status" => "error",
+            "message" => "Leave needs a start date and an end date on or after it"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+
+    $createdBy = (int)current_user()['id'];
+    $reason = $reason !== "" ? $reason : null;
+    $stmt = $conn->prepare("INSERT INTO doctor_leave (staff_id, start_date, end_date, reason, created_by) VALUES (?,?,?,?,?)");
+    if (!$stmt) {
+        send_json([
+            "status" => "error",
+            "message" => "Server error preparing statement"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    $stmt->bind_param("isssi", $staffId, $startDate, $endDate, $reason, $createdBy);
+
+    if ($stmt->execute()) {
+        // Existing bookings are left in place; report them so the front desk can move them
+        $chk = $conn->prepare("SELECT COUNT(*) AS c FROM appointments WHERE doctor = ? AND date BETWEEN ? AND ? AND status IN ('Pending', 'Checked-in')");
+        $chk->bind_param("sss", $doctor["username"], $startDate, $endDate);
+        $chk->execute();
+        $affected = (int)$chk->get_result()->fetch_assoc()["c"];
+        $chk->close();
+
+        log_action('doctor_leave_added', [
+            'leave_id' => $stmt->insert_id,
+            'staff_id' => $staffId,
+            'start_date' => $startDate,
+            'end_date' => $endDate
+        ], 'doctor_leave', $stmt->insert_id, null, audit_row($conn, 'doctor_leave', $stmt->insert_id));
+        send_json([
+            "status" => "success",
+            "message" => $affected > 0 ? "Leave saved. $affected booked appointment(s) fall in this period and need rescheduling." : "Leave saved",
+            "id" => $stmt->insert_id,
+            "affected_appointments" => $affected
+        ], 201);
+    } else {
+        send_json([
+            "status" => "error",
+            "message" => "Failed to save leave",
+            "error" => $stmt->error
+        ], 500);
+    }
+    $stmt->close();
+}
+
+elseif ($method === "DELETE") {
+    require_role(['Admin', 'Doctor']);
+    $data = get_request_data();
+    $id = (int)($data["id"] ?? 0);
+    $user = current_user();
+
+    $sql = "DELETE FROM doctor_leave WHERE id = ?";
+    if (strcasecmp($user['role'], 'Admin') !== 0) $sql .= " AND staff_id = " . (int)$user['id'];
+    $stmt = $conn->prepare($sql);
+    $stmt->bind_param("i", $id);
+    $before = audit_row($conn, 'doctor_leave', $id);
+
+    if ($stmt->execute() && $stmt->affected_rows > 0) {
+        log_action('doctor_leave_removed', ['leave_id' => $id], 'doctor_leave', $id, $before);
+        send_json([
+            "status" => "success",
+            "message" => "Leave removed"
+        ], 200);
+    } else {
+        send_json([
+            "status" => "error",
+            "message" => "Leave entry not found"
+        ], 404);
+    }
+    $stmt->close();
+}
+
+else {
+    send_json([
+        "status" => "error",
+        "message" => "Method not allowed"
+    ], 405);
+}
+
+$conn->close();
@@ -0,0 +1,259 @@
+<?php
+/**
+ * beds.php — Bed board and patient bed movements endpoint for MediSync HMS.
+ *
+ * Supports:
+ * - GET: The bed board — every bed with its ward, room, state and current patient (optional: ward_id)
+ * - GET ?summary=1: Bed counts by state and the occupancy percentage
+ * - POST: Puts a patient in a free bed (fields: bed_id, patient_id). The stay joins the patient's open
+ *         admission, or opens one (field: reason; the attending doctor is the patient's doctor)
+ * - PUT/PATCH: Moves the board on (fields: action, bed_id)
+ *   - action=transfer: moves the bed's patient to to_bed_id, which must be free
+ *   - action=discharge: discharges the patient's admission and frees the bed
+ *     (optional: disposition, default home; instructions) — see admissions.php
+ *   - action=status: sets an unoccupied bed to free, cleaning or maintenance (field: status)
+ *
+ * Nurses can only admit and discharge patients in their scope (see patient_scope_sql).
+ * A bed that a patient leaves (transfer or discharge) goes to cleaning until a nurse marks it free.
+ * Each stay is recorded in bed_assignments against its admission.
+ *
+ * Usage:
+ * - GET api/beds.php for the bed board
+ * - PUT api/beds.php with action=transfer, bed_id=1 and to_bed_id=2
+ */
+
+include_once(__DIR__ . "/../config.php");
+
+/**
+ * bed_for_update — Locks and returns a bed row (with its open assignment and admission ids), or null.
+ * Must be called inside a transaction.
+ */
+function bed_for_update($conn, $bedId)
+{
+    $bedId = (int)$bedId;
+    $res = $conn->query("SELECT b.id, b.label, b.status, b.patient_id, ba.id AS assignment_id, ba.admission_id
+                         FROM beds b
+                         LEFT JOIN bed_assignments ba ON ba.id = (SELECT MAX(id) FROM bed_assignments WHERE bed_id = b.id AND end_at IS NULL)
+                         WHERE b.id = $bedId FOR UPDATE");
+    return $res ? $res->fetch_assoc() : null;
+}
+
+$method = $_SERVER["REQUEST_METHOD"];
+
+if ($method === "GET" && !empty($_GET["summary"])) {
+    require_role(['Admin', 'Nurse', 'Doctor', 'Receptionist']);
+    $res = $conn->query("SELECT COUNT(*) AS total, SUM(status = 'occupied') AS occupied, SUM(status = 'free') AS free,
+                                SUM(status = 'cleaning') AS cleaning, SUM(status = 'maintenance') AS maintenance
+                         FROM beds");
+    $row = $res ? $res->fetch_assoc() : null;
+    if (!$row) {
+        send_json([
+            "status" => "error",
+            "message" => "Query failed"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    $counts = array_map('intval', $row);
+    // Beds under maintenance are out of service and do not count towards capacity
+    $inService = $counts["total"] - $counts["maintenance"];
+    send_json([
+        "status" => "success",
+        "counts" => $counts,
+        "occupancy_percent" => $inService > 0 ? round($counts["occupied"] / $inService * 100, 1) : 0
+    ], 200);
+}
+
+elseif ($method === "GET") {
+    require_role(['Admin', 'Nurse', 'Doctor', 'Receptionist']);
+    $wardId = (int)($_GET["ward_id"] ?? 0);
+    $sql = "SELECT b.id, b.label, b.status, b.patient_id, p.name AS patient_name, b.updated_at,
+                   r.id AS room_id, r.name AS room, w.id AS ward_id, w.name AS ward,
+                   (SELECT start_at FROM bed_assignments WHERE bed_id = b.id AND end_at IS NULL ORDER BY id DESC LIMIT 1) AS since
+            FROM beds b
+            JOIN rooms r ON r.id = b.room_id
+            JOIN wards w ON w.id = r.ward_id
+            LEFT JOIN patients p ON p.id = b.patient_id";
+    if ($wardId) $sql .= " WHERE w.id = $wardId";
+    $sql .= " ORDER BY w.name, r.name, b.label";
+
+    $res = $conn->query($sql);
+    if ($res === false) {
+        send_json([
+            "status" => "error",
+            "message" => "Query failed"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    $beds = [];
+    while ($row = $res->fetch_assoc()) {
+        $beds[] = $row;
+    }
+    send_json($beds, 200);
+}
+
+elseif ($method === "POST") {
+    require_role(['Admin', 'Nurse']);
+    $data = get_request_data();
+    $bedId = (int)($data["bed_id"] ?? 0);
+    $patientId = (int)($data["patient_id"] ?? 0);
+
+    if (!$bedId || !$patientId) {
+        send_json([
+            "status" => "error",
+            "message" => "Bed and patient required"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+
+    $conn->begin_transaction();
+    $bed = bed_for_update($conn, $bedId);
+    $res = $conn->query("SELECT p.name, p.doctor, (SELECT label FROM beds WHERE patient_id = p.id LIMIT 1) AS current_bed,
+                                (SELECT id FROM admissions WHERE patient_id = p.id AND status = 'admitted' LIMIT 1) AS admission_id
+                         FROM patients p WHERE p.id = $patientId");
+    $patient = $res ? $res->fetch_assoc() : null;
+    $reason = trim($data["reason"] ?? "");
+
+    $error = null;
+    if (!$bed || !$patient) $error = [404, "Bed or patient not found"];
+    elseif (!patient_in_scope($conn, $patientId)) $error = [403, "Patient is not in your care"];
+    elseif ($patient["current_bed"]) $error = [409, $patient["name"] . " is already in bed " . $patient["current_bed"] . "; transfer them instead"];
+    elseif ($bed["status"] !== "free") $error = [409, "Bed " . $bed["label"] . " is " . $bed["status"]];
+    elseif (!$patient["admission_id"] && $reason === "") $error = [400, "Reason for admission required"];
+    elseif (!$patient["admission_id"] && !$patient["doctor"]) $error = [400, $patient["name"] . " has no doctor to attend the admission"];
+    if ($error) {
+        $conn->rollback();
+        send_json([
+            "status" => "error",
+            "message" => $error[1]
+        ], $error[0]);
+        $conn->close();
+        exit;
+    }
+
+    $userId = (int)current_user()['id'];
+    $admissionId = (int)$patient["admission_id"];
+    $before = audit_row($conn, 'beds', $bedId);
+    $ok = true;
+    if (!$admissionId) {
+        $stmt = $conn->prepare("INSERT INTO admissions (patient_id, attending_doctor, admit_reason, admitted_by) VALUES (?,?,?,?)");
+        $stmt->bind_param("issi", $patientId, $patient["doctor"], $reason, $userId);
+        $ok = $stmt->execute();
+        $admissionId = $stmt->insert_id;
+        $stmt->close();
+    }
+    $ok = $ok && bed_occupy($conn, $bedId, $patientId, $admissionId, $userId);
+
+    if ($ok) {
+        $conn->commit();
+        log_action('bed_admit', [
+            'bed_id' => $bedId,
+            'patient_id' => $patientId,
+            'admission_id' => $admissionId
+        ], 'bed', $bedId, $before, audit_row($conn, 'beds', $bedId));
+        send_json([
+            "status" => "success",
+            "message" => $patient["name"] . " admitted to bed " . $bed["label"]
+        ], 201);
+    } else {
+        $conn->rollback();
+        send_json([
+            "status" => "error",
+            "message" => "Failed to admit patient",
+            "error" => $conn->error
+        ], 500);
+    }
+}
+
+elseif ($method === "PUT" || $method === "PATCH") {
+    require_role(['Admin', 'Nurse']);
+    $data = get_request_data();
+    $action = strtolower(trim($data["action"] ?? ""));
+    $bedId = (int)($data["bed_id"] ?? 0);
+    $userId = (int)current_user()['id'];
+
+    if (!in_array($action, ['transfer', 'discharge', 'status'], true)) {
+        send_json([
+            "status" => "error",
+            "message" => "Action must be transfer, discharge or status"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+
+    $conn->begin_transaction();
+    $bed = bed_for_update($conn, $bedId);
+    $target = $action === "transfer" ? bed_for_update($conn, (int)($data["to_bed_id"] ?? 0)) : null;
+    $newStatus = strtolower(trim($data["status"] ?? ""));
+    $disposition = strtolower(trim($data["disposition"] ?? "")) ?: "home";
+
+    $error = null;
+    if (!$bed) $error = [404, "Bed not found"];
+    elseif ($action === "status" && !in_array($newStatus, ['free', 'cleaning', 'maintenance'], true)) $error = [400, "Status must be free, cleaning or maintenance"];
+    elseif ($action === "status" && $bed["status"] === "occupied") $error = [409, "Bed " . $bed["label"] . " is occupied; discharge or transfer the patient first"];
+    elseif ($action !== "status" && $bed["status"] !== "occupied") $error = [409, "Bed " . $bed["label"] . " has no patient"];
+    elseif ($action === "discharge" && !patient_in_scope($conn, $bed["patient_id"])) $error = [403, "Patient is not in your care"];
+    elseif ($action === "transfer" && !$target) $error = [404, "Destination bed not found"];
+    elseif ($action === "transfer" && $target["status"] !== "free") $error = [409, "Bed " . $target["label"] . " is " . $target["status"]];
+    elseif ($action === "discharge" && !in_array($disposition, admission_dispositions(), true)) $error = [400, "Disposition must be one of: " . implode(", ", admission_dispositions())];
+    if ($error) {
+        $conn->rollback();
+        send_json([
+            "status" => "error",
+            "message" => $error[1]
+        ], $error[0]);
+        $conn->close();
+        exit;
+    }
+
+    $before = audit_row($conn, 'beds', $bedId);
+    if ($action === "status") {
+        $ok = $conn->query("UPDATE beds SET status = '$newStatus', updated_at = NOW() WHERE id = $bedId");
+        $message = "Bed " . $bed["label"] . " marked $newStatus";
+    } elseif ($action === "discharge" && $bed["admission_id"]) {
+        $instructions = trim($data["instructions"] ?? "");
+        $ok = admission_discharge($conn, $bed["admission_id"], $userId, $disposition, $instructions !== "" ? $instructions : null);
+        $message = "Patient discharged from " . $bed["label"];
+    } else {
+        $patientId = (int)$bed["patient_id"];
+        $assignmentId = (int)$bed["assignment_id"];
+        $ok = $conn->query("UPDATE bed_assignments SET end_at = NOW(), end_reason = '$action', ended_by = $userId WHERE id = $assignmentId")
+            && $conn->query("UPDATE beds SET status = 'cleaning', patient_id = NULL, updated_at = NOW() WHERE id = $bedId");
+        if ($ok && $action === "transfer") {
+            $ok = bed_occupy($conn, $target["id"], $patientId, $bed["admission_id"], $userId);
+        }
+        $message = $action === "transfer" ? "Transferred from " . $bed["label"] . " to " . $target["label"] : "Patient discharged from " . $bed["label"];
+    }
+
+    if ($ok) {
+        $conn->commit();
+        log_action('bed_' . $action, [
+            'bed_id' => $bedId,
+            'to_bed_id' => $target ? (int)$target["id"] : null,
+            'patient_id' => $bed["patient_id"] ? (int)$bed["patient_id"] : null,
+            'status' => $action === "status" ? $newStatus : null
+        ], 'bed', $bedId, $before, audit_row($conn, 'beds', $bedId));
+        send_json([
+            "status" => "success",
+            "message" => $message
+        ], 200);
+    } else {
+        $conn->rollback();
+        send_json([
+            "status" => "error",
+            "message" => "Failed to update bed",
+            "error" => $conn->error
+        ], 500);
+    }
+}
+
+else {
+    send_json([
+        "status" => "error",
+        "message" => "Method not allowed"
+    ], 405);
+}
+
+$conn->close();
@@ -1,11 +1,27 @@
 <?php
 /**
- * billing.php — Billing records endpoint for MediSync HMS.
+ * billing.php — Invoices, line items and payments endpoint for MediSync HMS.
  *
- * Returns all billing records as a JSON array.
+ * Supports:
+ * - GET: Returns invoices as JSON array (optional filters: status, patient_id)
+ * - GET ?id=: One invoice with its line items, payments, insurance claims, the insurer/patient
+ *             split and the hospital letterhead (for printing)
+ * - GET ?summary=1: Revenue today and this month, and the number of unpaid invoices
+ * - POST: Creates an invoice (fields: patient_id, items[{category, description, quantity, unit_price}],
+ *         discount, tax_rate, due_date, notes, policy_id) — with policy_id the insurer's share is
+ *         claimed straight away (see claims.php)
+ * - PUT/PATCH: Changes an invoice (fields: id, action)
+ *   - action=payment: amount, method (cash|card|mobile_money), reference — limited to the patient's
+ *     share while insurance claims are open. Insurance payments come from settling a claim (claims.php).
+ *   - action=refund (Admin): amount, method, reason
+ *   - action=void (Admin): reason — only invoices with nothing paid can be voided
+ *
+ * Totals, status and the insurer portion are recalculated by billing_recalculate() in config.php.
+ * Status values: Pending, Partially Paid, Paid, Refunded, Void.
  *
  * Usage:
  * - GET api/billing.php for billing records
+ * - PUT api/billing.php with id, action=payment, amount and method to record a payment
  */
 
 include_once(__DIR__ . "/../config.php");
@@ -13,19 +29,334 @@ include_once(__DIR__ . "/../config.php");
 // Only Admins and Receptionists may view billing records
 require_role(['Admin', 'Receptionist']);
 
-$res = $conn->query("SELECT id, patient_name, amount, date, status FROM billing ORDER BY id DESC");
-if ($res === false) {
+$method = $_SERVER["REQUEST_METHOD"];
+
+if ($method === "GET" && !empty($_GET["summary"])) {
+    $res = $conn->query("SELECT
+            (SELECT COALESCE(SUM(IF(type = 'refund', -amount, amount)), 0) FROM billing_payments WHERE DATE(created_at) = CURDATE()) AS today,
+            (SELECT COALESCE(SUM(IF(type = 'refund', -amount, amount)), 0) FROM billing_payments
+              WHERE created_at >= DATE_FORMAT(CURDATE(), '%Y-%m-01')) AS month,
+            (SELECT COUNT(*) FROM billing WHERE status IN ('Pending', 'Partially Paid')) AS pending,
+            (SELECT COALESCE(SUM(amount - amount_paid), 0) FROM billing WHERE status IN ('Pending', 'Partially Paid')) AS outstanding");
+    $summary = $res ? $res->fetch_assoc() : null;
+    if (!$summary) {
+        send_json([
+            "status" => "error",
+            "message" => "Query failed"
+        ], 500);
+        $conn->close();
+        exit;
+    }
     send_json([
-      "status" => "error",
-      "message" => "Query failed"
-    ], 500);
-    $conn->close();
-    exit;
+        "status" => "success",
+        "today" => (float)$summary["today"],
+        "month" => (float)$summary["month"],
+        "pending" => (int)$summary["pending"],
+        "outstanding" => (float)$summary["outstanding"]
+    ], 200);
 }
-$bills = [];
-while ($row = $res->fetch_assoc()) {
-    $bills[] = $row;
+
+elseif ($method === "GET" && !empty($_GET["id"])) {
+    $id = (int)$_GET["id"];
+    $res = $conn->query("SELECT b.*, s.username AS created_by_name FROM billing b LEFT JOIN staff s ON s.id = b.created_by WHERE b.id = $id");
+    $bill = $res ? $res->fetch_assoc() : null;
+    if (!$bill) {
+        send_json([
+            "status" => "error",
+            "message" => "Invoice not found"
+        ], 404);
+        $conn->close();
+        exit;
+    }
+    $bill["balance"] = round((float)$bill["amount"] - (float)$bill["amount_paid"], 2);
+    $bill["patient_portion"] = round((float)$bill["amount"] - (float)$bill["insurer_portion"], 2);
+    $bill["hospital"] = hospital_info();
+
+    $bill["items"] = [];
+    $res = $conn->query("SELECT id, category, description, quantity, unit_price, line_total FROM billing_items WHERE bill_id = $id ORDER BY id");
+    while ($res && $row = $res->fetch_assoc()) {
+        $bill["items"][] = $row;
+    }
+    $bill["payments"] = [];
+    $res = $conn->query("SELECT p.id, p.type, p.amount, p.method, p.reference, p.reason, p.created_at, s.username AS received_by
+                         FROM billing_payments p LEFT JOIN staff s ON s.id = p.received_by
+                         WHERE p.bill_id = $id ORDER BY p.created_at, p.id");
+    while ($res && $row = $res->fetch_assoc()) {
+        $bill["payments"][] = $row;
+    }
+    // Claims still awaiting the insurer's money are not the patient's to pay
+    $bill["claims"] = [];
+    $bill["insurer_outstanding"] = 0;
+    $res = $conn->query("SELECT c.id, c.claim_number, c.insurer, p.policy_number, c.claimed_amount, c.approved_amount, c.remitted_amount,
+                                c.remittance_reference, c.status, c.status_reason, c.submitted_at, c.decided_at, c.paid_at
+                         FROM insurance_claims c LEFT JOIN insurance_policies p ON p.id = c.policy_id
+                         WHERE c.bill_id = $id ORDER BY c.submitted_at, c.id");
+    while ($res && $row = $res->fetch_assoc()) {
+        if ($row["status"] === "submitted") $bill["insurer_outstanding"] += (float)$row["claimed_amount"];
+        if ($row["status"] === "approved") $bill["insurer_outstanding"] += (float)$row["approved_amount"];
+        $bill["claims"][] = $row;
+    }
+    $bill["insurer_outstanding"] = round($bill["insurer_outstanding"], 2);
+    $bill["patient_balance"] = max(0, round($bill["balance"] - $bill["insurer_outstanding"], 2));
+    send_json($bill, 200);
+}
+
+elseif ($method === "GET") {
+    $where = [];
+    $status = trim($_GET["status"] ?? "");
+    if ($status !== "") $where[] = "status = '" . $conn->real_escape_string($status) . "'";
+    $patientId = (int)($_GET["patient_id"] ?? 0);
+    if ($patientId) $where[] = "patient_id = $patientId";
+
+    $sql = "SELECT id, invoice_number, patient_id, patient_name, amount, amount_paid, amount - amount_paid AS balance, insurer_portion, date, due_date, status FROM billing";
+    if ($where) $sql .= " WHERE " . implode(" AND ", $where);
+    $sql .= " ORDER BY id DESC";
+
+    $res = $conn->query($sql);
+    if ($res === false) {
+        send_json([
+          "status" => "error",
+          "message" => "Query failed"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    $bills = [];
+    while ($row = $res->fetch_assoc()) {
+        $bills[] = $row;
+    }
+    send_json($bills, 200);
+}
+
+elseif ($method === "POST") {
+    $data = get_request_data();
+    $patientId = (int)($data["patient_id"] ?? 0);
+    $items = is_array($data["items"] ?? null) ? $data["items"] : [];
+    $discount = round((float)($data["discount"] ?? 0), 2);
+    $taxRate = round((float)($data["tax_rate"] ?? 0), 2);
+    $dueDate = trim($data["due_date"] ?? "");
+    $notes = trim($data["notes"] ?? "");
+    $policyId = (int)($data["policy_id"] ?? 0);
+
+    if (!$patientId || !$items) {
+        send_json([
+            "status" => "error",
+            "message" => "Patient and at least one line item required"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+    $lines = [];
+    foreach ($items as $item) {
+        $category = strtolower(trim($item["category"] ?? "other"));
+        $description = trim($item["description"] ?? "");
+        $quantity = round((float)($item["quantity"] ?? 1), 2);
+        $unitPrice = round((float)($item["unit_price"] ?? 0), 2);
+        if (!in_array($category, billing_item_categories(), true) || $description === "" || $quantity <= 0 || $unitPrice < 0) {
+            send_json([
+                "status" => "error",
+                "message" => "Each line item needs a valid category, description, quantity and price"
+            ], 400);
+            $conn->close();
+            exit;
+        }
+        $lines[] = [$category, $description, $quantity, $unitPrice, round($quantity * $unitPrice, 2)];
+    }
+    $subtotal = array_sum(array_column($lines, 4));
+    if ($discount < 0 || $discount > $subtotal || $taxRate < 0 || $taxRate > 100) {
+        send_json([
+            "status" => "error",
+            "message" => "Discount must be between 0 and the subtotal, and tax rate between 0 and 100%"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+
+    $chk = $conn->prepare("SELECT name FROM patients WHERE id = ?");
+    $chk->bind_param("i", $patientId);
+    $chk->execute();
+    $patient = $chk->get_result()->fetch_assoc();
+    $chk->close();
+    if (!$patient) {
+        send_json([
+            "status" => "error",
+            "message" => "Patient not found"
+        ], 404);
+        $conn->close();
+        exit;
+    }
+    $policy = $policyId ? insurance_policy_for_patient($conn, $policyId, $patientId) : null;
+    if ($policyId && !$policy) {
+        send_json([
+            "status" => "error",
+            "message" => "Insurance policy is not active for this patient"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+
+    $createdBy = (int)current_user()['id'];
+    $today = date("Y-m-d");
+    $dueDate = $dueDate !== "" ? $dueDate : null;
+    $notes = $notes !== "" ? $notes : null;
+
+    $conn->begin_transaction();
+    $stmt = $conn->prepare("INSERT INTO billing (patient_id, patient_name, discount, tax_rate, date, due_date, notes, created_by) VALUES (?,?,?,?,?,?,?,?)");
+    $stmt->bind_param("isddsssi", $patientId, $patient["name"], $discount, $taxRate, $today, $dueDate, $notes, $createdBy);
+    $ok = $stmt->execute();
+    $billId = $stmt->insert_id;
+    $stmt->close();
+
+    if ($ok) {
+        $insert = $conn->prepare("INSERT INTO billing_items (bill_id, category, description, quantity, unit_price, line_total) VALUES (?,?,?,?,?,?)");
+        foreach ($lines as $line) {
+            $insert->bind_param("issddd", $billId, $line[0], $line[1], $line[2], $line[3], $line[4]);
+            if (!($ok = $insert->execute())) break;
+        }
+        $insert->close();
+    }
+    if ($ok) {
+        $invoiceNumber = sprintf("INV-%s-%05d", date("Y"), $billId);
+        $ok = $conn->query("UPDATE billing SET invoice_number = '$invoiceNumber' WHERE id = $billId") && billing_recalculate($conn, $billId);
+    }
+    $claimId = null;
+    if ($ok && $policy) {
+        $res = $conn->query("SELECT amount FROM billing WHERE id = $billId");
+        $total = $res ? (float)$res->fetch_assoc()["amount"] : 0;
+        // A zero share (e.g. an exhausted annual limit) leaves the whole invoice to the patient
+        $claimId = $total > 0 && ($policy["remaining_limit"] === null || $policy["remaining_limit"] > 0)
+            ? insurance_claim_submit($conn, $billId, $policy, $total, $createdBy) : null;
+        $ok = $claimId !== false;
+    }
+
+    if ($ok) {
+        $conn->commit();
+        log_action('invoice_created', [
+            'bill_id' => $billId,
+            'invoice_number' => $invoiceNumber,
+            'patient_id' => $patientId,
+            'claim_id' => $claimId
+        ], 'invoice', $billId, null, audit_row($conn, 'billing', $billId));
+        send_json([
+            "status" => "success",
+            "message" => "Invoice $invoiceNumber created" . ($claimId ? " and claim submitted to " . $policy["insurer"] : ""),
+            "id" => $billId,
+            "invoice_number" => $invoiceNumber,
+            "claim_id" => $claimId
+        ], 201);
+    } else {
+        $conn->rollback();
+        send_json([
+            "status" => "error",
+            "message" => "Failed to create invoice",
+            "error" => $conn->error
+        ], 500);
+    }
+}
+
+elseif ($method === "PUT" || $method === "PATCH") {
+    $data = get_request_data();
+    $id = (int)($data["id"] ?? 0);
+    $action = strtolower(trim($data["action"] ?? ""));
+    $amount = round((float)($data["amount"] ?? 0), 2);
+    $payMethod = strtolower(trim($data["method"] ?? ""));
+    $reference = trim($data["reference"] ?? "");
+    $reason = trim($data["reason"] ?? "");
+    if ($action === "refund" || $action === "void") require_role(['Admin']);
+
+    // The invoice row stays locked until the payment is in, so two payments cannot both pass the balance check
+    $conn->begin_transaction();
+    $res = $conn->query("SELECT id, invoice_number, amount, amount_paid, status FROM billing WHERE id = $id FOR UPDATE");
+    $bill = $res ? $res->fetch_assoc() : null;
+    if (!$bill) {
+        $conn->rollback();
+        send_json([
+            "status" => "error",
+            "message" => "Invoice not found"
+        ], 404);
+        $conn->close();
+        exit;
+    }
+    $balance = round((float)$bill["amount"] - (float)$bill["amount_paid"], 2);
+    $userId = (int)current_user()['id'];
+    $res = $conn->query("SELECT COUNT(*) AS open, COALESCE(SUM(IF(status = 'approved', approved_amount, claimed_amount)), 0) AS outstanding
+                         FROM insurance_claims WHERE bill_id = $id AND status IN ('submitted', 'approved')");
+    $claims = $res ? $res->fetch_assoc() : ["open" => 0, "outstanding" => 0];
+    $patientBalance = max(0, round($balance - (float)$claims["outstanding"], 2));
+
+    $error = null;
+    if (!in_array($action, ['payment', 'refund', 'void'], true)) {
+        $error = [400, "Action must be payment, refund or void"];
+    } elseif ($bill["status"] === "Void") {
+        $error = [409, "Invoice has been voided"];
+    } elseif ($action !== "payment") {
+        if ($reason === "") $error = [400, "A reason is required to " . $action];
+        elseif ($action === "void" && (float)$bill["amount_paid"] > 0) $error = [409, "Refund the payments before voiding this invoice"];
+        elseif ($action === "void" && (int)$claims["open"] > 0) $error = [409, "Reject or settle the open insurance claim before voiding this invoice"];
+        elseif ($action === "refund" && ($amount <= 0 || $amount > (float)$bill["amount_paid"])) $error = [400, "Refund must be more than 0 and no more than the amount paid"];
+    } elseif ($amount <= 0 || $amount > $patientBalance) {
+        $error = [400, "Payment must be more than 0 and no more than the " . ((int)$claims["open"] > 0 ? "patient's share" : "balance") . " of " . number_format($patientBalance, 2)];
+    } elseif ($payMethod === "insurance") {
+        // Insurance money only comes in when a claim is settled (claims.php)
+        $error = [400, "Insurance payments are recorded by settling the claim"];
+    }
+    if (!$error && $action !== "void" && !in_array($payMethod, billing_payment_methods(), true)) {
+        $error = [400, "Method must be one of " . implode(", ", billing_payment_methods())];
+    }
+    if ($error) {
+        $conn->rollback();
+        send_json([
+            "status" => "error",
+            "message" => $error[1]
+        ], $error[0]);
+        $conn->close();
+        exit;
+    }
+
+    $before = audit_row($conn, 'billing', $id);
+    if ($action === "void") {
+        $stmt = $conn->prepare("UPDATE billing SET status = 'Void', void_reason = ? WHERE id = ?");
+        $stmt->bind_param("si", $reason, $id);
+    } else {
+        $reference = $reference !== "" ? $reference : null;
+        $reason = $reason !== "" ? $reason : null;
+        $stmt = $conn->prepare("INSERT INTO billing_payments (bill_id, type, amount, method, reference, reason, received_by) VALUES (?,?,?,?,?,?,?)");
+        $stmt->bind_param("isdsssi", $id, $action, $amount, $payMethod, $reference, $reason, $userId);
+    }
+    $ok = $stmt->execute() && billing_recalculate($conn, $id);
+    $stmt->close();
+
+    if ($ok) {
+        $conn->commit();
+        log_action('invoice_' . $action, [
+            'bill_id' => $id,
+            'invoice_number' => $bill["invoice_number"],
+            'amount' => $action === "void" ? null : $amount,
+            'method' => $action === "void" ? null : $payMethod
+        ], 'invoice', $id, $before, audit_row($conn, 'billing', $id));
+        $res = $conn->query("SELECT status, amount, amount_paid FROM billing WHERE id = $id");
+        $updated = $res ? $res->fetch_assoc() : [];
+        send_json([
+            "status" => "success",
+            "message" => $action === "void" ? "Invoice voided" : ucfirst($action) . " recorded",
+            "invoice_status" => $updated["status"] ?? null,
+            "balance" => isset($updated["amount"]) ? round((float)$updated["amount"] - (float)$updated["amount_paid"], 2) : null
+        ], 200);
+    } else {
+        $conn->rollback();
+        send_json([
+            "status" => "error",
+            "message" => "Failed to update invoice",
+            "error" => $conn->error
+        ], 500);
+    }
+}
+
+else {
+    send_json([
+        "status" => "error",
+        "message" => "Method not allowed"
+    ], 405);
 }
-send_json($bills, 200);
 
 $conn->close();
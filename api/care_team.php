@@ -0,0 +1,196 @@
+<?php
+/**
+ * care_team.php — Patient care team endpoint for MediSync HMS.
+ *
+ * Supports:
+ * - GET ?patient_id=: The patient's care team, assigned doctor and whether the caller can change it;
+ *        managers also get the doctors and nurses that can be added (candidates)
+ * - POST: Adds a doctor or nurse to a care team (fields: patient_id, staff_id; optional: reason,
+ *         expires_at YYYY-MM-DD — the last day of access)
+ * - DELETE: Removes a member (field: id)
+ *
+ * Care team members can see the patient's record and appointments (see patient_scope_sql in config.php).
+ * The team is managed by Admins and by the patient's assigned doctor or the doctor attending their stay.
+ *
+ * Usage:
+ * - GET api/care_team.php?patient_id=5
+ * - POST api/care_team.php with patient_id=5, staff_id=4 and reason="Covering while on leave"
+ */
+
+include_once(__DIR__ . "/../config.php");
+
+/**
+ * care_team_can_manage — Whether the session user may change patient $patientId's care team.
+ */
+function care_team_can_manage($conn, $patientId)
+{
+    $user = current_user();
+    if (strcasecmp($user['role'] ?? '', 'Admin') === 0) return true;
+    if (strcasecmp($user['role'] ?? '', 'Doctor') !== 0) return false;
+    $patientId = (int)$patientId;
+    $me = $conn->real_escape_string($user['username']);
+    $res = $conn->query("SELECT 1 FROM patients WHERE id = $patientId AND doctor = '$me'
+                         UNION SELECT 1 FROM admissions WHERE patient_id = $patientId AND status = 'admitted' AND attending_doctor = '$me'");
+    return $res && $res->num_rows > 0;
+}
+
+$method = $_SERVER["REQUEST_METHOD"];
+
+if ($method === "GET") {
+    require_role(['Admin', 'Doctor', 'Nurse', 'Receptionist']);
+    $patientId = (int)($_GET["patient_id"] ?? 0);
+    $res = $patientId ? $conn->query("SELECT id, name, doctor FROM patients WHERE id = $patientId") : null;
+    $patient = $res ? $res->fetch_assoc() : null;
+
+    if (!$patient || !patient_in_scope($conn, $patientId)) {
+        send_json([
+            "status" => "error",
+            "message" => "Patient not found"
+        ], 404);
+        $conn->close();
+        exit;
+    }
+
+    $res = $conn->query("SELECT ct.id, ct.staff_id, s.username, s.role, ct.reason, ct.expires_at, ct.added_at,
+                                a.username AS added_by, (ct.expires_at IS NOT NULL AND ct.expires_at < CURDATE()) AS expired
+                         FROM care_team ct
+                         JOIN staff s ON s.id = ct.staff_id
+                         LEFT JOIN staff a ON a.id = ct.added_by
+                         WHERE ct.patient_id = $patientId
+                         ORDER BY expired, s.role, s.username");
+    $members = [];
+    while ($res && $row = $res->fetch_assoc()) {
+        $row["expired"] = (bool)$row["expired"];
+        $members[] = $row;
+    }
+
+    $canManage = care_team_can_manage($conn, $patientId);
+    $candidates = [];
+    if ($canManage) {
+        $res = $conn->query("SELECT id, username, role FROM staff
+                             WHERE role IN ('Doctor', 'Nurse') AND id NOT IN (SELECT staff_id FROM care_team WHERE patient_id = $patientId)
+                             ORDER BY role, username");
+        while ($res && $row = $res->fetch_assoc()) {
+            if ($row["role"] === "Doctor" && $row["username"] === $patient["doctor"]) continue;
+            $candidates[] = $row;
+        }
+    }
+
+    send_json([
+        "status" => "success",
+        "patient_id" => $patientId,
+        "doctor" => $patient["doctor"],
+        "members" => $members,
+        "can_manage" => $canManage,
+        "candidates" => $candidates
+    ], 200);
+}
+
+elseif ($method === "POST") {
+    require_role(['Admin', 'Doctor']);
+    $data = get_request_data();
+    $user = current_user();
+    $patientId = (int)($data["patient_id"] ?? 0);
+    $staffId = (int)($data["staff_id"] ?? 0);
+    $reason = trim($data["reason"] ?? "");
+    $reason = $reason !== "" ? $reason : null;
+    $expiresAt = trim($data["expires_at"] ?? "");
+    $expiresAt = $expiresAt !== "" ? $expiresAt : null;
+
+    $res = $patientId ? $conn->query("SELECT name, doctor FROM patients WHERE id = $patientId") : null;
+    $patient = $res ? $res->fetch_assoc() : null;
+    $res = $staffId ? $conn->query("SELECT username, role FROM staff WHERE id = $staffId") : null;
+    $staff = $res ? $res->fetch_assoc() : null;
+
+    $error = null;
+    if (!$patient) $error = [404, "Patient not found"];
+    elseif (!care_team_can_manage($conn, $patientId)) $error = [403, "Only Admins and the patient's doctor can change the care team"];
+    elseif (!$staff || !in_array($staff["role"], ['Doctor', 'Nurse'], true)) $error = [400, "Care team members must be doctors or nurses"];
+    elseif ($staff["role"] === "Doctor" && $staff["username"] === $patient["doctor"]) $error = [400, $staff["username"] . " is already the patient's doctor"];
+    elseif ($expiresAt !== null && !preg_match('/^\d{4}-\d{2}-\d{2}$/', $expiresAt)) $error = [400, "Expiry date must be YYYY-MM-DD"];
+    elseif ($expiresAt !== null && $expiresAt < date('Y-m-d')) $error = [400, "Expiry date cannot be in the past"];
+    if ($error) {
+        send_json([
+            "status" => "error",
+            "message" => $error[1]
+        ], $error[0]);
+        $conn->close();
+        exit;
+    }
+
+    $userId = (int)$user['id'];
+    $stmt = $conn->prepare("INSERT INTO care_team (patient_id, staff_id, reason, expires_at, added_by) VALUES (?,?,?,?,?)");
+    $stmt->bind_param("iissi", $patientId, $staffId, $reason, $expiresAt, $userId);
+
+    if ($stmt->execute()) {
+        log_action('care_team_added', [
+            'patient_id' => $patientId,
+            'staff_id' => $staffId,
+            'expires_at' => $expiresAt
+        ], 'care_team', $stmt->insert_id, null, audit_row($conn, 'care_team', $stmt->insert_id));
+        send_json([
+            "status" => "success",
+            "message" => $staff["username"] . " added to " . $patient["name"] . "'s care team",
+            "id" => $stmt->insert_id
+        ], 201);
+    } elseif ($stmt->errno === 1062) {
+        send_json([
+            "status" => "error",
+            "message" => $staff["username"] . " is already on " . $patient["name"] . "'s care team"
+        ], 409);
+    } else {
+        send_json([
+            "status" => "error",
+            "message" => "Failed to add care team member",
+            "error" => $stmt->error
+        ], 500);
+    }
+    $stmt->close();
+}
+
+elseif ($method === "DELETE") {
+    require_role(['Admin', 'Doctor']);
+    $data = get_request_data();
+    $id = (int)($data["id"] ?? 0);
+    $res = $id ? $conn->query("SELECT patient_id, staff_id FROM care_team WHERE id = $id") : null;
+    $member = $res ? $res->fetch_assoc() : null;
+
+    $error = null;
+    if (!$member) $error = [404, "Care team member not found"];
+    elseif (!care_team_can_manage($conn, $member["patient_id"])) $error = [403, "Only Admins and the patient's doctor can change the care team"];
+    if ($error) {
+        send_json([
+            "status" => "error",
+            "message" => $error[1]
+        ], $error[0]);
+        $conn->close();
+        exit;
+    }
+
+    $before = audit_row($conn, 'care_team', $id);
+    if ($conn->query("DELETE FROM care_team WHERE id = $id")) {
+        log_action('care_team_removed', [
+            'patient_id' => (int)$member["patient_id"],
+            'staff_id' => (int)$member["staff_id"]
+        ], 'care_team', $id, $before);
+        send_json([
+            "status" => "success",
+            "message" => "Removed from care team"
+        ], 200);
+    } else {
+        send_json([
+            "status" => "error",
+            "message" => "Failed to remove care team member",
+            "error" => $conn->error
+        ], 500);
+    }
+}
+
+else {
+    send_json([
+        "status" => "error",
+        "message" => "Method not allowed"
+    ], 405);
+}
+
+$conn->close();
@@ -0,0 +1,286 @@
+<?php
+/**
+ * claims.php — Insurance claims endpoint for MediSync HMS.
+ *
+ * Supports:
+ * - GET: Returns claims as JSON array with days outstanding (optional filters: status, insurer, bill_id)
+ * - GET ?aging=1 (Admin): Outstanding claims by insurer in 0-30, 31-60, 61-90 and 90+ day buckets
+ * - POST: Submits a claim for an invoice's insurer share (fields: bill_id, policy_id)
+ * - PUT/PATCH: Moves a claim on (fields: id, status)
+ *   - status=approved: approved_amount (defaults to the amount claimed)
+ *   - status=rejected: reason — the insurer's share falls back to the patient
+ *   - status=paid: remitted_amount, reference — posted to the invoice as an insurance payment
+ *
+ * Status values: submitted, approved, rejected, paid (see insurance_claim_transitions() in config.php).
+ * Every change refreshes the invoice's insurer/patient split via billing_recalculate().
+ *
+ * Usage:
+ * - GET api/claims.php?status=submitted for claims awaiting a decision
+ * - PUT api/claims.php with id, status=paid, remitted_amount and reference when the insurer pays
+ */
+
+include_once(__DIR__ . "/../config.php");
+
+require_role(['Admin', 'Receptionist']);
+
+$method = $_SERVER["REQUEST_METHOD"];
+
+if ($method === "GET" && !empty($_GET["aging"])) {
+    require_role(['Admin']);
+    // Approved claims are owed at the approved amount, submitted ones at the amount claimed
+    $res = $conn->query("SELECT insurer,
+                                COUNT(*) AS claims,
+                                SUM(IF(age <= 30, owed, 0)) AS current,
+                                SUM(IF(age BETWEEN 31 AND 60, owed, 0)) AS days_31_60,
+                                SUM(IF(age BETWEEN 61 AND 90, owed, 0)) AS days_61_90,
+                                SUM(IF(age > 90, owed, 0)) AS over_90,
+                                SUM(owed) AS total,
+                                MAX(age) AS oldest_days
+                         FROM (SELECT insurer, DATEDIFF(CURDATE(), DATE(submitted_at)) AS age,
+                                      IF(status = 'approved', approved_amount, claimed_amount) AS owed
+                               FROM insurance_claims WHERE status IN ('submitted', 'approved')) open_claims
+                         GROUP BY insurer
+                         ORDER BY total DESC");
+    if ($res === false) {
+        send_json([
+            "status" => "error",
+            "message" => "Query failed"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    $buckets = ["current", "days_31_60", "days_61_90", "over_90", "total"];
+    $totals = array_fill_keys($buckets, 0.0);
+    $totals["claims"] = 0;
+    $insurers = [];
+    while ($row = $res->fetch_assoc()) {
+        foreach ($buckets as $b) {
+            $row[$b] = round((float)$row[$b], 2);
+            $totals[$b] += $row[$b];
+        }
+        $row["claims"] = (int)$row["claims"];
+        $row["oldest_days"] = (int)$row["oldest_days"];
+        $totals["claims"] += $row["claims"];
+        $insurers[] = $row;
+    }
+    send_json([
+        "status" => "success",
+        "as_of" => date("Y-m-d"),
+        "insurers" => $insurers,
+        "totals" => $totals
+    ], 200);
+}
+
+elseif ($method === "GET") {
+    $where = [];
+    $status = strtolower(trim($_GET["status"] ?? ""));
+    if ($status !== "") $where[] = "c.status = '" . $conn->real_escape_string($status) . "'";
+    $insurer = trim($_GET["insurer"] ?? "");
+    if ($insurer !== "") $where[] = "c.insurer = '" . $conn->real_escape_string($insurer) . "'";
+    $billId = (int)($_GET["bill_id"] ?? 0);
+    if ($billId) $where[] = "c.bill_id = $billId";
+
+    $sql = "SELECT c.id, c.claim_number, c.bill_id, b.invoice_number, b.patient_id, b.patient_name, c.policy_id, ip.policy_number,
+                   c.insurer, c.claimed_amount, c.approved_amount, c.remitted_amount, c.remittance_reference, c.status, c.status_reason,
+                   c.submitted_at, c.decided_at, c.paid_at,
+                   IF(c.status IN ('submitted', 'approved'), DATEDIFF(CURDATE(), DATE(c.submitted_at)), NULL) AS days_outstanding
+            FROM insurance_claims c
+            LEFT JOIN billing b ON b.id = c.bill_id
+            LEFT JOIN insurance_policies ip ON ip.id = c.policy_id";
+    if ($where) $sql .= " WHERE " . implode(" AND ", $where);
+    $sql .= " ORDER BY c.submitted_at DESC, c.id DESC";
+
+    $res = $conn->query($sql);
+    if ($res === false) {
+        send_json([
+            "status" => "error",
+            "message" => "Query failed"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    $claims = [];
+    while ($row = $res->fetch_assoc()) {
+        // Only submitted and approved claims keep ageing
+        if ($row["days_outstanding"] !== null) $row["days_outstanding"] = (int)$row["days_outstanding"];
+        $claims[] = $row;
+    }
+    send_json($claims, 200);
+}
+
+elseif ($method === "POST") {
+    $data = get_request_data();
+    $billId = (int)($data["bill_id"] ?? 0);
+    $policyId = (int)($data["policy_id"] ?? 0);
+
+    $res = $conn->query("SELECT id, patient_id, amount, amount_paid, status,
+                                (SELECT COUNT(*) FROM insurance_claims WHERE bill_id = b.id AND status IN ('submitted', 'approved')) AS open_claims
+                         FROM billing b WHERE id = $billId");
+    $bill = $res ? $res->fetch_assoc() : null;
+    if (!$bill) {
+        send_json([
+            "status" => "error",
+            "message" => "Invoice not found"
+        ], 404);
+        $conn->close();
+        exit;
+    }
+    $balance = round((float)$bill["amount"] - (float)$bill["amount_paid"], 2);
+    $policy = insurance_policy_for_patient($conn, $policyId, (int)$bill["patient_id"]);
+
+    $error = null;
+    if ($bill["status"] === "Void") $error = [409, "Invoice has been voided"];
+    elseif ((int)$bill["open_claims"] > 0) $error = [409, "This invoice already has an open claim"];
+    elseif ($balance <= 0) $error = [409, "Invoice has no balance left to claim"];
+    elseif (!$policy) $error = [400, "Insurance policy is not active for this patient"];
+    elseif ($policy["remaining_limit"] !== null && $policy["remaining_limit"] <= 0) $error = [409, "The policy's annual limit has been used up"];
+    if ($error) {
+        send_json([
+            "status" => "error",
+            "message" => $error[1]
+        ], $error[0]);
+        $conn->close();
+        exit;
+    }
+
+    $userId = (int)current_user()['id'];
+    $conn->begin_transaction();
+    // Claims are for the insurer's share of what is still unpaid
+    $claimId = insurance_claim_submit($conn, $billId, $policy, $balance, $userId);
+
+    if ($claimId) {
+        $conn->commit();
+        $res = $conn->query("SELECT claim_number, claimed_amount FROM insurance_claims WHERE id = $claimId");
+        $claim = $res ? $res->fetch_assoc() : [];
+        log_action('insurance_claim_submitted', [
+            'claim_id' => $claimId,
+            'bill_id' => $billId,
+            'insurer' => $policy["insurer"],
+            'amount' => $claim["claimed_amount"] ?? null
+        ], 'insurance_claim', $claimId, null, audit_row($conn, 'insurance_claims', $claimId));
+        send_json([
+            "status" => "success",
+            "message" => "Claim " . ($claim["claim_number"] ?? "") . " submitted to " . $policy["insurer"],
+            "id" => $claimId,
+            "claimed_amount" => isset($claim["claimed_amount"]) ? (float)$claim["claimed_amount"] : null
+        ], 201);
+    } else {
+        $conn->rollback();
+        send_json([
+            "status" => "error",
+            "message" => "Failed to submit claim",
+            "error" => $conn->error
+        ], 500);
+    }
+}
+
+elseif ($method === "PUT" || $method === "PATCH") {
+    $data = get_request_data();
+    $id = (int)($data["id"] ?? 0);
+    $next = strtolower(trim($data["status"] ?? ""));
+    $reason = trim($data["reason"] ?? "");
+    $reference = trim($data["reference"] ?? "");
+
+    $conn->begin_transaction();
+    $res = $conn->query("SELECT c.*, b.amount - b.amount_paid AS balance FROM insurance_claims c
+                         JOIN billing b ON b.id = c.bill_id WHERE c.id = $id FOR UPDATE");
+    $claim = $res ? $res->fetch_assoc() : null;
+    if (!$claim) {
+        $conn->rollback();
+        send_json([
+            "status" => "error",
+            "message" => "Claim not found"
+        ], 404);
+        $conn->close();
+        exit;
+    }
+
+    $transitions = insurance_claim_transitions();
+    $approved = array_key_exists("approved_amount", $data) && $data["approved_amount"] !== ""
+        ? round((float)$data["approved_amount"], 2) : (float)$claim["claimed_amount"];
+    $owed = $claim["approved_amount"] !== null ? (float)$claim["approved_amount"] : (float)$claim["claimed_amount"];
+    $remitted = array_key_exists("remitted_amount", $data) && $data["remitted_amount"] !== ""
+        ? round((float)$data["remitted_amount"], 2) : $owed;
+
+    $error = null;
+    if (!in_array($next, $transitions[$claim["status"]] ?? [], true)) {
+        $error = [409, "A " . $claim["status"] . " claim cannot be marked " . ($next ?: "blank")];
+    } elseif ($next === "approved" && ($approved <= 0 || $approved > (float)$claim["claimed_amount"])) {
+        $error = [400, "Approved amount must be more than 0 and no more than the " . number_format((float)$claim["claimed_amount"], 2) . " claimed"];
+    } elseif ($next === "rejected" && $reason === "") {
+        $error = [400, "A reason is required to reject a claim"];
+    } elseif ($next === "paid" && ($remitted <= 0 || $remitted > $owed || $remitted > (float)$claim["balance"])) {
+        $error = [400, "Remittance must be more than 0 and no more than the " . number_format(min($owed, (float)$claim["balance"]), 2) . " owed"];
+    }
+    if ($error) {
+        $conn->rollback();
+        send_json([
+            "status" => "error",
+            "message" => $error[1]
+        ], $error[0]);
+        $conn->close();
+        exit;
+    }
+
+    $userId = (int)current_user()['id'];
+    $reason = $reason !== "" ? $reason : null;
+    $before = audit_row($conn, 'insurance_claims', $id);
+    if ($next === "approved") {
+        $stmt = $conn->prepare("UPDATE insurance_claims SET status = 'approved', approved_amount = ?, status_reason = ?, decided_at = NOW() WHERE id = ?");
+        $stmt->bind_param("dsi", $approved, $reason, $id);
+    } elseif ($next === "rejected") {
+        $stmt = $conn->prepare("UPDATE insurance_claims SET status = 'rejected', status_reason = ?, decided_at = NOW() WHERE id = ?");
+        $stmt->bind_param("si", $reason, $id);
+    } else {
+        $reference = $reference !== "" ? $reference : $claim["claim_number"];
+        $stmt = $conn->prepare("UPDATE insurance_claims SET status = 'paid', remitted_amount = ?, remittance_reference = ?, status_reason = ?,
+                                decided_at = COALESCE(decided_at, NOW()), paid_at = NOW() WHERE id = ?");
+        $stmt->bind_param("dssi", $remitted, $reference, $reason, $id);
+    }
+    $ok = $stmt->execute();
+    $stmt->close();
+
+    $billId = (int)$claim["bill_id"];
+    if ($ok && $next === "paid") {
+        $pay = $conn->prepare("INSERT INTO billing_payments (bill_id, type, amount, method, reference, claim_id, received_by) VALUES (?,'payment',?,'insurance',?,?,?)");
+        $pay->bind_param("idsii", $billId, $remitted, $reference, $id, $userId);
+        $ok = $pay->execute();
+        $pay->close();
+    }
+    $ok = $ok && billing_recalculate($conn, $billId);
+
+    if ($ok) {
+        $conn->commit();
+        log_action('insurance_claim_' . $next, [
+            'claim_id' => $id,
+            'bill_id' => $billId,
+            'amount' => $next === "approved" ? $approved : ($next === "paid" ? $remitted : null),
+            'reason' => $reason
+        ], 'insurance_claim', $id, $before, audit_row($conn, 'insurance_claims', $id));
+        $messages = [
+            "approved" => "Claim approved",
+            "rejected" => "Claim rejected; the balance is now the patient's to pay",
+            "paid" => "Remittance of " . number_format($remitted, 2) . " posted to the invoice"
+        ];
+        send_json([
+            "status" => "success",
+            "message" => $messages[$next]
+        ], 200);
+    } else {
+        $conn->rollback();
+        send_json([
+            "status" => "error",
+            "message" => "Failed to update claim",
+            "error" => $conn->error
+        ], 500);
+    }
+}
+
+else {
+    send_json([
+        "status" => "error",
+        "message" => "Method not allowed"
+    ], 405);
+}
+
+$conn->close();
@@ -30,7 +30,7 @@ $out = [
     'tables' => []
 ];
 
-$tables = ['staff','patients','appointments','billing'];
+$tables = ['staff','patients','appointments','billing','billing_items','billing_payments','prescriptions','clinical_notes','medication_administrations','vitals','shifts','shift_swaps','handover_notes','alerts','alert_rule_runs','messages','message_reads','doctor_working_hours','doctor_settings','doctor_leave','queue_entries','insurance_policies','insurance_claims','wards','rooms','beds','bed_assignments','admissions','admission_diagnoses','patient_merges','care_team','lab_tests','lab_orders','inventory_items','inventory_batches','stock_movements','audit_log'];
 foreach ($tables as $t) {
     $res = $conn->query("SELECT COUNT(*) as c FROM `$t`");
     if ($res) {
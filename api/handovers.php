@@ -0,0 +1,132 @@
+<?php
+/**
+ * handovers.php — Shift handover notes endpoint for MediSync HMS.
+ *
+ * Supports:
+ * - GET: Returns recent handovers for a ward (field: ward), or with for_me=1 the latest
+ *        handover for each ward the logged-in nurse is rostered on today
+ * - POST: Writes a handover at the end of a shift (fields: ward, shift_date, shift_type, summary, pending_tasks, concerns)
+ *
+ * Usage:
+ * - GET api/handovers.php?for_me=1 when a nurse logs in
+ * - POST api/handovers.php with ward, shift and summary
+ */
+
+include_once(__DIR__ . "/../config.php");
+
+$method = $_SERVER["REQUEST_METHOD"];
+$HANDOVER_COLUMNS = "h.id, h.ward, h.shift_date, h.shift_type, h.summary, h.pending_tasks, h.concerns, h.created_at, s.username AS author";
+
+if ($method === "GET") {
+    require_role(['Nurse', 'Admin']);
+    $handovers = [];
+
+    if (!empty($_GET["for_me"])) {
+        // Wards the nurse works today; show the most recent handover written for each
+        $userId = (int)current_user()['id'];
+        $today = date("Y-m-d");
+        $stmt = $conn->prepare("SELECT DISTINCT ward FROM shifts WHERE staff_id = ? AND shift_date = ?");
+        $stmt->bind_param("is", $userId, $today);
+        $stmt->execute();
+        $res = $stmt->get_result();
+        $wards = [];
+        while ($row = $res->fetch_assoc()) {
+            $wards[] = $row["ward"];
+        }
+        $stmt->close();
+
+        $latest = $conn->prepare("SELECT $HANDOVER_COLUMNS FROM handover_notes h LEFT JOIN staff s ON s.id = h.author_id
+                                  WHERE h.ward = ? ORDER BY h.created_at DESC LIMIT 1");
+        foreach ($wards as $ward) {
+            $latest->bind_param("s", $ward);
+            $latest->execute();
+            $row = $latest->get_result()->fetch_assoc();
+            if ($row) $handovers[] = $row;
+        }
+        $latest->close();
+    } else {
+        $ward = trim($_GET["ward"] ?? "");
+        if (!$ward) {
+            send_json([
+                "status" => "error",
+                "message" => "ward or for_me=1 required"
+            ], 400);
+            $conn->close();
+            exit;
+        }
+        $stmt = $conn->prepare("SELECT $HANDOVER_COLUMNS FROM handover_notes h LEFT JOIN staff s ON s.id = h.author_id
+                                WHERE h.ward = ? ORDER BY h.created_at DESC LIMIT 10");
+        $stmt->bind_param("s", $ward);
+        $stmt->execute();
+        $res = $stmt->get_result();
+        while ($row = $res->fetch_assoc()) {
+            $handovers[] = $row;
+        }
+        $stmt->close();
+    }
+
+    send_json($handovers, 200);
+}
+
+elseif ($method === "POST") {
+    require_role(['Nurse']);
+    $data = get_request_data();
+    $ward = trim($data["ward"] ?? "");
+    $shiftDate = $data["shift_date"] ?? date("Y-m-d");
+    $shiftType = strtolower(trim($data["shift_type"] ?? ""));
+    $summary = trim($data["summary"] ?? "");
+    $pendingTasks = trim($data["pending_tasks"] ?? "");
+    $concerns = trim($data["concerns"] ?? "");
+
+    if (!in_array($ward, shift_wards($conn), true) || !in_array($shiftType, shift_types(), true) || !$summary) {
+        send_json([
+            "status" => "error",
+            "message" => "Ward, shift and summary required"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+
+    $userId = (int)current_user()['id'];
+    $pendingTasks = $pendingTasks !== "" ? $pendingTasks : null;
+    $concerns = $concerns !== "" ? $concerns : null;
+    $stmt = $conn->prepare("INSERT INTO handover_notes (ward, shift_date, shift_type, author_id, summary, pending_tasks, concerns) VALUES (?,?,?,?,?,?,?)");
+    if (!$stmt) {
+        send_json([
+            "status" => "error",
+            "message" => "Server error preparing statement"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    $stmt->bind_param("sssisss", $ward, $shiftDate, $shiftType, $userId, $summary, $pendingTasks, $concerns);
+
+    if ($stmt->execute()) {
+        log_action('handover_written', [
+            'handover_id' => $stmt->insert_id,
+            'ward' => $ward,
+            'shift_type' => $shiftType
+        ], 'handover', $stmt->insert_id, null, audit_row($conn, 'handover_notes', $stmt->insert_id));
+        send_json([
+            "status" => "success",
+            "message" => "Handover saved",
+            "id" => $stmt->insert_id
+        ], 201);
+    } else {
+        send_json([
+            "status" => "error",
+            "message" => "Failed to save handover",
+            "error" => $stmt->error
+        ], 500);
+    }
+    $stmt->close();
+}
+
+else {
+    send_json([
+        "status" => "error",
+        "message" => "Method not allowed"
+    ], 405);
+}
+
+$conn->close();
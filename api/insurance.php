@@ -0,0 +1,204 @@
+<?php
+/**
+ * insurance.php — Patient insurance policies endpoint for MediSync HMS.
+ *
+ * Supports:
+ * - GET: Returns policies as JSON array (optional filters: patient_id, active=1 for policies
+ *        that are active and valid today)
+ * - POST: Adds a policy (fields: patient_id, insurer, policy_number, member_name,
+ *         coverage_percent, annual_limit, valid_from, valid_to)
+ * - PUT/PATCH: Updates a policy (fields: id, plus any of coverage_percent, annual_limit,
+ *              valid_to, member_name, active)
+ *
+ * Policies are never deleted because claims refer to them; set active=0 instead.
+ * coverage_percent is the insurer's share of an invoice (see insurance_claim_submit() in config.php).
+ *
+ * Usage:
+ * - GET api/insurance.php?patient_id=2&active=1 for the invoice form's policy picker
+ * - POST api/insurance.php with patient_id, insurer, policy_number and coverage_percent=80
+ */
+
+include_once(__DIR__ . "/../config.php");
+
+require_role(['Admin', 'Receptionist']);
+
+$method = $_SERVER["REQUEST_METHOD"];
+
+if ($method === "GET") {
+    $where = [];
+    $patientId = (int)($_GET["patient_id"] ?? 0);
+    if ($patientId) $where[] = "ip.patient_id = $patientId";
+    if (!empty($_GET["active"])) $where[] = "ip.active = 1 AND ip.valid_from <= CURDATE() AND (ip.valid_to IS NULL OR ip.valid_to >= CURDATE())";
+
+    $sql = "SELECT ip.id, ip.patient_id, p.name AS patient_name, ip.insurer, ip.policy_number, ip.member_name, ip.coverage_percent,
+                   ip.annual_limit, ip.valid_from, ip.valid_to, ip.active,
+                   (SELECT COUNT(*) FROM insurance_claims c WHERE c.policy_id = ip.id AND c.status IN ('submitted', 'approved')) AS open_claims
+            FROM insurance_policies ip
+            LEFT JOIN patients p ON p.id = ip.patient_id";
+    if ($where) $sql .= " WHERE " . implode(" AND ", $where);
+    $sql .= " ORDER BY p.name, ip.insurer";
+
+    $res = $conn->query($sql);
+    if ($res === false) {
+        send_json([
+            "status" => "error",
+            "message" => "Query failed"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    $policies = [];
+    while ($row = $res->fetch_assoc()) {
+        $row["active"] = (int)$row["active"] === 1;
+        $row["open_claims"] = (int)$row["open_claims"];
+        $policies[] = $row;
+    }
+    send_json($policies, 200);
+}
+
+elseif ($method === "POST") {
+    $data = get_request_data();
+    $patientId = (int)($data["patient_id"] ?? 0);
+    $insurer = trim($data["insurer"] ?? "");
+    $policyNumber = trim($data["policy_number"] ?? "");
+    $memberName = trim($data["member_name"] ?? "");
+    $coverage = round((float)($data["coverage_percent"] ?? 100), 2);
+    $annualLimit = ($data["annual_limit"] ?? "") !== "" ? round((float)$data["annual_limit"], 2) : null;
+    $validFrom = trim($data["valid_from"] ?? "") ?: date("Y-m-d");
+    $validTo = trim($data["valid_to"] ?? "");
+
+    if (!$patientId || $insurer === "" || $policyNumber === "") {
+        send_json([
+            "status" => "error",
+            "message" => "Patient, insurer and policy number required"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+    if ($coverage <= 0 || $coverage > 100 || ($annualLimit !== null && $annualLimit <= 0) || ($validTo !== "" && $validTo < $validFrom)) {
+        send_json([
+            "status" => "error",
+            "message" => "Coverage must be between 0 and 100%, the annual limit positive, and the policy must end after it starts"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+
+    $chk = $conn->prepare("SELECT name FROM patients WHERE id = ?");
+    $chk->bind_param("i", $patientId);
+    $chk->execute();
+    $patient = $chk->get_result()->fetch_assoc();
+    $chk->close();
+    if (!$patient) {
+        send_json([
+            "status" => "error",
+            "message" => "Patient not found"
+        ], 404);
+        $conn->close();
+        exit;
+    }
+
+    $createdBy = (int)current_user()['id'];
+    $memberName = $memberName !== "" ? $memberName : $patient["name"];
+    $validTo = $validTo !== "" ? $validTo : null;
+    $stmt = $conn->prepare("INSERT INTO insurance_policies (patient_id, insurer, policy_number, member_name, coverage_percent, annual_limit, valid_from, valid_to, created_by)
+                            VALUES (?,?,?,?,?,?,?,?,?)");
+    if (!$stmt) {
+        send_json([
+            "status" => "error",
+            "message" => "Server error preparing statement"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    $stmt->bind_param("isssddssi", $patientId, $insurer, $policyNumber, $memberName, $coverage, $annualLimit, $validFrom, $validTo, $createdBy);
+
+    if ($stmt->execute()) {
+        log_action('insurance_policy_added', [
+            'policy_id' => $stmt->insert_id,
+            'patient_id' => $patientId,
+            'insurer' => $insurer
+        ], 'insurance_policy', $stmt->insert_id, null, audit_row($conn, 'insurance_policies', $stmt->insert_id));
+        send_json([
+            "status" => "success",
+            "message" => "Policy added",
+            "id" => $stmt->insert_id
+        ], 201);
+    } elseif ($stmt->errno === 1062) {
+        send_json([
+            "status" => "error",
+            "message" => "$insurer policy $policyNumber is already on record"
+        ], 409);
+    } else {
+        send_json([
+            "status" => "error",
+            "message" => "Failed to add policy",
+            "error" => $stmt->error
+        ], 500);
+    }
+    $stmt->close();
+}
+
+elseif ($method === "PUT" || $method === "PATCH") {
+    $data = get_request_data();
+    $id = (int)($data["id"] ?? 0);
+
+    $res = $conn->query("SELECT * FROM insurance_policies WHERE id = $id");
+    $policy = $res ? $res->fetch_assoc() : null;
+    if (!$policy) {
+        send_json([
+            "status" => "error",
+            "message" => "Policy not found"
+        ], 404);
+        $conn->close();
+        exit;
+    }
+
+    $memberName = array_key_exists("member_name", $data) ? trim($data["member_name"]) : $policy["member_name"];
+    $coverage = array_key_exists("coverage_percent", $data) ? round((float)$data["coverage_percent"], 2) : (float)$policy["coverage_percent"];
+    $annualLimit = array_key_exists("annual_limit", $data)
+        ? (($data["annual_limit"] ?? "") !== "" ? round((float)$data["annual_limit"], 2) : null)
+        : $policy["annual_limit"];
+    $validTo = array_key_exists("valid_to", $data) ? (trim($data["valid_to"] ?? "") ?: null) : $policy["valid_to"];
+    $active = array_key_exists("active", $data) ? (int)!empty($data["active"]) : (int)$policy["active"];
+
+    if ($coverage <= 0 || $coverage > 100 || ($annualLimit !== null && $annualLimit <= 0) || ($validTo !== null && $validTo < $policy["valid_from"])) {
+        send_json([
+            "status" => "error",
+            "message" => "Coverage must be between 0 and 100%, the annual limit positive, and the policy must end after it starts"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+
+    $stmt = $conn->prepare("UPDATE insurance_policies SET member_name = ?, coverage_percent = ?, annual_limit = ?, valid_to = ?, active = ? WHERE id = ?");
+    $stmt->bind_param("sddsii", $memberName, $coverage, $annualLimit, $validTo, $active, $id);
+
+    if ($stmt->execute()) {
+        log_action('insurance_policy_updated', [
+            'policy_id' => $id,
+            'coverage_percent' => $coverage,
+            'active' => $active
+        ], 'insurance_policy', $id, $policy, audit_row($conn, 'insurance_policies', $id));
+        send_json([
+            "status" => "success",
+            "message" => $active ? "Policy updated" : "Policy deactivated"
+        ], 200);
+    } else {
+        send_json([
+            "status" => "error",
+            "message" => "Failed to update policy",
+            "error" => $stmt->error
+        ], 500);
+    }
+    $stmt->close();
+}
+
+else {
+    send_json([
+        "status" => "error",
+        "message" => "Method not allowed"
+    ], 405);
+}
+
+$conn->close();
@@ -0,0 +1,368 @@
+<?php
+/**
+ * inventory.php — Pharmacy and consumables stock endpoint for MediSync HMS.
+ *
+ * Supports:
+ * - GET: Stock items with stock on hand, reorder level and next expiry (optional filters: q — name
+ *        contains, category medicine/consumable, low=1 for items at or below their reorder level)
+ * - GET ?id=: One item with its batches, soonest expiry first
+ * - GET ?warnings=1: Low-stock items and batches that expire within INVENTORY_EXPIRY_WARNING_DAYS
+ *        or already have, for the dashboards
+ * - GET ?movements=1 (Admin): Stock movement history, newest first, at most 200 rows
+ *        (optional filters: item_id, type receive/dispense/adjust/expire, from, to)
+ * - POST (Admin): Adds a stock item (fields: name, category, unit, reorder_level)
+ * - PUT/PATCH: Moves stock (field: action)
+ *   - action=receive (Admin): a delivery (fields: id — the item, batch_number, expiry_date, quantity; optional: unit_cost)
+ *   - action=adjust (Admin): a stock count correction on a batch (fields: batch_id, quantity — signed, reason)
+ *   - action=write_off (Admin): removes what is left of an expired batch (field: batch_id)
+ *   - action=dispense (Nurse, Admin): issues stock against an active prescription (fields: prescription_id,
+ *     id — the item, quantity), from the unexpired batches that expire first. The item must be a medicine
+ *     whose name starts with the prescribed medication, and the patient must be in the caller's scope.
+ *
+ * Every change is recorded in stock_movements (see inventory_move in config.php). Low stock and
+ * expiring batches also raise alerts for Admins (see alerts_run_rules).
+ *
+ * Usage:
+ * - GET api/inventory.php?low=1
+ * - PUT api/inventory.php with action=receive, id=4, batch_number=NS-2411, expiry_date=2027-01-31 and quantity=100
+ * - PUT api/inventory.php with action=dispense, prescription_id=1, id=2 and quantity=21
+ */
+
+include_once(__DIR__ . "/../config.php");
+
+$method = $_SERVER["REQUEST_METHOD"];
+
+if ($method === "GET" && !empty($_GET["warnings"])) {
+    require_role(['Admin', 'Doctor', 'Nurse']);
+    $lowStock = [];
+    $res = $conn->query("SELECT id, name, unit, quantity, reorder_level FROM inventory_items
+                         WHERE active = 1 AND quantity <= reorder_level ORDER BY quantity / GREATEST(reorder_level, 1), name");
+    while ($res && $row = $res->fetch_assoc()) {
+        $lowStock[] = $row;
+    }
+    $expiring = [];
+    $res = $conn->query("SELECT b.id, b.item_id, i.name, i.unit, b.batch_number, b.expiry_date, b.quantity_remaining,
+                                DATEDIFF(b.expiry_date, CURDATE()) AS days_left
+                         FROM inventory_batches b JOIN inventory_items i ON i.id = b.item_id
+                         WHERE b.quantity_remaining > 0 AND b.expiry_date <= CURDATE() + INTERVAL " . INVENTORY_EXPIRY_WARNING_DAYS . " DAY
+                         ORDER BY b.expiry_date, i.name");
+    while ($res && $row = $res->fetch_assoc()) {
+        $expiring[] = $row;
+    }
+    send_json([
+        "status" => "success",
+        "low_stock" => $lowStock,
+        "expiring" => $expiring,
+        "warning_days" => INVENTORY_EXPIRY_WARNING_DAYS
+    ], 200);
+}
+
+elseif ($method === "GET" && !empty($_GET["movements"])) {
+    require_role(['Admin']);
+    $where = [];
+    $types = "";
+    $params = [];
+    foreach (['item_id' => 'm.item_id = ?', 'type' => 'm.type = ?', 'from' => 'DATE(m.created_at) >= ?', 'to' => 'DATE(m.created_at) <= ?'] as $key => $clause) {
+        $value = trim($_GET[$key] ?? "");
+        if ($value === "") continue;
+        $where[] = $clause;
+        $types .= "s";
+        $params[] = $value;
+    }
+
+    $sql = "SELECT m.id, m.item_id, i.name AS item_name, i.unit, b.batch_number, m.type, m.quantity, m.prescription_id,
+                   m.patient_id, p.name AS patient_name, m.reason, s.username AS created_by, m.created_at
+            FROM stock_movements m
+            JOIN inventory_items i ON i.id = m.item_id
+            LEFT JOIN inventory_batches b ON b.id = m.batch_id
+            LEFT JOIN patients p ON p.id = m.patient_id
+            LEFT JOIN staff s ON s.id = m.created_by";
+    if ($where) $sql .= " WHERE " . implode(" AND ", $where);
+    $sql .= " ORDER BY m.created_at DESC, m.id DESC LIMIT 200";
+
+    $stmt = $conn->prepare($sql);
+    if (!$stmt) {
+        send_json([
+            "status" => "error",
+            "message" => "Query failed"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    if ($params) $stmt->bind_param($types, ...$params);
+    $stmt->execute();
+    $res = $stmt->get_result();
+    $movements = [];
+    while ($row = $res->fetch_assoc()) {
+        $movements[] = $row;
+    }
+    send_json($movements, 200);
+    $stmt->close();
+}
+
+elseif ($method === "GET" && !empty($_GET["id"])) {
+    require_role(['Admin', 'Doctor', 'Nurse']);
+    $id = (int)$_GET["id"];
+    $res = $conn->query("SELECT id, name, category, unit, quantity, reorder_level FROM inventory_items WHERE id = $id");
+    $item = $res ? $res->fetch_assoc() : null;
+    if (!$item) {
+        send_json([
+            "status" => "error",
+            "message" => "Item not found"
+        ], 404);
+        $conn->close();
+        exit;
+    }
+    $res = $conn->query("SELECT id, batch_number, expiry_date, quantity_received, quantity_remaining, unit_cost, received_at,
+                                expiry_date < CURDATE() AS expired
+                         FROM inventory_batches WHERE item_id = $id ORDER BY quantity_remaining = 0, expiry_date, id");
+    $item["batches"] = [];
+    while ($res && $row = $res->fetch_assoc()) {
+        $row["expired"] = (bool)$row["expired"];
+        $item["batches"][] = $row;
+    }
+    send_json([
+        "status" => "success",
+        "item" => $item
+    ], 200);
+}
+
+elseif ($method === "GET") {
+    require_role(['Admin', 'Doctor', 'Nurse']);
+    $where = ["i.active = 1"];
+    $types = "";
+    $params = [];
+    $q = trim($_GET["q"] ?? "");
+    if ($q !== "") {
+        $where[] = "i.name LIKE ?";
+        $types .= "s";
+        $params[] = "%$q%";
+    }
+    $category = trim($_GET["category"] ?? "");
+    if ($category !== "") {
+        $where[] = "i.category = ?";
+        $types .= "s";
+        $params[] = $category;
+    }
+    if (!empty($_GET["low"])) $where[] = "i.quantity <= i.reorder_level";
+
+    $stmt = $conn->prepare("SELECT i.id, i.name, i.category, i.unit, i.quantity, i.reorder_level, i.quantity <= i.reorder_level AS low,
+                                   (SELECT MIN(expiry_date) FROM inventory_batches WHERE item_id = i.id AND quantity_remaining > 0) AS next_expiry
+                            FROM inventory_items i
+                            WHERE " . implode(" AND ", $where) . "
+                            ORDER BY i.name");
+    if (!$stmt) {
+        send_json([
+            "status" => "error",
+            "message" => "Query failed"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    if ($params) $stmt->bind_param($types, ...$params);
+    $stmt->execute();
+    $res = $stmt->get_result();
+    $items = [];
+    while ($row = $res->fetch_assoc()) {
+        $row["low"] = (bool)$row["low"];
+        $items[] = $row;
+    }
+    send_json($items, 200);
+    $stmt->close();
+}
+
+elseif ($method === "POST") {
+    require_role(['Admin']);
+    $data = get_request_data();
+    $name = trim($data["name"] ?? "");
+    $category = strtolower(trim($data["category"] ?? "medicine"));
+    $unit = trim($data["unit"] ?? "");
+    $reorderLevel = (int)($data["reorder_level"] ?? 0);
+
+    $error = null;
+    if ($name === "" || $unit === "") $error = "Name and unit required";
+    elseif (!in_array($category, ['medicine', 'consumable'], true)) $error = "Category must be medicine or consumable";
+    elseif ($reorderLevel < 0) $error = "Reorder level cannot be negative";
+    if ($error) {
+        send_json([
+            "status" => "error",
+            "message" => $error
+        ], 400);
+        $conn->close();
+        exit;
+    }
+
+    $stmt = $conn->prepare("INSERT INTO inventory_items (name, category, unit, reorder_level) VALUES (?,?,?,?)");
+    $stmt->bind_param("sssi", $name, $category, $unit, $reorderLevel);
+    if ($stmt->execute()) {
+        log_action('inventory_item_created', [
+            'item_id' => $stmt->insert_id,
+            'name' => $name
+        ], 'inventory_item', $stmt->insert_id, null, audit_row($conn, 'inventory_items', $stmt->insert_id));
+        send_json([
+            "status" => "success",
+            "message" => "$name added to inventory",
+            "id" => $stmt->insert_id
+        ], 201);
+    } elseif ($stmt->errno === 1062) {
+        send_json([
+            "status" => "error",
+            "message" => "$name is already in the inventory"
+        ], 409);
+    } else {
+        send_json([
+            "status" => "error",
+            "message" => "Failed to add item",
+            "error" => $stmt->error
+        ], 500);
+    }
+    $stmt->close();
+}
+
+elseif ($method === "PUT" || $method === "PATCH") {
+    require_role(['Admin', 'Nurse']);
+    $data = get_request_data();
+    $user = current_user();
+    $userId = (int)$user['id'];
+    $action = strtolower(trim($data["action"] ?? ""));
+
+    if (!in_array($action, ['receive', 'adjust', 'write_off', 'dispense'], true)) {
+        send_json([
+            "status" => "error",
+            "message" => "Action must be receive, adjust, write_off or dispense"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+    if ($action !== "dispense") require_role(['Admin']);
+
+    $itemId = (int)($data["id"] ?? 0);
+    $batchId = (int)($data["batch_id"] ?? 0);
+    $quantity = (int)($data["quantity"] ?? 0);
+    $reason = trim($data["reason"] ?? "");
+
+    $conn->begin_transaction();
+    $batch = null;
+    if ($batchId) {
+        $res = $conn->query("SELECT b.id, b.item_id, b.batch_number, b.quantity_remaining, b.expiry_date < CURDATE() AS expired, i.name
+                             FROM inventory_batches b JOIN inventory_items i ON i.id = b.item_id
+                             WHERE b.id = $batchId FOR UPDATE");
+        $batch = $res ? $res->fetch_assoc() : null;
+    }
+    $item = null;
+    if ($itemId) {
+        $res = $conn->query("SELECT id, name, category, unit FROM inventory_items WHERE id = $itemId AND active = 1");
+        $item = $res ? $res->fetch_assoc() : null;
+    }
+    $prescription = null;
+    if ($action === "dispense") {
+        $prescriptionId = (int)($data["prescription_id"] ?? 0);
+        $res = $conn->query("SELECT p.id, p.patient_id, p.status, p.medication, pt.name AS patient_name
+                             FROM prescriptions p LEFT JOIN patients pt ON pt.id = p.patient_id
+                             WHERE p.id = $prescriptionId");
+        $prescription = $res ? $res->fetch_assoc() : null;
+    }
+    $batchNumber = trim($data["batch_number"] ?? "");
+    $expiryDate = trim($data["expiry_date"] ?? "");
+
+    $error = null;
+    if (in_array($action, ['receive', 'dispense'], true) && !$item) $error = [404, "Item not found"];
+    elseif (in_array($action, ['adjust', 'write_off'], true) && !$batch) $error = [404, "Batch not found"];
+    elseif ($action === "receive" && ($batchNumber === "" || !preg_match('/^\d{4}-\d{2}-\d{2}$/', $expiryDate))) $error = [400, "Batch number and expiry date (YYYY-MM-DD) required"];
+    elseif ($action === "receive" && $expiryDate < date('Y-m-d')) $error = [400, "Cannot receive stock that has already expired"];
+    elseif (in_array($action, ['receive', 'dispense'], true) && $quantity <= 0) $error = [400, "Quantity must be a positive whole number"];
+    elseif ($action === "adjust" && ($quantity === 0 || $reason === "")) $error = [400, "A non-zero quantity and a reason are required"];
+    elseif ($action === "adjust" && (int)$batch["quantity_remaining"] + $quantity < 0) $error = [400, "Batch " . $batch["batch_number"] . " only has " . $batch["quantity_remaining"] . " left"];
+    elseif ($action === "write_off" && !$batch["expired"]) $error = [409, "Batch " . $batch["batch_number"] . " has not expired; use a stock adjustment instead"];
+    elseif ($action === "write_off" && (int)$batch["quantity_remaining"] === 0) $error = [409, "Batch " . $batch["batch_number"] . " is already empty"];
+    elseif ($action === "dispense" && !$prescription) $error = [404, "Prescription not found"];
+    elseif ($action === "dispense" && !patient_in_scope($conn, $prescription["patient_id"])) $error = [403, "Patient is not in your care"];
+    elseif ($action === "dispense" && $prescription["status"] !== "active") $error = [409, "Prescription is " . $prescription["status"] . "; only active prescriptions can be dispensed"];
+    // The item has to be the prescribed medicine: its name starts with the medication (e.g. Amoxicillin -> Amoxicillin 500mg)
+    elseif ($action === "dispense" && ($item["category"] !== "medicine" || stripos($item["name"], trim($prescription["medication"])) !== 0)) $error = [409, $item["name"] . " is not the prescribed " . $prescription["medication"]];
+    if ($error) {
+        $conn->rollback();
+        send_json([
+            "status" => "error",
+            "message" => $error[1]
+        ], $error[0]);
+        $conn->close();
+        exit;
+    }
+
+    if (!$itemId) $itemId = (int)$batch["item_id"];
+    $before = audit_row($conn, 'inventory_items', $itemId);
+    if ($action === "receive") {
+        $unitCost = round((float)($data["unit_cost"] ?? 0), 2);
+        $stmt = $conn->prepare("INSERT INTO inventory_batches (item_id, batch_number, expiry_date, quantity_received, quantity_remaining, unit_cost, received_by)
+                                VALUES (?,?,?,?,0,?,?)");
+        $stmt->bind_param("issidi", $itemId, $batchNumber, $expiryDate, $quantity, $unitCost, $userId);
+        $ok = $stmt->execute();
+        $duplicate = $stmt->errno === 1062;
+        $newBatchId = $stmt->insert_id;
+        $stmt->close();
+        if ($duplicate) {
+            $conn->rollback();
+            send_json([
+                "status" => "error",
+                "message" => "Batch $batchNumber has already been received for " . $item["name"]
+            ], 409);
+            $conn->close();
+            exit;
+        }
+        $ok = $ok && inventory_move($conn, $newBatchId, 'receive', $quantity, $userId, ['reason' => $reason !== "" ? $reason : null]);
+        $message = "Received $quantity " . $item["unit"] . " of " . $item["name"];
+    } elseif ($action === "adjust") {
+        $ok = inventory_move($conn, $batchId, 'adjust', $quantity, $userId, ['reason' => $reason]);
+        $message = "Batch " . $batch["batch_number"] . " adjusted by " . ($quantity > 0 ? "+" : "") . $quantity;
+    } elseif ($action === "write_off") {
+        $quantity = -(int)$batch["quantity_remaining"];
+        $ok = inventory_move($conn, $batchId, 'expire', $quantity, $userId, ['reason' => $reason !== "" ? $reason : "Expired"]);
+        $message = "Batch " . $batch["batch_number"] . " written off";
+    } else {
+        $used = inventory_dispense($conn, $itemId, $quantity, $prescription["id"], $prescription["patient_id"], $userId);
+        if ($used === null) {
+            $conn->rollback();
+            send_json([
+                "status" => "error",
+                "message" => "Not enough unexpired " . $item["name"] . " in stock"
+            ], 409);
+            $conn->close();
+            exit;
+        }
+        $ok = $used !== false;
+        $message = "Dispensed $quantity " . $item["unit"] . " of " . $item["name"] . " for " . $prescription["patient_name"]
+            . ($ok ? " (batch " . implode(", ", array_column($used, 'batch_number')) . ")" : "");
+    }
+
+    if ($ok) {
+        $conn->commit();
+        log_action('inventory_' . $action, [
+            'item_id' => $itemId,
+            'batch_id' => $batchId ?: ($newBatchId ?? null),
+            'quantity' => $quantity,
+            'prescription_id' => $prescription ? (int)$prescription["id"] : null,
+            'batches' => $action === "dispense" ? $used : null
+        ], 'inventory_item', $itemId, $before, audit_row($conn, 'inventory_items', $itemId));
+        send_json([
+            "status" => "success",
+            "message" => $message
+        ], 200);
+    } else {
+        $conn->rollback();
+        send_json([
+            "status" => "error",
+            "message" => "Failed to update stock",
+            "error" => $conn->error
+        ], 500);
+    }
+}
+
+else {
+    send_json([
+        "status" => "error",
+        "message" => "Method not allowed"
+    ], 405);
+}
+
+$conn->close();
@@ -0,0 +1,315 @@
+<?php
+/**
+ * lab.php — Lab test orders and results endpoint for MediSync HMS.
+ *
+ * Supports:
+ * - GET ?tests=1: The active test catalogue with specimens, reference ranges and prices
+ * - GET: Lab orders, newest first — or by priority (stat, urgent, routine) then oldest first with
+ *        status=open, the lab worklist of orders still to collect or result
+ *        (optional filters: patient_id, status ordered/collected/resulted/cancelled/open, mine=1 for the
+ *        calling doctor's own orders). Doctors only see orders for patients in their scope.
+ * - POST (Doctor): Orders tests (fields: patient_id, test_ids[]; optional: priority routine/urgent/stat,
+ *         clinical_notes). Each test adds a lab line to the patient's open invoice (see billing_add_item).
+ * - PUT/PATCH: Moves an order on (fields: action, id)
+ *   - action=collect (Nurse, Admin): the sample has been taken
+ *   - action=result (Nurse, Admin): records the result (fields: value; optional: comment). It is flagged
+ *     against the test's reference range and the ordering doctor is alerted until they review it.
+ *   - action=review (Doctor): marks a result as seen
+ *   - action=cancel (Doctor, Admin): cancels an order that has no result yet (field: reason). The lab
+ *     line comes off the invoice while nothing has been paid on it.
+ *     Doctors can cancel their own orders and those for patients in their scope.
+ *
+ * Status lifecycle: ordered -> collected -> resulted; ordered/collected -> cancelled.
+ *
+ * Usage:
+ * - GET api/lab.php?status=open for the worklist
+ * - POST api/lab.php with patient_id=3, test_ids=[7,8] and priority=urgent
+ * - PUT api/lab.php with action=result, id=2 and value=3.2
+ */
+
+include_once(__DIR__ . "/../config.php");
+
+$method = $_SERVER["REQUEST_METHOD"];
+
+if ($method === "GET" && !empty($_GET["tests"])) {
+    require_role(['Admin', 'Doctor', 'Nurse']);
+    $res = $conn->query("SELECT id, code, name, specimen, unit, ref_low, ref_high, critical_low, critical_high, price
+                         FROM lab_tests WHERE active = 1 ORDER BY name");
+    if ($res === false) {
+        send_json([
+            "status" => "error",
+            "message" => "Query failed"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    $tests = [];
+    while ($row = $res->fetch_assoc()) {
+        $tests[] = $row;
+    }
+    send_json($tests, 200);
+}
+
+elseif ($method === "GET") {
+    require_role(['Admin', 'Doctor', 'Nurse']);
+    $user = current_user();
+    $where = [];
+    $types = "";
+    $params = [];
+    // The worklist needs every outstanding order, so only doctors are limited to their patients
+    if (strcasecmp($user['role'], 'Doctor') === 0) {
+        $where[] = "(o.ordered_by = ? OR " . patient_scope_sql($conn, 'o.patient_id') . ")";
+        $types .= "i";
+        $params[] = (int)$user['id'];
+    }
+    $patientId = (int)($_GET["patient_id"] ?? 0);
+    if ($patientId) {
+        $where[] = "o.patient_id = ?";
+        $types .= "i";
+        $params[] = $patientId;
+    }
+    $status = strtolower(trim($_GET["status"] ?? ""));
+    if ($status === "open") {
+        $where[] = "o.status IN ('ordered', 'collected')";
+    } elseif ($status !== "") {
+        $where[] = "o.status = ?";
+        $types .= "s";
+        $params[] = $status;
+    }
+    if (!empty($_GET["mine"])) {
+        $where[] = "o.ordered_by = ?";
+        $types .= "i";
+        $params[] = (int)$user['id'];
+    }
+
+    $sql = "SELECT o.id, o.patient_id, p.name AS patient_name, p.mrn AS patient_mrn, o.test_id, t.code AS test_code, t.name AS test_name,
+                   t.specimen, o.priority, o.clinical_notes, o.status, o.ordered_at, d.username AS ordered_by,
+                   o.collected_at, c.username AS collected_by, o.result_value, COALESCE(o.unit, t.unit) AS unit,
+                   COALESCE(o.ref_low, t.ref_low) AS ref_low, COALESCE(o.ref_high, t.ref_high) AS ref_high, o.flag,
+                   o.result_comment, o.resulted_at, r.username AS resulted_by, o.reviewed_at, o.cancelled_at, o.cancel_reason
+            FROM lab_orders o
+            JOIN lab_tests t ON t.id = o.test_id
+            LEFT JOIN patients p ON p.id = o.patient_id
+            LEFT JOIN staff d ON d.id = o.ordered_by
+            LEFT JOIN staff c ON c.id = o.collected_by
+            LEFT JOIN staff r ON r.id = o.resulted_by";
+    if ($where) $sql .= " WHERE " . implode(" AND ", $where);
+    $sql .= $status === "open"
+        ? " ORDER BY FIELD(o.priority, 'stat', 'urgent', 'routine'), o.ordered_at, o.id"
+        : " ORDER BY o.ordered_at DESC, o.id DESC";
+
+    $stmt = $conn->prepare($sql);
+    if (!$stmt) {
+        send_json([
+            "status" => "error",
+            "message" => "Query failed"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    if ($params) $stmt->bind_param($types, ...$params);
+    $stmt->execute();
+    $res = $stmt->get_result();
+    $orders = [];
+    while ($row = $res->fetch_assoc()) {
+        $orders[] = $row;
+    }
+    send_json($orders, 200);
+    $stmt->close();
+}
+
+elseif ($method === "POST") {
+    require_role(['Doctor']);
+    $data = get_request_data();
+    $user = current_user();
+    $patientId = (int)($data["patient_id"] ?? 0);
+    $testIds = array_values(array_unique(array_filter(array_map('intval', (array)($data["test_ids"] ?? [])))));
+    $priority = strtolower(trim($data["priority"] ?? "routine"));
+    $notes = trim($data["clinical_notes"] ?? "");
+    $notes = $notes !== "" ? $notes : null;
+
+    $tests = [];
+    if ($testIds) {
+        $res = $conn->query("SELECT id, name, price FROM lab_tests WHERE active = 1 AND id IN (" . implode(",", $testIds) . ")");
+        while ($res && $row = $res->fetch_assoc()) {
+            $tests[] = $row;
+        }
+    }
+    $res = $patientId ? $conn->query("SELECT name FROM patients WHERE id = $patientId") : null;
+    $patient = $res ? $res->fetch_assoc() : null;
+
+    $error = null;
+    if (!$patient || !patient_in_scope($conn, $patientId)) $error = [404, "Patient not found"];
+    elseif (!$testIds) $error = [400, "Select at least one test"];
+    elseif (count($tests) !== count($testIds)) $error = [400, "Unknown or inactive test selected"];
+    elseif (!in_array($priority, lab_priorities(), true)) $error = [400, "Priority must be one of: " . implode(", ", lab_priorities())];
+    if ($error) {
+        send_json([
+            "status" => "error",
+            "message" => $error[1]
+        ], $error[0]);
+        $conn->close();
+        exit;
+    }
+
+    $userId = (int)$user['id'];
+    $ids = [];
+    $conn->begin_transaction();
+    $stmt = $conn->prepare("INSERT INTO lab_orders (patient_id, test_id, ordered_by, priority, clinical_notes, billing_item_id) VALUES (?,?,?,?,?,?)");
+    $ok = (bool)$stmt;
+    foreach ($ok ? $tests : [] as $test) {
+        $itemId = billing_add_item($conn, $patientId, 'lab', "Lab: " . $test["name"], $test["price"], $userId);
+        if (!($ok = $itemId !== false)) break;
+        $testId = (int)$test["id"];
+        $stmt->bind_param("iiissi", $patientId, $testId, $userId, $priority, $notes, $itemId);
+        if (!($ok = $stmt->execute())) break;
+        $ids[] = $stmt->insert_id;
+    }
+    if ($stmt) $stmt->close();
+
+    if ($ok) {
+        $conn->commit();
+        foreach ($ids as $orderId) {
+            log_action('lab_ordered', [
+                'order_id' => $orderId,
+                'patient_id' => $patientId,
+                'priority' => $priority
+            ], 'lab_order', $orderId, null, audit_row($conn, 'lab_orders', $orderId));
+        }
+        send_json([
+            "status" => "success",
+            "message" => count($ids) . " test" . (count($ids) === 1 ? "" : "s") . " ordered for " . $patient["name"],
+            "ids" => $ids
+        ], 201);
+    } else {
+        $conn->rollback();
+        send_json([
+            "status" => "error",
+            "message" => "Failed to order tests",
+            "error" => $conn->error
+        ], 500);
+    }
+}
+
+elseif ($method === "PUT" || $method === "PATCH") {
+    require_role(['Admin', 'Doctor', 'Nurse']);
+    $data = get_request_data();
+    $user = current_user();
+    $action = strtolower(trim($data["action"] ?? ""));
+    $id = (int)($data["id"] ?? 0);
+
+    $roles = ['collect' => ['Nurse', 'Admin'], 'result' => ['Nurse', 'Admin'], 'review' => ['Doctor'], 'cancel' => ['Doctor', 'Admin']];
+    if (!isset($roles[$action])) {
+        send_json([
+            "status" => "error",
+            "message" => "Action must be collect, result, review or cancel"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+    require_role($roles[$action]);
+
+    $conn->begin_transaction();
+    $res = $conn->query("SELECT o.id, o.patient_id, o.ordered_by, o.status, o.reviewed_at, o.billing_item_id, t.name AS test_name, t.unit,
+                                t.ref_low, t.ref_high, t.critical_low, t.critical_high, p.name AS patient_name
+                         FROM lab_orders o
+                         JOIN lab_tests t ON t.id = o.test_id
+                         LEFT JOIN patients p ON p.id = o.patient_id
+                         WHERE o.id = $id FOR UPDATE");
+    $order = $res ? $res->fetch_assoc() : null;
+    $value = trim((string)($data["value"] ?? ""));
+    $reason = trim($data["reason"] ?? "");
+
+    $error = null;
+    // The ordering doctor can always review their own order, even once the patient has left their scope
+    if (!$order || ($action === "review" && (int)$order["ordered_by"] !== (int)$user['id'] && !patient_in_scope($conn, $order["patient_id"]))) $error = [404, "Lab order not found"];
+    elseif ($action === "collect" && $order["status"] !== "ordered") $error = [409, $order["test_name"] . " is " . $order["status"] . ", not awaiting collection"];
+    elseif ($action === "result" && $order["status"] !== "collected") $error = [409, $order["test_name"] . " is " . $order["status"] . "; collect the sample before entering a result"];
+    elseif ($action === "result" && !is_numeric($value)) $error = [400, "Result must be a number"];
+    elseif ($action === "review" && $order["status"] !== "resulted") $error = [409, $order["test_name"] . " has no result yet"];
+    elseif ($action === "review" && $order["reviewed_at"]) $error = [409, "Result already reviewed"];
+    elseif ($action === "cancel" && (int)$order["ordered_by"] !== (int)$user['id'] && !patient_in_scope($conn, $order["patient_id"])) $error = [403, "Patient is not in your care"];
+    elseif ($action === "cancel" && !in_array($order["status"], ['ordered', 'collected'], true)) $error = [409, $order["test_name"] . " is " . $order["status"] . " and cannot be cancelled"];
+    elseif ($action === "cancel" && $reason === "") $error = [400, "A reason is required to cancel"];
+    if ($error) {
+        $conn->rollback();
+        send_json([
+            "status" => "error",
+            "message" => $error[1]
+        ], $error[0]);
+        $conn->close();
+        exit;
+    }
+
+    $userId = (int)$user['id'];
+    $flag = null;
+    $before = audit_row($conn, 'lab_orders', $id);
+    if ($action === "collect") {
+        $ok = $conn->query("UPDATE lab_orders SET status = 'collected', collected_by = $userId, collected_at = NOW() WHERE id = $id");
+        $message = "Sample collected for " . $order["test_name"];
+    } elseif ($action === "result") {
+        $flag = lab_result_flag($value, $order);
+        $comment = trim($data["comment"] ?? "");
+        $comment = $comment !== "" ? $comment : null;
+        $resultValue = round((float)$value, 2);
+        $stmt = $conn->prepare("UPDATE lab_orders SET status = 'resulted', result_value = ?, unit = ?, ref_low = ?, ref_high = ?, flag = ?,
+                                       result_comment = ?, resulted_by = ?, resulted_at = NOW()
+                                WHERE id = ?");
+        $stmt->bind_param("dsddssii", $resultValue, $order["unit"], $order["ref_low"], $order["ref_high"], $flag, $comment, $userId, $id);
+        $ok = $stmt->execute();
+        $stmt->close();
+        $message = $order["test_name"] . " result recorded (" . str_replace("_", " ", $flag) . ")";
+    } elseif ($action === "review") {
+        $ok = $conn->query("UPDATE lab_orders SET reviewed_at = NOW() WHERE id = $id");
+        $message = "Result reviewed";
+    } else {
+        $stmt = $conn->prepare("UPDATE lab_orders SET status = 'cancelled', cancelled_by = ?, cancelled_at = NOW(), cancel_reason = ? WHERE id = ?");
+        $stmt->bind_param("isi", $userId, $reason, $id);
+        $ok = $stmt->execute();
+        $stmt->close();
+        $message = $order["test_name"] . " cancelled";
+
+        // Take the charge off while the invoice is untouched; otherwise it is refunded at the billing desk
+        $itemId = (int)$order["billing_item_id"];
+        $res = $ok && $itemId ? $conn->query("SELECT b.id FROM billing_items i JOIN billing b ON b.id = i.bill_id
+                                             WHERE i.id = $itemId AND b.status = 'Pending' AND b.amount_paid = 0
+                                               AND NOT EXISTS (SELECT 1 FROM insurance_claims WHERE bill_id = b.id)") : null;
+        $bill = $res ? $res->fetch_assoc() : null;
+        if ($bill) {
+            $ok = $conn->query("DELETE FROM billing_items WHERE id = $itemId") && billing_recalculate($conn, $bill["id"]);
+            $message .= " and removed from the invoice";
+        } elseif ($ok && $itemId) {
+            $message .= "; the invoice has been paid or claimed, so refund the charge from Billing";
+        }
+    }
+
+    if ($ok) {
+        $conn->commit();
+        log_action('lab_' . $action, [
+            'order_id' => $id,
+            'patient_id' => (int)$order["patient_id"],
+            'flag' => $flag
+        ], 'lab_order', $id, $before, audit_row($conn, 'lab_orders', $id));
+        send_json([
+            "status" => "success",
+            "message" => $message,
+            "flag" => $flag
+        ], 200);
+    } else {
+        $conn->rollback();
+        send_json([
+            "status" => "error",
+            "message" => "Failed to update lab order",
+            "error" => $conn->error
+        ], 500);
+    }
+}
+
+else {
+    send_json([
+        "status" => "error",
+        "message" => "Method not allowed"
+    ], 405);
+}
+
+$conn->close();
@@ -8,6 +8,7 @@
  *
  * Returns JSON response:
  * - status: 'success' or 'error'
+ * - id: Staff id of the authenticated user (on success)
  * - username: Authenticated username (on success)
  * - role: User role (Admin, Doctor, Nurse, Receptionist)
  * - message: Error message (on failure)
@@ -78,7 +79,7 @@ if (!$result || $result->num_rows === 0) {
     log_action('login_failed', [
         'attempted_username' => $username,
         'reason' => 'user_not_found'
-    ]);
+    ], 'staff');
 
     send_json([
       "status" => "error",
@@ -151,10 +152,11 @@ if ($isValid) {
     log_action('login_successful', [
         'username' => $row["username"],
         'role' => $row["role"] ?? ''
-    ]);
+    ], 'staff', $row['id']);
 
     send_json([
         "status" => "success",
+        "id" => (int)$row["id"],
         "username" => $row["username"],
         "role" => $row["role"] ?? ''
     ], 200);
@@ -163,7 +165,7 @@ if ($isValid) {
     log_action('login_failed', [
         'attempted_username' => $username,
         'reason' => 'invalid_password'
-    ]);
+    ], 'staff');
 
     send_json([
       "status" => "error",
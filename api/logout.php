@@ -1,6 +1,10 @@
 <?php
 include_once(__DIR__ . "/../config.php");
 
+// Record the logout while the session still says who it was
+$user = current_user();
+if ($user) log_action('logout', '', 'staff', $user['id']);
+
 if (php_sapi_name() !== 'cli') {
     // Unset session and destroy
     if (session_status() === PHP_SESSION_ACTIVE) {
@@ -1,15 +1,104 @@
 <?php
-// Logs endpoint removed. Return explicit message so any client calls fail gracefully.
-require_once __DIR__ . '/../config.php';
+/**
+ * logs.php — Audit log endpoint for MediSync HMS.
+ *
+ * Supports:
+ * - GET (Admin): Audit log entries, newest first, one page at a time: {logs, total, page, per_page, pages, entities}
+ *        (optional filters: username, entity, entity_id, action — starts with, from/to — YYYY-MM-DD;
+ *        page, per_page — default 50, max 200). before, after and details come back decoded.
+ *
+ * Entries are written by log_action (config.php) on every change and on patient record views. The
+ * audit_log table is append-only — its triggers reject UPDATE and DELETE — so there is nothing to
+ * edit or remove here.
+ *
+ * Usage:
+ * - GET api/logs.php?entity=patient&entity_id=5
+ * - GET api/logs.php?username=doctor_john&from=2025-11-01&to=2025-11-30&page=2
+ */
 
-http_response_code(410);
-send_json([
-    'status' => 'error',
-    'message' => 'System logs have been disabled/removed from this installation.'
-], 410);
+include_once(__DIR__ . "/../config.php");
 
-// Close connection if present
-global $conn;
-if (isset($conn) && $conn) $conn->close();
+$method = $_SERVER["REQUEST_METHOD"];
 
-exit;
\ No newline at end of file
+if ($method === "GET") {
+    require_role(['Admin']);
+    $where = [];
+    $types = "";
+    $params = [];
+    foreach (['username' => 'username = ?', 'entity' => 'entity = ?', 'entity_id' => 'entity_id = ?', 'from' => 'created_at >= ?', 'to' => 'created_at < ? + INTERVAL 1 DAY'] as $key => $clause) {
+        $value = trim($_GET[$key] ?? "");
+        if ($value === "") continue;
+        $where[] = $clause;
+        $types .= "s";
+        $params[] = $value;
+    }
+    $action = trim($_GET["action"] ?? "");
+    if ($action !== "") {
+        $where[] = "action LIKE ?";
+        $types .= "s";
+        $params[] = addcslashes($action, "%_") . "%";
+    }
+    $whereSql = $where ? " WHERE " . implode(" AND ", $where) : "";
+
+    $page = max(1, (int)($_GET["page"] ?? 1));
+    $perPage = min(200, max(1, (int)($_GET["per_page"] ?? 50)));
+    $offset = ($page - 1) * $perPage;
+
+    $stmt = $conn->prepare("SELECT id, staff_id, username, role, action, entity, entity_id, before_values, after_values, details,
+                                   ip_address, method, endpoint, created_at
+                            FROM audit_log$whereSql ORDER BY id DESC LIMIT $perPage OFFSET $offset");
+    $count = $conn->prepare("SELECT COUNT(*) FROM audit_log$whereSql");
+    if (!$stmt || !$count) {
+        send_json([
+            "status" => "error",
+            "message" => "Query failed: " . $conn->error
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    if ($params) {
+        $stmt->bind_param($types, ...$params);
+        $count->bind_param($types, ...$params);
+    }
+    $stmt->execute();
+    $res = $stmt->get_result();
+    $logs = [];
+    while ($row = $res->fetch_assoc()) {
+        foreach (['before_values' => 'before', 'after_values' => 'after', 'details' => 'details'] as $column => $key) {
+            $value = $row[$column];
+            unset($row[$column]);
+            $decoded = $value !== null ? json_decode($value, true) : null;
+            $row[$key] = $decoded !== null ? $decoded : $value;
+        }
+        $logs[] = $row;
+    }
+    $stmt->close();
+    $count->execute();
+    $total = (int)$count->get_result()->fetch_row()[0];
+    $count->close();
+
+    $entities = [];
+    $res = $conn->query("SELECT DISTINCT entity FROM audit_log WHERE entity IS NOT NULL ORDER BY entity");
+    while ($res && $row = $res->fetch_row()) {
+        $entities[] = $row[0];
+    }
+
+    send_json([
+        "status" => "success",
+        "logs" => $logs,
+        "total" => $total,
+        "page" => $page,
+        "per_page" => $perPage,
+        "pages" => max(1, (int)ceil($total / $perPage)),
+        "entities" => $entities
+    ], 200);
+}
+
+else {
+    send_json([
+        "status" => "error",
+        "message" => "Method not allowed"
+    ], 405);
+}
+
+$conn->close();
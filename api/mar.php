@@ -0,0 +1,205 @@
+<?php
+/**
+ * mar.php — Medication administration record (MAR) endpoint for MediSync HMS.
+ *
+ * Supports:
+ * - GET: Returns the day's scheduled doses built from active prescriptions (optional: date, patient_id),
+ *        for the patients in the caller's scope (see patient_scope_sql)
+ * - POST: Records a dose as given, held or missed (fields: prescription_id, scheduled_at, status, reason, administered_at)
+ *
+ * Dose status is one of due, given, held or missed. Unrecorded doses past their grace
+ * window are reported as missed with overdue = true so they can be raised as alerts.
+ *
+ * Usage:
+ * - GET api/mar.php?date=2025-10-20 for the day's MAR
+ * - POST api/mar.php with prescription_id and status to record an administration (Nurse only)
+ */
+
+include_once(__DIR__ . "/../config.php");
+
+$method = $_SERVER["REQUEST_METHOD"];
+
+if ($method === "GET") {
+    require_role(['Nurse', 'Doctor', 'Admin']);
+    $date = $_GET["date"] ?? date("Y-m-d");
+    $patientId = (int)($_GET["patient_id"] ?? 0);
+
+    if (!preg_match('/^\d{4}-\d{2}-\d{2}$/', $date)) {
+        send_json([
+            "status" => "error",
+            "message" => "Invalid date"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+
+    if ($patientId && !patient_in_scope($conn, $patientId)) {
+        send_json([
+            "status" => "error",
+            "message" => "Patient not found"
+        ], 404);
+        $conn->close();
+        exit;
+    }
+
+    $doses = mar_doses_for_date($conn, $date, $patientId);
+    $scopeSql = patient_scope_sql($conn, 'p.id');
+    $res = $conn->query("SELECT p.id FROM patients p WHERE $scopeSql");
+    if ($doses === null || !$res) {
+        send_json([
+            "status" => "error",
+            "message" => "Query failed"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    // Only the doses of patients in the caller's scope (see patient_scope_sql)
+    $inScope = [];
+    while ($row = $res->fetch_row()) {
+        $inScope[(int)$row[0]] = true;
+    }
+    $doses = array_values(array_filter($doses, function ($d) use ($inScope) { return isset($inScope[(int)$d['patient_id']]); }));
+
+    // PRN prescriptions have no schedule; list them so a dose can be recorded when given
+    $prn = [];
+    $res = $conn->query("SELECT p.id AS prescription_id, p.patient_id, pt.name AS patient_name, p.medication, p.dosage
+                         FROM prescriptions p LEFT JOIN patients pt ON pt.id = p.patient_id
+                         WHERE p.status = 'active' AND p.frequency = 'PRN' AND " . patient_scope_sql($conn, 'p.patient_id') . ($patientId ? " AND p.patient_id = $patientId" : "") . "
+                         ORDER BY pt.name");
+    if ($res) {
+        while ($row = $res->fetch_assoc()) {
+            $prn[] = $row;
+        }
+    }
+
+    send_json([
+        "status" => "success",
+        "date" => $date,
+        "doses" => $doses,
+        "prn" => $prn
+    ], 200);
+}
+
+elseif ($method === "POST") {
+    // Only Nurses record administrations
+    require_role(['Nurse']);
+    $data = get_request_data();
+    $prescriptionId = (int)($data["prescription_id"] ?? 0);
+    $scheduledAt = trim($data["scheduled_at"] ?? "");
+    $status = strtolower(trim($data["status"] ?? ""));
+    $reason = trim($data["reason"] ?? "");
+    $administeredAt = trim($data["administered_at"] ?? "");
+
+    if (!$prescriptionId || !in_array($status, ['given', 'held', 'missed'], true)) {
+        send_json([
+            "status" => "error",
+            "message" => "Prescription and a status of given, held or missed required"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+    if ($status !== 'given' && $reason === "") {
+        send_json([
+            "status" => "error",
+            "message" => "A reason is required when a dose is held or missed"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+
+    $chk = $conn->prepare("SELECT frequency, status FROM prescriptions WHERE id = ?");
+    $chk->bind_param("i", $prescriptionId);
+    $chk->execute();
+    $prescription = $chk->get_result()->fetch_assoc();
+    $chk->close();
+    if (!$prescription) {
+        send_json([
+            "status" => "error",
+            "message" => "Prescription not found"
+        ], 404);
+        $conn->close();
+        exit;
+    }
+    if ($prescription["status"] !== "active") {
+        send_json([
+            "status" => "error",
+            "message" => "Prescription is no longer active"
+        ], 409);
+        $conn->close();
+        exit;
+    }
+
+    // PRN doses are scheduled at the moment they are recorded
+    if ($scheduledAt === "") $scheduledAt = date("Y-m-d H:i:s");
+    $scheduledTs = strtotime($scheduledAt);
+    if ($scheduledTs === false) {
+        send_json([
+            "status" => "error",
+            "message" => "Invalid scheduled time"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+    $scheduledAt = date("Y-m-d H:i:s", $scheduledTs);
+    if ($prescription["frequency"] !== "PRN" && !in_array(date("H:i", $scheduledTs), mar_dose_times($prescription["frequency"]), true)) {
+        send_json([
+            "status" => "error",
+            "message" => "No dose is scheduled at that time"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+
+    if ($status === "given") {
+        $administeredTs = $administeredAt !== "" ? strtotime($administeredAt) : time();
+        $administeredAt = date("Y-m-d H:i:s", $administeredTs ?: time());
+    } else {
+        $administeredAt = null;
+    }
+    $reason = $reason !== "" ? $reason : null;
+    $userId = (int)current_user()['id'];
+
+    $stmt = $conn->prepare("INSERT INTO medication_administrations (prescription_id, scheduled_at, status, administered_at, reason, recorded_by) VALUES (?,?,?,?,?,?)");
+    if (!$stmt) {
+        send_json([
+            "status" => "error",
+            "message" => "Server error preparing statement"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    $stmt->bind_param("issssi", $prescriptionId, $scheduledAt, $status, $administeredAt, $reason, $userId);
+
+    if ($stmt->execute()) {
+        log_action('medication_' . $status, [
+            'prescription_id' => $prescriptionId,
+            'scheduled_at' => $scheduledAt
+        ], 'medication_administration', $stmt->insert_id, null, audit_row($conn, 'medication_administrations', $stmt->insert_id));
+        send_json([
+            "status" => "success",
+            "message" => "Dose recorded as " . $status,
+            "id" => $stmt->insert_id
+        ], 201);
+    } elseif ($stmt->errno === 1062) {
+        send_json([
+            "status" => "error",
+            "message" => "This dose has already been recorded"
+        ], 409);
+    } else {
+        send_json([
+            "status" => "error",
+            "message" => "Failed to record dose",
+            "error" => $stmt->error
+        ], 500);
+    }
+    $stmt->close();
+}
+
+else {
+    send_json([
+        "status" => "error",
+        "message" => "Method not allowed"
+    ], 405);
+}
+
+$conn->close();
@@ -0,0 +1,240 @@
+<?php
+/**
+ * messages.php — Internal staff messaging endpoint for MediSync HMS.
+ *
+ * Supports:
+ * - GET: Inbox for the session user (direct messages plus broadcasts to their role)
+ *   - box=sent: Messages the user sent, with read receipts
+ *   - count_only=1: Just the unread count (sidebar badge)
+ *   - recipients=1: Staff accounts that can be messaged
+ * - POST: Sends a message (fields: recipient_id or recipient_role — any case, body, patient_id). A linked
+ *         patient must exist (404) and be in the sender's scope (403, see patient_in_scope).
+ * - PUT/PATCH: Marks a message as read (fields: id)
+ *
+ * Usage:
+ * - GET api/messages.php for the inbox
+ * - POST api/messages.php with recipient_role=Nurse and body to message all nurses
+ */
+
+include_once(__DIR__ . "/../config.php");
+
+$MESSAGE_ROLES = ['Admin', 'Doctor', 'Nurse', 'Receptionist'];
+
+$user = current_user();
+if (!$user) {
+    send_json([
+        "status" => "error",
+        "message" => "Not authenticated"
+    ], 401);
+    $conn->close();
+    exit;
+}
+$userId = (int)$user['id'];
+
+/**
+ * message_role — The role as it is stored on broadcasts ('nurse' -> 'Nurse'), or null if it is not
+ * one that can be messaged. Roles are matched case-insensitively, as require_role does.
+ */
+function message_role($role)
+{
+    global $MESSAGE_ROLES;
+    foreach ($MESSAGE_ROLES as $known) {
+        if (strcasecmp($known, trim((string)$role)) === 0) return $known;
+    }
+    return null;
+}
+$role = $conn->real_escape_string(message_role($user['role']) ?? $user['role']);
+
+// Messages addressed to the user directly or to their role (excluding their own broadcasts)
+$inboxSql = "(m.recipient_id = $userId OR (m.recipient_id IS NULL AND m.recipient_role = '$role' AND m.sender_id <> $userId))";
+
+$method = $_SERVER["REQUEST_METHOD"];
+
+if ($method === "GET") {
+    if (!empty($_GET["recipients"])) {
+        $res = $conn->query("SELECT id, username, role FROM staff WHERE id <> $userId ORDER BY role, username");
+        $staff = [];
+        while ($res && $row = $res->fetch_assoc()) {
+            $staff[] = $row;
+        }
+        send_json($staff, 200);
+        $conn->close();
+        exit;
+    }
+
+    $res = $conn->query("SELECT COUNT(*) AS c FROM messages m
+                         LEFT JOIN message_reads r ON r.message_id = m.id AND r.staff_id = $userId
+                         WHERE $inboxSql AND r.read_at IS NULL");
+    $unread = $res ? (int)$res->fetch_assoc()['c'] : 0;
+    if (!empty($_GET["count_only"])) {
+        send_json([
+            "status" => "success",
+            "unread" => $unread
+        ], 200);
+        $conn->close();
+        exit;
+    }
+
+    if (($_GET["box"] ?? "") === "sent") {
+        // Direct messages report when the recipient read them; broadcasts report how many have read
+        $sql = "SELECT m.id, m.recipient_id, t.username AS recipient, m.recipient_role, m.patient_id, pt.name AS patient_name,
+                       m.body, m.created_at,
+                       (SELECT MIN(read_at) FROM message_reads WHERE message_id = m.id) AS read_at,
+                       (SELECT COUNT(*) FROM message_reads WHERE message_id = m.id) AS read_count
+                FROM messages m
+                LEFT JOIN staff t ON t.id = m.recipient_id
+                LEFT JOIN patients pt ON pt.id = m.patient_id
+                WHERE m.sender_id = $userId
+                ORDER BY m.created_at DESC LIMIT 100";
+    } else {
+        $sql = "SELECT m.id, m.sender_id, s.username AS sender, s.role AS sender_role, m.recipient_id, m.recipient_role,
+                       m.patient_id, pt.name AS patient_name, m.body, m.created_at, r.read_at
+                FROM messages m
+                LEFT JOIN staff s ON s.id = m.sender_id
+                LEFT JOIN patients pt ON pt.id = m.patient_id
+                LEFT JOIN message_reads r ON r.message_id = m.id AND r.staff_id = $userId
+                WHERE $inboxSql
+                ORDER BY m.created_at DESC LIMIT 100";
+    }
+
+    $res = $conn->query($sql);
+    if ($res === false) {
+        send_json([
+            "status" => "error",
+            "message" => "Query failed"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    $messages = [];
+    while ($row = $res->fetch_assoc()) {
+        $messages[] = $row;
+    }
+    send_json([
+        "status" => "success",
+        "unread" => $unread,
+        "messages" => $messages
+    ], 200);
+}
+
+elseif ($method === "POST") {
+    $data = get_request_data();
+    $recipientId = (int)($data["recipient_id"] ?? 0);
+    $recipientRole = trim($data["recipient_role"] ?? "");
+    $patientId = (int)($data["patient_id"] ?? 0);
+    $body = trim($data["body"] ?? "");
+
+    if (!$body || (!$recipientId && $recipientRole === "") || ($recipientId && $recipientRole !== "")) {
+        send_json([
+            "status" => "error",
+            "message" => "Message text and either a recipient or a role required"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+    if ($recipientRole !== "" && !message_role($recipientRole)) {
+        send_json([
+            "status" => "error",
+            "message" => "Unknown role"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+    if ($patientId) {
+        $res = $conn->query("SELECT id FROM patients WHERE id = $patientId");
+        $error = null;
+        if (!$res || $res->num_rows === 0) $error = [404, "Patient not found"];
+        elseif (!patient_in_scope($conn, $patientId)) $error = [403, "Patient is not in your care"];
+        if ($error) {
+            send_json([
+                "status" => "error",
+                "message" => $error[1]
+            ], $error[0]);
+            $conn->close();
+            exit;
+        }
+    }
+    if ($recipientId) {
+        $res = $conn->query("SELECT id FROM staff WHERE id = $recipientId");
+        if (!$res || $res->num_rows === 0) {
+            send_json([
+                "status" => "error",
+                "message" => "Recipient not found"
+            ], 404);
+            $conn->close();
+            exit;
+        }
+    }
+
+    $recipientId = $recipientId ?: null;
+    $recipientRole = $recipientRole !== "" ? message_role($recipientRole) : null;
+    $patientId = $patientId ?: null;
+    $stmt = $conn->prepare("INSERT INTO messages (sender_id, recipient_id, recipient_role, patient_id, body) VALUES (?,?,?,?,?)");
+    if (!$stmt) {
+        send_json([
+            "status" => "error",
+            "message" => "Server error preparing statement"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    $stmt->bind_param("iisis", $userId, $recipientId, $recipientRole, $patientId, $body);
+
+    if ($stmt->execute()) {
+        log_action('message_sent', [
+            'message_id' => $stmt->insert_id,
+            'recipient_id' => $recipientId,
+            'recipient_role' => $recipientRole,
+            'patient_id' => $patientId
+        ], 'message', $stmt->insert_id);
+        send_json([
+            "status" => "success",
+            "message" => "Message sent",
+            "id" => $stmt->insert_id
+        ], 201);
+    } else {
+        send_json([
+            "status" => "error",
+            "message" => "Failed to send message",
+            "error" => $stmt->error
+        ], 500);
+    }
+    $stmt->close();
+}
+
+elseif ($method === "PUT" || $method === "PATCH") {
+    $data = get_request_data();
+    $id = (int)($data["id"] ?? 0);
+
+    $res = $conn->query("SELECT m.id FROM messages m WHERE m.id = $id AND $inboxSql");
+    if (!$res || $res->num_rows === 0) {
+        send_json([
+            "status" => "error",
+            "message" => "Message not found"
+        ], 404);
+        $conn->close();
+        exit;
+    }
+
+    if ($conn->query("INSERT IGNORE INTO message_reads (message_id, staff_id) VALUES ($id, $userId)")) {
+        if ($conn->affected_rows > 0) log_action('message_read', ['message_id' => $id], 'message', $id);
+        send_json([
+            "status" => "success",
+            "message" => "Marked as read"
+        ], 200);
+    } else {
+        send_json([
+            "status" => "error",
+            "message" => "Failed to mark message as read"
+        ], 500);
+    }
+}
+
+else {
+    send_json([
+        "status" => "error",
+        "message" => "Method not allowed"
+    ], 405);
+}
+
+$conn->close();
@@ -0,0 +1,271 @@
+<?php
+/**
+ * notes.php — Clinical notes endpoint for MediSync HMS.
+ *
+ * Supports:
+ * - GET: Returns notes as JSON array (filters: patient_id for a patient timeline, or mine=1).
+ *        A timeline is only returned for patients in the caller's scope (see patient_in_scope), and
+ *        reading it is written to the audit log as a patient view.
+ * - POST: Creates a note (fields: patient_id, note_date, content, sign) or an addendum (fields: parent_id, content)
+ *         for a patient in the caller's scope (403 otherwise)
+ * - PUT/PATCH: Edits a draft (fields: id, note_date, content) or signs it (fields: id, action=sign)
+ *
+ * Notes are never deleted. A signed note is immutable; corrections are added as signed
+ * addenda that reference the original note through parent_id.
+ *
+ * Usage:
+ * - GET api/notes.php?patient_id=5 for the patient's timeline across all clinicians
+ * - POST api/notes.php with patient_id and content to write a note
+ * - POST api/notes.php with parent_id and content to add an addendum to a signed note
+ */
+
+include_once(__DIR__ . "/../config.php");
+
+// Only clinicians write notes; Admins may read them
+$method = $_SERVER["REQUEST_METHOD"];
+require_role($method === "GET" ? ['Doctor', 'Nurse', 'Admin'] : ['Doctor', 'Nurse']);
+$userId = (int)current_user()['id'];
+
+/**
+ * find_note — Returns a note row by id or null
+ */
+function find_note($conn, $id)
+{
+    $stmt = $conn->prepare("SELECT id, patient_id, author_id, parent_id, status FROM clinical_notes WHERE id = ?");
+    if (!$stmt) return null;
+    $stmt->bind_param("i", $id);
+    $stmt->execute();
+    $row = $stmt->get_result()->fetch_assoc();
+    $stmt->close();
+    return $row ?: null;
+}
+
+if ($method === "GET") {
+    $patientId = (int)($_GET["patient_id"] ?? 0);
+    $mine = !empty($_GET["mine"]);
+
+    if (!$patientId && !$mine) {
+        send_json([
+            "status" => "error",
+            "message" => "patient_id or mine=1 required"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+    if ($patientId && !patient_in_scope($conn, $patientId)) {
+        send_json([
+            "status" => "error",
+            "message" => "Patient not found"
+        ], 404);
+        $conn->close();
+        exit;
+    }
+
+    $sql = "SELECT n.id, n.patient_id, pt.name AS patient_name, n.author_id, s.username AS author, s.role AS author_role,
+                   n.parent_id, n.note_date, n.content, n.status, n.created_at, n.updated_at, n.signed_at
+            FROM clinical_notes n
+            LEFT JOIN patients pt ON pt.id = n.patient_id
+            LEFT JOIN staff s ON s.id = n.author_id
+            WHERE ";
+    if ($patientId) {
+        // Timeline: every signed note for the patient plus the caller's own drafts
+        $sql .= "n.patient_id = ? AND (n.status = 'signed' OR n.author_id = ?) ORDER BY n.note_date DESC, n.created_at DESC";
+        $stmt = $conn->prepare($sql);
+        if ($stmt) $stmt->bind_param("ii", $patientId, $userId);
+    } else {
+        $sql .= "n.author_id = ? ORDER BY n.created_at DESC LIMIT 50";
+        $stmt = $conn->prepare($sql);
+        if ($stmt) $stmt->bind_param("i", $userId);
+    }
+    if (!$stmt) {
+        send_json([
+            "status" => "error",
+            "message" => "Server error preparing statement"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    $stmt->execute();
+    $res = $stmt->get_result();
+    $notes = [];
+    while ($row = $res->fetch_assoc()) {
+        $notes[] = $row;
+    }
+    // A patient's timeline is a read of their chart (see log_patient_view)
+    if ($patientId) log_patient_view($conn, $patientId, 'notes');
+    send_json($notes, 200);
+    $stmt->close();
+}
+
+elseif ($method === "POST") {
+    $data = get_request_data();
+    $parentId = (int)($data["parent_id"] ?? 0);
+    $content = trim($data["content"] ?? "");
+
+    if (!$content) {
+        send_json([
+            "status" => "error",
+            "message" => "Note content required"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+
+    if ($parentId) {
+        // Addendum: always signed, inherits the patient from the original note
+        $parent = find_note($conn, $parentId);
+        if (!$parent || $parent["status"] !== "signed") {
+            send_json([
+                "status" => "error",
+                "message" => "Addenda can only be added to signed notes"
+            ], 409);
+            $conn->close();
+            exit;
+        }
+        // Addenda always hang off the original note, never off another addendum
+        $rootId = $parent["parent_id"] ? (int)$parent["parent_id"] : (int)$parent["id"];
+        $patientId = (int)$parent["patient_id"];
+        $noteDate = date("Y-m-d");
+        $status = "signed";
+    } else {
+        $rootId = null;
+        $patientId = (int)($data["patient_id"] ?? 0);
+        $noteDate = $data["note_date"] ?? "";
+        if (!$noteDate) $noteDate = date("Y-m-d");
+        $status = !empty($data["sign"]) ? "signed" : "draft";
+        if (!$patientId) {
+            send_json([
+                "status" => "error",
+                "message" => "Patient required"
+            ], 400);
+            $conn->close();
+            exit;
+        }
+    }
+    // Notes and addenda alike go only on the charts of patients in the author's scope
+    if (!patient_in_scope($conn, $patientId)) {
+        send_json([
+            "status" => "error",
+            "message" => "Patient is not in your care"
+        ], 403);
+        $conn->close();
+        exit;
+    }
+
+    $stmt = $conn->prepare("INSERT INTO clinical_notes (patient_id, author_id, parent_id, note_date, content, status, signed_at) VALUES (?,?,?,?,?,?, IF(? = 'signed', NOW(), NULL))");
+    if (!$stmt) {
+        send_json([
+            "status" => "error",
+            "message" => "Server error preparing statement"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    $stmt->bind_param("iiissss", $patientId, $userId, $rootId, $noteDate, $content, $status, $status);
+
+    if ($stmt->execute()) {
+        log_action($rootId ? 'note_addendum_created' : 'note_created', [
+            'note_id' => $stmt->insert_id,
+            'patient_id' => $patientId,
+            'status' => $status
+        ], 'clinical_note', $stmt->insert_id, null, audit_row($conn, 'clinical_notes', $stmt->insert_id));
+        send_json([
+            "status" => "success",
+            "message" => $rootId ? "Addendum added" : ($status === "signed" ? "Note signed" : "Draft saved"),
+            "id" => $stmt->insert_id
+        ], 201);
+    } else {
+        send_json([
+            "status" => "error",
+            "message" => "Failed to save note",
+            "error" => $stmt->error
+        ], 500);
+    }
+    $stmt->close();
+}
+
+elseif ($method === "PUT" || $method === "PATCH") {
+    $data = get_request_data();
+    $id = (int)($data["id"] ?? 0);
+    $action = $data["action"] ?? "edit";
+
+    $note = $id ? find_note($conn, $id) : null;
+    if (!$note) {
+        send_json([
+            "status" => "error",
+            "message" => "Note not found"
+        ], 404);
+        $conn->close();
+        exit;
+    }
+    if ((int)$note["author_id"] !== $userId) {
+        send_json([
+            "status" => "error",
+            "message" => "Only the author can change a draft note"
+        ], 403);
+        $conn->close();
+        exit;
+    }
+    if ($note["status"] === "signed") {
+        send_json([
+            "status" => "error",
+            "message" => "Signed notes cannot be changed; add an addendum instead"
+        ], 409);
+        $conn->close();
+        exit;
+    }
+
+    if ($action === "sign") {
+        $stmt = $conn->prepare("UPDATE clinical_notes SET status = 'signed', signed_at = NOW() WHERE id = ? AND status = 'draft'");
+        if ($stmt) $stmt->bind_param("i", $id);
+    } else {
+        $content = trim($data["content"] ?? "");
+        $noteDate = $data["note_date"] ?? "";
+        if (!$content || !$noteDate) {
+            send_json([
+                "status" => "error",
+                "message" => "Note date and content required"
+            ], 400);
+            $conn->close();
+            exit;
+        }
+        $stmt = $conn->prepare("UPDATE clinical_notes SET content = ?, note_date = ?, updated_at = NOW() WHERE id = ? AND status = 'draft'");
+        if ($stmt) $stmt->bind_param("ssi", $content, $noteDate, $id);
+    }
+    if (!$stmt) {
+        send_json([
+            "status" => "error",
+            "message" => "Server error preparing statement"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+
+    $before = audit_row($conn, 'clinical_notes', $id);
+    if ($stmt->execute()) {
+        log_action($action === "sign" ? 'note_signed' : 'note_draft_updated', [
+            'note_id' => $id,
+            'patient_id' => (int)$note["patient_id"]
+        ], 'clinical_note', $id, $before, audit_row($conn, 'clinical_notes', $id));
+        send_json([
+            "status" => "success",
+            "message" => $action === "sign" ? "Note signed" : "Draft updated"
+        ], 200);
+    } else {
+        send_json([
+            "status" => "error",
+            "message" => "Failed to update note",
+            "error" => $stmt->error
+        ], 500);
+    }
+    $stmt->close();
+}
+
+else {
+    send_json([
+        "status" => "error",
+        "message" => "Method not allowed"
+    ], 405);
+}
+
+$conn->close();
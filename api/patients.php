@@ -3,59 +3,313 @@
  * patients.php — Patient management endpoint for MediSync HMS.
  *
  * Supports:
- * - GET: Returns all patients as JSON array
- * - POST: Adds a new patient (fields: patientName, patientAge, patientGender, assignedDoctor, appointmentDate)
+ * - GET: Returns patients as JSON array, with age worked out from date of birth, newest first
+ *        (optional filters: q — name or MRN contains, id, doctor, gender, from/to — registration date)
+ * - GET with page=: The same filters, one page at a time: {patients, total, page, per_page, pages}
+ *        (optional: per_page, default 25, max 100; sort name/mrn/age/gender/doctor/date/created_at; dir asc/desc)
+ *        Doctors and nurses only get the patients in their scope (see patient_scope_sql in config.php):
+ *        assigned and care-team patients, inpatients and today's queue.
+ * - GET with picker=1: Just id, mrn and name, by name, for patient selects (the same filters and scope)
+ * - GET ?duplicates=1&id=: Existing patients that are likely the same person as patient id
+ * - POST: Adds a new patient and assigns their MRN (fields: patientName, patientDob, patientGender,
+ *         assignedDoctor, appointmentDate; optional: patientPhone, patientAddress, nationalId,
+ *         nextOfKinName, nextOfKinRelation, nextOfKinPhone, bloodGroup, allergies).
+ *         If the patient looks like someone already registered, nothing is saved and a 409 with
+ *         status "duplicate" lists the candidates; resend with confirmNew=1 to register anyway.
+ * - PUT/PATCH: Updates a patient (field: id, plus the POST fields). The MRN cannot be changed.
+ * - PUT/PATCH action=merge (Admin): Folds patient merge_id into keep_id — appointments, billing,
+ *         insurance, clinical records, queue, bed and admission history move across, blank details
+ *         are filled from the duplicate, and the duplicate is removed (see patient_merges)
+ * - DELETE: Removes a patient (field: id)
  *
- * Returns JSON response with status and message.
+ * Returns JSON response with status and message. Invalid fields are rejected with 400, and a
+ * national ID already on another patient with 409.
+ * Duplicates are scored on date of birth, phone (last nine digits), name spelling and national ID.
+ * Opening one record (GET ?id=) and every change are written to the audit log (see log_action and
+ * log_patient_view in config.php); notes, vitals and visit history log their own patient views.
  *
  * Usage:
  * - GET api/patients.php for patient list
+ * - GET api/patients.php?q=doe&doctor=doctor_john&sort=name&page=2 for the second page of a search
+ * - GET api/patients.php?picker=1 for a patient select
  * - POST api/patients.php with required fields to add patient
  */
 
 include_once(__DIR__ . "/../config.php");
 
-$method = $_SERVER["REQUEST_METHOD"];
+/**
+ * validate_patient — Checks and normalises the patient form fields.
+ * Returns [fields, null] with the column values, or [null, message] on the first invalid field.
+ */
+function validate_patient($conn, $data)
+{
+    $optional = function ($key) use ($data) {
+        $value = trim((string)($data[$key] ?? ""));
+        return $value !== "" ? $value : null;
+    };
+    $fields = [
+        "name" => trim($data["patientName"] ?? ""),
+        "dob" => trim($data["patientDob"] ?? ""),
+        "gender" => trim($data["patientGender"] ?? ""),
+        "doctor" => trim($data["assignedDoctor"] ?? ""),
+        "date" => substr(trim($data["appointmentDate"] ?? ""), 0, 10) ?: null,
+        "phone" => $optional("patientPhone"),
+        "address" => $optional("patientAddress"),
+        "national_id" => $optional("nationalId"),
+        "next_of_kin_name" => $optional("nextOfKinName"),
+        "next_of_kin_relation" => $optional("nextOfKinRelation"),
+        "next_of_kin_phone" => $optional("nextOfKinPhone"),
+        "blood_group" => $optional("bloodGroup"),
+        "allergies" => $optional("allergies")
+    ];
+    $phone = '/^\+?[0-9 ()-]{7,20}$/';
+
+    if ($fields["name"] === "" || !$fields["dob"] || !$fields["gender"] || !$fields["doctor"]) return [null, "Name, date of birth, gender and doctor are required"];
+    if (strlen($fields["name"]) > 100) return [null, "Name must be at most 100 characters"];
+    if (!preg_match('/^\d{4}-\d{2}-\d{2}$/', $fields["dob"]) || !strtotime($fields["dob"])) return [null, "Date of birth must be YYYY-MM-DD"];
+    if ($fields["dob"] > date("Y-m-d")) return [null, "Date of birth cannot be in the future"];
+    if ($fields["dob"] < date("Y-m-d", strtotime("-130 years"))) return [null, "Date of birth is more than 130 years ago"];
+    if (!in_array($fields["gender"], ['Male', 'Female', 'Other'], true)) return [null, "Gender must be Male, Female or Other"];
+    if ($fields["date"] && !preg_match('/^\d{4}-\d{2}-\d{2}$/', $fields["date"])) return [null, "Appointment date must be YYYY-MM-DD"];
+    if ($fields["phone"] && !preg_match($phone, $fields["phone"])) return [null, "Phone must be 7-20 digits, optionally starting with +"];
+    if ($fields["next_of_kin_phone"] && !preg_match($phone, $fields["next_of_kin_phone"])) return [null, "Next of kin phone must be 7-20 digits, optionally starting with +"];
+    if ($fields["national_id"] && !preg_match('/^[A-Za-z0-9-]{4,30}$/', $fields["national_id"])) return [null, "National ID must be 4-30 letters, digits or dashes"];
+    if ($fields["blood_group"] && !in_array($fields["blood_group"], patient_blood_groups(), true)) return [null, "Blood group must be one of: " . implode(", ", patient_blood_groups())];
+    if ($fields["next_of_kin_phone"] && !$fields["next_of_kin_name"]) return [null, "Next of kin name required with their phone"];
+
+    $chk = $conn->prepare("SELECT 1 FROM staff WHERE username = ? AND role = 'Doctor'");
+    $chk->bind_param("s", $fields["doctor"]);
+    $chk->execute();
+    $isDoctor = (bool)$chk->get_result()->fetch_row();
+    $chk->close();
+    if (!$isDoctor) return [null, "Assigned doctor not found"];
+
+    return [$fields, null];
+}
+
+/**
+ * patient_duplicates — Registered patients that are likely the same person, best match first.
+ * Each candidate carries a score and the reasons it matched; only scores of 50 or more are returned.
+ */
+function patient_duplicates($conn, $name, $dob, $phone, $nationalId, $excludeId = 0)
+{
+    $normaliseName = function ($n) {
+        $tokens = preg_split('/\s+/', trim(preg_replace('/[^a-z ]/', '', strtolower((string)$n))));
+        sort($tokens);
+        return implode(" ", $tokens);
+    };
+    $normalisePhone = function ($p) {
+        return substr(preg_replace('/\D/', '', (string)$p), -9);
+    };
+    $rawName = $name;
+    $name = $normaliseName($name);
+    $phone = $normalisePhone($phone);
+    $nationalId = (string)$nationalId;
+    $digits = "RIGHT(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(phone, ' ', ''), '-', ''), '(', ''), ')', ''), '+', ''), 9)";
 
-if ($method === "GET") {
-        $res = $conn->query("SELECT id, name, age, gender, doctor, date FROM patients ORDER BY id DESC");
-        if ($res === false) {
-                send_json([
-                    "status" => "error",
-                    "message" => "Query failed: " . ($conn ? $conn->error : 'unknown')
-                ], 500);
-                if (isset($conn) && $conn) $conn->close();
-                exit;
+    $stmt = $conn->prepare("SELECT id, mrn, name, dob, gender, phone, national_id, doctor FROM patients
+                            WHERE id <> ? AND (dob = ? OR national_id = ? OR SOUNDEX(name) = SOUNDEX(?) OR ($digits = ? AND ? <> ''))");
+    $stmt->bind_param("isssss", $excludeId, $dob, $nationalId, $rawName, $phone, $phone);
+    $stmt->execute();
+    $res = $stmt->get_result();
+    $candidates = [];
+    while ($row = $res->fetch_assoc()) {
+        $score = 0;
+        $reasons = [];
+        if ($nationalId !== "" && $row["national_id"] === $nationalId) { $score += 60; $reasons[] = "same national ID"; }
+        if ($row["dob"] === $dob) { $score += 40; $reasons[] = "same date of birth"; }
+        if ($phone !== "" && $normalisePhone($row["phone"]) === $phone) { $score += 35; $reasons[] = "same phone"; }
+        $other = $normaliseName($row["name"]);
+        similar_text($name, $other, $percent);
+        if ($other === $name) { $score += 40; $reasons[] = "same name"; }
+        elseif ($percent >= 75 || metaphone($other) === metaphone($name)) { $score += 25; $reasons[] = "similar name"; }
+        if ($score >= 50) {
+            $candidates[] = $row + ["score" => min($score, 100), "reasons" => $reasons];
         }
+    }
+    $stmt->close();
+    usort($candidates, function ($a, $b) { return $b["score"] - $a["score"]; });
+    return array_slice($candidates, 0, 5);
+}
+
+/**
+ * patient_merge — Moves everything recorded against patient $mergeId onto $keepId, fills the kept
+ * record's blank details from the duplicate, records the merge and removes the duplicate.
+ * Call inside a transaction with both patient rows locked. Returns false if a write failed.
+ */
+function patient_merge($conn, $keep, $merge, $userId)
+{
+    $keepId = (int)$keep["id"];
+    $mergeId = (int)$merge["id"];
+    $keepName = $conn->real_escape_string($keep["name"]);
+    $moved = [];
+    foreach (['appointments', 'billing', 'insurance_policies', 'prescriptions', 'clinical_notes', 'vitals', 'messages',
+              'queue_entries', 'beds', 'bed_assignments', 'admissions', 'lab_orders', 'stock_movements'] as $table) {
+        $extra = in_array($table, ['appointments', 'billing'], true) ? ", patient_name = '$keepName'" : "";
+        if (!$conn->query("UPDATE $table SET patient_id = $keepId$extra WHERE patient_id = $mergeId")) return false;
+        $moved[$table] = $conn->affected_rows;
+    }
+    // Staff already on the kept patient's care team keep their own membership
+    if (!$conn->query("UPDATE IGNORE care_team SET patient_id = $keepId WHERE patient_id = $mergeId")) return false;
+    $moved['care_team'] = $conn->affected_rows;
+    if (!$conn->query("DELETE FROM care_team WHERE patient_id = $mergeId")) return false;
+
+    // The duplicate goes first so its national ID is free to move onto the kept record
+    if (!$conn->query("DELETE FROM patients WHERE id = $mergeId")) return false;
+    $fill = [];
+    foreach (['phone', 'address', 'national_id', 'next_of_kin_name', 'next_of_kin_relation', 'next_of_kin_phone', 'blood_group'] as $column) {
+        if (($keep[$column] ?? null) === null && $merge[$column] !== null) $fill[$column] = $merge[$column];
+    }
+    if ($merge["allergies"] !== null && stripos((string)$keep["allergies"], $merge["allergies"]) === false) {
+        $fill["allergies"] = $keep["allergies"] !== null ? $keep["allergies"] . "; " . $merge["allergies"] : $merge["allergies"];
+    }
+    $sets = "created_at = LEAST(created_at, '" . $conn->real_escape_string($merge["created_at"]) . "')";
+    foreach ($fill as $column => $value) {
+        $sets .= ", $column = '" . $conn->real_escape_string($value) . "'";
+    }
+    if (!$conn->query("UPDATE patients SET $sets WHERE id = $keepId")) return false;
+
+    $stmt = $conn->prepare("INSERT INTO patient_merges (kept_patient_id, merged_patient_id, merged_mrn, merged_record, moved_rows, merged_by) VALUES (?,?,?,?,?,?)");
+    if (!$stmt) return false;
+    $record = json_encode($merge);
+    $movedJson = json_encode($moved);
+    $stmt->bind_param("iisssi", $keepId, $mergeId, $merge["mrn"], $record, $movedJson, $userId);
+    $ok = $stmt->execute();
+    $stmt->close();
+    return $ok;
+}
+
+$method = $_SERVER["REQUEST_METHOD"];
+
+if ($method === "GET" && !empty($_GET["duplicates"])) {
+    require_role(['Receptionist', 'Admin']);
+    $id = (int)($_GET["id"] ?? 0);
+    $res = $conn->query("SELECT name, dob, phone, national_id FROM patients WHERE id = $id");
+    $patient = $res ? $res->fetch_assoc() : null;
+    if (!$patient) {
+        send_json([
+            "status" => "error",
+            "message" => "Patient not found"
+        ], 404);
+        $conn->close();
+        exit;
+    }
+    send_json([
+        "status" => "success",
+        "candidates" => patient_duplicates($conn, $patient["name"], $patient["dob"], $patient["phone"], $patient["national_id"], $id)
+    ], 200);
+}
+
+elseif ($method === "GET") {
+    require_role(['Admin', 'Receptionist', 'Doctor', 'Nurse']);
+    $where = [patient_scope_sql($conn, 'id')];
+    $types = "";
+    $params = [];
+    $q = trim($_GET["q"] ?? "");
+    if ($q !== "") {
+        $where[] = "(name LIKE ? OR mrn LIKE ?)";
+        $types .= "ss";
+        $params[] = "%$q%";
+        $params[] = "%$q%";
+    }
+    foreach (['id' => 'id = ?', 'doctor' => 'doctor = ?', 'gender' => 'gender = ?', 'from' => 'DATE(created_at) >= ?', 'to' => 'DATE(created_at) <= ?'] as $key => $clause) {
+        $value = trim($_GET[$key] ?? "");
+        if ($value === "") continue;
+        $where[] = $clause;
+        $types .= "s";
+        $params[] = $value;
+    }
+    $whereSql = " WHERE " . implode(" AND ", $where);
+
+    // Age sorts on date of birth the other way round
+    $sortColumns = ['name' => 'name', 'mrn' => 'mrn', 'age' => 'dob', 'gender' => 'gender', 'doctor' => 'doctor', 'date' => 'date', 'created_at' => 'created_at'];
+    $sort = $_GET["sort"] ?? "";
+    $desc = strtolower($_GET["dir"] ?? "") === "desc";
+    if ($sort === "age") $desc = !$desc;
+    $orderSql = isset($sortColumns[$sort]) ? " ORDER BY " . $sortColumns[$sort] . ($desc ? " DESC" : " ASC") . ", id DESC" : " ORDER BY id DESC";
+    $picker = !empty($_GET["picker"]);
+    if ($picker && $sort === "") $orderSql = " ORDER BY name, id";
+
+    $paged = isset($_GET["page"]);
+    $page = max(1, (int)($_GET["page"] ?? 1));
+    $perPage = min(100, max(1, (int)($_GET["per_page"] ?? 25)));
+    $limitSql = $paged ? " LIMIT $perPage OFFSET " . (($page - 1) * $perPage) : "";
+
+    $columns = $picker ? "id, mrn, name" : "id, mrn, name, dob, TIMESTAMPDIFF(YEAR, dob, CURDATE()) AS age, gender, phone, address, national_id,
+                                   next_of_kin_name, next_of_kin_relation, next_of_kin_phone, blood_group, allergies, doctor, date";
+    $stmt = $conn->prepare("SELECT $columns FROM patients$whereSql$orderSql$limitSql");
+    $count = $paged ? $conn->prepare("SELECT COUNT(*) FROM patients$whereSql") : null;
+    if (!$stmt || ($paged && !$count)) {
+        send_json([
+            "status" => "error",
+            "message" => "Query failed: " . $conn->error
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    if ($params) $stmt->bind_param($types, ...$params);
+    $stmt->execute();
+    $res = $stmt->get_result();
     $patients = [];
     while ($row = $res->fetch_assoc()) {
         $patients[] = $row;
     }
-    send_json($patients, 200);
+    $stmt->close();
+
+    // Opening one patient's record is a view of their chart; lists and searches are not
+    if (!empty($_GET["id"]) && !$picker && $patients) {
+        log_patient_view($conn, $patients[0]["id"], 'details');
+    }
+
+    if (!$paged) {
+        send_json($patients, 200);
+    } else {
+        if ($params) $count->bind_param($types, ...$params);
+        $count->execute();
+        $total = (int)$count->get_result()->fetch_row()[0];
+        $count->close();
+        send_json([
+            "status" => "success",
+            "patients" => $patients,
+            "total" => $total,
+            "page" => $page,
+            "per_page" => $perPage,
+            "pages" => max(1, (int)ceil($total / $perPage))
+        ], 200);
+    }
 }
 
 elseif ($method === "POST") {
   // Only Receptionists and Admins can add patients
   require_role(['Receptionist', 'Admin']);
     $data = get_request_data();
-    $name = trim($data["patientName"] ?? "");
-    $age = (int)($data["patientAge"] ?? 0);
-    $gender = $data["patientGender"] ?? "";
-    $doctor = $data["assignedDoctor"] ?? "";
-    $date = $data["appointmentDate"] ?? date("Y-m-d");
+    if (empty($data["appointmentDate"])) $data["appointmentDate"] = date("Y-m-d");
+    list($fields, $error) = validate_patient($conn, $data);
 
-    // Validate required fields
-    if (!$name || !$age || !$gender || !$doctor) {
+    if ($error) {
         send_json([
           "status" => "error",
-          "message" => "All fields required"
+          "message" => $error
         ], 400);
         if (isset($conn) && $conn) $conn->close();
         exit;
     }
 
+    // Offer likely existing records before creating another one
+    $candidates = empty($data["confirmNew"]) ? patient_duplicates($conn, $fields["name"], $fields["dob"], $fields["phone"], $fields["national_id"]) : [];
+    if ($candidates) {
+        send_json([
+          "status" => "duplicate",
+          "message" => "This patient may already be registered",
+          "candidates" => $candidates
+        ], 409);
+        if (isset($conn) && $conn) $conn->close();
+        exit;
+    }
+
     // Insert new patient record
-    $stmt = $conn->prepare("INSERT INTO patients (name, age, gender, doctor, date) VALUES (?,?,?,?,?)");
+    $columns = array_keys($fields);
+    $stmt = $conn->prepare("INSERT INTO patients (" . implode(", ", $columns) . ") VALUES (" . implode(",", array_fill(0, count($columns), "?")) . ")");
     if (!$stmt) {
         send_json([
           "status" => "error",
@@ -64,46 +318,118 @@ elseif ($method === "POST") {
         if (isset($conn) && $conn) $conn->close();
         exit;
     }
-    $stmt->bind_param("sisss", $name, $age, $gender, $doctor, $date);
+    $values = array_values($fields);
+    $stmt->bind_param(str_repeat("s", count($values)), ...$values);
 
-    if ($stmt->execute()) {
+    // The MRN comes from the new id, so the record and its MRN are written together or not at all
+    $conn->begin_transaction();
+    $ok = $stmt->execute();
+    $failure = $stmt->error;
+    if ($ok) {
+        $id = $stmt->insert_id;
+        $mrn = sprintf("MRN-%06d", $id);
+        $mrnStmt = $conn->prepare("UPDATE patients SET mrn = ? WHERE id = ?");
+        $ok = $mrnStmt && $mrnStmt->bind_param("si", $mrn, $id) && $mrnStmt->execute();
+        $failure = $mrnStmt ? $mrnStmt->error : $conn->error;
+        if ($mrnStmt) $mrnStmt->close();
+    }
+
+    if ($ok) {
+        $conn->commit();
+        log_action('patient_created', ['mrn' => $mrn], 'patient', $id, null, audit_row($conn, 'patients', $id));
         send_json([
           "status" => "success",
-          "message" => "Patient added successfully",
-          "id" => $stmt->insert_id
+          "message" => "Patient added successfully (MRN $mrn)",
+          "id" => $id,
+          "mrn" => $mrn
         ], 201);
+    } elseif ($stmt->errno === 1062) {
+        $conn->rollback();
+        send_json([
+          "status" => "error",
+          "message" => "Another patient already has that national ID"
+        ], 409);
     } else {
+        $conn->rollback();
         send_json([
           "status" => "error",
           "message" => "Failed to add patient",
-          "error" => $stmt->error
+          "error" => $failure
         ], 500);
     }
 
     if (isset($stmt) && $stmt) $stmt->close();
 }
 
+elseif (($method === "PUT" || $method === "PATCH") && (get_request_data()["action"] ?? "") === "merge") {
+    require_role(['Admin']);
+    $data = get_request_data();
+    $keepId = (int)($data["keep_id"] ?? 0);
+    $mergeId = (int)($data["merge_id"] ?? 0);
+
+    $conn->begin_transaction();
+    $rows = [];
+    $res = $conn->query("SELECT p.*, (SELECT COUNT(*) FROM admissions WHERE patient_id = p.id AND status = 'admitted') AS open_admissions
+                         FROM patients p WHERE p.id IN ($keepId, $mergeId) FOR UPDATE");
+    while ($res && $row = $res->fetch_assoc()) {
+        $rows[(int)$row["id"]] = $row;
+    }
+    $keep = $rows[$keepId] ?? null;
+    $merge = $rows[$mergeId] ?? null;
+
+    $error = null;
+    if ($keepId === $mergeId) $error = [400, "Choose two different patients"];
+    elseif (!$keep || !$merge) $error = [404, "Patient not found"];
+    elseif ($keep["open_admissions"] && $merge["open_admissions"]) $error = [409, "Both records are currently admitted; discharge one stay first"];
+    if ($error) {
+        $conn->rollback();
+        send_json([
+            "status" => "error",
+            "message" => $error[1]
+        ], $error[0]);
+        $conn->close();
+        exit;
+    }
+
+    unset($keep["open_admissions"], $merge["open_admissions"]);
+    if (patient_merge($conn, $keep, $merge, (int)current_user()['id'])) {
+        $conn->commit();
+        log_action('patient_merged', [
+            'kept_patient_id' => $keepId,
+            'merged_patient_id' => $mergeId,
+            'merged_mrn' => $merge["mrn"]
+        ], 'patient', $keepId, ['kept' => $keep, 'merged' => $merge], audit_row($conn, 'patients', $keepId));
+        send_json([
+            "status" => "success",
+            "message" => $merge["name"] . " (" . $merge["mrn"] . ") merged into " . $keep["name"] . " (" . $keep["mrn"] . ")"
+        ], 200);
+    } else {
+        $conn->rollback();
+        send_json([
+            "status" => "error",
+            "message" => "Failed to merge patients",
+            "error" => $conn->error
+        ], 500);
+    }
+}
+
 elseif ($method === "PUT" || $method === "PATCH") {
     // Only Receptionists and Admins can update patients
     require_role(['Receptionist', 'Admin']);
     $data = get_request_data();
     $id = (int)($data["id"] ?? 0);
-    $name = trim($data["patientName"] ?? "");
-    $age = (int)($data["patientAge"] ?? 0);
-    $gender = $data["patientGender"] ?? "";
-    $doctor = $data["assignedDoctor"] ?? "";
-    $date = $data["appointmentDate"] ?? "";
+    list($fields, $error) = $id ? validate_patient($conn, $data) : [null, "Patient ID required"];
 
-    if (!$id || !$name || !$age || !$gender || !$doctor) {
+    if ($error) {
         send_json([
             "status" => "error",
-            "message" => "Missing required fields"
+            "message" => $error
         ], 400);
         if (isset($conn) && $conn) $conn->close();
         exit;
     }
 
-    $stmt = $conn->prepare("UPDATE patients SET name=?, age=?, gender=?, doctor=?, date=? WHERE id=?");
+    $stmt = $conn->prepare("UPDATE patients SET " . implode("=?, ", array_keys($fields)) . "=? WHERE id=?");
     if (!$stmt) {
         send_json([
             "status" => "error",
@@ -112,13 +438,27 @@ elseif ($method === "PUT" || $method === "PATCH") {
         if (isset($conn) && $conn) $conn->close();
         exit;
     }
-    $stmt->bind_param("sisssi", $name, $age, $gender, $doctor, $date, $id);
+    $values = array_values($fields);
+    $values[] = $id;
+    $stmt->bind_param(str_repeat("s", count($fields)) . "i", ...$values);
+    $before = audit_row($conn, 'patients', $id);
 
-    if ($stmt->execute()) {
+    if (!$before) {
+        send_json([
+            "status" => "error",
+            "message" => "Patient not found"
+        ], 404);
+    } elseif ($stmt->execute()) {
+        log_action('patient_updated', ['mrn' => $before["mrn"]], 'patient', $id, $before, audit_row($conn, 'patients', $id));
         send_json([
             "status" => "success",
             "message" => "Patient updated successfully"
         ], 200);
+    } elseif ($stmt->errno === 1062) {
+        send_json([
+            "status" => "error",
+            "message" => "Another patient already has that national ID"
+        ], 409);
     } else {
         send_json([
             "status" => "error",
@@ -154,8 +494,10 @@ elseif ($method === "DELETE") {
         exit;
     }
     $stmt->bind_param("i", $id);
+    $before = audit_row($conn, 'patients', $id);
 
     if ($stmt->execute()) {
+        if ($before) log_action('patient_deleted', ['mrn' => $before["mrn"]], 'patient', $id, $before);
         send_json([
             "status" => "success",
             "message" => "Patient deleted successfully"
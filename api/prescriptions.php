@@ -0,0 +1,253 @@
+<?php
+/**
+ * prescriptions.php — Prescription management endpoint for MediSync HMS.
+ *
+ * Supports:
+ * - GET: Returns prescriptions as JSON array, with the quantity dispensed from stock so far
+ *        (optional filters: patient_id, status, mine=1; see inventory.php for dispensing).
+ *        Doctors and nurses get the patients in their scope (patient_scope_sql) plus what they prescribed.
+ * - POST: Creates a prescription (fields: patient_id, medication, dosage, frequency, start_date, end_date)
+ * - PUT/PATCH: Changes prescription status (fields: id, status, reason). Only the prescriber or a doctor
+ *        with the patient in scope may change it; anyone else gets 403.
+ *
+ * Prescriptions are never deleted; they are completed or discontinued so the history stays intact.
+ * Status values: active, completed, discontinued.
+ *
+ * Usage:
+ * - GET api/prescriptions.php?patient_id=3&status=active
+ * - POST api/prescriptions.php with required fields to prescribe (Doctor only)
+ * - PUT api/prescriptions.php with id and status to complete/discontinue
+ */
+
+include_once(__DIR__ . "/../config.php");
+
+$PRESCRIPTION_STATUSES = ['active', 'completed', 'discontinued'];
+$PRESCRIPTION_FREQUENCIES = ['OD', 'BD', 'TDS', 'QID', 'PRN'];
+
+$method = $_SERVER["REQUEST_METHOD"];
+
+if ($method === "GET") {
+    // Clinical staff and Admins may read prescriptions
+    require_role(['Doctor', 'Nurse', 'Admin']);
+
+    // Doctors and nurses see their patients' prescriptions (see patient_scope_sql), and prescribers their own
+    $where = ["(p.prescribed_by = ? OR " . patient_scope_sql($conn, 'p.patient_id') . ")"];
+    $types = "i";
+    $params = [(int)current_user()['id']];
+
+    $patientId = (int)($_GET["patient_id"] ?? 0);
+    if ($patientId) {
+        $where[] = "p.patient_id = ?";
+        $types .= "i";
+        $params[] = $patientId;
+    }
+    $status = strtolower(trim($_GET["status"] ?? ""));
+    if ($status !== "") {
+        if (!in_array($status, $PRESCRIPTION_STATUSES, true)) {
+            send_json([
+                "status" => "error",
+                "message" => "Invalid status filter"
+            ], 400);
+            $conn->close();
+            exit;
+        }
+        $where[] = "p.status = ?";
+        $types .= "s";
+        $params[] = $status;
+    }
+    if (!empty($_GET["mine"])) {
+        $where[] = "p.prescribed_by = ?";
+        $types .= "i";
+        $params[] = (int)current_user()['id'];
+    }
+
+    $sql = "SELECT p.id, p.patient_id, pt.name AS patient_name, p.prescribed_by, s.username AS prescriber,
+                   p.medication, p.dosage, p.frequency, p.start_date, p.end_date, p.status,
+                   p.created_at, p.status_changed_at, p.status_reason,
+                   (SELECT COALESCE(-SUM(quantity), 0) FROM stock_movements WHERE prescription_id = p.id AND type = 'dispense') AS dispensed
+            FROM prescriptions p
+            LEFT JOIN patients pt ON pt.id = p.patient_id
+            LEFT JOIN staff s ON s.id = p.prescribed_by";
+    if ($where) $sql .= " WHERE " . implode(" AND ", $where);
+    $sql .= " ORDER BY p.status = 'active' DESC, p.created_at DESC, p.id DESC";
+
+    $stmt = $conn->prepare($sql);
+    if (!$stmt) {
+        send_json([
+            "status" => "error",
+            "message" => "Server error preparing statement"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    if ($params) $stmt->bind_param($types, ...$params);
+    $stmt->execute();
+    $res = $stmt->get_result();
+    $prescriptions = [];
+    while ($row = $res->fetch_assoc()) {
+        $prescriptions[] = $row;
+    }
+    send_json($prescriptions, 200);
+    $stmt->close();
+}
+
+elseif ($method === "POST") {
+    // Only Doctors can prescribe
+    require_role(['Doctor']);
+    $data = get_request_data();
+    $patientId = (int)($data["patient_id"] ?? 0);
+    $medication = trim($data["medication"] ?? "");
+    $dosage = trim($data["dosage"] ?? "");
+    $frequency = strtoupper(trim($data["frequency"] ?? "OD"));
+    $startDate = $data["start_date"] ?? "";
+    $endDate = $data["end_date"] ?? "";
+    if (!$startDate) $startDate = date("Y-m-d");
+
+    if (!$patientId || !$medication || !$dosage) {
+        send_json([
+            "status" => "error",
+            "message" => "Patient, medication and dosage required"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+    if (!in_array($frequency, $PRESCRIPTION_FREQUENCIES, true)) {
+        send_json([
+            "status" => "error",
+            "message" => "Invalid frequency"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+    if ($endDate !== "" && $endDate < $startDate) {
+        send_json([
+            "status" => "error",
+            "message" => "End date cannot be before start date"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+
+    // Make sure the patient exists before linking the prescription to it
+    $chk = $conn->prepare("SELECT id FROM patients WHERE id = ?");
+    $chk->bind_param("i", $patientId);
+    $chk->execute();
+    $found = $chk->get_result()->num_rows > 0;
+    $chk->close();
+    if (!$found) {
+        send_json([
+            "status" => "error",
+            "message" => "Patient not found"
+        ], 404);
+        $conn->close();
+        exit;
+    }
+
+    $doctorId = (int)current_user()['id'];
+    $endDate = $endDate !== "" ? $endDate : null;
+    $stmt = $conn->prepare("INSERT INTO prescriptions (patient_id, prescribed_by, medication, dosage, frequency, start_date, end_date, status) VALUES (?,?,?,?,?,?,?,'active')");
+    if (!$stmt) {
+        send_json([
+            "status" => "error",
+            "message" => "Server error preparing statement"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    $stmt->bind_param("iisssss", $patientId, $doctorId, $medication, $dosage, $frequency, $startDate, $endDate);
+
+    if ($stmt->execute()) {
+        log_action('prescription_created', [
+            'prescription_id' => $stmt->insert_id,
+            'patient_id' => $patientId,
+            'medication' => $medication
+        ], 'prescription', $stmt->insert_id, null, audit_row($conn, 'prescriptions', $stmt->insert_id));
+        send_json([
+            "status" => "success",
+            "message" => "Prescription added successfully",
+            "id" => $stmt->insert_id
+        ], 201);
+    } else {
+        send_json([
+            "status" => "error",
+            "message" => "Failed to add prescription",
+            "error" => $stmt->error
+        ], 500);
+    }
+    $stmt->close();
+}
+
+elseif ($method === "PUT" || $method === "PATCH") {
+    // Only Doctors can complete or discontinue prescriptions
+    require_role(['Doctor']);
+    $data = get_request_data();
+    $id = (int)($data["id"] ?? 0);
+    $status = strtolower(trim($data["status"] ?? ""));
+    $reason = trim($data["reason"] ?? "");
+
+    if (!$id || !in_array($status, ['completed', 'discontinued'], true)) {
+        send_json([
+            "status" => "error",
+            "message" => "Prescription ID and a status of completed or discontinued required"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+
+    // The prescriber, or a doctor with the patient in scope, may change it (the same rule as GET)
+    $userId = (int)current_user()['id'];
+    $before = audit_row($conn, 'prescriptions', $id);
+    if ($before && (int)$before["prescribed_by"] !== $userId && !patient_in_scope($conn, $before["patient_id"])) {
+        send_json([
+            "status" => "error",
+            "message" => "Patient is not in your care"
+        ], 403);
+        $conn->close();
+        exit;
+    }
+
+    // Only active prescriptions can change state; completed/discontinued are final
+    $reason = $reason !== "" ? $reason : null;
+    $stmt = $conn->prepare("UPDATE prescriptions SET status = ?, status_reason = ?, status_changed_at = NOW(), status_changed_by = ? WHERE id = ? AND status = 'active'");
+    if (!$stmt) {
+        send_json([
+            "status" => "error",
+            "message" => "Server error preparing statement"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    $stmt->bind_param("ssii", $status, $reason, $userId, $id);
+
+    if (!$stmt->execute()) {
+        send_json([
+            "status" => "error",
+            "message" => "Failed to update prescription",
+            "error" => $stmt->error
+        ], 500);
+    } elseif ($stmt->affected_rows === 0) {
+        send_json([
+            "status" => "error",
+            "message" => "Prescription not found or no longer active"
+        ], 409);
+    } else {
+        log_action('prescription_' . $status, [
+            'prescription_id' => $id,
+            'reason' => $reason
+        ], 'prescription', $id, $before, audit_row($conn, 'prescriptions', $id));
+        send_json([
+            "status" => "success",
+            "message" => "Prescription " . $status
+        ], 200);
+    }
+    $stmt->close();
+}
+
+else {
+    send_json([
+        "status" => "error",
+        "message" => "Method not allowed"
+    ], 405);
+}
+
+$conn->close();
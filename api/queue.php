@@ -0,0 +1,304 @@
+<?php
+/**
+ * queue.php — Waiting-room queue endpoint for MediSync HMS.
+ *
+ * Supports:
+ * - GET: Today's queue in arrival order with position and wait time
+ *        (optional: doctor, mine=1 for the logged-in doctor, all=1 to include finished entries).
+ *        Doctors always get their own queue.
+ * - POST: Registers a walk-in straight into the queue (fields: patient_id, doctor, notes)
+ * - PUT/PATCH: Moves the queue on (fields: action, id)
+ *   - action=call_next (Doctor): finishes the doctor's current patient and calls the next one waiting
+ *   - action=done (Doctor): finishes the current patient without calling anyone
+ *   - action=left (Receptionist/Admin): removes a patient who left before being seen
+ *
+ * Patients with appointments join the queue when checked in via appointments.php.
+ * Entry status values: waiting, called, done, left.
+ *
+ * Usage:
+ * - GET api/queue.php for the reception queue view
+ * - PUT api/queue.php with action=call_next from the doctor dashboard
+ */
+
+include_once(__DIR__ . "/../config.php");
+
+/**
+ * queue_finish_current — Marks the doctor's called patient as seen, completing the linked
+ * appointment if it is still checked in. Runs inside the caller's transaction and returns what it
+ * finished (queue entries and completed appointments, with their rows before the change) for
+ * queue_log_finished once the transaction commits, or false if an update failed.
+ */
+function queue_finish_current($conn, $doctor)
+{
+    $today = date("Y-m-d");
+    $res = $conn->prepare("SELECT id, appointment_id FROM queue_entries WHERE doctor = ? AND queue_date = ? AND status = 'called' FOR UPDATE");
+    $res->bind_param("ss", $doctor, $today);
+    $res->execute();
+    $current = $res->get_result()->fetch_all(MYSQLI_ASSOC);
+    $res->close();
+
+    $finished = [];
+    foreach ($current as $entry) {
+        $id = (int)$entry["id"];
+        $done = ['queue_id' => $id, 'before' => audit_row($conn, 'queue_entries', $id), 'appointment_id' => null, 'appointment_before' => null];
+        if (!$conn->query("UPDATE queue_entries SET status = 'done', completed_at = NOW() WHERE id = $id")) return false;
+        if ($entry["appointment_id"]) {
+            $appointmentId = (int)$entry["appointment_id"];
+            $appointmentBefore = audit_row($conn, 'appointments', $appointmentId);
+            if (!$conn->query("UPDATE appointments SET status = 'Completed', updated_at = NOW() WHERE id = $appointmentId AND status = 'Checked-in'")) return false;
+            if ($conn->affected_rows > 0) {
+                $done['appointment_id'] = $appointmentId;
+                $done['appointment_before'] = $appointmentBefore;
+            }
+        }
+        $finished[] = $done;
+    }
+    return $finished;
+}
+
+/**
+ * queue_log_finished — Writes the audit entries for what queue_finish_current finished: the queue
+ * entry and, where one was completed, the appointment. Call after the transaction commits.
+ */
+function queue_log_finished($conn, $finished)
+{
+    foreach ($finished as $done) {
+        log_action('queue_done', ['queue_id' => $done['queue_id'], 'appointment_id' => $done['appointment_id']], 'queue_entry', $done['queue_id'],
+            $done['before'], audit_row($conn, 'queue_entries', $done['queue_id']));
+        if ($done['appointment_id']) {
+            log_action('appointment_status_changed', [
+                'appointment_id' => $done['appointment_id'],
+                'from' => 'Checked-in',
+                'to' => 'Completed'
+            ], 'appointment', $done['appointment_id'], $done['appointment_before'], audit_row($conn, 'appointments', $done['appointment_id']));
+        }
+    }
+}
+
+$user = current_user();
+if (!$user) {
+    send_json([
+        "status" => "error",
+        "message" => "Not authenticated"
+    ], 401);
+    $conn->close();
+    exit;
+}
+
+$method = $_SERVER["REQUEST_METHOD"];
+
+if ($method === "GET") {
+    require_role(['Admin', 'Receptionist', 'Doctor']);
+    $today = date("Y-m-d");
+    $where = ["q.queue_date = '$today'"];
+    // Doctors only ever see their own queue, whatever they ask for
+    $doctor = !empty($_GET["mine"]) || strcasecmp($user['role'], 'Doctor') === 0 ? $user['username'] : trim($_GET["doctor"] ?? "");
+    if ($doctor !== "") $where[] = "q.doctor = '" . $conn->real_escape_string($doctor) . "'";
+    if (empty($_GET["all"])) $where[] = "q.status IN ('waiting', 'called')";
+
+    $sql = "SELECT q.id, q.patient_id, p.name AS patient_name, q.appointment_id, TIME_FORMAT(a.time, '%H:%i') AS appointment_time,
+                   q.doctor, q.source, q.status, q.notes, q.checked_in_at, q.called_at, q.completed_at,
+                   TIMESTAMPDIFF(MINUTE, q.checked_in_at, COALESCE(q.called_at, NOW())) AS wait_minutes
+            FROM queue_entries q
+            LEFT JOIN patients p ON p.id = q.patient_id
+            LEFT JOIN appointments a ON a.id = q.appointment_id
+            WHERE " . implode(" AND ", $where) . "
+            ORDER BY q.status = 'called' DESC, q.status = 'waiting' DESC, q.checked_in_at ASC, q.id ASC";
+
+    $res = $conn->query($sql);
+    if ($res === false) {
+        send_json([
+            "status" => "error",
+            "message" => "Query failed"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    // Positions are per doctor: the next waiting patient for each doctor is number 1
+    $entries = [];
+    $positions = [];
+    while ($row = $res->fetch_assoc()) {
+        $row["wait_minutes"] = (int)$row["wait_minutes"];
+        $row["position"] = null;
+        if ($row["status"] === "waiting") {
+            $positions[$row["doctor"]] = ($positions[$row["doctor"]] ?? 0) + 1;
+            $row["position"] = $positions[$row["doctor"]];
+        }
+        $entries[] = $row;
+    }
+    send_json([
+        "status" => "success",
+        "date" => $today,
+        "waiting" => array_sum($positions),
+        "entries" => $entries
+    ], 200);
+}
+
+elseif ($method === "POST") {
+    require_role(['Admin', 'Receptionist']);
+    $data = get_request_data();
+    $patientId = (int)($data["patient_id"] ?? 0);
+    $doctor = trim($data["doctor"] ?? "");
+    $notes = trim($data["notes"] ?? "");
+
+    if (!$patientId || !$doctor) {
+        send_json([
+            "status" => "error",
+            "message" => "Patient and doctor required"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+
+    $chk = $conn->prepare("SELECT (SELECT COUNT(*) FROM patients WHERE id = ?) AS patient,
+                                  (SELECT COUNT(*) FROM staff WHERE username = ? AND role = 'Doctor') AS doctor,
+                                  (SELECT COUNT(*) FROM queue_entries WHERE patient_id = ? AND queue_date = CURDATE() AND status IN ('waiting', 'called')) AS queued");
+    $chk->bind_param("isi", $patientId, $doctor, $patientId);
+    $chk->execute();
+    $found = $chk->get_result()->fetch_assoc();
+    $chk->close();
+    if (!(int)$found["patient"] || !(int)$found["doctor"]) {
+        send_json([
+            "status" => "error",
+            "message" => "Patient or doctor not found"
+        ], 404);
+        $conn->close();
+        exit;
+    }
+    if ((int)$found["queued"] > 0) {
+        send_json([
+            "status" => "error",
+            "message" => "Patient is already in the queue"
+        ], 409);
+        $conn->close();
+        exit;
+    }
+
+    $checkedInBy = (int)$user['id'];
+    $today = date("Y-m-d");
+    $notes = $notes !== "" ? $notes : null;
+    $stmt = $conn->prepare("INSERT INTO queue_entries (patient_id, doctor, source, notes, queue_date, checked_in_by) VALUES (?,?,'walk-in',?,?,?)");
+    if (!$stmt) {
+        send_json([
+            "status" => "error",
+            "message" => "Server error preparing statement"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    $stmt->bind_param("isssi", $patientId, $doctor, $notes, $today, $checkedInBy);
+
+    if ($stmt->execute()) {
+        log_action('queue_walk_in', [
+            'queue_id' => $stmt->insert_id,
+            'patient_id' => $patientId,
+            'doctor' => $doctor
+        ], 'queue_entry', $stmt->insert_id, null, audit_row($conn, 'queue_entries', $stmt->insert_id));
+        send_json([
+            "status" => "success",
+            "message" => "Walk-in added to the queue",
+            "id" => $stmt->insert_id
+        ], 201);
+    } else {
+        send_json([
+            "status" => "error",
+            "message" => "Failed to add walk-in",
+            "error" => $stmt->error
+        ], 500);
+    }
+    $stmt->close();
+}
+
+elseif ($method === "PUT" || $method === "PATCH") {
+    $data = get_request_data();
+    $action = strtolower(trim($data["action"] ?? ""));
+
+    if ($action === "call_next" || $action === "done") {
+        require_role(['Doctor']);
+        $doctor = $user['username'];
+        $today = date("Y-m-d");
+
+        $conn->begin_transaction();
+        $finished = queue_finish_current($conn, $doctor);
+        $ok = $finished !== false;
+        $next = null;
+        if ($ok && $action === "call_next") {
+            $stmt = $conn->prepare("SELECT q.id, p.name AS patient_name FROM queue_entries q LEFT JOIN patients p ON p.id = q.patient_id
+                                    WHERE q.doctor = ? AND q.queue_date = ? AND q.status = 'waiting'
+                                    ORDER BY q.checked_in_at ASC, q.id ASC LIMIT 1 FOR UPDATE");
+            $stmt->bind_param("ss", $doctor, $today);
+            $stmt->execute();
+            $next = $stmt->get_result()->fetch_assoc();
+            $stmt->close();
+            if ($next) {
+                $nextId = (int)$next["id"];
+                $ok = $conn->query("UPDATE queue_entries SET status = 'called', called_at = NOW() WHERE id = $nextId");
+            }
+        }
+
+        if (!$ok) {
+            $conn->rollback();
+            send_json([
+                "status" => "error",
+                "message" => "Failed to update the queue"
+            ], 500);
+            $conn->close();
+            exit;
+        }
+        $conn->commit();
+        queue_log_finished($conn, $finished);
+        if ($next) log_action('queue_called', ['queue_id' => (int)$next["id"], 'doctor' => $doctor], 'queue_entry', $next["id"],
+            ['status' => 'waiting'], ['status' => 'called']);
+        send_json([
+            "status" => "success",
+            "message" => $action === "done" ? "Patient finished" : ($next ? "Calling " . $next["patient_name"] : "No patients waiting"),
+            "called" => $next
+        ], 200);
+    }
+
+    elseif ($action === "left") {
+        require_role(['Admin', 'Receptionist']);
+        $id = (int)($data["id"] ?? 0);
+        $conn->begin_transaction();
+        $stmt = $conn->prepare("UPDATE queue_entries SET status = 'left', completed_at = NOW() WHERE id = ? AND status IN ('waiting', 'called')");
+        $stmt->bind_param("i", $id);
+        $ok = $stmt->execute() && $stmt->affected_rows > 0;
+        if ($ok) {
+            // A checked-in appointment whose patient walked out is cancelled with that reason
+            $ok = $conn->query("UPDATE appointments a JOIN queue_entries q ON q.appointment_id = a.id
+                                SET a.status = 'Cancelled', a.status_reason = 'Left before being seen', a.updated_at = NOW()
+                                WHERE q.id = $id AND a.status = 'Checked-in'");
+        }
+        if ($ok) {
+            $conn->commit();
+            log_action('queue_left', ['queue_id' => $id], 'queue_entry', $id, null, audit_row($conn, 'queue_entries', $id));
+            send_json([
+                "status" => "success",
+                "message" => "Removed from the queue"
+            ], 200);
+        } else {
+            $conn->rollback();
+            send_json([
+                "status" => "error",
+                "message" => "Queue entry not found"
+            ], 404);
+        }
+        $stmt->close();
+    }
+
+    else {
+        send_json([
+            "status" => "error",
+            "message" => "Action must be call_next, done or left"
+        ], 400);
+    }
+}
+
+else {
+    send_json([
+        "status" => "error",
+        "message" => "Method not allowed"
+    ], 405);
+}
+
+$conn->close();
@@ -0,0 +1,225 @@
+<?php
+/**
+ * shift_swaps.php — Shift swap requests endpoint for MediSync HMS.
+ *
+ * Supports:
+ * - GET: Admins get all requests (optional status filter); Nurses get requests they made or are named in
+ * - POST: A nurse asks to hand one of their shifts to another nurse (fields: shift_id, swap_with, reason)
+ * - PUT/PATCH: An admin approves or rejects a request (fields: id, decision)
+ *
+ * Approving a request reassigns the shift to the named nurse.
+ * Status values: pending, approved, rejected, cancelled.
+ *
+ * Usage:
+ * - GET api/shift_swaps.php?status=pending
+ * - POST api/shift_swaps.php with shift_id and swap_with
+ * - PUT api/shift_swaps.php with id and decision=approved|rejected
+ */
+
+include_once(__DIR__ . "/../config.php");
+
+$method = $_SERVER["REQUEST_METHOD"];
+
+if ($method === "GET") {
+    require_role(['Nurse', 'Admin']);
+    $user = current_user();
+    $where = [];
+    if (strcasecmp($user['role'], 'Admin') !== 0) {
+        $uid = (int)$user['id'];
+        $where[] = "(sw.requested_by = $uid OR sw.swap_with = $uid)";
+    }
+    $status = strtolower(trim($_GET["status"] ?? ""));
+    if (in_array($status, ['pending', 'approved', 'rejected', 'cancelled'], true)) {
+        $where[] = "sw.status = '$status'";
+    }
+
+    $sql = "SELECT sw.id, sw.shift_id, sh.ward, sh.shift_date, sh.shift_type,
+                   sw.requested_by, r.username AS requested_by_name, sw.swap_with, w.username AS swap_with_name,
+                   sw.reason, sw.status, sw.created_at, sw.decided_at, d.username AS decided_by_name
+            FROM shift_swaps sw
+            LEFT JOIN shifts sh ON sh.id = sw.shift_id
+            LEFT JOIN staff r ON r.id = sw.requested_by
+            LEFT JOIN staff w ON w.id = sw.swap_with
+            LEFT JOIN staff d ON d.id = sw.decided_by";
+    if ($where) $sql .= " WHERE " . implode(" AND ", $where);
+    $sql .= " ORDER BY sw.status = 'pending' DESC, sw.created_at DESC";
+
+    $res = $conn->query($sql);
+    if ($res === false) {
+        send_json([
+            "status" => "error",
+            "message" => "Query failed"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    $swaps = [];
+    while ($row = $res->fetch_assoc()) {
+        $swaps[] = $row;
+    }
+    send_json($swaps, 200);
+}
+
+elseif ($method === "POST") {
+    require_role(['Nurse']);
+    $data = get_request_data();
+    $shiftId = (int)($data["shift_id"] ?? 0);
+    $swapWith = (int)($data["swap_with"] ?? 0);
+    $reason = trim($data["reason"] ?? "");
+    $userId = (int)current_user()['id'];
+
+    if (!$shiftId || !$swapWith || $swapWith === $userId) {
+        send_json([
+            "status" => "error",
+            "message" => "Shift and another nurse to swap with required"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+
+    $chk = $conn->prepare("SELECT staff_id, shift_date FROM shifts WHERE id = ?");
+    $chk->bind_param("i", $shiftId);
+    $chk->execute();
+    $shift = $chk->get_result()->fetch_assoc();
+    $chk->close();
+    if (!$shift || (int)$shift["staff_id"] !== $userId) {
+        send_json([
+            "status" => "error",
+            "message" => "You can only request swaps for your own shifts"
+        ], 403);
+        $conn->close();
+        exit;
+    }
+    if ($shift["shift_date"] < date("Y-m-d")) {
+        send_json([
+            "status" => "error",
+            "message" => "Past shifts cannot be swapped"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+
+    $chk = $conn->prepare("SELECT role FROM staff WHERE id = ?");
+    $chk->bind_param("i", $swapWith);
+    $chk->execute();
+    $other = $chk->get_result()->fetch_assoc();
+    $chk->close();
+    if (!$other || strcasecmp($other["role"], "Nurse") !== 0) {
+        send_json([
+            "status" => "error",
+            "message" => "Shifts can only be swapped with another nurse"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+
+    $reason = $reason !== "" ? $reason : null;
+    $stmt = $conn->prepare("INSERT INTO shift_swaps (shift_id, requested_by, swap_with, reason) VALUES (?,?,?,?)");
+    if (!$stmt) {
+        send_json([
+            "status" => "error",
+            "message" => "Server error preparing statement"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    $stmt->bind_param("iiis", $shiftId, $userId, $swapWith, $reason);
+
+    if ($stmt->execute()) {
+        log_action('shift_swap_requested', [
+            'swap_id' => $stmt->insert_id,
+            'shift_id' => $shiftId,
+            'swap_with' => $swapWith
+        ], 'shift_swap', $stmt->insert_id, null, audit_row($conn, 'shift_swaps', $stmt->insert_id));
+        send_json([
+            "status" => "success",
+            "message" => "Swap request sent for approval",
+            "id" => $stmt->insert_id
+        ], 201);
+    } else {
+        send_json([
+            "status" => "error",
+            "message" => "Failed to request swap",
+            "error" => $stmt->error
+        ], 500);
+    }
+    $stmt->close();
+}
+
+elseif ($method === "PUT" || $method === "PATCH") {
+    require_role(['Admin']);
+    $data = get_request_data();
+    $id = (int)($data["id"] ?? 0);
+    $decision = strtolower(trim($data["decision"] ?? ""));
+
+    if (!$id || !in_array($decision, ['approved', 'rejected'], true)) {
+        send_json([
+            "status" => "error",
+            "message" => "Request ID and a decision of approved or rejected required"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+
+    $chk = $conn->prepare("SELECT sw.shift_id, sw.swap_with, sw.status, sh.shift_date, sh.shift_type
+                           FROM shift_swaps sw LEFT JOIN shifts sh ON sh.id = sw.shift_id WHERE sw.id = ?");
+    $chk->bind_param("i", $id);
+    $chk->execute();
+    $swap = $chk->get_result()->fetch_assoc();
+    $chk->close();
+    if (!$swap || $swap["status"] !== "pending") {
+        send_json([
+            "status" => "error",
+            "message" => "Swap request not found or already decided"
+        ], 409);
+        $conn->close();
+        exit;
+    }
+
+    $adminId = (int)current_user()['id'];
+    $before = audit_row($conn, 'shift_swaps', $id);
+    $conn->begin_transaction();
+    if ($decision === "approved") {
+        $upd = $conn->prepare("UPDATE shifts SET staff_id = ? WHERE id = ?");
+        $upd->bind_param("ii", $swap["swap_with"], $swap["shift_id"]);
+        if (!$upd->execute()) {
+            $conn->rollback();
+            send_json([
+                "status" => "error",
+                "message" => $upd->errno === 1062 ? "That nurse is already rostered for this shift" : "Failed to reassign shift"
+            ], $upd->errno === 1062 ? 409 : 500);
+            $upd->close();
+            $conn->close();
+            exit;
+        }
+        $upd->close();
+    }
+    $stmt = $conn->prepare("UPDATE shift_swaps SET status = ?, decided_by = ?, decided_at = NOW() WHERE id = ?");
+    $stmt->bind_param("sii", $decision, $adminId, $id);
+    if ($stmt->execute()) {
+        $conn->commit();
+        log_action('shift_swap_' . $decision, ['swap_id' => $id, 'shift_id' => (int)$swap["shift_id"]], 'shift_swap', $id,
+            $before, audit_row($conn, 'shift_swaps', $id));
+        send_json([
+            "status" => "success",
+            "message" => "Swap request " . $decision
+        ], 200);
+    } else {
+        $conn->rollback();
+        send_json([
+            "status" => "error",
+            "message" => "Failed to update swap request",
+            "error" => $stmt->error
+        ], 500);
+    }
+    $stmt->close();
+}
+
+else {
+    send_json([
+        "status" => "error",
+        "message" => "Method not allowed"
+    ], 405);
+}
+
+$conn->close();
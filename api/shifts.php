@@ -0,0 +1,166 @@
+<?php
+/**
+ * shifts.php — Nurse shift roster endpoint for MediSync HMS.
+ *
+ * Supports:
+ * - GET: Returns roster entries between from/to (default: the next 7 days), optional mine=1
+ * - POST: Adds a nurse to the roster (fields: staff_id, ward, shift_date, shift_type) — Admin only
+ * - DELETE: Removes a roster entry (fields: id) — Admin only
+ *
+ * Shift types: day, evening, night. Only staff with role Nurse can be rostered.
+ *
+ * Usage:
+ * - GET api/shifts.php?from=2025-10-20&to=2025-10-26
+ * - POST api/shifts.php with staff_id, ward, shift_date and shift_type
+ */
+
+include_once(__DIR__ . "/../config.php");
+
+$method = $_SERVER["REQUEST_METHOD"];
+
+if ($method === "GET") {
+    require_role(['Nurse', 'Admin']);
+    $from = $_GET["from"] ?? date("Y-m-d");
+    $to = $_GET["to"] ?? date("Y-m-d", strtotime($from . " +6 days"));
+
+    $sql = "SELECT sh.id, sh.staff_id, s.username, sh.ward, sh.shift_date, sh.shift_type
+            FROM shifts sh
+            LEFT JOIN staff s ON s.id = sh.staff_id
+            WHERE sh.shift_date BETWEEN ? AND ?";
+    if (!empty($_GET["mine"])) $sql .= " AND sh.staff_id = " . (int)current_user()['id'];
+    $sql .= " ORDER BY sh.shift_date, FIELD(sh.shift_type, 'day', 'evening', 'night'), sh.ward, s.username";
+
+    $stmt = $conn->prepare($sql);
+    if (!$stmt) {
+        send_json([
+            "status" => "error",
+            "message" => "Server error preparing statement"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    $stmt->bind_param("ss", $from, $to);
+    $stmt->execute();
+    $res = $stmt->get_result();
+    $shifts = [];
+    while ($row = $res->fetch_assoc()) {
+        $shifts[] = $row;
+    }
+    send_json($shifts, 200);
+    $stmt->close();
+}
+
+elseif ($method === "POST") {
+    // Only Admins build the roster
+    require_role(['Admin']);
+    $data = get_request_data();
+    $staffId = (int)($data["staff_id"] ?? 0);
+    $ward = trim($data["ward"] ?? "");
+    $shiftDate = $data["shift_date"] ?? "";
+    $shiftType = strtolower(trim($data["shift_type"] ?? ""));
+
+    if (!$staffId || !$shiftDate || !in_array($ward, shift_wards($conn), true) || !in_array($shiftType, shift_types(), true)) {
+        send_json([
+            "status" => "error",
+            "message" => "Nurse, ward, date and a shift of day, evening or night required"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+
+    $chk = $conn->prepare("SELECT role FROM staff WHERE id = ?");
+    $chk->bind_param("i", $staffId);
+    $chk->execute();
+    $staff = $chk->get_result()->fetch_assoc();
+    $chk->close();
+    if (!$staff || strcasecmp($staff["role"], "Nurse") !== 0) {
+        send_json([
+            "status" => "error",
+            "message" => "Only nurses can be added to the roster"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+
+    $createdBy = (int)current_user()['id'];
+    $stmt = $conn->prepare("INSERT INTO shifts (staff_id, ward, shift_date, shift_type, created_by) VALUES (?,?,?,?,?)");
+    if (!$stmt) {
+        send_json([
+            "status" => "error",
+            "message" => "Server error preparing statement"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    $stmt->bind_param("isssi", $staffId, $ward, $shiftDate, $shiftType, $createdBy);
+
+    if ($stmt->execute()) {
+        log_action('shift_created', [
+            'shift_id' => $stmt->insert_id,
+            'staff_id' => $staffId,
+            'shift_date' => $shiftDate,
+            'shift_type' => $shiftType
+        ], 'shift', $stmt->insert_id, null, audit_row($conn, 'shifts', $stmt->insert_id));
+        send_json([
+            "status" => "success",
+            "message" => "Shift added",
+            "id" => $stmt->insert_id
+        ], 201);
+    } elseif ($stmt->errno === 1062) {
+        send_json([
+            "status" => "error",
+            "message" => "This nurse is already rostered for that shift"
+        ], 409);
+    } else {
+        send_json([
+            "status" => "error",
+            "message" => "Failed to add shift",
+            "error" => $stmt->error
+        ], 500);
+    }
+    $stmt->close();
+}
+
+elseif ($method === "DELETE") {
+    require_role(['Admin']);
+    $data = get_request_data();
+    $id = (int)($data["id"] ?? 0);
+
+    if (!$id) {
+        send_json([
+            "status" => "error",
+            "message" => "Shift ID required"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+
+    $before = audit_row($conn, 'shifts', $id);
+    $stmt = $conn->prepare("DELETE FROM shifts WHERE id = ?");
+    $stmt->bind_param("i", $id);
+    if ($stmt->execute()) {
+        // Pending swap requests for a removed shift can no longer be honoured
+        $conn->query("UPDATE shift_swaps SET status = 'cancelled' WHERE shift_id = $id AND status = 'pending'");
+        log_action('shift_deleted', ['shift_id' => $id], 'shift', $id, $before);
+        send_json([
+            "status" => "success",
+            "message" => "Shift removed"
+        ], 200);
+    } else {
+        send_json([
+            "status" => "error",
+            "message" => "Failed to remove shift",
+            "error" => $stmt->error
+        ], 500);
+    }
+    $stmt->close();
+}
+
+else {
+    send_json([
+        "status" => "error",
+        "message" => "Method not allowed"
+    ], 405);
+}
+
+$conn->close();
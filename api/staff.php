@@ -6,6 +6,7 @@
  *
  * Usage:
  * - GET api/staff.php for staff list
+ * - GET api/staff.php?role=Nurse for staff with one role
  */
 
 include_once(__DIR__ . "/../config.php");
@@ -43,7 +44,7 @@ if ($method === 'POST') {
         'created_by' => current_user()['username'],
         'new_staff_username' => $username,
         'role' => $role
-    ]);
+    ], 'staff', $stmt->insert_id, null, audit_row($conn, 'staff', $stmt->insert_id));
 
     send_json(['status' => 'success', 'id' => $stmt->insert_id], 201);
   } else {
@@ -54,9 +55,22 @@ if ($method === 'POST') {
   exit;
 }
 
-// Default: GET — list staff (Admin and Receptionist)
-require_role(['Admin', 'Receptionist']);
-$res = $conn->query("SELECT id, username, role FROM staff ORDER BY id ASC");
+// Default: GET — list staff (Admin and Receptionist); optional ?role= filter.
+// Nurses may list fellow nurses (e.g. to pick a colleague for a shift swap).
+$roleFilter = trim($_GET['role'] ?? '');
+if (strcasecmp($roleFilter, 'Nurse') === 0) {
+  require_role(['Admin', 'Receptionist', 'Nurse']);
+} else {
+  require_role(['Admin', 'Receptionist']);
+}
+if ($roleFilter !== '') {
+  $stmt = $conn->prepare("SELECT id, username, role FROM staff WHERE role = ? ORDER BY username ASC");
+  $stmt->bind_param('s', $roleFilter);
+  $stmt->execute();
+  $res = $stmt->get_result();
+} else {
+  $res = $conn->query("SELECT id, username, role FROM staff ORDER BY id ASC");
+}
   if ($res === false) {
   send_json([
     "status" => "error",
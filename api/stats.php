@@ -0,0 +1,178 @@
+<?php
+/**
+ * stats.php — Dashboard analytics endpoint for MediSync HMS.
+ *
+ * Supports:
+ * - GET: Aggregates for the overview charts over a date range (fields: from, to; default the
+ *        last six months). Returns:
+ *   - counts: doctors, nurses, patients
+ *   - appointments: volume per period with completed / no-show / cancelled, and the no-show rate
+ *     (no-shows as a share of appointments that were either kept or missed)
+ *   - seen_per_doctor: completed appointments plus finished walk-ins per doctor
+ *   - registrations: new patients per week (weeks start on Monday)
+ *   - revenue (Admin only): invoiced and collected per month from billing
+ *
+ * Periods are days for ranges up to 31 days, weeks up to 180 days, and months beyond that.
+ * Doctors only ever see their own appointments and patients.
+ *
+ * Usage:
+ * - GET api/stats.php?from=2025-05-01&to=2025-10-31 for the admin overview
+ */
+
+include_once(__DIR__ . "/../config.php");
+
+require_role(['Admin', 'Doctor', 'Receptionist']);
+
+if ($_SERVER["REQUEST_METHOD"] !== "GET") {
+    send_json([
+        "status" => "error",
+        "message" => "Method not allowed"
+    ], 405);
+    $conn->close();
+    exit;
+}
+
+$user = current_user();
+$isAdmin = strcasecmp($user['role'], 'Admin') === 0;
+$isDoctor = strcasecmp($user['role'], 'Doctor') === 0;
+
+$to = trim($_GET["to"] ?? "") ?: date("Y-m-d");
+$from = trim($_GET["from"] ?? "") ?: date("Y-m-01", strtotime("-5 months", strtotime($to)));
+if (!preg_match('/^\d{4}-\d{2}-\d{2}$/', $from) || !preg_match('/^\d{4}-\d{2}-\d{2}$/', $to) || $from > $to) {
+    send_json([
+        "status" => "error",
+        "message" => "Give from and to as YYYY-MM-DD with from on or before to"
+    ], 400);
+    $conn->close();
+    exit;
+}
+
+$days = (int)((strtotime($to) - strtotime($from)) / 86400) + 1;
+$granularity = $days <= 31 ? "day" : ($days <= 180 ? "week" : "month");
+$periodSql = [
+    "day"   => "DATE(%s)",
+    "week"  => "DATE_SUB(DATE(%s), INTERVAL WEEKDAY(%s) DAY)",
+    "month" => "DATE_FORMAT(%s, '%%Y-%%m-01')"
+][$granularity];
+$period = function ($column) use ($periodSql) {
+    return sprintf($periodSql, $column, $column);
+};
+
+// Every period in the range, so charts show gaps as zeros rather than skipping them
+$periods = [];
+$cursor = strtotime($from);
+if ($granularity === "week") $cursor = strtotime("-" . (date("N", $cursor) - 1) . " days", $cursor);
+if ($granularity === "month") $cursor = strtotime(date("Y-m-01", $cursor));
+while ($cursor <= strtotime($to)) {
+    $periods[] = date("Y-m-d", $cursor);
+    $cursor = strtotime("+1 $granularity", $cursor);
+}
+
+$fromSql = $conn->real_escape_string($from);
+$toSql = $conn->real_escape_string($to);
+$doctorFilter = $isDoctor ? " AND doctor = '" . $conn->real_escape_string($user['username']) . "'" : "";
+
+// Staff and patient headcounts for the admin cards
+$res = $conn->query("SELECT (SELECT COUNT(*) FROM staff WHERE role = 'Doctor') AS doctors,
+                            (SELECT COUNT(*) FROM staff WHERE role = 'Nurse') AS nurses,
+                            (SELECT COUNT(*) FROM patients) AS patients");
+$counts = $res ? array_map('intval', $res->fetch_assoc()) : null;
+if (!$counts) {
+    send_json([
+        "status" => "error",
+        "message" => "Query failed"
+    ], 500);
+    $conn->close();
+    exit;
+}
+
+$volume = array_fill_keys($periods, ["total" => 0, "completed" => 0, "no_show" => 0, "cancelled" => 0]);
+$res = $conn->query("SELECT " . $period("date") . " AS period, COUNT(*) AS total,
+                            SUM(status = 'Completed') AS completed, SUM(status = 'No-show') AS no_show, SUM(status = 'Cancelled') AS cancelled
+                     FROM appointments WHERE date BETWEEN '$fromSql' AND '$toSql'$doctorFilter
+                     GROUP BY period");
+$kept = 0;
+$missed = 0;
+while ($res && $row = $res->fetch_assoc()) {
+    if (!isset($volume[$row["period"]])) continue;
+    $volume[$row["period"]] = [
+        "total" => (int)$row["total"],
+        "completed" => (int)$row["completed"],
+        "no_show" => (int)$row["no_show"],
+        "cancelled" => (int)$row["cancelled"]
+    ];
+    $kept += (int)$row["completed"];
+    $missed += (int)$row["no_show"];
+}
+$appointments = [];
+foreach ($volume as $p => $v) {
+    $appointments[] = ["period" => $p] + $v;
+}
+
+$seen = [];
+$res = $conn->query("SELECT doctor, SUM(seen) AS seen FROM (
+                         SELECT doctor, COUNT(*) AS seen FROM appointments
+                         WHERE status = 'Completed' AND date BETWEEN '$fromSql' AND '$toSql'$doctorFilter GROUP BY doctor
+                         UNION ALL
+                         SELECT doctor, COUNT(*) FROM queue_entries
+                         WHERE status = 'done' AND appointment_id IS NULL AND queue_date BETWEEN '$fromSql' AND '$toSql'$doctorFilter GROUP BY doctor
+                     ) s GROUP BY doctor ORDER BY seen DESC, doctor");
+while ($res && $row = $res->fetch_assoc()) {
+    $seen[] = ["doctor" => $row["doctor"], "seen" => (int)$row["seen"]];
+}
+
+$weeks = [];
+$cursor = strtotime("-" . (date("N", strtotime($from)) - 1) . " days", strtotime($from));
+while ($cursor <= strtotime($to)) {
+    $weeks[date("Y-m-d", $cursor)] = 0;
+    $cursor = strtotime("+1 week", $cursor);
+}
+$res = $conn->query("SELECT DATE_SUB(DATE(created_at), INTERVAL WEEKDAY(created_at) DAY) AS week, COUNT(*) AS c
+                     FROM patients WHERE DATE(created_at) BETWEEN '$fromSql' AND '$toSql'$doctorFilter
+                     GROUP BY week");
+while ($res && $row = $res->fetch_assoc()) {
+    if (isset($weeks[$row["week"]])) $weeks[$row["week"]] = (int)$row["c"];
+}
+$registrations = [];
+foreach ($weeks as $week => $c) {
+    $registrations[] = ["week" => $week, "count" => $c];
+}
+
+$out = [
+    "status" => "success",
+    "from" => $from,
+    "to" => $to,
+    "granularity" => $granularity,
+    "counts" => $counts,
+    "appointments" => $appointments,
+    "no_show_rate" => $kept + $missed > 0 ? round($missed / ($kept + $missed) * 100, 1) : 0,
+    "seen_per_doctor" => $seen,
+    "registrations" => $registrations
+];
+
+if ($isAdmin) {
+    // Void invoices were never owed; collections are net of refunds
+    $months = [];
+    $cursor = strtotime(date("Y-m-01", strtotime($from)));
+    while ($cursor <= strtotime($to)) {
+        $months[date("Y-m", $cursor)] = ["invoiced" => 0.0, "collected" => 0.0];
+        $cursor = strtotime("+1 month", $cursor);
+    }
+    $res = $conn->query("SELECT DATE_FORMAT(date, '%Y-%m') AS month, SUM(amount) AS invoiced FROM billing
+                         WHERE status <> 'Void' AND date BETWEEN '$fromSql' AND '$toSql' GROUP BY month");
+    while ($res && $row = $res->fetch_assoc()) {
+        if (isset($months[$row["month"]])) $months[$row["month"]]["invoiced"] = round((float)$row["invoiced"], 2);
+    }
+    $res = $conn->query("SELECT DATE_FORMAT(created_at, '%Y-%m') AS month, SUM(IF(type = 'refund', -amount, amount)) AS collected FROM billing_payments
+                         WHERE DATE(created_at) BETWEEN '$fromSql' AND '$toSql' GROUP BY month");
+    while ($res && $row = $res->fetch_assoc()) {
+        if (isset($months[$row["month"]])) $months[$row["month"]]["collected"] = round((float)$row["collected"], 2);
+    }
+    $out["revenue"] = [];
+    foreach ($months as $month => $m) {
+        $out["revenue"][] = ["month" => $month] + $m;
+    }
+}
+
+send_json($out, 200);
+$conn->close();
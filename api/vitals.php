@@ -0,0 +1,152 @@
+<?php
+/**
+ * vitals.php — Patient vital signs endpoint for MediSync HMS.
+ *
+ * Supports:
+ * - GET: Returns a patient's readings oldest-first (fields: patient_id, optional days, default 7)
+ * - GET ?abnormal=1: Returns out-of-range readings from the last 24 hours across the caller's patients
+ *
+ * Doctors and nurses only see readings for patients in their scope (see patient_scope_sql). Reading one
+ * patient's trend is written to the audit log as a patient view.
+ * - POST: Records a reading (fields: patient_id, systolic, diastolic, pulse, temperature, spo2, resp_rate)
+ *
+ * Each reading carries a `flags` array describing out-of-range values (see vitals_ranges()).
+ *
+ * Usage:
+ * - GET api/vitals.php?patient_id=5 for a patient's trend
+ * - POST api/vitals.php with patient_id and at least one measurement
+ */
+
+include_once(__DIR__ . "/../config.php");
+
+$method = $_SERVER["REQUEST_METHOD"];
+$VITAL_FIELDS = array_keys(vitals_ranges());
+
+if ($method === "GET") {
+    require_role(['Nurse', 'Doctor', 'Admin']);
+    $patientId = (int)($_GET["patient_id"] ?? 0);
+    $abnormalOnly = !empty($_GET["abnormal"]);
+
+    $sql = "SELECT v.id, v.patient_id, pt.name AS patient_name, v.recorded_at, s.username AS recorded_by,
+                   v.systolic, v.diastolic, v.pulse, v.temperature, v.spo2, v.resp_rate
+            FROM vitals v
+            LEFT JOIN patients pt ON pt.id = v.patient_id
+            LEFT JOIN staff s ON s.id = v.recorded_by";
+    if ($abnormalOnly) {
+        $sql .= " WHERE v.recorded_at >= NOW() - INTERVAL 1 DAY AND " . patient_scope_sql($conn, 'v.patient_id') . " ORDER BY v.recorded_at DESC";
+        $stmt = $conn->prepare($sql);
+    } elseif ($patientId && !patient_in_scope($conn, $patientId)) {
+        send_json([
+            "status" => "error",
+            "message" => "Patient not found"
+        ], 404);
+        $conn->close();
+        exit;
+    } elseif ($patientId) {
+        $days = max(1, min(90, (int)($_GET["days"] ?? 7)));
+        $sql .= " WHERE v.patient_id = ? AND v.recorded_at >= NOW() - INTERVAL ? DAY ORDER BY v.recorded_at ASC";
+        $stmt = $conn->prepare($sql);
+        if ($stmt) $stmt->bind_param("ii", $patientId, $days);
+    } else {
+        send_json([
+            "status" => "error",
+            "message" => "patient_id or abnormal=1 required"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+    if (!$stmt) {
+        send_json([
+            "status" => "error",
+            "message" => "Server error preparing statement"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    $stmt->execute();
+    $res = $stmt->get_result();
+    $readings = [];
+    while ($row = $res->fetch_assoc()) {
+        $row["flags"] = vitals_abnormal_flags($row);
+        if ($abnormalOnly && !$row["flags"]) continue;
+        $readings[] = $row;
+    }
+    if (!$abnormalOnly) log_patient_view($conn, $patientId, 'vitals');
+    send_json($readings, 200);
+    $stmt->close();
+}
+
+elseif ($method === "POST") {
+    // Nurses and Doctors record vitals
+    require_role(['Nurse', 'Doctor']);
+    $data = get_request_data();
+    $patientId = (int)($data["patient_id"] ?? 0);
+
+    $values = [];
+    foreach ($VITAL_FIELDS as $field) {
+        $raw = trim((string)($data[$field] ?? ""));
+        if ($raw === "") {
+            $values[$field] = null;
+        } elseif (!is_numeric($raw) || (float)$raw <= 0) {
+            send_json([
+                "status" => "error",
+                "message" => "Invalid value for " . vitals_ranges()[$field]['label']
+            ], 400);
+            $conn->close();
+            exit;
+        } else {
+            $values[$field] = $field === 'temperature' ? round((float)$raw, 1) : (int)$raw;
+        }
+    }
+
+    if (!$patientId || count(array_filter($values, function ($v) { return $v !== null; })) === 0) {
+        send_json([
+            "status" => "error",
+            "message" => "Patient and at least one measurement required"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+
+    $userId = (int)current_user()['id'];
+    $stmt = $conn->prepare("INSERT INTO vitals (patient_id, recorded_by, systolic, diastolic, pulse, temperature, spo2, resp_rate) VALUES (?,?,?,?,?,?,?,?)");
+    if (!$stmt) {
+        send_json([
+            "status" => "error",
+            "message" => "Server error preparing statement"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    $stmt->bind_param("iiiiidii", $patientId, $userId, $values['systolic'], $values['diastolic'], $values['pulse'], $values['temperature'], $values['spo2'], $values['resp_rate']);
+
+    if ($stmt->execute()) {
+        $flags = vitals_abnormal_flags($values);
+        log_action('vitals_recorded', [
+            'patient_id' => $patientId,
+            'flags' => $flags
+        ], 'vitals', $stmt->insert_id, null, audit_row($conn, 'vitals', $stmt->insert_id));
+        send_json([
+            "status" => "success",
+            "message" => $flags ? "Vitals recorded — out of range: " . implode(", ", $flags) : "Vitals recorded",
+            "id" => $stmt->insert_id,
+            "flags" => $flags
+        ], 201);
+    } else {
+        send_json([
+            "status" => "error",
+            "message" => "Failed to record vitals",
+            "error" => $stmt->error
+        ], 500);
+    }
+    $stmt->close();
+}
+
+else {
+    send_json([
+        "status" => "error",
+        "message" => "Method not allowed"
+    ], 405);
+}
+
+$conn->close();
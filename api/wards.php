@@ -0,0 +1,179 @@
+<?php
+/**
+ * wards.php — Ward, room and bed setup endpoint for MediSync HMS.
+ *
+ * Supports:
+ * - GET: Wards with their rooms and bed counts
+ * - POST (Admin): Adds one of
+ *   - a ward (fields: ward, specialty)
+ *   - a room in a ward (fields: ward_id, room)
+ *   - a bed in a room (fields: room_id, bed — the bed label, unique hospital-wide)
+ * - DELETE (Admin): Removes a bed that is not occupied (field: bed_id), or an empty room
+ *   (field: room_id) or ward (field: ward_id)
+ *
+ * Occupancy and patient movements live in beds.php.
+ *
+ * Usage:
+ * - POST api/wards.php with room_id=1 and bed="A1-3" to add a bed
+ */
+
+include_once(__DIR__ . "/../config.php");
+
+$method = $_SERVER["REQUEST_METHOD"];
+
+if ($method === "GET") {
+    require_role(['Admin', 'Nurse', 'Doctor', 'Receptionist']);
+    $res = $conn->query("SELECT w.id AS ward_id, w.name AS ward, w.specialty, r.id AS room_id, r.name AS room,
+                                COUNT(b.id) AS beds, SUM(b.status = 'occupied') AS occupied
+                         FROM wards w
+                         LEFT JOIN rooms r ON r.ward_id = w.id
+                         LEFT JOIN beds b ON b.room_id = r.id
+                         GROUP BY w.id, r.id
+                         ORDER BY w.name, r.name");
+    if ($res === false) {
+        send_json([
+            "status" => "error",
+            "message" => "Query failed"
+        ], 500);
+        $conn->close();
+        exit;
+    }
+    $wards = [];
+    while ($row = $res->fetch_assoc()) {
+        $wardId = (int)$row["ward_id"];
+        if (!isset($wards[$wardId])) {
+            $wards[$wardId] = ["id" => $wardId, "name" => $row["ward"], "specialty" => $row["specialty"], "rooms" => []];
+        }
+        if ($row["room_id"]) {
+            $wards[$wardId]["rooms"][] = [
+                "id" => (int)$row["room_id"],
+                "name" => $row["room"],
+                "beds" => (int)$row["beds"],
+                "occupied" => (int)$row["occupied"]
+            ];
+        }
+    }
+    send_json(array_values($wards), 200);
+}
+
+elseif ($method === "POST") {
+    require_role(['Admin']);
+    $data = get_request_data();
+    $ward = trim($data["ward"] ?? "");
+    $room = trim($data["room"] ?? "");
+    $bed = strtoupper(trim($data["bed"] ?? ""));
+    $wardId = (int)($data["ward_id"] ?? 0);
+    $roomId = (int)($data["room_id"] ?? 0);
+
+    if ($bed !== "" && $roomId) {
+        $kind = "Bed";
+        $table = "beds";
+        $stmt = $conn->prepare("INSERT INTO beds (room_id, label) SELECT id, ? FROM rooms WHERE id = ?");
+        $stmt->bind_param("si", $bed, $roomId);
+    } elseif ($room !== "" && $wardId) {
+        $kind = "Room";
+        $table = "rooms";
+        $stmt = $conn->prepare("INSERT INTO rooms (ward_id, name) SELECT id, ? FROM wards WHERE id = ?");
+        $stmt->bind_param("si", $room, $wardId);
+    } elseif ($ward !== "") {
+        $kind = "Ward";
+        $table = "wards";
+        $specialty = trim($data["specialty"] ?? "");
+        $specialty = $specialty !== "" ? $specialty : null;
+        $stmt = $conn->prepare("INSERT INTO wards (name, specialty) VALUES (?,?)");
+        $stmt->bind_param("ss", $ward, $specialty);
+    } else {
+        send_json([
+            "status" => "error",
+            "message" => "Give a ward name, a ward_id and room name, or a room_id and bed label"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+
+    if ($stmt->execute() && $stmt->affected_rows > 0) {
+        log_action('ward_setup_added', [
+            'kind' => strtolower($kind),
+            'id' => $stmt->insert_id
+        ], strtolower($kind), $stmt->insert_id, null, audit_row($conn, $table, $stmt->insert_id));
+        send_json([
+            "status" => "success",
+            "message" => "$kind added",
+            "id" => $stmt->insert_id
+        ], 201);
+    } elseif ($stmt->errno === 1062) {
+        send_json([
+            "status" => "error",
+            "message" => "$kind already exists"
+        ], 409);
+    } elseif (!$stmt->errno) {
+        send_json([
+            "status" => "error",
+            "message" => $kind === "Bed" ? "Room not found" : "Ward not found"
+        ], 404);
+    } else {
+        send_json([
+            "status" => "error",
+            "message" => "Failed to add " . strtolower($kind),
+            "error" => $stmt->error
+        ], 500);
+    }
+    $stmt->close();
+}
+
+elseif ($method === "DELETE") {
+    require_role(['Admin']);
+    $data = get_request_data();
+    $bedId = (int)($data["bed_id"] ?? 0);
+    $roomId = (int)($data["room_id"] ?? 0);
+    $wardId = (int)($data["ward_id"] ?? 0);
+
+    // Rooms and wards must be emptied of beds (and rooms) first
+    if ($bedId) {
+        $kind = "Bed";
+        $table = "beds";
+        $sql = "DELETE FROM beds WHERE id = $bedId AND status <> 'occupied'";
+    } elseif ($roomId) {
+        $kind = "Room";
+        $table = "rooms";
+        $sql = "DELETE FROM rooms WHERE id = $roomId AND NOT EXISTS (SELECT 1 FROM beds WHERE room_id = $roomId)";
+    } elseif ($wardId) {
+        $kind = "Ward";
+        $table = "wards";
+        $sql = "DELETE FROM wards WHERE id = $wardId AND NOT EXISTS (SELECT 1 FROM rooms WHERE ward_id = $wardId)";
+    } else {
+        send_json([
+            "status" => "error",
+            "message" => "bed_id, room_id or ward_id required"
+        ], 400);
+        $conn->close();
+        exit;
+    }
+
+    $id = $bedId ?: ($roomId ?: $wardId);
+    $before = audit_row($conn, $table, $id);
+    if ($conn->query($sql) && $conn->affected_rows > 0) {
+        log_action('ward_setup_removed', [
+            'kind' => strtolower($kind),
+            'id' => $id
+        ], strtolower($kind), $id, $before);
+        send_json([
+            "status" => "success",
+            "message" => "$kind removed"
+        ], 200);
+    } else {
+        send_json([
+            "status" => "error",
+            "message" => $kind === "Bed" ? "Bed not found or still occupied" : "$kind not found or not empty"
+        ], 409);
+    }
+}
+
+else {
+    send_json([
+        "status" => "error",
+        "message" => "Method not allowed"
+    ], 405);
+}
+
+$conn->close();
@@ -119,12 +119,978 @@ if (!function_exists('send_json')) {
 }
 
 /**
- * log_action — Logs a system action to the database
+ * log_action — Appends an entry to the audit trail (audit_log): the session user, the action, the
+ * record it touched ($entity, $entityId — e.g. 'patient', 12), its values before and after the change
+ * where there are any, the request's IP address and endpoint. $details holds anything else worth keeping.
+ * A failed write goes to the PHP error log and never interrupts the request. audit_log is append-only.
  */
 if (!function_exists('log_action')) {
-  function log_action($action, $details = '') {
-    // Logging has been disabled: keep as a no-op to preserve existing call sites.
-    return;
+  function log_action($action, $details = '', $entity = null, $entityId = null, $before = null, $after = null)
+  {
+    global $conn;
+    if (!$conn) return false;
+    $user = current_user();
+    $encode = function ($value) {
+      if ($value === null || $value === '' || $value === []) return null;
+      return is_string($value) ? $value : json_encode($value);
+    };
+    $staffId = $user ? (int)$user['id'] : null;
+    // Failed logins have no session; keep the name that was tried
+    $username = $user['username'] ?? (is_array($details) ? ($details['attempted_username'] ?? null) : null);
+    $role = $user['role'] ?? null;
+    $entityId = $entityId !== null ? (int)$entityId : null;
+    $beforeJson = $encode($before);
+    $afterJson = $encode($after);
+    $detailsJson = $encode($details);
+    $ip = $_SERVER['REMOTE_ADDR'] ?? null;
+    $method = $_SERVER['REQUEST_METHOD'] ?? (php_sapi_name() === 'cli' ? 'CLI' : null);
+    $endpoint = isset($_SERVER['SCRIPT_NAME']) ? basename($_SERVER['SCRIPT_NAME']) : null;
+
+    $stmt = $conn->prepare("INSERT INTO audit_log (staff_id, username, role, action, entity, entity_id, before_values, after_values, details, ip_address, method, endpoint)
+                            VALUES (?,?,?,?,?,?,?,?,?,?,?,?)");
+    $ok = $stmt && $stmt->bind_param("issssissssss", $staffId, $username, $role, $action, $entity, $entityId, $beforeJson, $afterJson, $detailsJson, $ip, $method, $endpoint)
+          && $stmt->execute();
+    if (!$ok) error_log("MediSync audit log write failed for $action: " . ($stmt ? $stmt->error : $conn->error));
+    if ($stmt) $stmt->close();
+    return $ok;
+  }
+}
+
+/**
+ * audit_row — A record as it stands, for the before/after values passed to log_action.
+ * Password hashes are never copied into the audit trail. Returns null if there is no such row.
+ */
+if (!function_exists('audit_row')) {
+  function audit_row($conn, $table, $id)
+  {
+    $id = (int)$id;
+    $res = $conn->query("SELECT * FROM `$table` WHERE id = $id");
+    $row = $res ? $res->fetch_assoc() : null;
+    if ($row) unset($row['password']);
+    return $row;
+  }
+}
+
+/**
+ * log_patient_view — Records that the session user opened part of one patient's chart as a
+ * patient_viewed audit entry; $record says which part ('details', 'notes', 'vitals', 'visits'...).
+ * Lists and searches across patients are not views. Returns false if there is no such patient.
+ */
+if (!function_exists('log_patient_view')) {
+  function log_patient_view($conn, $patientId, $record)
+  {
+    $patientId = (int)$patientId;
+    $res = $conn->query("SELECT mrn FROM patients WHERE id = $patientId");
+    $row = $res ? $res->fetch_assoc() : null;
+    if (!$row) return false;
+    return log_action('patient_viewed', ['mrn' => $row['mrn'], 'record' => $record], 'patient', $patientId);
+  }
+}
+
+
+/**
+ * mar_dose_times — Returns the scheduled administration times (HH:MM) for a prescription frequency.
+ * PRN prescriptions have no fixed schedule and return an empty list.
+ */
+if (!function_exists('mar_dose_times')) {
+  function mar_dose_times($frequency)
+  {
+    $times = [
+      'OD'  => ['08:00'],
+      'BD'  => ['08:00', '20:00'],
+      'TDS' => ['08:00', '14:00', '20:00'],
+      'QID' => ['06:00', '12:00', '18:00', '22:00'],
+      'PRN' => []
+    ];
+    return $times[strtoupper((string)$frequency)] ?? [];
+  }
+}
+
+/**
+ * mar_doses_for_date — Builds the medication administration record for one day.
+ *
+ * Expands every prescription active on $date into scheduled doses and merges in what
+ * nurses have recorded. Unrecorded doses are 'due' until MAR_GRACE_MINUTES after their
+ * scheduled time, then 'missed' with overdue = true. PRN doses that were recorded are included too.
+ */
+if (!defined('MAR_GRACE_MINUTES')) define('MAR_GRACE_MINUTES', 60);
+if (!function_exists('mar_doses_for_date')) {
+  function mar_doses_for_date($conn, $date, $patientId = 0)
+  {
+    $sql = "SELECT p.id, p.patient_id, pt.name AS patient_name, p.medication, p.dosage, p.frequency, p.status
+            FROM prescriptions p
+            LEFT JOIN patients pt ON pt.id = p.patient_id
+            WHERE p.start_date <= ? AND (p.end_date IS NULL OR p.end_date >= ?)
+              AND (p.status = 'active' OR p.id IN (SELECT prescription_id FROM medication_administrations WHERE DATE(scheduled_at) = ?))";
+    if ($patientId) $sql .= " AND p.patient_id = " . (int)$patientId;
+    $stmt = $conn->prepare($sql);
+    if (!$stmt) return null;
+    $stmt->bind_param("sss", $date, $date, $date);
+    $stmt->execute();
+    $res = $stmt->get_result();
+    $prescriptions = [];
+    while ($row = $res->fetch_assoc()) {
+      $prescriptions[(int)$row['id']] = $row;
+    }
+    $stmt->close();
+    if (!$prescriptions) return [];
+
+    // Recorded doses for the day, keyed by prescription + scheduled time
+    $recorded = [];
+    $stmt = $conn->prepare("SELECT m.id, m.prescription_id, m.scheduled_at, m.status, m.administered_at, m.reason, m.recorded_at, s.username AS recorded_by
+                            FROM medication_administrations m
+                            LEFT JOIN staff s ON s.id = m.recorded_by
+                            WHERE DATE(m.scheduled_at) = ?");
+    if (!$stmt) return null;
+    $stmt->bind_param("s", $date);
+    $stmt->execute();
+    $res = $stmt->get_result();
+    while ($row = $res->fetch_assoc()) {
+      $recorded[$row['prescription_id'] . '|' . $row['scheduled_at']] = $row;
+    }
+    $stmt->close();
+
+    $now = time();
+    $doses = [];
+    foreach ($prescriptions as $pid => $p) {
+      $slots = [];
+      // Scheduled slots only apply while the prescription is still active
+      if ($p['status'] === 'active') {
+        foreach (mar_dose_times($p['frequency']) as $t) $slots[] = "$date $t:00";
+      }
+      foreach ($recorded as $r) {
+        if ((int)$r['prescription_id'] === $pid && !in_array($r['scheduled_at'], $slots, true)) $slots[] = $r['scheduled_at'];
+      }
+      sort($slots);
+      foreach ($slots as $scheduledAt) {
+        $r = $recorded[$pid . '|' . $scheduledAt] ?? null;
+        $dose = [
+          'prescription_id' => $pid,
+          'patient_id' => (int)$p['patient_id'],
+          'patient_name' => $p['patient_name'],
+          'medication' => $p['medication'],
+          'dosage' => $p['dosage'],
+          'frequency' => $p['frequency'],
+          'scheduled_at' => $scheduledAt,
+          'status' => 'due',
+          'overdue' => false,
+          'administered_at' => null,
+          'reason' => null,
+          'recorded_by' => null,
+          'recorded_at' => null
+        ];
+        if ($r) {
+          $dose['status'] = $r['status'];
+          $dose['administered_at'] = $r['administered_at'];
+          $dose['reason'] = $r['reason'];
+          $dose['recorded_by'] = $r['recorded_by'];
+          $dose['recorded_at'] = $r['recorded_at'];
+        } elseif (strtotime($scheduledAt) + MAR_GRACE_MINUTES * 60 < $now) {
+          $dose['status'] = 'missed';
+          $dose['overdue'] = true;
+        }
+        $doses[] = $dose;
+      }
+    }
+    usort($doses, function ($a, $b) {
+      return strcmp($a['scheduled_at'], $b['scheduled_at']) ?: strcmp((string)$a['patient_name'], (string)$b['patient_name']);
+    });
+    return $doses;
+  }
+}
+
+/**
+ * vitals_ranges — Normal adult reference ranges used to flag vital sign readings.
+ */
+if (!function_exists('vitals_ranges')) {
+  function vitals_ranges()
+  {
+    return [
+      'systolic'    => ['label' => 'Systolic BP', 'unit' => 'mmHg', 'min' => 90, 'max' => 140],
+      'diastolic'   => ['label' => 'Diastolic BP', 'unit' => 'mmHg', 'min' => 60, 'max' => 90],
+      'pulse'       => ['label' => 'Pulse', 'unit' => 'bpm', 'min' => 50, 'max' => 100],
+      'temperature' => ['label' => 'Temperature', 'unit' => '°C', 'min' => 36.0, 'max' => 38.0],
+      'spo2'        => ['label' => 'SpO2', 'unit' => '%', 'min' => 94, 'max' => 100],
+      'resp_rate'   => ['label' => 'Respiratory rate', 'unit' => '/min', 'min' => 12, 'max' => 20]
+    ];
+  }
+}
+
+/**
+ * vitals_abnormal_flags — Returns a list of human-readable flags for out-of-range values in a reading.
+ */
+if (!function_exists('vitals_abnormal_flags')) {
+  function vitals_abnormal_flags($reading)
+  {
+    $flags = [];
+    foreach (vitals_ranges() as $field => $range) {
+      if (!isset($reading[$field]) || $reading[$field] === null || $reading[$field] === '') continue;
+      $value = (float)$reading[$field];
+      if ($value < $range['min']) {
+        $flags[] = "Low {$range['label']} ({$reading[$field]} {$range['unit']})";
+      } elseif ($value > $range['max']) {
+        $flags[] = "High {$range['label']} ({$reading[$field]} {$range['unit']})";
+      }
+    }
+    return $flags;
+  }
+}
+
+/**
+ * shift_types / shift_wards — Allowed values for the nurse roster. Wards are the ones set up in
+ * the wards table (see wards.php).
+ */
+if (!function_exists('shift_types')) {
+  function shift_types()
+  {
+    return ['day', 'evening', 'night'];
+  }
+}
+if (!function_exists('shift_wards')) {
+  function shift_wards($conn)
+  {
+    $wards = [];
+    $res = $conn->query("SELECT name FROM wards ORDER BY name");
+    while ($res && $row = $res->fetch_row()) {
+      $wards[] = $row[0];
+    }
+    return $wards;
+  }
+}
+
+/** INVENTORY_EXPIRY_WARNING_DAYS — How far ahead batches are flagged as expiring soon */
+if (!defined('INVENTORY_EXPIRY_WARNING_DAYS')) define('INVENTORY_EXPIRY_WARNING_DAYS', 60);
+
+/** ALERT_RULES_INTERVAL_SECONDS — Minimum time between two evaluations of the alert rules */
+if (!defined('ALERT_RULES_INTERVAL_SECONDS')) define('ALERT_RULES_INTERVAL_SECONDS', 60);
+
+/**
+ * alerts_run_rules — Evaluates the clinical/operational alert rules and syncs the alerts table.
+ *
+ * Each rule returns the alerts that should currently be active, keyed by dedupe_key.
+ * New conditions are inserted as 'open'. An alert belongs to its condition until the condition
+ * clears (cleared_at): alerts whose condition has cleared (e.g. the dose was recorded, vitals
+ * normalised) are resolved automatically, and one a user resolved while the condition still held
+ * is not raised again until it has cleared and come back.
+ *
+ * The rules run at most once every ALERT_RULES_INTERVAL_SECONDS across all clients (alert_rule_runs);
+ * returns null when it was too soon. The unique open_key on alerts stops overlapping runs raising
+ * the same alert twice.
+ *
+ * Rules: abnormal_vitals, missed_medication, overdue_appointment, lab_result, low_stock, near_expiry.
+ */
+if (!function_exists('alerts_run_rules')) {
+  function alerts_run_rules($conn)
+  {
+    // Claim this interval's run; only one request gets the row update
+    $interval = (int)ALERT_RULES_INTERVAL_SECONDS;
+    if (!$conn->query("UPDATE alert_rule_runs SET last_run_at = NOW() WHERE id = 1 AND last_run_at <= NOW() - INTERVAL $interval SECOND")) return false;
+    if ($conn->affected_rows === 0) return null;
+
+    $active = [];
+
+    // Alerts whose condition has not cleared yet per rule, keyed by dedupe_key — resolved ones included
+    $open = [];
+    $res = $conn->query("SELECT id, rule, dedupe_key, status FROM alerts WHERE cleared_at IS NULL");
+    if (!$res) return false;
+    while ($row = $res->fetch_assoc()) {
+      $open[$row['rule']][$row['dedupe_key']] = ['id' => (int)$row['id'], 'status' => $row['status']];
+    }
+
+    // abnormal_vitals: each patient's latest reading when it is out of range. New alerts are
+    // only raised for readings from the last 24h; an existing alert stays until a newer reading supersedes it.
+    $res = $conn->query("SELECT v.*, pt.name AS patient_name, d.id AS doctor_id, v.recorded_at >= NOW() - INTERVAL 1 DAY AS is_recent
+                         FROM vitals v
+                         JOIN (SELECT patient_id, MAX(id) AS id FROM vitals GROUP BY patient_id) latest ON latest.id = v.id
+                         LEFT JOIN patients pt ON pt.id = v.patient_id
+                         LEFT JOIN staff d ON d.username = pt.doctor");
+    if ($res) {
+      $active['abnormal_vitals'] = [];
+      while ($v = $res->fetch_assoc()) {
+        $flags = vitals_abnormal_flags($v);
+        if (!$flags) continue;
+        if (!$v['is_recent'] && !isset($open['abnormal_vitals']["vitals:{$v['id']}:nurse"])) continue;
+        $severity = count($flags) >= 2 ? 'critical' : 'warning';
+        $title = "Abnormal vitals — {$v['patient_name']}";
+        $details = implode(', ', $flags) . " at " . substr($v['recorded_at'], 11, 5);
+        $active['abnormal_vitals']["vitals:{$v['id']}:nurse"] = [$severity, $title, $details, 'Nurse', null];
+        // Critical readings are also sent to the patient's doctor
+        if ($severity === 'critical' && $v['doctor_id']) {
+          $active['abnormal_vitals']["vitals:{$v['id']}:doctor"] = [$severity, $title, $details, null, (int)$v['doctor_id']];
+        }
+      }
+    }
+
+    // missed_medication: today's overdue, unrecorded doses
+    $doses = mar_doses_for_date($conn, date('Y-m-d'));
+    if ($doses !== null) $active['missed_medication'] = [];
+    foreach ($doses ?: [] as $d) {
+      if (!$d['overdue']) continue;
+      $key = "mar:{$d['prescription_id']}:{$d['scheduled_at']}";
+      $active['missed_medication'][$key] = [
+        'warning',
+        "Overdue dose — {$d['patient_name']}",
+        "{$d['medication']} {$d['dosage']} due at " . substr($d['scheduled_at'], 11, 5),
+        'Nurse',
+        null
+      ];
+    }
+
+    // overdue_appointment: still Pending after their date has passed
+    $res = $conn->query("SELECT id, patient_name, doctor, date, time FROM appointments WHERE status = 'Pending' AND date < CURDATE()");
+    if ($res) {
+      $active['overdue_appointment'] = [];
+      while ($a = $res->fetch_assoc()) {
+        $active['overdue_appointment']["appt:{$a['id']}"] = [
+          'info',
+          "Overdue appointment — {$a['patient_name']}",
+          "With {$a['doctor']} on {$a['date']} " . substr((string)$a['time'], 0, 5) . " is still Pending",
+          'Receptionist',
+          null
+        ];
+      }
+    }
+
+    // lab_result: results the ordering doctor has not reviewed yet; abnormal ones are raised higher
+    $res = $conn->query("SELECT o.id, o.ordered_by, o.result_value, o.unit, o.flag, t.name AS test, pt.name AS patient_name
+                         FROM lab_orders o
+                         JOIN lab_tests t ON t.id = o.test_id
+                         LEFT JOIN patients pt ON pt.id = o.patient_id
+                         WHERE o.status = 'resulted' AND o.reviewed_at IS NULL");
+    if ($res) {
+      $active['lab_result'] = [];
+      while ($l = $res->fetch_assoc()) {
+        $flag = (string)$l['flag'];
+        $active['lab_result']["lab:{$l['id']}"] = [
+          strpos($flag, 'critical') === 0 ? 'critical' : ($flag === 'normal' ? 'info' : 'warning'),
+          "Lab result — {$l['patient_name']}",
+          "{$l['test']}: {$l['result_value']}" . ($l['unit'] ? " {$l['unit']}" : "") . " ($flag)",
+          null,
+          (int)$l['ordered_by']
+        ];
+      }
+    }
+
+    // low_stock: inventory at or below its reorder level
+    $res = $conn->query("SELECT id, name, quantity, reorder_level FROM inventory_items WHERE quantity <= reorder_level");
+    if ($res) {
+      $active['low_stock'] = [];
+      while ($i = $res->fetch_assoc()) {
+        $active['low_stock']["stock:{$i['id']}"] = [
+          (int)$i['quantity'] === 0 ? 'critical' : 'warning',
+          "Low stock — {$i['name']}",
+          "{$i['quantity']} left (reorder level {$i['reorder_level']})",
+          'Admin',
+          null
+        ];
+      }
+    }
+
+    // near_expiry: batches with stock left that expire within INVENTORY_EXPIRY_WARNING_DAYS, or already have
+    $res = $conn->query("SELECT b.id, b.batch_number, b.expiry_date, b.quantity_remaining, i.name, i.unit, b.expiry_date < CURDATE() AS expired
+                         FROM inventory_batches b JOIN inventory_items i ON i.id = b.item_id
+                         WHERE b.quantity_remaining > 0 AND b.expiry_date <= CURDATE() + INTERVAL " . INVENTORY_EXPIRY_WARNING_DAYS . " DAY");
+    if ($res) {
+      $active['near_expiry'] = [];
+      while ($b = $res->fetch_assoc()) {
+        $active['near_expiry']["batch:{$b['id']}"] = [
+          $b['expired'] ? 'critical' : 'warning',
+          ($b['expired'] ? "Expired stock — " : "Expiring soon — ") . $b['name'],
+          "Batch {$b['batch_number']}: {$b['quantity_remaining']} {$b['unit']} " . ($b['expired'] ? "expired" : "expire") . " on {$b['expiry_date']}",
+          'Admin',
+          null
+        ];
+      }
+    }
+
+    $insert = $conn->prepare("INSERT IGNORE INTO alerts (rule, severity, title, details, dedupe_key, target_role, target_staff_id) VALUES (?,?,?,?,?,?,?)");
+    $resolve = $conn->prepare("UPDATE alerts SET status = 'resolved', resolved_at = NOW(), resolution_note = 'Condition cleared', cleared_at = NOW() WHERE id = ?");
+    $clear = $conn->prepare("UPDATE alerts SET cleared_at = NOW() WHERE id = ?");
+    if (!$insert || !$resolve || !$clear) return false;
+
+    foreach ($active as $rule => $alerts) {
+      $ruleOpen = $open[$rule] ?? [];
+
+      foreach ($alerts as $key => $a) {
+        if (isset($ruleOpen[$key])) continue;
+        list($severity, $title, $details, $role, $staffId) = $a;
+        $insert->bind_param("ssssssi", $rule, $severity, $title, $details, $key, $role, $staffId);
+        $insert->execute();
+      }
+      foreach ($ruleOpen as $key => $alert) {
+        if (isset($alerts[$key])) continue;
+        // Doses from earlier days stay open until someone deals with them
+        if ($rule === 'missed_medication' && $alert['status'] !== 'resolved' && strpos($key, ':' . date('Y-m-d') . ' ') === false) continue;
+        $stmt = $alert['status'] === 'resolved' ? $clear : $resolve;
+        $stmt->bind_param("i", $alert['id']);
+        $stmt->execute();
+      }
+    }
+    $insert->close();
+    $resolve->close();
+    $clear->close();
+    return true;
+  }
+}
+
+/**
+ * appointment_status_transitions — Allowed appointment status changes.
+ * Pending -> Checked-in -> Completed; Pending -> No-show / Cancelled. Terminal states have none.
+ */
+if (!function_exists('appointment_status_transitions')) {
+  function appointment_status_transitions()
+  {
+    return [
+      'Pending'    => ['Checked-in', 'No-show', 'Cancelled'],
+      'Checked-in' => ['Completed', 'Cancelled'],
+      'Completed'  => [],
+      'No-show'    => [],
+      'Cancelled'  => []
+    ];
   }
 }
 
+/** DOCTOR_DEFAULT_SLOT_MINUTES — Appointment length for doctors who have not set their own */
+if (!defined('DOCTOR_DEFAULT_SLOT_MINUTES')) define('DOCTOR_DEFAULT_SLOT_MINUTES', 30);
+
+/**
+ * doctor_schedule_for_date — Returns a doctor's working window for a date as
+ * ['start' => 'HH:MM', 'end' => 'HH:MM', 'slot_minutes' => int], or null when they do not work
+ * that day, are on leave or are not a doctor. Reads doctor_working_hours, doctor_settings and doctor_leave.
+ */
+if (!function_exists('doctor_schedule_for_date')) {
+  function doctor_schedule_for_date($conn, $doctor, $date)
+  {
+    $weekday = (int)date('N', strtotime($date));
+    $stmt = $conn->prepare("SELECT s.id,
+                                   (SELECT slot_minutes FROM doctor_settings WHERE staff_id = s.id) AS slot_minutes,
+                                   (SELECT COUNT(*) FROM doctor_working_hours WHERE staff_id = s.id) AS configured_days,
+                                   TIME_FORMAT(h.start_time, '%H:%i') AS start, TIME_FORMAT(h.end_time, '%H:%i') AS end,
+                                   (SELECT COUNT(*) FROM doctor_leave WHERE staff_id = s.id AND ? BETWEEN start_date AND end_date) AS on_leave
+                            FROM staff s
+                            LEFT JOIN doctor_working_hours h ON h.staff_id = s.id AND h.weekday = ?
+                            WHERE s.username = ? AND s.role = 'Doctor'");
+    if (!$stmt) return null;
+    $stmt->bind_param("sis", $date, $weekday, $doctor);
+    $stmt->execute();
+    $row = $stmt->get_result()->fetch_assoc();
+    $stmt->close();
+    if (!$row || (int)$row['on_leave'] > 0) return null;
+
+    $slotMinutes = (int)($row['slot_minutes'] ?: DOCTOR_DEFAULT_SLOT_MINUTES);
+    if ((int)$row['configured_days'] === 0) {
+      // No working hours recorded yet: default clinic hours, weekdays 09:00-17:00
+      if ($weekday > 5) return null;
+      return ['start' => '09:00', 'end' => '17:00', 'slot_minutes' => $slotMinutes];
+    }
+    if (!$row['start']) return null;
+    return ['start' => $row['start'], 'end' => $row['end'], 'slot_minutes' => $slotMinutes];
+  }
+}
+
+/**
+ * doctor_next_free_slot — First bookable slot for a doctor from now, looking ahead $days days.
+ * Returns ['date' => 'YYYY-MM-DD', 'time' => 'HH:MM'] or null.
+ */
+if (!function_exists('doctor_next_free_slot')) {
+  function doctor_next_free_slot($conn, $doctor, $days = 14)
+  {
+    for ($i = 0; $i < $days; $i++) {
+      $date = date('Y-m-d', strtotime("+$i day"));
+      $slots = appointment_free_slots($conn, $doctor, $date);
+      if ($slots) return ['date' => $date, 'time' => $slots[0]];
+    }
+    return null;
+  }
+}
+
+/**
+ * appointment_free_slots — Lists the start times (HH:MM) still free for a doctor on a date.
+ * Pass $excludeId to ignore one appointment (when rescheduling it).
+ */
+if (!function_exists('appointment_free_slots')) {
+  function appointment_free_slots($conn, $doctor, $date, $excludeId = 0)
+  {
+    $schedule = doctor_schedule_for_date($conn, $doctor, $date);
+    if (!$schedule) return [];
+    $step = (int)$schedule['slot_minutes'] * 60;
+    $slots = [];
+    for ($t = strtotime("$date {$schedule['start']}"); $t + $step <= strtotime("$date {$schedule['end']}"); $t += $step) {
+      if ($t < time()) continue;
+      if (!appointment_conflict($conn, $doctor, $date, date('H:i', $t), (int)$schedule['slot_minutes'], $excludeId)) {
+        $slots[] = date('H:i', $t);
+      }
+    }
+    return $slots;
+  }
+}
+
+/**
+ * appointment_conflict — Returns the id of an active appointment for the doctor that overlaps
+ * the given window, or 0. Cancelled and no-show appointments do not block a slot.
+ */
+if (!function_exists('appointment_conflict')) {
+  function appointment_conflict($conn, $doctor, $date, $time, $minutes, $excludeId = 0)
+  {
+    $stmt = $conn->prepare("SELECT id FROM appointments
+                            WHERE doctor = ? AND date = ? AND id <> ? AND status NOT IN ('Cancelled', 'No-show')
+                              AND time < ADDTIME(?, SEC_TO_TIME(? * 60))
+                              AND ADDTIME(time, SEC_TO_TIME(duration_minutes * 60)) > ?
+                            LIMIT 1");
+    if (!$stmt) return 0;
+    $stmt->bind_param("ssisis", $doctor, $date, $excludeId, $time, $minutes, $time);
+    $stmt->execute();
+    $row = $stmt->get_result()->fetch_assoc();
+    $stmt->close();
+    return $row ? (int)$row['id'] : 0;
+  }
+}
+
+/**
+ * billing_item_categories / billing_payment_methods — Allowed invoice line and payment types.
+ */
+if (!function_exists('billing_item_categories')) {
+  function billing_item_categories()
+  {
+    return ['consultation', 'lab', 'medication', 'bed', 'procedure', 'other'];
+  }
+}
+if (!function_exists('billing_payment_methods')) {
+  function billing_payment_methods()
+  {
+    return ['cash', 'card', 'mobile_money', 'insurance'];
+  }
+}
+
+/**
+ * billing_recalculate — Recomputes an invoice's totals from its items and payments and
+ * derives its status: Pending -> Partially Paid -> Paid, or Refunded once payments have
+ * been fully refunded. Void invoices keep their status. The insurer portion is what its
+ * claims currently cover (claimed, then approved, then remitted; nothing once rejected).
+ * Returns false if an update failed.
+ */
+if (!function_exists('billing_recalculate')) {
+  function billing_recalculate($conn, $billId)
+  {
+    $billId = (int)$billId;
+    $res = $conn->query("SELECT discount, tax_rate, status,
+                                (SELECT COALESCE(SUM(line_total), 0) FROM billing_items WHERE bill_id = b.id) AS subtotal,
+                                (SELECT COALESCE(SUM(IF(type = 'refund', -amount, amount)), 0) FROM billing_payments WHERE bill_id = b.id) AS paid,
+                                (SELECT COUNT(*) FROM billing_payments WHERE bill_id = b.id AND type = 'refund') AS refunds,
+                                (SELECT COALESCE(SUM(CASE status WHEN 'submitted' THEN claimed_amount WHEN 'approved' THEN approved_amount
+                                                                 WHEN 'paid' THEN remitted_amount ELSE 0 END), 0)
+                                 FROM insurance_claims WHERE bill_id = b.id) AS insurer_portion
+                         FROM billing b WHERE b.id = $billId");
+    $bill = $res ? $res->fetch_assoc() : null;
+    if (!$bill) return false;
+
+    $subtotal = (float)$bill['subtotal'];
+    $taxable = max(0, $subtotal - (float)$bill['discount']);
+    $tax = round($taxable * (float)$bill['tax_rate'] / 100, 2);
+    $total = round($taxable + $tax, 2);
+    $paid = round((float)$bill['paid'], 2);
+    $insurerPortion = min($total, round((float)$bill['insurer_portion'], 2));
+
+    if ($bill['status'] === 'Void') {
+      $status = 'Void';
+    } elseif ($total > 0 && $paid >= $total) {
+      $status = 'Paid';
+    } elseif ($paid > 0) {
+      $status = 'Partially Paid';
+    } elseif ((int)$bill['refunds'] > 0) {
+      $status = 'Refunded';
+    } else {
+      $status = 'Pending';
+    }
+
+    $stmt = $conn->prepare("UPDATE billing SET subtotal = ?, tax = ?, amount = ?, amount_paid = ?, insurer_portion = ?, status = ? WHERE id = ?");
+    if (!$stmt) return false;
+    $stmt->bind_param("dddddsi", $subtotal, $tax, $total, $paid, $insurerPortion, $status, $billId);
+    $ok = $stmt->execute();
+    $stmt->close();
+    return $ok;
+  }
+}
+
+/**
+ * billing_add_item — Adds a line to the patient's open invoice (Pending, nothing paid, no insurance
+ * claim), or opens a new invoice for it. Used for charges raised outside the billing desk, such as
+ * lab tests. Call inside a transaction. Returns the billing_items id, or false if a write failed.
+ */
+if (!function_exists('billing_add_item')) {
+  function billing_add_item($conn, $patientId, $category, $description, $unitPrice, $userId)
+  {
+    $patientId = (int)$patientId;
+    $res = $conn->query("SELECT b.id FROM billing b
+                         WHERE b.patient_id = $patientId AND b.status = 'Pending' AND b.amount_paid = 0
+                           AND NOT EXISTS (SELECT 1 FROM insurance_claims WHERE bill_id = b.id)
+                         ORDER BY b.id DESC LIMIT 1 FOR UPDATE");
+    if (!$res) return false;
+    $row = $res->fetch_assoc();
+    $billId = $row ? (int)$row['id'] : 0;
+
+    if (!$billId) {
+      $stmt = $conn->prepare("INSERT INTO billing (patient_id, patient_name, date, created_by)
+                              SELECT id, name, CURDATE(), ? FROM patients WHERE id = ?");
+      if (!$stmt) return false;
+      $stmt->bind_param("ii", $userId, $patientId);
+      $ok = $stmt->execute() && $stmt->affected_rows > 0;
+      $billId = $stmt->insert_id;
+      $stmt->close();
+      if (!$ok) return false;
+      $invoiceNumber = sprintf("INV-%s-%05d", date("Y"), $billId);
+      if (!$conn->query("UPDATE billing SET invoice_number = '$invoiceNumber' WHERE id = $billId")) return false;
+    }
+
+    $unitPrice = round((float)$unitPrice, 2);
+    $stmt = $conn->prepare("INSERT INTO billing_items (bill_id, category, description, quantity, unit_price, line_total) VALUES (?,?,?,1,?,?)");
+    if (!$stmt) return false;
+    $stmt->bind_param("issdd", $billId, $category, $description, $unitPrice, $unitPrice);
+    $ok = $stmt->execute();
+    $itemId = $stmt->insert_id;
+    $stmt->close();
+    return $ok && billing_recalculate($conn, $billId) ? $itemId : false;
+  }
+}
+
+/**
+ * hospital_info — Letterhead details printed on invoices and receipts.
+ * Override with the HOSPITAL_* environment variables or in config.local.php.
+ */
+if (!function_exists('hospital_info')) {
+  function hospital_info()
+  {
+    return [
+      'name'    => getenv('HOSPITAL_NAME') ?: 'MediSync Hospital',
+      'address' => getenv('HOSPITAL_ADDRESS') ?: 'P.O. Box 00100, Nairobi',
+      'phone'   => getenv('HOSPITAL_PHONE') ?: '+254 700 000 000',
+      'email'   => getenv('HOSPITAL_EMAIL') ?: 'billing@medisync.local',
+      'tax_id'  => getenv('HOSPITAL_TAX_ID') ?: ''
+    ];
+  }
+}
+
+/**
+ * insurance_claim_transitions — Allowed claim status changes (current => next statuses).
+ */
+if (!function_exists('insurance_claim_transitions')) {
+  function insurance_claim_transitions()
+  {
+    return [
+      'submitted' => ['approved', 'rejected'],
+      'approved'  => ['paid', 'rejected'],
+      'rejected'  => [],
+      'paid'      => []
+    ];
+  }
+}
+
+/**
+ * insurance_policy_for_patient — Returns the patient's policy if it is active and valid on
+ * $date, with remaining_limit (null when the policy has no annual limit); otherwise null.
+ */
+if (!function_exists('insurance_policy_for_patient')) {
+  function insurance_policy_for_patient($conn, $policyId, $patientId, $date = null)
+  {
+    $date = $date ?: date('Y-m-d');
+    $year = substr($date, 0, 4);
+    $stmt = $conn->prepare("SELECT p.*,
+                                   (SELECT COALESCE(SUM(CASE c.status WHEN 'submitted' THEN c.claimed_amount WHEN 'approved' THEN c.approved_amount
+                                                                      WHEN 'paid' THEN c.remitted_amount ELSE 0 END), 0)
+                                    FROM insurance_claims c WHERE c.policy_id = p.id AND YEAR(c.submitted_at) = ?) AS used
+                            FROM insurance_policies p
+                            WHERE p.id = ? AND p.patient_id = ? AND p.active = 1
+                              AND p.valid_from <= ? AND (p.valid_to IS NULL OR p.valid_to >= ?)");
+    if (!$stmt) return null;
+    $stmt->bind_param("siiss", $year, $policyId, $patientId, $date, $date);
+    $stmt->execute();
+    $policy = $stmt->get_result()->fetch_assoc();
+    $stmt->close();
+    if (!$policy) return null;
+    $policy['remaining_limit'] = $policy['annual_limit'] === null ? null : max(0, round((float)$policy['annual_limit'] - (float)$policy['used'], 2));
+    return $policy;
+  }
+}
+
+/**
+ * insurance_claim_submit — Files a claim against an invoice for the insurer's share
+ * (coverage_percent of $amount, capped by the policy's remaining annual limit), numbers it
+ * CLM-YYYY-NNNNN and refreshes the invoice split. Returns the claim id, or false on failure.
+ */
+if (!function_exists('insurance_claim_submit')) {
+  function insurance_claim_submit($conn, $billId, $policy, $amount, $userId)
+  {
+    $claimed = round((float)$amount * (float)$policy['coverage_percent'] / 100, 2);
+    if ($policy['remaining_limit'] !== null) $claimed = min($claimed, (float)$policy['remaining_limit']);
+    if ($claimed <= 0) return false;
+
+    $stmt = $conn->prepare("INSERT INTO insurance_claims (bill_id, policy_id, insurer, claimed_amount, submitted_by) VALUES (?,?,?,?,?)");
+    if (!$stmt) return false;
+    $policyId = (int)$policy['id'];
+    $stmt->bind_param("iisdi", $billId, $policyId, $policy['insurer'], $claimed, $userId);
+    $ok = $stmt->execute();
+    $claimId = $stmt->insert_id;
+    $stmt->close();
+    if (!$ok) return false;
+
+    $claimNumber = sprintf("CLM-%s-%05d", date("Y"), $claimId);
+    if (!$conn->query("UPDATE insurance_claims SET claim_number = '$claimNumber' WHERE id = $claimId")) return false;
+    return billing_recalculate($conn, $billId) ? $claimId : false;
+  }
+}
+
+/**
+ * admission_dispositions — Where a patient went on discharge.
+ */
+if (!function_exists('admission_dispositions')) {
+  function admission_dispositions()
+  {
+    return ['home', 'transferred', 'against_advice', 'deceased'];
+  }
+}
+
+/**
+ * bed_occupy — Puts a patient in a bed and opens the stay in bed_assignments.
+ * Callers check the bed is free inside their transaction. Returns false if a write failed.
+ */
+if (!function_exists('bed_occupy')) {
+  function bed_occupy($conn, $bedId, $patientId, $admissionId, $userId)
+  {
+    $bedId = (int)$bedId;
+    $patientId = (int)$patientId;
+    $admissionId = $admissionId ? (int)$admissionId : "NULL";
+    $userId = (int)$userId;
+    return $conn->query("UPDATE beds SET status = 'occupied', patient_id = $patientId, updated_at = NOW() WHERE id = $bedId")
+      && $conn->query("INSERT INTO bed_assignments (bed_id, patient_id, admission_id, assigned_by) VALUES ($bedId, $patientId, $admissionId, $userId)");
+  }
+}
+
+/**
+ * admission_summary — Builds the discharge summary for a stay: the admission, its diagnoses
+ * and beds, prescriptions active at any point during the stay and the signed notes written
+ * during it. Returns null if the admission does not exist.
+ */
+if (!function_exists('admission_summary')) {
+  function admission_summary($conn, $admissionId)
+  {
+    $admissionId = (int)$admissionId;
+    $res = $conn->query("SELECT a.id, a.patient_id, p.name AS patient_name, p.mrn AS patient_mrn, TIMESTAMPDIFF(YEAR, p.dob, CURDATE()) AS patient_age, p.gender AS patient_gender,
+                                a.attending_doctor, a.admit_reason, a.status, a.admitted_at, a.discharged_at, a.disposition,
+                                a.discharge_instructions, s.username AS discharged_by
+                         FROM admissions a
+                         LEFT JOIN patients p ON p.id = a.patient_id
+                         LEFT JOIN staff s ON s.id = a.discharged_by
+                         WHERE a.id = $admissionId");
+    $summary = $res ? $res->fetch_assoc() : null;
+    if (!$summary) return null;
+
+    $patientId = (int)$summary['patient_id'];
+    $from = substr($summary['admitted_at'], 0, 10);
+    $to = $summary['discharged_at'] ? substr($summary['discharged_at'], 0, 10) : date('Y-m-d');
+    $summary['length_of_stay_days'] = max(1, (int)ceil(((strtotime($summary['discharged_at'] ?: 'now')) - strtotime($summary['admitted_at'])) / 86400));
+
+    $lists = [
+      'diagnoses' => "SELECT d.code, d.description, d.type, d.recorded_at, s.username AS recorded_by
+                      FROM admission_diagnoses d LEFT JOIN staff s ON s.id = d.recorded_by
+                      WHERE d.admission_id = $admissionId ORDER BY d.type = 'primary' DESC, d.recorded_at",
+      'beds' => "SELECT b.label, w.name AS ward, ba.start_at, ba.end_at, ba.end_reason
+                 FROM bed_assignments ba
+                 JOIN beds b ON b.id = ba.bed_id
+                 JOIN rooms r ON r.id = b.room_id
+                 JOIN wards w ON w.id = r.ward_id
+                 WHERE ba.admission_id = $admissionId ORDER BY ba.start_at",
+      'prescriptions' => "SELECT pr.medication, pr.dosage, pr.frequency, pr.start_date, pr.end_date, pr.status, s.username AS prescribed_by
+                          FROM prescriptions pr LEFT JOIN staff s ON s.id = pr.prescribed_by
+                          WHERE pr.patient_id = $patientId AND pr.start_date <= '$to'
+                            AND (pr.end_date IS NULL OR pr.end_date >= '$from')
+                            AND (pr.status_changed_at IS NULL OR pr.status = 'active' OR DATE(pr.status_changed_at) >= '$from')
+                          ORDER BY pr.start_date",
+      'notes' => "SELECT n.note_date, n.content, n.parent_id, s.username AS author
+                  FROM clinical_notes n LEFT JOIN staff s ON s.id = n.author_id
+                  WHERE n.patient_id = $patientId AND n.status = 'signed' AND n.note_date BETWEEN '$from' AND '$to'
+                  ORDER BY n.note_date, n.id"
+    ];
+    foreach ($lists as $key => $sql) {
+      $summary[$key] = [];
+      $res = $conn->query($sql);
+      while ($res && $row = $res->fetch_assoc()) {
+        $summary[$key][] = $row;
+      }
+    }
+    return $summary;
+  }
+}
+
+/**
+ * admission_discharge — Discharges a stay: ends its open bed stay (the bed goes to cleaning),
+ * records disposition and instructions, and stores the discharge summary snapshot.
+ * Call inside a transaction. Returns false if a write failed.
+ */
+if (!function_exists('admission_discharge')) {
+  function admission_discharge($conn, $admissionId, $userId, $disposition, $instructions)
+  {
+    $admissionId = (int)$admissionId;
+    $userId = (int)$userId;
+    $ok = $conn->query("UPDATE beds b JOIN bed_assignments ba ON ba.bed_id = b.id AND ba.end_at IS NULL AND ba.admission_id = $admissionId
+                        SET b.status = 'cleaning', b.patient_id = NULL, b.updated_at = NOW(),
+                            ba.end_at = NOW(), ba.end_reason = 'discharge', ba.ended_by = $userId");
+    if (!$ok) return false;
+
+    $stmt = $conn->prepare("UPDATE admissions SET status = 'discharged', discharged_at = NOW(), disposition = ?, discharge_instructions = ?, discharged_by = ?
+                            WHERE id = ? AND status = 'admitted'");
+    if (!$stmt) return false;
+    $stmt->bind_param("ssii", $disposition, $instructions, $userId, $admissionId);
+    $ok = $stmt->execute() && $stmt->affected_rows > 0;
+    $stmt->close();
+    if (!$ok) return false;
+
+    $summary = json_encode(admission_summary($conn, $admissionId));
+    $stmt = $conn->prepare("UPDATE admissions SET discharge_summary = ? WHERE id = ?");
+    if (!$stmt) return false;
+    $stmt->bind_param("si", $summary, $admissionId);
+    $ok = $stmt->execute();
+    $stmt->close();
+    return $ok;
+  }
+}
+
+/**
+ * patient_blood_groups — ABO/Rh groups accepted on a patient record.
+ */
+if (!function_exists('patient_blood_groups')) {
+  function patient_blood_groups()
+  {
+    return ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+  }
+}
+
+/**
+ * patient_scope_sql — SQL condition limiting $idColumn (a patient id) to the patients the session
+ * user may see. Admin and Receptionist see everyone. A doctor sees their own patients, stays they are
+ * attending and today's queue sent to them; a nurse sees current inpatients and today's queue. Both
+ * also see patients whose care team they are on until the membership expires.
+ * Returns "1 = 1" for unrestricted roles and "1 = 0" when there is no session.
+ */
+if (!function_exists('patient_scope_sql')) {
+  function patient_scope_sql($conn, $idColumn = 'p.id')
+  {
+    $user = current_user();
+    $role = strtolower($user['role'] ?? '');
+    if (in_array($role, ['admin', 'receptionist'], true)) return "1 = 1";
+    if (!in_array($role, ['doctor', 'nurse'], true)) return "1 = 0";
+
+    $staffId = (int)$user['id'];
+    $careTeam = "SELECT patient_id FROM care_team WHERE staff_id = $staffId AND (expires_at IS NULL OR expires_at >= CURDATE())";
+    if ($role === 'nurse') {
+      return "($idColumn IN ($careTeam)
+               OR $idColumn IN (SELECT patient_id FROM admissions WHERE status = 'admitted')
+               OR $idColumn IN (SELECT patient_id FROM queue_entries WHERE queue_date = CURDATE()))";
+    }
+    $me = "'" . $conn->real_escape_string($user['username']) . "'";
+    return "($idColumn IN (SELECT id FROM patients WHERE doctor = $me)
+             OR $idColumn IN ($careTeam)
+             OR $idColumn IN (SELECT patient_id FROM admissions WHERE status = 'admitted' AND attending_doctor = $me)
+             OR $idColumn IN (SELECT patient_id FROM queue_entries WHERE queue_date = CURDATE() AND doctor = $me))";
+  }
+}
+
+/**
+ * patient_in_scope — Whether the session user may see one patient (see patient_scope_sql).
+ */
+if (!function_exists('patient_in_scope')) {
+  function patient_in_scope($conn, $patientId)
+  {
+    $patientId = (int)$patientId;
+    $res = $conn->query("SELECT 1 FROM patients p WHERE p.id = $patientId AND " . patient_scope_sql($conn));
+    return $res && $res->num_rows > 0;
+  }
+}
+
+/**
+ * lab_priorities — Lab order priorities, most urgent last. The worklist puts stat orders first.
+ */
+if (!function_exists('lab_priorities')) {
+  function lab_priorities()
+  {
+    return ['routine', 'urgent', 'stat'];
+  }
+}
+
+/**
+ * lab_result_flag — Flags a numeric result against a test's limits (lab_tests columns):
+ * critical_low / critical_high beyond the critical limits, low / high outside the reference range,
+ * otherwise normal. Missing limits are not checked.
+ */
+if (!function_exists('lab_result_flag')) {
+  function lab_result_flag($value, $test)
+  {
+    $value = (float)$value;
+    if ($test['critical_low'] !== null && $value <= (float)$test['critical_low']) return 'critical_low';
+    if ($test['critical_high'] !== null && $value >= (float)$test['critical_high']) return 'critical_high';
+    if ($test['ref_low'] !== null && $value < (float)$test['ref_low']) return 'low';
+    if ($test['ref_high'] !== null && $value > (float)$test['ref_high']) return 'high';
+    return 'normal';
+  }
+}
+
+/**
+ * inventory_move — Records a stock movement on one batch: changes its remaining quantity by $quantity
+ * (negative to take stock out), logs it in stock_movements and updates the item's stock on hand.
+ * $extra may carry prescription_id, patient_id and reason. Call inside a transaction with the batch
+ * locked. Returns false if a write failed or the batch would go below zero.
+ */
+if (!function_exists('inventory_move')) {
+  function inventory_move($conn, $batchId, $type, $quantity, $userId, $extra = [])
+  {
+    $batchId = (int)$batchId;
+    $quantity = (int)$quantity;
+    $res = $conn->query("SELECT item_id, quantity_remaining FROM inventory_batches WHERE id = $batchId");
+    $batch = $res ? $res->fetch_assoc() : null;
+    if (!$batch || (int)$batch['quantity_remaining'] + $quantity < 0) return false;
+    $itemId = (int)$batch['item_id'];
+
+    if (!$conn->query("UPDATE inventory_batches SET quantity_remaining = quantity_remaining + ($quantity) WHERE id = $batchId")) return false;
+    if (!$conn->query("UPDATE inventory_items SET quantity = (SELECT SUM(quantity_remaining) FROM inventory_batches WHERE item_id = $itemId) WHERE id = $itemId")) return false;
+
+    $stmt = $conn->prepare("INSERT INTO stock_movements (item_id, batch_id, type, quantity, prescription_id, patient_id, reason, created_by) VALUES (?,?,?,?,?,?,?,?)");
+    if (!$stmt) return false;
+    $prescriptionId = $extra['prescription_id'] ?? null;
+    $patientId = $extra['patient_id'] ?? null;
+    $reason = $extra['reason'] ?? null;
+    $stmt->bind_param("iisiiisi", $itemId, $batchId, $type, $quantity, $prescriptionId, $patientId, $reason, $userId);
+    $ok = $stmt->execute();
+    $stmt->close();
+    return $ok;
+  }
+}
+
+/**
+ * inventory_dispense — Takes $quantity of an item out of stock for a prescription, from the unexpired
+ * batches that expire first. Call inside a transaction. Returns the batches used as
+ * [['batch_number' => ..., 'quantity' => n], ...], null when there is not enough unexpired stock,
+ * or false if a write failed.
+ */
+if (!function_exists('inventory_dispense')) {
+  function inventory_dispense($conn, $itemId, $quantity, $prescriptionId, $patientId, $userId)
+  {
+    $itemId = (int)$itemId;
+    $res = $conn->query("SELECT id, batch_number, quantity_remaining FROM inventory_batches
+                         WHERE item_id = $itemId AND quantity_remaining > 0 AND expiry_date >= CURDATE()
+                         ORDER BY expiry_date, id FOR UPDATE");
+    if (!$res) return false;
+    $batches = $res->fetch_all(MYSQLI_ASSOC);
+    if (array_sum(array_column($batches, 'quantity_remaining')) < $quantity) return null;
+
+    $used = [];
+    $left = (int)$quantity;
+    foreach ($batches as $b) {
+      if ($left <= 0) break;
+      $take = min($left, (int)$b['quantity_remaining']);
+      $extra = ['prescription_id' => (int)$prescriptionId, 'patient_id' => (int)$patientId];
+      if (!inventory_move($conn, $b['id'], 'dispense', -$take, $userId, $extra)) return false;
+      $used[] = ['batch_number' => $b['batch_number'], 'quantity' => $take];
+      $left -= $take;
+    }
+    return $used;
+  }
+}
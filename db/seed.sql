@@ -27,23 +27,39 @@ INSERT INTO staff (username, password, role) VALUES
 -- ========================
 -- PATIENTS TABLE
 -- ========================
+-- Age is derived from dob when read. mrn (medical record number) is assigned from the id on
+-- registration as MRN-NNNNNN and never changes.
 DROP TABLE IF EXISTS patients;
 CREATE TABLE patients (
   id INT AUTO_INCREMENT PRIMARY KEY,
+  mrn VARCHAR(20) NULL,
   name VARCHAR(100) NOT NULL,
-  age INT NOT NULL,
+  dob DATE NOT NULL,
   gender VARCHAR(20),
+  phone VARCHAR(30) NULL,
+  address VARCHAR(255) NULL,
+  national_id VARCHAR(30) NULL,
+  next_of_kin_name VARCHAR(100) NULL,
+  next_of_kin_relation VARCHAR(50) NULL,
+  next_of_kin_phone VARCHAR(30) NULL,
+  blood_group VARCHAR(3) NULL,
+  allergies TEXT NULL,
   doctor VARCHAR(100),
-  date DATE
+  date DATE,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_patients_mrn (mrn),
+  UNIQUE KEY uniq_patients_national_id (national_id),
+  INDEX idx_patients_created (created_at)
 );
 
-INSERT INTO patients (name, age, gender, doctor, date) VALUES
-('John Doe', 30, 'Male', 'doctor_john', '2025-10-10'),
-('Jane Roe', 45, 'Female', 'doctor_john', '2025-10-11'),
-('Samuel Kamau', 28, 'Male', 'doctor_john', '2025-10-15'),
-('Mary Wanjiku', 34, 'Female', 'doctor_john', '2025-10-16'),
-('Kelvin Otieno', 55, 'Male', 'doctor_john', '2025-10-17'),
-('Lucy Njeri', 23, 'Female', 'doctor_john', '2025-10-18');
+INSERT INTO patients (mrn, name, dob, gender, phone, address, national_id, next_of_kin_name, next_of_kin_relation, next_of_kin_phone, blood_group, allergies, doctor, date, created_at) VALUES
+('MRN-000001', 'John Doe', '1995-03-14', 'Male', '+254 712 345 678', '12 Moi Avenue, Nairobi', '28456123', 'Grace Doe', 'Spouse', '+254 722 111 222', 'O+', NULL, 'doctor_john', '2025-10-10', '2025-10-08 09:12:00'),
+('MRN-000002', 'Jane Roe', '1980-06-02', 'Female', '+254 733 456 789', '4 Ngong Road, Nairobi', '21987654', 'Peter Roe', 'Brother', '+254 733 222 333', 'A+', 'Sulfonamides', 'doctor_john', '2025-10-11', '2025-10-09 11:30:00'),
+('MRN-000003', 'Samuel Kamau', '1997-01-22', 'Male', '+254 701 234 567', 'Thika Road, Kiambu', '30123456', 'Ann Kamau', 'Mother', '+254 701 999 888', 'B+', NULL, 'doctor_john', '2025-10-15', '2025-10-13 08:45:00'),
+('MRN-000004', 'Mary Wanjiku', '1991-09-05', 'Female', '+254 720 987 654', 'Kilimani, Nairobi', '27654321', 'James Mwangi', 'Husband', '+254 720 555 444', 'AB-', 'Penicillin', 'doctor_john', '2025-10-16', '2025-10-14 14:20:00'),
+('MRN-000005', 'Kelvin Otieno', '1970-04-18', 'Male', '+254 711 222 333', 'Milimani, Kisumu', '12345678', 'Rose Otieno', 'Daughter', '+254 711 777 666', 'O-', 'Latex', 'doctor_john', '2025-10-17', '2025-10-16 10:05:00'),
+('MRN-000006', 'Lucy Njeri', '2002-02-11', 'Female', '+254 745 678 901', 'Nakuru Town', '36789012', 'Joseph Njeri', 'Father', '+254 745 333 222', NULL, NULL, 'doctor_john', '2025-10-18', '2025-10-17 15:40:00'),
+('MRN-000007', 'Jon Doe', '1995-03-14', 'Male', '0712345678', NULL, NULL, NULL, NULL, NULL, NULL, NULL, 'doctor_john', '2025-10-18', '2025-10-18 09:02:00');
 
 -- ========================
 -- APPOINTMENTS TABLE
@@ -51,38 +67,787 @@ INSERT INTO patients (name, age, gender, doctor, date) VALUES
 DROP TABLE IF EXISTS appointments;
 CREATE TABLE appointments (
   id INT AUTO_INCREMENT PRIMARY KEY,
+  patient_id INT NULL,
   patient_name VARCHAR(100),
   doctor VARCHAR(100),
   date DATE,
-  time VARCHAR(20),
-  status VARCHAR(50)
+  time TIME,
+  duration_minutes INT NOT NULL DEFAULT 30,
+  reason VARCHAR(255) NULL,
+  status VARCHAR(50),
+  status_reason VARCHAR(255) NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NULL,
+  INDEX idx_appointments_doctor_date (doctor, date)
 );
 
-INSERT INTO appointments (patient_name, doctor, date, time, status) VALUES
-('John Doe', 'doctor_john', '2025-10-20', '09:00 AM', 'Pending'),
-('Jane Roe', 'doctor_john', '2025-10-21', '10:00 AM', 'Completed'),
-('Samuel Kamau', 'doctor_john', '2025-10-22', '11:30 AM', 'Cancelled'),
-('Mary Wanjiku', 'doctor_john', '2025-10-23', '01:00 PM', 'Pending'),
-('Lucy Njeri', 'doctor_john', '2025-10-24', '03:30 PM', 'Completed');
+-- Status lifecycle: Pending -> Checked-in -> Completed, or Pending -> No-show / Cancelled
+INSERT INTO appointments (patient_id, patient_name, doctor, date, time, status) VALUES
+(1, 'John Doe', 'doctor_john', '2025-10-20', '09:00', 'Pending'),
+(2, 'Jane Roe', 'doctor_john', '2025-10-21', '10:00', 'Completed'),
+(3, 'Samuel Kamau', 'doctor_john', '2025-10-22', '11:30', 'Cancelled'),
+(4, 'Mary Wanjiku', 'doctor_john', '2025-10-23', '13:00', 'Pending'),
+(6, 'Lucy Njeri', 'doctor_john', '2025-10-24', '15:30', 'Completed');
 
 -- ========================
 -- BILLING TABLE
 -- ========================
+-- One row per invoice. Totals are kept in step with billing_items and billing_payments
+-- by billing_recalculate() in config.php; status is derived, never set by hand (except Void).
 DROP TABLE IF EXISTS billing;
 CREATE TABLE billing (
   id INT AUTO_INCREMENT PRIMARY KEY,
+  invoice_number VARCHAR(20) NULL UNIQUE,
+  patient_id INT NULL,
   patient_name VARCHAR(100),
-  amount DECIMAL(10,2),
+  subtotal DECIMAL(10,2) NOT NULL DEFAULT 0,
+  discount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  tax_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+  tax DECIMAL(10,2) NOT NULL DEFAULT 0,
+  amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  amount_paid DECIMAL(10,2) NOT NULL DEFAULT 0,
+  insurer_portion DECIMAL(10,2) NOT NULL DEFAULT 0,
   date DATE,
-  status VARCHAR(50)
+  due_date DATE NULL,
+  status VARCHAR(50) NOT NULL DEFAULT 'Pending',
+  notes VARCHAR(255) NULL,
+  void_reason VARCHAR(255) NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_billing_patient (patient_id),
+  INDEX idx_billing_status (status)
+);
+
+DROP TABLE IF EXISTS billing_items;
+CREATE TABLE billing_items (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  bill_id INT NOT NULL,
+  category ENUM('consultation','lab','medication','bed','procedure','other') NOT NULL DEFAULT 'other',
+  description VARCHAR(255) NOT NULL,
+  quantity DECIMAL(10,2) NOT NULL DEFAULT 1,
+  unit_price DECIMAL(10,2) NOT NULL,
+  line_total DECIMAL(10,2) NOT NULL,
+  INDEX idx_billing_items_bill (bill_id)
+);
+
+-- Payments and refunds; refunds are stored as positive amounts with type = 'refund'
+DROP TABLE IF EXISTS billing_payments;
+CREATE TABLE billing_payments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  bill_id INT NOT NULL,
+  type ENUM('payment','refund') NOT NULL DEFAULT 'payment',
+  amount DECIMAL(10,2) NOT NULL,
+  method ENUM('cash','card','mobile_money','insurance') NOT NULL,
+  reference VARCHAR(100) NULL,
+  reason VARCHAR(255) NULL,
+  claim_id INT NULL,
+  received_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_billing_payments_bill (bill_id)
+);
+
+INSERT INTO billing (invoice_number, patient_id, patient_name, subtotal, discount, tax_rate, tax, amount, amount_paid, insurer_portion, date, status) VALUES
+('INV-2025-00001', 1, 'John Doe', 1200.00, 0, 0, 0, 1200.00, 1200.00, 0, '2025-10-10', 'Paid'),
+('INV-2025-00002', 2, 'Jane Roe', 800.00, 0, 0, 0, 800.00, 0, 640.00, '2025-10-11', 'Pending'),
+('INV-2025-00003', 3, 'Samuel Kamau', 650.00, 0, 0, 0, 650.00, 650.00, 0, '2025-10-15', 'Paid'),
+('INV-2025-00004', 4, 'Mary Wanjiku', 980.00, 0, 0, 0, 980.00, 400.00, 490.00, '2025-10-16', 'Partially Paid'),
+('INV-2025-00005', 5, 'Kelvin Otieno', 450.00, 0, 0, 0, 450.00, 450.00, 0, '2025-10-17', 'Paid'),
+('INV-2025-00006', 6, 'Lucy Njeri', 1100.00, 0, 0, 0, 1100.00, 1100.00, 1100.00, '2025-10-18', 'Paid');
+
+INSERT INTO billing_items (bill_id, category, description, quantity, unit_price, line_total) VALUES
+(1, 'consultation', 'General consultation', 1, 500.00, 500.00),
+(1, 'lab', 'Full blood count', 1, 700.00, 700.00),
+(2, 'consultation', 'General consultation', 1, 500.00, 500.00),
+(2, 'medication', 'Amoxicillin 500mg (21 caps)', 1, 300.00, 300.00),
+(3, 'consultation', 'Follow-up consultation', 1, 350.00, 350.00),
+(3, 'medication', 'Paracetamol 500mg (20 tabs)', 1, 300.00, 300.00),
+(4, 'bed', 'General ward bed day', 2, 490.00, 980.00),
+(5, 'consultation', 'Follow-up consultation', 1, 450.00, 450.00),
+(6, 'consultation', 'Specialist consultation', 1, 800.00, 800.00),
+(6, 'lab', 'Urinalysis', 1, 300.00, 300.00);
+
+INSERT INTO billing_payments (bill_id, type, amount, method, reference, claim_id, received_by, created_at) VALUES
+(1, 'payment', 1200.00, 'cash', NULL, NULL, 2, '2025-10-10 10:15:00'),
+(3, 'payment', 650.00, 'mobile_money', 'QX7H2K9', NULL, 2, '2025-10-15 11:40:00'),
+(4, 'payment', 400.00, 'card', NULL, NULL, 2, '2025-10-16 14:05:00'),
+(5, 'payment', 450.00, 'cash', NULL, NULL, 2, '2025-10-17 09:30:00'),
+(6, 'payment', 1100.00, 'insurance', 'NHIF-55821', 3, 2, '2025-10-18 16:20:00');
+
+-- ========================
+-- INSURANCE TABLES
+-- ========================
+-- A patient may hold several policies; coverage_percent is the insurer's share of an invoice.
+DROP TABLE IF EXISTS insurance_policies;
+CREATE TABLE insurance_policies (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  patient_id INT NOT NULL,
+  insurer VARCHAR(100) NOT NULL,
+  policy_number VARCHAR(50) NOT NULL,
+  member_name VARCHAR(100) NULL,
+  coverage_percent DECIMAL(5,2) NOT NULL DEFAULT 100,
+  annual_limit DECIMAL(10,2) NULL,
+  valid_from DATE NOT NULL,
+  valid_to DATE NULL,
+  active TINYINT(1) NOT NULL DEFAULT 1,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_insurer_policy (insurer, policy_number),
+  INDEX idx_insurance_policies_patient (patient_id)
+);
+
+-- Claims move submitted -> approved -> paid, or to rejected (see insurance_claim_transitions()).
+-- Open claims count towards billing.insurer_portion; a paid claim posts its remittance to billing_payments.
+DROP TABLE IF EXISTS insurance_claims;
+CREATE TABLE insurance_claims (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  claim_number VARCHAR(20) NULL UNIQUE,
+  bill_id INT NOT NULL,
+  policy_id INT NOT NULL,
+  insurer VARCHAR(100) NOT NULL,
+  claimed_amount DECIMAL(10,2) NOT NULL,
+  approved_amount DECIMAL(10,2) NULL,
+  remitted_amount DECIMAL(10,2) NULL,
+  remittance_reference VARCHAR(100) NULL,
+  status ENUM('submitted','approved','rejected','paid') NOT NULL DEFAULT 'submitted',
+  status_reason VARCHAR(255) NULL,
+  submitted_by INT NULL,
+  submitted_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  decided_at DATETIME NULL,
+  paid_at DATETIME NULL,
+  INDEX idx_insurance_claims_bill (bill_id),
+  INDEX idx_insurance_claims_status (status)
+);
+
+INSERT INTO insurance_policies (patient_id, insurer, policy_number, member_name, coverage_percent, annual_limit, valid_from, valid_to, created_by) VALUES
+(2, 'AAR Insurance', 'AAR-204518', 'Jane Roe', 80.00, 150000.00, '2025-01-01', '2025-12-31', 2),
+(4, 'Jubilee Health', 'JH-778120', 'Mary Wanjiku', 50.00, NULL, '2025-03-01', NULL, 2),
+(6, 'NHIF', 'NHIF-55821', 'Lucy Njeri', 100.00, NULL, '2024-07-01', NULL, 2);
+
+INSERT INTO insurance_claims (claim_number, bill_id, policy_id, insurer, claimed_amount, approved_amount, remitted_amount, remittance_reference, status, submitted_by, submitted_at, decided_at, paid_at) VALUES
+('CLM-2025-00001', 2, 1, 'AAR Insurance', 640.00, NULL, NULL, NULL, 'submitted', 2, '2025-10-11 12:00:00', NULL, NULL),
+('CLM-2025-00002', 4, 2, 'Jubilee Health', 490.00, 490.00, NULL, NULL, 'approved', 2, '2025-10-16 14:10:00', '2025-10-20 09:00:00', NULL),
+('CLM-2025-00003', 6, 3, 'NHIF', 1100.00, 1100.00, 1100.00, 'NHIF-55821', 'paid', 2, '2025-10-18 10:00:00', '2025-10-18 12:00:00', '2025-10-18 16:20:00');
+
+-- ========================
+-- PRESCRIPTIONS TABLE
+-- ========================
+DROP TABLE IF EXISTS prescriptions;
+CREATE TABLE prescriptions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  patient_id INT NOT NULL,
+  prescribed_by INT NOT NULL,
+  medication VARCHAR(150) NOT NULL,
+  dosage VARCHAR(100) NOT NULL,
+  frequency VARCHAR(10) NOT NULL DEFAULT 'OD',
+  start_date DATE NOT NULL,
+  end_date DATE NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'active',
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  status_changed_at DATETIME NULL,
+  status_changed_by INT NULL,
+  status_reason VARCHAR(255) NULL,
+  INDEX idx_prescriptions_patient (patient_id),
+  INDEX idx_prescriptions_status (status)
+);
+
+INSERT INTO prescriptions (patient_id, prescribed_by, medication, dosage, frequency, start_date, status) VALUES
+(1, 3, 'Amoxicillin', '500mg oral', 'TDS', '2025-10-10', 'active'),
+(2, 3, 'Metformin', '850mg oral', 'BD', '2025-10-11', 'active');
+
+-- ========================
+-- CLINICAL NOTES TABLE
+-- ========================
+-- Drafts are editable by their author; once signed a note is immutable.
+-- Corrections are recorded as signed addenda pointing at the original via parent_id.
+DROP TABLE IF EXISTS clinical_notes;
+CREATE TABLE clinical_notes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  patient_id INT NOT NULL,
+  author_id INT NOT NULL,
+  parent_id INT NULL,
+  note_date DATE NOT NULL,
+  content TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'draft',
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NULL,
+  signed_at DATETIME NULL,
+  INDEX idx_clinical_notes_patient (patient_id),
+  INDEX idx_clinical_notes_parent (parent_id)
+);
+
+INSERT INTO clinical_notes (patient_id, author_id, note_date, content, status, signed_at) VALUES
+(5, 3, '2025-10-17', 'Presented with headaches. BP 150/95. Start lifestyle advice, review in 2 weeks.', 'signed', '2025-10-17 11:20:00');
+
+-- ========================
+-- MEDICATION ADMINISTRATIONS TABLE (MAR)
+-- ========================
+-- One row per recorded dose. Scheduled doses come from active prescriptions;
+-- a dose without a row here is still due (or missed once it is overdue).
+DROP TABLE IF EXISTS medication_administrations;
+CREATE TABLE medication_administrations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  prescription_id INT NOT NULL,
+  scheduled_at DATETIME NOT NULL,
+  status VARCHAR(20) NOT NULL,
+  administered_at DATETIME NULL,
+  reason VARCHAR(255) NULL,
+  recorded_by INT NOT NULL,
+  recorded_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_mar_dose (prescription_id, scheduled_at)
+);
+
+-- ========================
+-- VITALS TABLE
+-- ========================
+DROP TABLE IF EXISTS vitals;
+CREATE TABLE vitals (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  patient_id INT NOT NULL,
+  recorded_by INT NOT NULL,
+  recorded_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  systolic INT NULL,
+  diastolic INT NULL,
+  pulse INT NULL,
+  temperature DECIMAL(4,1) NULL,
+  spo2 INT NULL,
+  resp_rate INT NULL,
+  INDEX idx_vitals_patient_time (patient_id, recorded_at)
+);
+
+INSERT INTO vitals (patient_id, recorded_by, recorded_at, systolic, diastolic, pulse, temperature, spo2, resp_rate) VALUES
+(5, 4, '2025-10-17 08:00:00', 152, 96, 88, 36.8, 97, 16),
+(5, 4, '2025-10-17 14:00:00', 148, 94, 84, 36.9, 98, 16),
+(2, 4, '2025-10-17 09:00:00', 120, 80, 72, 36.7, 99, 14);
+
+-- ========================
+-- SHIFT ROSTER TABLES
+-- ========================
+DROP TABLE IF EXISTS shifts;
+CREATE TABLE shifts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  staff_id INT NOT NULL,
+  ward VARCHAR(50) NOT NULL,
+  shift_date DATE NOT NULL,
+  shift_type VARCHAR(10) NOT NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_shift_staff (staff_id, shift_date, shift_type)
+);
+
+DROP TABLE IF EXISTS shift_swaps;
+CREATE TABLE shift_swaps (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  shift_id INT NOT NULL,
+  requested_by INT NOT NULL,
+  swap_with INT NOT NULL,
+  reason VARCHAR(255) NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  decided_by INT NULL,
+  decided_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TABLE IF EXISTS handover_notes;
+CREATE TABLE handover_notes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  ward VARCHAR(50) NOT NULL,
+  shift_date DATE NOT NULL,
+  shift_type VARCHAR(10) NOT NULL,
+  author_id INT NOT NULL,
+  summary TEXT NOT NULL,
+  pending_tasks TEXT NULL,
+  concerns TEXT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_handover_ward (ward, created_at)
+);
+
+-- ========================
+-- ALERTS TABLES
+-- ========================
+-- Generated by the rules in alerts_run_rules() (config.php). dedupe_key identifies the
+-- condition that raised the alert; cleared_at is set once that condition no longer holds.
+-- open_key is unique while the condition holds, so the same alert cannot be raised twice
+-- (even by two overlapping rule runs) and a resolved alert is not raised again until it clears.
+-- alert_rule_runs holds when the rules last ran, so they run at most once a minute.
+DROP TABLE IF EXISTS alert_rule_runs;
+DROP TABLE IF EXISTS alerts;
+CREATE TABLE alerts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  rule VARCHAR(40) NOT NULL,
+  severity VARCHAR(10) NOT NULL DEFAULT 'warning',
+  title VARCHAR(255) NOT NULL,
+  details TEXT NULL,
+  dedupe_key VARCHAR(120) NOT NULL,
+  target_role VARCHAR(30) NULL,
+  target_staff_id INT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'open',
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  acknowledged_by INT NULL,
+  acknowledged_at DATETIME NULL,
+  resolved_by INT NULL,
+  resolved_at DATETIME NULL,
+  resolution_note VARCHAR(255) NULL,
+  cleared_at DATETIME NULL,
+  open_key VARCHAR(120) AS (IF(cleared_at IS NULL, dedupe_key, NULL)) STORED,
+  INDEX idx_alerts_status (status),
+  INDEX idx_alerts_dedupe (dedupe_key),
+  UNIQUE KEY uq_alerts_open_key (open_key)
+);
+
+CREATE TABLE alert_rule_runs (
+  id TINYINT PRIMARY KEY,
+  last_run_at DATETIME NOT NULL
+);
+INSERT INTO alert_rule_runs (id, last_run_at) VALUES (1, '2000-01-01 00:00:00');
+
+-- ========================
+-- STAFF MESSAGING TABLES
+-- ========================
+-- A message goes either to one staff member (recipient_id) or to every staff member
+-- with a role (recipient_role). Reads are tracked per reader so broadcasts get receipts too.
+DROP TABLE IF EXISTS messages;
+CREATE TABLE messages (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  sender_id INT NOT NULL,
+  recipient_id INT NULL,
+  recipient_role VARCHAR(30) NULL,
+  patient_id INT NULL,
+  body TEXT NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_messages_recipient (recipient_id),
+  INDEX idx_messages_role (recipient_role)
+);
+
+DROP TABLE IF EXISTS message_reads;
+CREATE TABLE message_reads (
+  message_id INT NOT NULL,
+  staff_id INT NOT NULL,
+  read_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (message_id, staff_id)
+);
+
+INSERT INTO messages (sender_id, recipient_id, recipient_role, patient_id, body) VALUES
+(1, NULL, 'Doctor', NULL, 'Department meeting at 4 PM today in Conference Room A.'),
+(4, 3, NULL, 2, 'Updated vitals for Jane Roe. BP 120/80, pulse 72.');
+
+-- ========================
+-- DOCTOR AVAILABILITY TABLES
+-- ========================
+-- Weekly working hours (weekday 1 = Monday ... 7 = Sunday), one row per day worked.
+-- Doctors without any rows fall back to the default clinic hours in config.php.
+DROP TABLE IF EXISTS doctor_working_hours;
+CREATE TABLE doctor_working_hours (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  staff_id INT NOT NULL,
+  weekday TINYINT NOT NULL,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  UNIQUE KEY uq_doctor_weekday (staff_id, weekday)
+);
+
+DROP TABLE IF EXISTS doctor_settings;
+CREATE TABLE doctor_settings (
+  staff_id INT PRIMARY KEY,
+  slot_minutes INT NOT NULL DEFAULT 30,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+DROP TABLE IF EXISTS doctor_leave;
+CREATE TABLE doctor_leave (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  staff_id INT NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  reason VARCHAR(255) NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_doctor_leave (staff_id, start_date, end_date)
+);
+
+INSERT INTO doctor_working_hours (staff_id, weekday, start_time, end_time) VALUES
+(3, 1, '09:00', '17:00'),
+(3, 2, '09:00', '17:00'),
+(3, 3, '09:00', '13:00'),
+(3, 4, '09:00', '17:00'),
+(3, 5, '09:00', '16:00');
+
+INSERT INTO doctor_settings (staff_id, slot_minutes) VALUES
+(3, 30);
+
+-- ========================
+-- WAITING ROOM QUEUE TABLE
+-- ========================
+-- One row per arrival: checked-in appointments and walk-ins. Position in the queue is the
+-- order of checked_in_at among 'waiting' rows for the doctor on that day.
+DROP TABLE IF EXISTS queue_entries;
+CREATE TABLE queue_entries (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  patient_id INT NOT NULL,
+  appointment_id INT NULL,
+  doctor VARCHAR(100) NOT NULL,
+  source ENUM('appointment','walk-in') NOT NULL DEFAULT 'appointment',
+  status ENUM('waiting','called','done','left') NOT NULL DEFAULT 'waiting',
+  notes VARCHAR(255) NULL,
+  queue_date DATE NOT NULL,
+  checked_in_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  checked_in_by INT NULL,
+  called_at DATETIME NULL,
+  completed_at DATETIME NULL,
+  INDEX idx_queue_doctor_date (doctor, queue_date, status),
+  INDEX idx_queue_appointment (appointment_id)
+);
+
+-- ========================
+-- WARD, ROOM AND BED TABLES
+-- ========================
+-- Ward names match shift_wards() in config.php so the nurse roster and the bed board agree.
+-- Bed status: free -> occupied (admit/transfer in) -> cleaning (discharge/transfer out) -> free.
+DROP TABLE IF EXISTS wards;
+CREATE TABLE wards (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  specialty VARCHAR(100) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TABLE IF EXISTS rooms;
+CREATE TABLE rooms (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  ward_id INT NOT NULL,
+  name VARCHAR(50) NOT NULL,
+  UNIQUE KEY uniq_room_ward (ward_id, name)
+);
+
+DROP TABLE IF EXISTS beds;
+CREATE TABLE beds (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  room_id INT NOT NULL,
+  label VARCHAR(20) NOT NULL UNIQUE,
+  status ENUM('free','occupied','cleaning','maintenance') NOT NULL DEFAULT 'free',
+  patient_id INT NULL,
+  updated_at DATETIME NULL,
+  INDEX idx_beds_room (room_id),
+  INDEX idx_beds_patient (patient_id)
+);
+
+-- Occupancy history: one row per stay in a bed; end_reason records why it ended
+DROP TABLE IF EXISTS bed_assignments;
+CREATE TABLE bed_assignments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  bed_id INT NOT NULL,
+  patient_id INT NOT NULL,
+  start_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  end_at DATETIME NULL,
+  end_reason ENUM('transfer','discharge') NULL,
+  admission_id INT NULL,
+  assigned_by INT NULL,
+  ended_by INT NULL,
+  INDEX idx_bed_assignments_bed (bed_id),
+  INDEX idx_bed_assignments_admission (admission_id),
+  INDEX idx_bed_assignments_patient (patient_id)
+);
+
+INSERT INTO wards (name, specialty) VALUES
+('Ward A', 'General Medicine'),
+('Ward B', 'Surgical'),
+('Ward C', 'Maternity');
+
+INSERT INTO rooms (ward_id, name) VALUES
+(1, 'A1'), (1, 'A2'),
+(2, 'B1'), (2, 'B2'),
+(3, 'C1');
+
+INSERT INTO beds (room_id, label, status, patient_id, updated_at) VALUES
+(1, 'A1-1', 'occupied', 2, '2025-10-11 14:00:00'),
+(1, 'A1-2', 'free', NULL, NULL),
+(2, 'A2-1', 'cleaning', NULL, '2025-10-18 10:30:00'),
+(2, 'A2-2', 'free', NULL, NULL),
+(3, 'B1-1', 'free', NULL, NULL),
+(3, 'B1-2', 'occupied', 4, '2025-10-16 15:00:00'),
+(4, 'B2-1', 'free', NULL, NULL),
+(5, 'C1-1', 'free', NULL, NULL),
+(5, 'C1-2', 'maintenance', NULL, '2025-10-12 09:00:00');
+
+INSERT INTO bed_assignments (bed_id, patient_id, start_at, end_at, end_reason, admission_id, assigned_by, ended_by) VALUES
+(1, 2, '2025-10-11 14:00:00', NULL, NULL, 1, 4, NULL),
+(3, 4, '2025-10-16 12:00:00', '2025-10-16 15:00:00', 'transfer', 2, 4, 4),
+(6, 4, '2025-10-16 15:00:00', NULL, NULL, 2, 4, NULL),
+(3, 5, '2025-10-17 11:00:00', '2025-10-18 10:30:00', 'discharge', 3, 4, 4);
+
+-- ========================
+-- ADMISSIONS TABLES
+-- ========================
+-- One row per inpatient stay. Beds used during the stay are in bed_assignments.admission_id.
+-- discharge_summary is a JSON snapshot taken at discharge by admission_summary() in config.php,
+-- so later edits to notes or prescriptions do not change what was handed to the patient.
+DROP TABLE IF EXISTS admissions;
+CREATE TABLE admissions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  patient_id INT NOT NULL,
+  attending_doctor VARCHAR(100) NOT NULL,
+  admit_reason VARCHAR(255) NOT NULL,
+  status ENUM('admitted','discharged') NOT NULL DEFAULT 'admitted',
+  admitted_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  discharged_at DATETIME NULL,
+  disposition ENUM('home','transferred','against_advice','deceased') NULL,
+  discharge_instructions TEXT NULL,
+  discharge_summary MEDIUMTEXT NULL,
+  admitted_by INT NULL,
+  discharged_by INT NULL,
+  INDEX idx_admissions_patient (patient_id),
+  INDEX idx_admissions_status (status)
+);
+
+DROP TABLE IF EXISTS admission_diagnoses;
+CREATE TABLE admission_diagnoses (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  admission_id INT NOT NULL,
+  code VARCHAR(20) NULL,
+  description VARCHAR(255) NOT NULL,
+  type ENUM('primary','secondary') NOT NULL DEFAULT 'primary',
+  recorded_by INT NULL,
+  recorded_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_admission_diagnoses_admission (admission_id)
+);
+
+INSERT INTO admissions (patient_id, attending_doctor, admit_reason, status, admitted_at, discharged_at, disposition, discharge_instructions, admitted_by, discharged_by) VALUES
+(2, 'doctor_john', 'Uncontrolled blood sugar', 'admitted', '2025-10-11 14:00:00', NULL, NULL, NULL, 3, NULL),
+(4, 'doctor_john', 'Post-operative observation', 'admitted', '2025-10-16 12:00:00', NULL, NULL, NULL, 3, NULL),
+(5, 'doctor_john', 'Hypertensive urgency', 'discharged', '2025-10-17 11:00:00', '2025-10-18 10:30:00', 'home', 'Low-salt diet. Review in clinic in 2 weeks.', 3, 3);
+
+INSERT INTO admission_diagnoses (admission_id, code, description, type, recorded_by, recorded_at) VALUES
+(1, 'E11.65', 'Type 2 diabetes mellitus with hyperglycaemia', 'primary', 3, '2025-10-11 15:00:00'),
+(2, 'Z48.81', 'Aftercare following surgery', 'primary', 3, '2025-10-16 12:30:00'),
+(3, 'I16.0', 'Hypertensive urgency', 'primary', 3, '2025-10-17 11:30:00');
+
+-- ========================
+-- PATIENT MERGES TABLE
+-- ========================
+-- One row per duplicate record folded into another by an admin (PUT api/patients.php action=merge).
+-- merged_record keeps the removed patient row as JSON and moved_rows the number of rows
+-- re-pointed per table, so the merge can be traced after the duplicate is gone.
+DROP TABLE IF EXISTS patient_merges;
+CREATE TABLE patient_merges (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  kept_patient_id INT NOT NULL,
+  merged_patient_id INT NOT NULL,
+  merged_mrn VARCHAR(20) NULL,
+  merged_record TEXT NOT NULL,
+  moved_rows TEXT NOT NULL,
+  merged_by INT NULL,
+  merged_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_patient_merges_kept (kept_patient_id),
+  INDEX idx_patient_merges_mrn (merged_mrn)
+);
+
+-- ========================
+-- CARE TEAM TABLE
+-- ========================
+-- Staff granted access to a patient beyond the defaults (see patient_scope_sql in config.php):
+-- a covering doctor, or a nurse following the patient outside the wards. expires_at is the last
+-- day of access; NULL means until removed.
+DROP TABLE IF EXISTS care_team;
+CREATE TABLE care_team (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  patient_id INT NOT NULL,
+  staff_id INT NOT NULL,
+  reason VARCHAR(255) NULL,
+  expires_at DATE NULL,
+  added_by INT NULL,
+  added_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_care_team_member (patient_id, staff_id),
+  INDEX idx_care_team_staff (staff_id)
+);
+
+INSERT INTO care_team (patient_id, staff_id, reason, expires_at, added_by, added_at) VALUES
+(5, 4, 'Blood pressure follow-up after discharge', '2025-11-30', 3, '2025-10-18 10:45:00');
+
+-- ========================
+-- LAB TABLES
+-- ========================
+-- Test catalogue: one numeric analyte per test. Results below ref_low or above ref_high are flagged
+-- low/high, and beyond the critical limits critical_low/critical_high (see lab_result_flag in config.php).
+DROP TABLE IF EXISTS lab_tests;
+CREATE TABLE lab_tests (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  code VARCHAR(20) NOT NULL UNIQUE,
+  name VARCHAR(100) NOT NULL,
+  specimen VARCHAR(50) NOT NULL,
+  unit VARCHAR(20) NULL,
+  ref_low DECIMAL(10,2) NULL,
+  ref_high DECIMAL(10,2) NULL,
+  critical_low DECIMAL(10,2) NULL,
+  critical_high DECIMAL(10,2) NULL,
+  price DECIMAL(10,2) NOT NULL DEFAULT 0,
+  active TINYINT(1) NOT NULL DEFAULT 1
+);
+
+INSERT INTO lab_tests (code, name, specimen, unit, ref_low, ref_high, critical_low, critical_high, price) VALUES
+('HB', 'Haemoglobin', 'Blood (EDTA)', 'g/dL', 12.00, 17.50, 7.00, 20.00, 300.00),
+('WBC', 'White cell count', 'Blood (EDTA)', 'x10^9/L', 4.00, 11.00, 2.00, 30.00, 300.00),
+('PLT', 'Platelet count', 'Blood (EDTA)', 'x10^9/L', 150.00, 400.00, 50.00, 1000.00, 300.00),
+('FBG', 'Fasting blood glucose', 'Blood (fluoride)', 'mmol/L', 3.90, 5.60, 2.50, 25.00, 250.00),
+('HBA1C', 'HbA1c', 'Blood (EDTA)', '%', 4.00, 5.60, NULL, NULL, 1200.00),
+('CREAT', 'Serum creatinine', 'Serum', 'umol/L', 60.00, 110.00, NULL, 500.00, 500.00),
+('K', 'Potassium', 'Serum', 'mmol/L', 3.50, 5.10, 2.80, 6.20, 450.00),
+('NA', 'Sodium', 'Serum', 'mmol/L', 135.00, 145.00, 120.00, 160.00, 450.00),
+('ALT', 'Alanine aminotransferase', 'Serum', 'U/L', 7.00, 56.00, NULL, 1000.00, 500.00),
+('CRP', 'C-reactive protein', 'Serum', 'mg/L', 0.00, 5.00, NULL, NULL, 800.00);
+
+-- One row per test ordered. Status: ordered -> collected -> resulted, or cancelled before a result.
+-- The unit and reference range are copied from the catalogue when the result is entered, so later
+-- catalogue changes do not alter past results. billing_item_id is the line the test added to billing.
+DROP TABLE IF EXISTS lab_orders;
+CREATE TABLE lab_orders (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  patient_id INT NOT NULL,
+  test_id INT NOT NULL,
+  ordered_by INT NOT NULL,
+  priority VARCHAR(10) NOT NULL DEFAULT 'routine',
+  clinical_notes VARCHAR(255) NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'ordered',
+  ordered_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  collected_by INT NULL,
+  collected_at DATETIME NULL,
+  result_value DECIMAL(10,2) NULL,
+  unit VARCHAR(20) NULL,
+  ref_low DECIMAL(10,2) NULL,
+  ref_high DECIMAL(10,2) NULL,
+  flag VARCHAR(15) NULL,
+  result_comment VARCHAR(255) NULL,
+  resulted_by INT NULL,
+  resulted_at DATETIME NULL,
+  reviewed_at DATETIME NULL,
+  cancelled_by INT NULL,
+  cancelled_at DATETIME NULL,
+  cancel_reason VARCHAR(255) NULL,
+  billing_item_id INT NULL,
+  INDEX idx_lab_orders_patient (patient_id),
+  INDEX idx_lab_orders_status (status, priority)
+);
+
+-- Sample orders predate the billing link
+INSERT INTO lab_orders (patient_id, test_id, ordered_by, priority, clinical_notes, status, ordered_at, collected_by, collected_at,
+                        result_value, unit, ref_low, ref_high, flag, resulted_by, resulted_at, reviewed_at) VALUES
+(2, 5, 3, 'routine', 'Diabetes review', 'resulted', '2025-10-11 10:00:00', 4, '2025-10-11 10:20:00',
+ 7.80, '%', 4.00, 5.60, 'high', 4, '2025-10-11 15:00:00', NULL),
+(3, 7, 3, 'urgent', 'On diuretics, muscle cramps', 'collected', '2025-10-18 09:10:00', 4, '2025-10-18 09:25:00',
+ NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL),
+(1, 1, 3, 'routine', NULL, 'ordered', '2025-10-18 11:00:00', NULL, NULL,
+ NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL);
+
+-- ========================
+-- INVENTORY TABLES
+-- ========================
+-- Medicines and consumables. quantity is the stock on hand across all batches (kept in step by
+-- inventory_move in config.php); at or below reorder_level it raises a low_stock alert.
+DROP TABLE IF EXISTS inventory_items;
+CREATE TABLE inventory_items (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(150) NOT NULL UNIQUE,
+  category ENUM('medicine','consumable') NOT NULL DEFAULT 'medicine',
+  unit VARCHAR(20) NOT NULL DEFAULT 'unit',
+  quantity INT NOT NULL DEFAULT 0,
+  reorder_level INT NOT NULL DEFAULT 0,
+  active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO inventory_items (name, category, unit, quantity, reorder_level) VALUES
+('Paracetamol 500mg', 'medicine', 'tablet', 1000, 200),
+('Amoxicillin 500mg', 'medicine', 'capsule', 479, 150),
+('Metformin 850mg', 'medicine', 'tablet', 540, 150),
+('Sodium chloride 0.9% 1L', 'medicine', 'bag', 25, 40),
+('Ceftriaxone 1g', 'medicine', 'vial', 45, 30),
+('Syringe 5ml', 'consumable', 'piece', 640, 200),
+('Examination gloves (M)', 'consumable', 'box', 12, 10);
+
+-- Stock arrives in batches; dispensing takes from the batch that expires first
+DROP TABLE IF EXISTS inventory_batches;
+CREATE TABLE inventory_batches (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  item_id INT NOT NULL,
+  batch_number VARCHAR(50) NOT NULL,
+  expiry_date DATE NOT NULL,
+  quantity_received INT NOT NULL,
+  quantity_remaining INT NOT NULL,
+  unit_cost DECIMAL(10,2) NOT NULL DEFAULT 0,
+  received_by INT NULL,
+  received_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_inventory_batch (item_id, batch_number),
+  INDEX idx_inventory_batches_expiry (expiry_date)
+);
+
+INSERT INTO inventory_batches (item_id, batch_number, expiry_date, quantity_received, quantity_remaining, unit_cost, received_by, received_at) VALUES
+(1, 'PCM-2401', '2027-03-31', 1000, 1000, 0.50, 1, '2025-10-01 09:00:00'),
+(2, 'AMX-2405', '2025-12-15', 500, 479, 4.00, 1, '2025-10-01 09:00:00'),
+(3, 'MET-2402', '2026-08-31', 600, 540, 1.20, 1, '2025-10-01 09:00:00'),
+(4, 'NS-2409', '2026-09-30', 25, 25, 85.00, 1, '2025-10-01 09:00:00'),
+(5, 'CEF-2403', '2026-03-31', 45, 45, 120.00, 1, '2025-10-01 09:00:00'),
+(6, 'SYR-2406', '2028-06-30', 640, 640, 8.00, 1, '2025-10-01 09:00:00'),
+(7, 'GLV-2407', '2027-07-31', 12, 12, 650.00, 1, '2025-10-01 09:00:00');
+
+-- Every change to a batch. quantity is signed: receipts are positive, dispensing and write-offs negative.
+-- Type: receive, dispense (linked to the prescription), adjust (stock count corrections), expire (write-off).
+DROP TABLE IF EXISTS stock_movements;
+CREATE TABLE stock_movements (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  item_id INT NOT NULL,
+  batch_id INT NOT NULL,
+  type ENUM('receive','dispense','adjust','expire') NOT NULL,
+  quantity INT NOT NULL,
+  prescription_id INT NULL,
+  patient_id INT NULL,
+  reason VARCHAR(255) NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_stock_movements_item (item_id, created_at),
+  INDEX idx_stock_movements_prescription (prescription_id)
+);
+
+INSERT INTO stock_movements (item_id, batch_id, type, quantity, prescription_id, patient_id, reason, created_by, created_at) VALUES
+(1, 1, 'receive', 1000, NULL, NULL, 'Opening stock', 1, '2025-10-01 09:00:00'),
+(2, 2, 'receive', 500, NULL, NULL, 'Opening stock', 1, '2025-10-01 09:00:00'),
+(3, 3, 'receive', 600, NULL, NULL, 'Opening stock', 1, '2025-10-01 09:00:00'),
+(4, 4, 'receive', 25, NULL, NULL, 'Opening stock', 1, '2025-10-01 09:00:00'),
+(5, 5, 'receive', 45, NULL, NULL, 'Opening stock', 1, '2025-10-01 09:00:00'),
+(6, 6, 'receive', 640, NULL, NULL, 'Opening stock', 1, '2025-10-01 09:00:00'),
+(7, 7, 'receive', 12, NULL, NULL, 'Opening stock', 1, '2025-10-01 09:00:00'),
+(2, 2, 'dispense', -21, 1, 1, NULL, 4, '2025-10-10 12:00:00'),
+(3, 3, 'dispense', -60, 2, 2, NULL, 4, '2025-10-11 12:00:00');
+
+-- ========================
+-- AUDIT LOG TABLE
+-- ========================
+-- Append-only trail of who viewed or changed what (see log_action in config.php). before_values,
+-- after_values and details are JSON. The triggers reject any UPDATE or DELETE, so entries can only be added.
+DROP TABLE IF EXISTS audit_log;
+CREATE TABLE audit_log (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  staff_id INT NULL,
+  username VARCHAR(50) NULL,
+  role VARCHAR(30) NULL,
+  action VARCHAR(60) NOT NULL,
+  entity VARCHAR(40) NULL,
+  entity_id INT NULL,
+  before_values TEXT NULL,
+  after_values TEXT NULL,
+  details TEXT NULL,
+  ip_address VARCHAR(45) NULL,
+  method VARCHAR(10) NULL,
+  endpoint VARCHAR(60) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_audit_log_user (username, created_at),
+  INDEX idx_audit_log_entity (entity, entity_id),
+  INDEX idx_audit_log_created (created_at)
 );
 
-INSERT INTO billing (patient_name, amount, date, status) VALUES
-('John Doe', 1200.00, '2025-10-10', 'Paid'),
-('Jane Roe', 800.00, '2025-10-11', 'Pending'),
-('Samuel Kamau', 650.00, '2025-10-15', 'Paid'),
-('Mary Wanjiku', 980.00, '2025-10-16', 'Pending'),
-('Kelvin Otieno', 450.00, '2025-10-17', 'Paid'),
-('Lucy Njeri', 1100.00, '2025-10-18', 'Paid');
+DELIMITER $$
+CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log FOR EACH ROW
+  SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only'$$
+CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log FOR EACH ROW
+  SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only'$$
+DELIMITER ;
 
 COMMIT;
@@ -41,6 +41,13 @@ document.addEventListener("DOMContentLoaded", () => {
   const dashboards = Array.from(document.querySelectorAll("[id$='-dashboard']"));
   const API_BASE = "api";
 
+  /**
+   * Session State
+   * The authenticated user as reported by the server (login.php / me.php).
+   * This is the only source of identity on the client; localStorage is not trusted for it.
+   */
+  let currentUser = null;
+
   /**
    * Chart Management
    * Ensures charts are properly destroyed before re-creation to prevent memory leaks.
@@ -124,7 +131,11 @@ document.addEventListener("DOMContentLoaded", () => {
     const navButtons = Array.from(dashboard.querySelectorAll("aside nav button"));
     const contentSections = Array.from(dashboard.querySelectorAll(".dashboard-content"));
 
-    navButtons.forEach(btn => {
+    // Bind click handlers only once per dashboard; later calls just reset to the overview
+    const alreadyBound = dashboard.dataset.navBound === "1";
+    dashboard.dataset.navBound = "1";
+
+    if (!alreadyBound) navButtons.forEach(btn => {
       btn.addEventListener("click", () => {
         const target = btn.dataset.target;
         navButtons.forEach(b => b.classList.remove("active"));
@@ -135,20 +146,32 @@ document.addEventListener("DOMContentLoaded", () => {
         });
 
         // Load data when specific sections open
-        if (target === "patients") { loadPatients(); if (dashboardId === 'doctor-dashboard') loadDoctorPatients(); }
+        if (target === "patients") { if (dashboardId === 'doctor-dashboard') loadDoctorPatients(); else { loadPatientList('admin'); populateDoctorDropdowns(); } }
         if (target === "appointments") { 
           loadAppointments(); 
           if (dashboardId === 'doctor-dashboard') loadDoctorAppointments(); 
+          if (dashboardId === 'receptionist-dashboard') populateAppointmentForm();
         }
         if (target === "staff") loadStaff();
-        if (target === "billing") loadBilling();
+        if (target === "billing") { loadBilling(); populateInvoicePatients(); }
+        if (target === "insurance" && dashboardId === 'admin-dashboard') loadInsurance();
+        if (target === "inventory" && dashboardId === 'admin-dashboard') loadInventory();
+        if (target === "pharmacy" && dashboardId === 'nurse-dashboard') populateDispenseForm();
+        if (target === "beds") { loadBedBoard(dashboardId); if (dashboardId === 'admin-dashboard') loadWardSetup(); }
+        if (target === "inpatients" && dashboardId === 'doctor-dashboard') { loadDoctorInpatients(); populateAdmissionForm(); }
         if (target === "prescriptions" && dashboardId === 'doctor-dashboard') { loadDoctorPrescriptions(); populateDoctorPatientSelects(); }
         if (target === "notes" && dashboardId === 'doctor-dashboard') { loadDoctorNotes(); populateDoctorPatientSelects(); }
-        if (target === "messages" && dashboardId === 'doctor-dashboard') renderDoctorMessages();
+        if (target === "lab") { if (dashboardId === 'doctor-dashboard') { loadDoctorLabOrders(); populateLabOrderForm(); } else loadLabWorklist(); }
+        if (target === "availability" && dashboardId === 'doctor-dashboard') loadDoctorAvailability();
+        if (target === "messages") loadMessages(dashboardId);
         if (target === "medications" && dashboardId === 'nurse-dashboard') loadNurseData();
-        if (target === "alerts" && dashboardId === 'nurse-dashboard') loadNurseData();
+        if (target === "alerts") loadAlerts(dashboardId);
+        if (target === "audit" && dashboardId === 'admin-dashboard') { populateAuditFilters(); loadAuditLog(); }
+        if (target === "queue") { loadQueue(dashboardId); if (dashboardId === 'receptionist-dashboard') populateAppointmentForm(); }
+        if (target === "shifts" && dashboardId === 'nurse-dashboard') loadNurseShifts();
+        if (target === "roster" && dashboardId === 'admin-dashboard') loadRoster();
         if (target === "doctors" && dashboardId === 'receptionist-dashboard') loadReceptionDoctors();
-        if (target === "registration" && dashboardId === 'receptionist-dashboard') { populateDoctorDropdowns(); loadPatients(); }
+        if (target === "registration" && dashboardId === 'receptionist-dashboard') { populateDoctorDropdowns(); loadPatientList('reception'); }
         if (target === "overview") {
           // render charts for role (admin/doctor/nurse/receptionist)
           const role = dashboardId.replace("-dashboard", "");
@@ -158,6 +181,7 @@ document.addEventListener("DOMContentLoaded", () => {
     });
 
     // default open overview
+    navButtons.forEach(b => b.classList.remove("active"));
     const overviewBtn = dashboard.querySelector("aside nav button[data-target='overview']");
     if (overviewBtn) {
       overviewBtn.classList.add("active");
@@ -173,87 +197,263 @@ document.addEventListener("DOMContentLoaded", () => {
    * @param {string} role - User role (admin, doctor, nurse, receptionist)
    */
   function renderCharts(role) {
-    // Example charts - only render if canvas exists
-    if (role === "admin") {
-      createChartSafe(document.getElementById("adminOccupancyChart"), {
-        type: "doughnut",
-        data: { labels: ["Occupied", "Available"], datasets: [{ data: [85, 15] }] },
-        options: { responsive: true, plugins: { legend: { display: false } } }
-      });
-      createChartSafe(document.getElementById("adminRevenueChart"), {
+    if (role === "admin" || role === "doctor" || role === "receptionist") renderStatsCharts(role);
+    if (role === "admin") renderOccupancyChart();
+    if (role === "admin" || role === "nurse") loadStockWarnings();
+    if (role === "nurse") {
+      populateVitalsPatientSelect().then(renderVitalsChart);
+      createChartSafe(document.getElementById("nurseMedicationChart"), {
         type: "bar",
-        data: { labels: ["Jan","Feb","Mar","Apr","May","Jun"], datasets: [{ data: [12000,15000,13000,17000,19000,21000] }] },
-        options: { responsive: true }
+        data: { labels: ["Ward A","Ward B","Ward C"], datasets: [{ label: "Scheduled Doses", data: [12,9,7] }] }
       });
     }
-    if (role === "doctor") {
-      createChartSafe(document.getElementById("doctorPatientChart"), {
+  }
+
+  /**
+   * Overview Analytics
+   * Admin, doctor and receptionist overview charts from api/stats.php for the range chosen in
+   * that dashboard's .stats-range picker (a preset number of days, or custom from/to dates).
+   */
+  const STATS_COLORS = { primary: '#2563eb', success: '#16a34a', warning: '#f59e0b', danger: '#dc2626', muted: '#9ca3af' };
+
+  function statsRange(role) {
+    const picker = document.querySelector(`.stats-range[data-stats-role="${role}"]`);
+    if (!picker) return null;
+    const preset = picker.querySelector('.stats-preset');
+    const fromEl = picker.querySelector('.stats-from');
+    const toEl = picker.querySelector('.stats-to');
+    if (preset.value !== 'custom' || !fromEl.value || !toEl.value) {
+      const days = Number(preset.value === 'custom' ? 180 : preset.value);
+      const today = new Date();
+      toEl.value = isoDate(today);
+      fromEl.value = isoDate(addDays(today, 1 - days));
+    }
+    return { from: fromEl.value, to: toEl.value };
+  }
+
+  function formatStatsPeriod(period, granularity) {
+    const d = new Date(`${period}T00:00:00`);
+    if (granularity === 'month') return d.toLocaleDateString(undefined, { month: 'short', year: '2-digit' });
+    return (granularity === 'week' ? 'Wk ' : '') + d.toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+  }
+
+  async function renderStatsCharts(role) {
+    const range = statsRange(role);
+    if (!range) return;
+    let stats;
+    try {
+      stats = await safeFetchJSON(`${API_BASE}/stats.php?from=${range.from}&to=${range.to}`);
+    } catch (err) {
+      console.error('Error loading stats:', err);
+      return;
+    }
+    if (!stats || stats.status !== 'success') {
+      console.warn('stats.php:', stats && stats.message);
+      return;
+    }
+    const periodLabels = stats.appointments.map(a => formatStatsPeriod(a.period, stats.granularity));
+    const weekLabels = stats.registrations.map(r => formatStatsPeriod(r.week, 'week'));
+    const volumeChart = {
+      type: "bar",
+      data: {
+        labels: periodLabels,
+        datasets: [
+          { label: "Completed", data: stats.appointments.map(a => a.completed), backgroundColor: STATS_COLORS.success },
+          { label: "No-show", data: stats.appointments.map(a => a.no_show), backgroundColor: STATS_COLORS.danger },
+          { label: "Cancelled", data: stats.appointments.map(a => a.cancelled), backgroundColor: STATS_COLORS.muted },
+          { label: "Upcoming / other", data: stats.appointments.map(a => a.total - a.completed - a.no_show - a.cancelled), backgroundColor: STATS_COLORS.primary }
+        ]
+      },
+      options: { responsive: true, scales: { x: { stacked: true }, y: { stacked: true, beginAtZero: true, ticks: { precision: 0 } } } }
+    };
+    const registrationChart = {
+      type: "line",
+      data: { labels: weekLabels, datasets: [{ label: "New patients", data: stats.registrations.map(r => r.count), borderColor: STATS_COLORS.primary, tension: 0.3 }] },
+      options: { responsive: true, scales: { y: { beginAtZero: true, ticks: { precision: 0 } } } }
+    };
+    const setText = (id, text) => { const el = document.getElementById(id); if (el) el.textContent = text; };
+
+    if (role === "admin") {
+      setText('adminDoctorsCount', stats.counts.doctors);
+      setText('adminNursesCount', stats.counts.nurses);
+      setText('adminPatientsCount', stats.counts.patients);
+      setText('adminNoShowRate', `${stats.no_show_rate}%`);
+      createChartSafe(document.getElementById("adminRevenueChart"), {
         type: "bar",
-        data: { labels: ["Mon","Tue","Wed","Thu","Fri"], datasets: [{ label: "Patients Seen", data: [8,10,6,9,7] }] }
-      });
-      createChartSafe(document.getElementById("doctorTreatmentChart"), {
-        type: "line",
         data: {
-          labels: ["Jan","Feb","Mar","Apr","May","Jun"],
+          labels: (stats.revenue || []).map(r => formatStatsPeriod(`${r.month}-01`, 'month')),
           datasets: [
-            { label: "Successful", data: [85,88,90,92,91,93] },
-            { label: "Complications", data: [5,4,3,4,3,2] }
+            { label: "Invoiced", data: (stats.revenue || []).map(r => r.invoiced), backgroundColor: STATS_COLORS.primary },
+            { label: "Collected", data: (stats.revenue || []).map(r => r.collected), backgroundColor: STATS_COLORS.success }
           ]
-        }
-      });
-    }
-    if (role === "nurse") {
-      createChartSafe(document.getElementById("nurseVitalsChart"), {
-        type: "line",
-        data: { labels: ["6AM","9AM","12PM","3PM","6PM"], datasets: [{ label: "Avg SpO2", data: [98,99,100,98,97] }] }
+        },
+        options: { responsive: true, scales: { y: { beginAtZero: true } } }
       });
-      createChartSafe(document.getElementById("nurseMedicationChart"), {
+      createChartSafe(document.getElementById("adminAppointmentChart"), volumeChart);
+      createChartSafe(document.getElementById("adminDoctorChart"), {
         type: "bar",
-        data: { labels: ["Ward A","Ward B","Ward C"], datasets: [{ label: "Scheduled Doses", data: [12,9,7] }] }
+        data: { labels: stats.seen_per_doctor.map(d => d.doctor), datasets: [{ label: "Patients seen", data: stats.seen_per_doctor.map(d => d.seen), backgroundColor: STATS_COLORS.success }] },
+        options: { responsive: true, indexAxis: 'y', plugins: { legend: { display: false } }, scales: { x: { beginAtZero: true, ticks: { precision: 0 } } } }
       });
+      createChartSafe(document.getElementById("adminRegistrationChart"), registrationChart);
     }
-    if (role === "receptionist") {
-      createChartSafe(document.getElementById("receptionistAppointmentChart"), {
+    if (role === "doctor") {
+      setText('doctorNoShowRate', `· ${stats.no_show_rate}% no-shows`);
+      createChartSafe(document.getElementById("doctorPatientChart"), {
         type: "bar",
-        data: { labels: ["8AM","10AM","12PM","2PM","4PM"], datasets: [{ label: "Appointments", data: [5,8,4,6,7] }] }
+        data: { labels: periodLabels, datasets: [{ label: "Patients Seen", data: stats.appointments.map(a => a.completed), backgroundColor: STATS_COLORS.success }] },
+        options: { responsive: true, scales: { y: { beginAtZero: true, ticks: { precision: 0 } } } }
       });
-      createChartSafe(document.getElementById("receptionistRegistrationChart"), {
-        type: "line",
-        data: { labels: ["Mon","Tue","Wed","Thu","Fri"], datasets: [{ label: "Registrations", data: [6,9,7,8,10] }] }
+      const totals = stats.appointments.reduce((t, a) => {
+        t.completed += a.completed; t.no_show += a.no_show; t.cancelled += a.cancelled; t.other += a.total - a.completed - a.no_show - a.cancelled;
+        return t;
+      }, { completed: 0, no_show: 0, cancelled: 0, other: 0 });
+      createChartSafe(document.getElementById("doctorTreatmentChart"), {
+        type: "doughnut",
+        data: {
+          labels: ["Completed", "No-show", "Cancelled", "Upcoming / other"],
+          datasets: [{ data: [totals.completed, totals.no_show, totals.cancelled, totals.other], backgroundColor: [STATS_COLORS.success, STATS_COLORS.danger, STATS_COLORS.muted, STATS_COLORS.primary] }]
+        },
+        options: { responsive: true }
       });
     }
+    if (role === "receptionist") {
+      setText('receptionistNoShowRate', `· ${stats.no_show_rate}% no-shows`);
+      createChartSafe(document.getElementById("receptionistAppointmentChart"), volumeChart);
+      createChartSafe(document.getElementById("receptionistRegistrationChart"), registrationChart);
+    }
+  }
+
+  document.querySelectorAll('.stats-range').forEach(picker => {
+    const role = picker.dataset.statsRole;
+    picker.querySelector('.stats-preset').addEventListener('change', () => renderStatsCharts(role));
+    picker.querySelectorAll('.stats-from, .stats-to').forEach(input => input.addEventListener('change', () => {
+      picker.querySelector('.stats-preset').value = 'custom';
+      renderStatsCharts(role);
+    }));
+  });
+
+  // Nurse: vitals trend chart for the patient chosen in #vitalsPatient (api/vitals.php)
+  async function renderVitalsChart() {
+    const canvas = document.getElementById("nurseVitalsChart");
+    const select = document.getElementById("vitalsPatient");
+    if (!canvas || !select) return;
+    let readings = [];
+    if (select.value) {
+      try {
+        const data = await safeFetchJSON(`${API_BASE}/vitals.php?patient_id=${encodeURIComponent(select.value)}&days=7`);
+        if (Array.isArray(data)) readings = data;
+      } catch (err) {
+        console.error('renderVitalsChart error:', err);
+      }
+    }
+    const series = (field) => readings.map(r => (r[field] === null ? null : Number(r[field])));
+    createChartSafe(canvas, {
+      type: "line",
+      data: {
+        labels: readings.map(r => String(r.recorded_at).slice(5, 16)),
+        datasets: [
+          { label: "Systolic", data: series("systolic") },
+          { label: "Diastolic", data: series("diastolic") },
+          { label: "Pulse", data: series("pulse") },
+          { label: "SpO2", data: series("spo2") },
+          { label: "Resp. Rate", data: series("resp_rate") },
+          { label: "Temp (°C)", data: series("temperature") }
+        ]
+      },
+      options: { responsive: true, spanGaps: true }
+    });
+  }
+
+  // Patient selects only need id, name and MRN, not whole records (api/patients.php?picker=1)
+  async function fetchPatientPicker() {
+    const patients = await safeFetchJSON(`${API_BASE}/patients.php?picker=1`);
+    return Array.isArray(patients) ? patients : [];
+  }
+
+  function patientOption(p) {
+    return `<option value="${p.id}">${escapeHtml(p.name)}${p.mrn ? ` (${escapeHtml(p.mrn)})` : ''}</option>`;
+  }
+
+  async function populateVitalsPatientSelect() {
+    const select = document.getElementById("vitalsPatient");
+    if (!select) return;
+    try {
+      const patients = await fetchPatientPicker();
+      const selected = select.value;
+      select.innerHTML = '<option value="">Select patient...</option>' + patients.map(patientOption).join('');
+      select.value = selected;
+    } catch (err) {
+      console.error('Error loading patients for vitals:', err);
+    }
+  }
+
+  const vitalsPatientSelect = document.getElementById("vitalsPatient");
+  if (vitalsPatientSelect) vitalsPatientSelect.addEventListener("change", renderVitalsChart);
+
+  const vitalsForm = document.getElementById("vitalsForm");
+  if (vitalsForm) {
+    vitalsForm.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const patientId = vitalsPatientSelect ? vitalsPatientSelect.value : '';
+      if (!patientId) {
+        alert('Select a patient first');
+        return;
+      }
+      const payload = Object.fromEntries(new FormData(vitalsForm).entries());
+      payload.patient_id = patientId;
+      try {
+        const data = await safeFetchJSON(`${API_BASE}/vitals.php`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(payload)
+        });
+        if (data.status === 'success') {
+          vitalsForm.reset();
+          await renderVitalsChart();
+          refreshAlertBadge();
+        }
+        alert(data.message || 'Failed to record vitals');
+      } catch (err) {
+        console.error('Error recording vitals:', err);
+        alert('Error connecting to server while recording vitals.');
+      }
+    });
   }
 
-  // Doctor: Patients list (filtered by assigned doctor)
+  // Doctor: Patients list — the server limits it to the doctor's own and care-team patients
   async function loadDoctorPatients() {
     const container = document.getElementById('doctorPatientsList');
     if (!container) return;
     container.innerHTML = '<div>Loading...</div>';
     try {
-      const username = localStorage.getItem('username') || '';
-      const patients = await safeFetchJSON(`${API_BASE}/patients.php`);
-      const mine = Array.isArray(patients) ? patients.filter(p => String(p.doctor || '').toLowerCase() === username.toLowerCase()) : [];
+      const data = await safeFetchJSON(`${API_BASE}/patients.php?${patientListQuery('doctor')}`);
+      const mine = data && Array.isArray(data.patients) ? data.patients : [];
       if (mine.length === 0) {
-        container.innerHTML = '<div class="text-sm">No patients assigned.</div>';
+        container.innerHTML = '<div class="text-sm">No patients found.</div>';
+        if (data && Array.isArray(data.patients)) renderPatientListChrome('doctor', data);
         return;
       }
-      const rows = mine.map(p => `<tr><td class=\"px-3 py-2\">${escapeHtml(p.name)}</td><td class=\"px-3 py-2\">${escapeHtml(p.gender)}</td><td class=\"px-3 py-2\">${escapeHtml(String(p.age))}</td><td class=\"px-3 py-2\">${escapeHtml(p.date || '')}</td></tr>`).join('');
-      container.innerHTML = `<div class=\"overflow-x-auto\"><table class=\"min-w-full\"><thead><tr><th class=\"px-3 py-2 text-left\">Name</th><th class=\"px-3 py-2 text-left\">Gender</th><th class=\"px-3 py-2 text-left\">Age</th><th class=\"px-3 py-2 text-left\">Appt Date</th></tr></thead><tbody>${rows}</tbody></table></div>`;
+      const rows = mine.map(p => `<tr><td class=\"px-3 py-2\">${escapeHtml(p.mrn || '')}</td><td class=\"px-3 py-2\"><button class=\"text-blue-600 underline\" onclick=\"openPatientRecord(${p.id})\">${escapeHtml(p.name)}</button></td><td class=\"px-3 py-2\">${escapeHtml(p.gender)}</td><td class=\"px-3 py-2\">${escapeHtml(String(p.age))}</td><td class=\"px-3 py-2 ${p.allergies ? 'text-red-600' : ''}\">${escapeHtml(p.allergies || 'None known')}</td><td class=\"px-3 py-2\">${escapeHtml(p.date || '')}</td></tr>`).join('');
+      container.innerHTML = `<div class=\"overflow-x-auto\"><table class=\"min-w-full\" data-patient-list=\"doctor\"><thead><tr><th class=\"px-3 py-2 text-left cursor-pointer\" data-sort=\"mrn\">MRN</th><th class=\"px-3 py-2 text-left cursor-pointer\" data-sort=\"name\">Name</th><th class=\"px-3 py-2 text-left cursor-pointer\" data-sort=\"gender\">Gender</th><th class=\"px-3 py-2 text-left cursor-pointer\" data-sort=\"age\">Age</th><th class=\"px-3 py-2 text-left\">Allergies</th><th class=\"px-3 py-2 text-left cursor-pointer\" data-sort=\"date\">Appt Date</th></tr></thead><tbody>${rows}</tbody></table></div>`;
+      renderPatientListChrome('doctor', data);
     } catch (err) {
       console.error('loadDoctorPatients error:', err);
       container.innerHTML = '<div class=\"text-sm text-red-600\">Failed to load patients.</div>';
     }
   }
 
-  // Doctor: Appointments filtered by doctor
+  // Doctor: The doctor's own appointments
   async function loadDoctorAppointments() {
     const tbody = document.getElementById('doctorAppointmentsTbody');
     if (!tbody) return;
+    renderAppointmentCalendar('doctor');
     tbody.innerHTML = '<tr><td colspan="5">Loading...</td></tr>';
     try {
-      const username = localStorage.getItem('username') || '';
-      const appointments = await safeFetchJSON(`${API_BASE}/appointments.php`);
-      const mine = Array.isArray(appointments) ? appointments.filter(a => String(a.doctor || '').toLowerCase() === username.toLowerCase()) : [];
+      const username = currentUser ? currentUser.username : '';
+      const appointments = await safeFetchJSON(`${API_BASE}/appointments.php?${new URLSearchParams({ doctor: username })}`);
+      const mine = Array.isArray(appointments) ? appointments : [];
+      mine.forEach(a => { appointmentCache[a.id] = a; });
       if (mine.length === 0) {
         tbody.innerHTML = '<tr><td colspan="5">No appointments scheduled.</td></tr>';
         return;
@@ -263,11 +463,12 @@ document.addEventListener("DOMContentLoaded", () => {
         const row = document.createElement('tr');
         row.innerHTML = `
           <td class="px-3 py-2">${escapeHtml(a.date || '')}</td>
-          <td class="px-3 py-2">${escapeHtml(a.time || '')}</td>
+          <td class="px-3 py-2">${escapeHtml(String(a.time || '').slice(0, 5))}</td>
           <td class="px-3 py-2">${escapeHtml(a.patient_name || '')}</td>
           <td class="px-3 py-2">${escapeHtml(a.status || '')}</td>
           <td class="px-3 py-2">
-            <button class="px-2 py-1 text-xs rounded bg-blue-600 text-white" onclick="alert('View appointment details')">View</button>
+            <button class="px-2 py-1 text-xs rounded bg-blue-600 text-white" onclick="showAppointmentDetails(${a.id})">View</button>
+            ${a.status === 'Checked-in' ? `<button class="px-2 py-1 text-xs rounded bg-green-600 text-white" onclick="setAppointmentStatus(${a.id}, 'Completed')">Complete</button>` : ''}
           </td>
         `;
         tbody.appendChild(row);
@@ -278,612 +479,4134 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   }
 
+  // Doctor: weekly working hours, slot length and leave (api/availability.php)
+  const WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+  async function loadDoctorAvailability() {
+    const hoursEl = document.getElementById('availabilityHours');
+    const leaveEl = document.getElementById('leaveList');
+    if (!hoursEl || !currentUser) return;
+    hoursEl.innerHTML = 'Loading...';
+    try {
+      const data = await safeFetchJSON(`${API_BASE}/availability.php?doctor=${encodeURIComponent(currentUser.username)}`);
+      if (!data || data.status !== 'success') {
+        hoursEl.innerHTML = `<p class="text-sm text-red-600">${escapeHtml((data && data.message) || 'Failed to load availability.')}</p>`;
+        return;
+      }
+      // Until hours are saved, show the clinic default of weekdays 09:00-17:00
+      const hours = data.default_hours
+        ? [1, 2, 3, 4, 5].map(weekday => ({ weekday, start: '09:00', end: '17:00' }))
+        : data.hours;
+      hoursEl.innerHTML = WEEKDAY_NAMES.map((name, i) => {
+        const h = hours.find(x => x.weekday === i + 1);
+        return `
+          <div class="flex flex-wrap items-center gap-3" data-weekday="${i + 1}">
+            <label class="w-32 flex items-center gap-2"><input type="checkbox" class="availability-day" ${h ? 'checked' : ''} /> ${name}</label>
+            <input type="time" class="availability-start form-control px-2 py-1 rounded border" value="${h ? h.start : '09:00'}" />
+            <span>to</span>
+            <input type="time" class="availability-end form-control px-2 py-1 rounded border" value="${h ? h.end : '17:00'}" />
+          </div>`;
+      }).join('') + (data.default_hours ? '<p class="text-xs text-gray-500">Showing default clinic hours — save to set your own.</p>' : '');
+      const slotEl = document.getElementById('availabilitySlot');
+      if (slotEl) slotEl.value = String(data.slot_minutes);
+      if (leaveEl) {
+        leaveEl.innerHTML = data.leave.length > 0
+          ? data.leave.map(l => `
+            <li class="text-sm flex justify-between items-center">
+              <span>${escapeHtml(l.start_date)}${l.end_date !== l.start_date ? ` → ${escapeHtml(l.end_date)}` : ''}${l.reason ? ` — ${escapeHtml(l.reason)}` : ''}</span>
+              <button class="text-red-600 text-xs" onclick="removeLeave(${l.id})">Remove</button>
+            </li>`).join('')
+          : '<li class="text-sm text-gray-600">No upcoming leave.</li>';
+      }
+    } catch (err) {
+      console.error('loadDoctorAvailability error:', err);
+      hoursEl.innerHTML = '<p class="text-sm text-red-600">Failed to load availability.</p>';
+    }
+  }
+
+  const availabilityForm = document.getElementById('availabilityForm');
+  if (availabilityForm) {
+    availabilityForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const hours = Array.from(availabilityForm.querySelectorAll('[data-weekday]'))
+        .filter(row => row.querySelector('.availability-day').checked)
+        .map(row => ({
+          weekday: Number(row.dataset.weekday),
+          start: row.querySelector('.availability-start').value,
+          end: row.querySelector('.availability-end').value
+        }));
+      try {
+        const data = await safeFetchJSON(`${API_BASE}/availability.php`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ hours, slot_minutes: document.getElementById('availabilitySlot').value })
+        });
+        alert(data.message || 'Failed to save working hours');
+        if (data.status === 'success') await loadDoctorAvailability();
+      } catch (err) {
+        console.error('Error saving working hours:', err);
+        alert('Error connecting to server while saving working hours.');
+      }
+    });
+  }
+
+  const leaveForm = document.getElementById('leaveForm');
+  if (leaveForm) {
+    leaveForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      try {
+        const data = await safeFetchJSON(`${API_BASE}/availability.php`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(Object.fromEntries(new FormData(leaveForm).entries()))
+        });
+        alert(data.message || 'Failed to save leave');
+        if (data.status === 'success') {
+          leaveForm.reset();
+          await loadDoctorAvailability();
+        }
+      } catch (err) {
+        console.error('Error saving leave:', err);
+        alert('Error connecting to server while saving leave.');
+      }
+    });
+  }
+
+  window.removeLeave = async function(id) {
+    if (!confirm('Remove this leave entry?')) return;
+    try {
+      const data = await safeFetchJSON(`${API_BASE}/availability.php`, {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id })
+      });
+      if (data.status !== 'success') alert(data.message || 'Failed to remove leave');
+      await loadDoctorAvailability();
+    } catch (err) {
+      console.error('Error removing leave:', err);
+      alert('Error removing leave. Check console for details.');
+    }
+  };
+
   // Populate patient selects for doctor forms (prescriptions, notes)
   async function populateDoctorPatientSelects() {
     try {
-      const username = localStorage.getItem('username') || '';
-      const patients = await safeFetchJSON(`${API_BASE}/patients.php`);
-      const mine = Array.isArray(patients) ? patients.filter(p => String(p.doctor || '').toLowerCase() === username.toLowerCase()) : [];
+      const mine = await fetchPatientPicker();
       const options = mine.length > 0 
-        ? mine.map(p => `<option value="${escapeHtml(p.name)}">${escapeHtml(p.name)}</option>`).join('')
+        ? mine.map(patientOption).join('')
         : '<option value="">No patients assigned</option>';
       
       const prescriptionSelect = document.getElementById('prescriptionPatient');
       const noteSelect = document.getElementById('notePatient');
+      const timelineSelect = document.getElementById('timelinePatient');
+      const labSelect = document.getElementById('labOrderPatient');
       
       if (prescriptionSelect) prescriptionSelect.innerHTML = '<option value="">Select patient...</option>' + options;
+      if (labSelect) labSelect.innerHTML = '<option value="">Select patient...</option>' + options;
       if (noteSelect) noteSelect.innerHTML = '<option value="">Select patient...</option>' + options;
+      if (timelineSelect) {
+        const selected = timelineSelect.value;
+        timelineSelect.innerHTML = '<option value="">My recent notes</option>' + (mine.length > 0 ? options : '');
+        timelineSelect.value = selected;
+      }
     } catch (err) {
       console.error('Error loading patients for selects:', err);
     }
   }
 
-  // Doctor: Prescriptions (stored in localStorage for demo)
+  // Doctor: Prescriptions written by the logged-in doctor (api/prescriptions.php)
   async function loadDoctorPrescriptions() {
     const container = document.getElementById('doctorPrescriptionsList');
     if (!container) return;
     container.innerHTML = 'Loading...';
-    
-    // Load from localStorage (would be API in production)
-    const stored = localStorage.getItem('doctor_prescriptions') || '[]';
-    const prescriptions = JSON.parse(stored);
-    
-    if (prescriptions.length === 0) {
-      container.innerHTML = '<p class="text-sm text-gray-600">No active prescriptions.</p>';
-      return;
-    }
-    
-    const list = prescriptions.map((p, idx) => `
-      <div class="p-3 border rounded-lg mb-2 flex justify-between items-center">
-        <div>
-          <div class="font-semibold">${escapeHtml(p.patient)}</div>
-          <div class="text-sm text-gray-600">${escapeHtml(p.medication)} — ${escapeHtml(p.dosage)}</div>
-          <div class="text-xs text-gray-500">Date: ${escapeHtml(p.date)}</div>
+    const filterEl = document.getElementById('prescriptionStatusFilter');
+    const status = filterEl ? filterEl.value : 'active';
+    try {
+      const query = new URLSearchParams({ mine: '1' });
+      if (status) query.set('status', status);
+      const prescriptions = await safeFetchJSON(`${API_BASE}/prescriptions.php?${query}`);
+      if (!Array.isArray(prescriptions)) {
+        container.innerHTML = `<p class="text-sm text-red-600">${escapeHtml(prescriptions.message || 'Failed to load prescriptions.')}</p>`;
+        return;
+      }
+      if (prescriptions.length === 0) {
+        container.innerHTML = '<p class="text-sm text-gray-600">No prescriptions.</p>';
+        return;
+      }
+      container.innerHTML = prescriptions.map(p => `
+        <div class="p-3 border rounded-lg mb-2 flex justify-between items-center">
+          <div>
+            <div class="font-semibold">${escapeHtml(p.patient_name || '')}</div>
+            <div class="text-sm text-gray-600">${escapeHtml(p.medication)} — ${escapeHtml(p.dosage)} (${escapeHtml(p.frequency)})</div>
+            <div class="text-xs text-gray-500">From ${escapeHtml(p.start_date)}${p.end_date ? ` to ${escapeHtml(p.end_date)}` : ''} · ${escapeHtml(p.status)}${p.status_reason ? ` — ${escapeHtml(p.status_reason)}` : ''}</div>
+          </div>
+          ${p.status === 'active' ? `
+          <div class="flex gap-2">
+            <button class="px-2 py-1 text-xs rounded bg-green-600 text-white" onclick="updatePrescriptionStatus(${p.id}, 'completed')">Complete</button>
+            <button class="px-2 py-1 text-xs rounded bg-red-600 text-white" onclick="updatePrescriptionStatus(${p.id}, 'discontinued')">Discontinue</button>
+          </div>` : ''}
         </div>
-        <button class="px-2 py-1 text-xs rounded bg-red-600 text-white" onclick="removePrescription(${idx})">Remove</button>
-      </div>
-    `).join('');
-    
-    container.innerHTML = list;
+      `).join('');
+    } catch (err) {
+      console.error('loadDoctorPrescriptions error:', err);
+      container.innerHTML = '<p class="text-sm text-red-600">Failed to load prescriptions.</p>';
+    }
   }
 
-  // Doctor: Patient Notes (stored in localStorage for demo)
+  const prescriptionStatusFilter = document.getElementById('prescriptionStatusFilter');
+  if (prescriptionStatusFilter) prescriptionStatusFilter.addEventListener('change', loadDoctorPrescriptions);
+
+  // Doctor: Clinical notes — a patient's timeline across clinicians, or the doctor's own recent notes (api/notes.php)
   async function loadDoctorNotes() {
     const container = document.getElementById('doctorNotesList');
     if (!container) return;
     container.innerHTML = 'Loading...';
-    
-    // Load from localStorage (would be API in production)
-    const stored = localStorage.getItem('doctor_notes') || '[]';
-    const allNotes = JSON.parse(stored);
-    const notes = [...allNotes].reverse(); // Most recent first (copy array to avoid mutating)
-    
-    if (notes.length === 0) {
-      container.innerHTML = '<p class="text-sm text-gray-600">No notes recorded.</p>';
-      return;
+    const timelineSelect = document.getElementById('timelinePatient');
+    const patientId = timelineSelect ? timelineSelect.value : '';
+    try {
+      const query = patientId ? `patient_id=${encodeURIComponent(patientId)}` : 'mine=1';
+      const notes = await safeFetchJSON(`${API_BASE}/notes.php?${query}`);
+      if (!Array.isArray(notes)) {
+        container.innerHTML = `<p class="text-sm text-red-600">${escapeHtml(notes.message || 'Failed to load notes.')}</p>`;
+        return;
+      }
+      if (notes.length === 0) {
+        container.innerHTML = '<p class="text-sm text-gray-600">No notes recorded.</p>';
+        return;
+      }
+      // Attach addenda to their original note when the original is in the list
+      const byId = {};
+      notes.forEach(n => { byId[n.id] = Object.assign({}, n, { addenda: [] }); });
+      const roots = [];
+      notes.forEach(n => {
+        const node = byId[n.id];
+        if (n.parent_id && byId[n.parent_id]) byId[n.parent_id].addenda.push(node);
+        else roots.push(node);
+      });
+      container.innerHTML = roots.map(n => renderNoteCard(n, !patientId)).join('');
+    } catch (err) {
+      console.error('loadDoctorNotes error:', err);
+      container.innerHTML = '<p class="text-sm text-red-600">Failed to load notes.</p>';
     }
-    
-    const list = notes.map((n, idx) => {
-      // Find original index in non-reversed array
-      const originalIdx = allNotes.length - 1 - idx;
-      return `
+  }
+
+  function renderNoteCard(n, showPatient) {
+    const isMine = currentUser && String(n.author_id) === String(currentUser.id);
+    const isDraft = n.status === 'draft';
+    const heading = showPatient ? `<div class="font-semibold">${escapeHtml(n.patient_name || '')}</div>` : '';
+    const label = n.parent_id ? `Addendum to note #${n.parent_id}` : escapeHtml(n.note_date || '');
+    const actions = isDraft
+      ? (isMine ? `
+          <div class="flex gap-2">
+            <button class="px-2 py-1 text-xs rounded bg-gray-500 text-white" onclick="editNote(${n.id})">Edit</button>
+            <button class="px-2 py-1 text-xs rounded bg-blue-600 text-white" onclick="signNote(${n.id})">Sign</button>
+          </div>` : '')
+      : (!n.parent_id ? `<button class="px-2 py-1 text-xs rounded bg-amber-500 text-white" onclick="addNoteAddendum(${n.id})">Addendum</button>` : '');
+    const addenda = (n.addenda || []).map(a => `
+        <div class="mt-2 ml-4 pl-3 border-l-2 border-amber-400">
+          <div class="text-xs text-gray-500">Addendum · ${escapeHtml(a.author || '')} · ${escapeHtml(a.signed_at || '')}</div>
+          <div class="text-sm">${escapeHtml(a.content).replace(/\n/g, '<br>')}</div>
+        </div>`).join('');
+    return `
       <div class="p-3 border rounded-lg mb-2">
         <div class="flex justify-between items-start mb-2">
           <div>
-            <div class="font-semibold">${escapeHtml(n.patient)}</div>
-            <div class="text-xs text-gray-500">${escapeHtml(n.date)}</div>
+            ${heading}
+            <div class="text-xs text-gray-500">${label} · ${escapeHtml(n.author || '')} (${escapeHtml(n.author_role || '')}) · ${isDraft ? 'Draft' : `Signed ${escapeHtml(n.signed_at || '')}`}</div>
           </div>
-          <button class="px-2 py-1 text-xs rounded bg-red-600 text-white" onclick="removeNote(${originalIdx})">Delete</button>
+          ${actions}
         </div>
         <div class="text-sm">${escapeHtml(n.content).replace(/\n/g, '<br>')}</div>
+        ${addenda}
       </div>
     `;
-    }).join('');
-    
-    container.innerHTML = list;
   }
 
-  // Doctor: Enhanced messages feed
-  function renderDoctorMessages() {
-    const container = document.getElementById('doctorMessagesList');
-    if (!container) return;
-    const messages = [
-      { from: 'Admin', text: 'Department meeting at 4 PM today in Conference Room A.', time: '2 hours ago', type: 'info' },
-      { from: 'Nurse Anne', text: 'Patient Jane Roe updated vitals. BP: 120/80, Pulse: 72.', time: '1 hour ago', type: 'patient' },
-      { from: 'Reception', text: 'New patient registration: Samuel Kamau assigned to you.', time: '30 mins ago', type: 'new' }
-    ];
-    const items = messages.map(m => `
-      <div class="p-3 border rounded-lg mb-2">
-        <div class="flex justify-between items-start mb-1">
-          <span class="font-semibold">${escapeHtml(m.from)}</span>
-          <span class="text-xs text-gray-500">${escapeHtml(m.time)}</span>
-        </div>
-        <div class="text-sm">${escapeHtml(m.text)}</div>
-      </div>
-    `).join('');
-    container.innerHTML = items || '<p class="text-sm text-gray-600">No messages.</p>';
-  }
+  const timelinePatient = document.getElementById('timelinePatient');
+  if (timelinePatient) timelinePatient.addEventListener('change', loadDoctorNotes);
 
   // Prescription form handler
   const prescriptionForm = document.getElementById('prescriptionForm');
   if (prescriptionForm) {
     prescriptionForm.addEventListener('submit', async (e) => {
       e.preventDefault();
-      const stored = localStorage.getItem('doctor_prescriptions') || '[]';
-      const prescriptions = JSON.parse(stored);
-      prescriptions.push({
-        patient: document.getElementById('prescriptionPatient').value,
-        medication: document.getElementById('prescriptionMedication').value,
-        dosage: document.getElementById('prescriptionDosage').value,
-        date: new Date().toISOString().split('T')[0]
-      });
-      localStorage.setItem('doctor_prescriptions', JSON.stringify(prescriptions));
-      prescriptionForm.reset();
-      await loadDoctorPrescriptions();
-      alert('Prescription added successfully');
-    });
-  }
-
-  // Patient note form handler
-  const patientNoteForm = document.getElementById('patientNoteForm');
-  if (patientNoteForm) {
-    patientNoteForm.addEventListener('submit', async (e) => {
-      e.preventDefault();
-      const stored = localStorage.getItem('doctor_notes') || '[]';
-      const notes = JSON.parse(stored);
-      notes.push({
-        patient: document.getElementById('notePatient').value,
-        date: document.getElementById('noteDate').value || new Date().toISOString().split('T')[0],
-        content: document.getElementById('noteContent').value
-      });
-      localStorage.setItem('doctor_notes', JSON.stringify(notes));
-      patientNoteForm.reset();
-      await loadDoctorNotes();
-      alert('Note saved successfully');
+      try {
+        const data = await safeFetchJSON(`${API_BASE}/prescriptions.php`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            patient_id: document.getElementById('prescriptionPatient').value,
+            medication: document.getElementById('prescriptionMedication').value,
+            dosage: document.getElementById('prescriptionDosage').value,
+            frequency: document.getElementById('prescriptionFrequency').value,
+            start_date: document.getElementById('prescriptionStartDate').value,
+            end_date: document.getElementById('prescriptionEndDate').value
+          })
+        });
+        if (data.status === 'success') {
+          prescriptionForm.reset();
+          await loadDoctorPrescriptions();
+          alert('Prescription added successfully');
+        } else {
+          alert(data.message || 'Failed to add prescription');
+        }
+      } catch (err) {
+        console.error('Error adding prescription:', err);
+        alert('Error connecting to server while adding prescription.');
+      }
     });
   }
 
-  // Helper functions for removing prescriptions/notes
-  window.removePrescription = function(idx) {
-    if (!confirm('Remove this prescription?')) return;
-    const stored = localStorage.getItem('doctor_prescriptions') || '[]';
-    const prescriptions = JSON.parse(stored);
-    prescriptions.splice(idx, 1);
-    localStorage.setItem('doctor_prescriptions', JSON.stringify(prescriptions));
-    loadDoctorPrescriptions();
-  };
+  /**
+   * Lab orders (api/lab.php)
+   * Doctors order tests and review results; nurses collect samples and enter results from the worklist.
+   */
+  const LAB_FLAG_CLASSES = { normal: 'text-green-700', low: 'text-yellow-700', high: 'text-yellow-700', critical_low: 'text-red-600 font-semibold', critical_high: 'text-red-600 font-semibold' };
+  const LAB_PRIORITY_CLASSES = { stat: 'bg-red-600 text-white', urgent: 'bg-orange-500 text-white', routine: 'bg-gray-200' };
 
-  window.removeNote = function(idx) {
-    if (!confirm('Delete this note?')) return;
-    const stored = localStorage.getItem('doctor_notes') || '[]';
-    const notes = JSON.parse(stored);
-    notes.splice(idx, 1);
-    localStorage.setItem('doctor_notes', JSON.stringify(notes));
-    loadDoctorNotes();
-  };
+  // "5.8 mmol/L (ref 3.5–5.1) HIGH", or the order's status while there is no result
+  function labResultHtml(o) {
+    if (o.status !== 'resulted') return `<span class="text-gray-500">${escapeHtml(o.status)}</span>`;
+    const range = o.ref_low !== null || o.ref_high !== null ? ` <span class="text-gray-500">(ref ${escapeHtml(o.ref_low ?? '')}–${escapeHtml(o.ref_high ?? '')})</span>` : '';
+    return `<span class="${LAB_FLAG_CLASSES[o.flag] || ''}">${escapeHtml(String(o.result_value))} ${escapeHtml(o.unit || '')}${o.flag && o.flag !== 'normal' ? ` ${escapeHtml(o.flag.replace('_', ' ').toUpperCase())}` : ''}</span>${range}`;
+  }
 
-  // Nurse: medications, alerts placeholders
-  async function loadNurseData() {
-    const medsEl = document.getElementById('nurseMedList');
-    const alertsEl = document.getElementById('nurseAlerts');
-    if (medsEl) {
-      const meds = [
-        { patient: 'John Doe', drug: 'Amoxicillin 500mg', time: '10:00' },
-        { patient: 'Jane Roe', drug: 'Metformin 850mg', time: '12:00' }
-      ];
-      medsEl.innerHTML = meds.map(m => `<li class=\"flex justify-between\"><span>${escapeHtml(m.patient)}</span><span class=\"text-sm text-gray-600\">${escapeHtml(m.drug)} — ${escapeHtml(m.time)}</span></li>`).join('');
-    }
-    if (alertsEl) {
-      const alerts = [
-        { text: 'Ward A — Low stock of saline.' },
-        { text: 'Patient Kelvin — Elevated BP, check at 14:00.' }
-      ];
-      alertsEl.innerHTML = alerts.map(a => `<li>${escapeHtml(a.text)}</li>`).join('');
+  async function populateLabOrderForm() {
+    populateDoctorPatientSelects();
+    const container = document.getElementById('labOrderTests');
+    if (!container || container.dataset.loaded) return;
+    try {
+      const tests = await safeFetchJSON(`${API_BASE}/lab.php?tests=1`);
+      if (!Array.isArray(tests)) {
+        container.innerHTML = `<p class="text-red-600">${escapeHtml(tests.message || 'Failed to load tests.')}</p>`;
+        return;
+      }
+      container.innerHTML = tests.map(t => `
+        <label class="flex items-center gap-2"><input type="checkbox" name="labTest" value="${t.id}">
+          ${escapeHtml(t.name)} <span class="text-gray-500">— ${escapeHtml(t.specimen)} · ${Number(t.price).toFixed(2)}</span></label>
+      `).join('');
+      container.dataset.loaded = '1';
+    } catch (err) {
+      console.error('Error loading lab tests:', err);
+      container.innerHTML = '<p class="text-red-600">Failed to load tests.</p>';
     }
   }
 
-  // Populate doctor dropdowns from staff API
-  async function populateDoctorDropdowns() {
+  async function loadDoctorLabOrders() {
+    const container = document.getElementById('doctorLabOrdersList');
+    if (!container) return;
+    container.innerHTML = 'Loading...';
+    const filterEl = document.getElementById('labOrderStatusFilter');
+    const status = filterEl ? filterEl.value : 'open';
     try {
-      const staff = await safeFetchJSON(`${API_BASE}/staff.php`);
-      const doctors = Array.isArray(staff) ? staff.filter(s => String(s.role).toLowerCase() === 'doctor') : [];
-      const options = doctors.length > 0 
-        ? doctors.map(d => `<option value="${escapeHtml(d.username)}">${escapeHtml(d.username)}</option>`).join('')
-        : '<option value="">No doctors available</option>';
-      
-      const addDoctorSelect = document.getElementById('assignedDoctor');
-      const editDoctorSelect = document.getElementById('editAssignedDoctor');
-      
-      if (addDoctorSelect) {
-        addDoctorSelect.innerHTML = options;
+      const query = new URLSearchParams({ mine: '1' });
+      if (status) query.set('status', status);
+      const orders = await safeFetchJSON(`${API_BASE}/lab.php?${query}`);
+      if (!Array.isArray(orders)) {
+        container.innerHTML = `<p class="text-sm text-red-600">${escapeHtml(orders.message || 'Failed to load lab orders.')}</p>`;
+        return;
       }
-      if (editDoctorSelect) {
-        editDoctorSelect.innerHTML = options;
+      if (orders.length === 0) {
+        container.innerHTML = '<p class="text-sm text-gray-600">No lab orders.</p>';
+        return;
       }
+      container.innerHTML = orders.map(o => `
+        <div class="p-3 border rounded-lg mb-2 flex justify-between items-center">
+          <div>
+            <div class="font-semibold">${escapeHtml(o.patient_name || '')} — ${escapeHtml(o.test_name)}
+              <span class="px-2 py-0.5 text-xs rounded ${LAB_PRIORITY_CLASSES[o.priority] || ''}">${escapeHtml(o.priority)}</span></div>
+            <div class="text-sm">${labResultHtml(o)}${o.result_comment ? ` — ${escapeHtml(o.result_comment)}` : ''}</div>
+            <div class="text-xs text-gray-500">Ordered ${escapeHtml(o.ordered_at)}${o.clinical_notes ? ` · ${escapeHtml(o.clinical_notes)}` : ''}${o.cancel_reason ? ` · Cancelled: ${escapeHtml(o.cancel_reason)}` : ''}${o.reviewed_at ? ` · Reviewed ${escapeHtml(o.reviewed_at)}` : ''}</div>
+          </div>
+          <div class="flex gap-2">
+            ${o.status === 'resulted' && !o.reviewed_at ? `<button class="px-2 py-1 text-xs rounded bg-green-600 text-white" onclick="labAction(${o.id}, 'review')">Mark Reviewed</button>` : ''}
+            ${['ordered', 'collected'].includes(o.status) ? `<button class="px-2 py-1 text-xs rounded bg-red-600 text-white" onclick="labAction(${o.id}, 'cancel')">Cancel</button>` : ''}
+          </div>
+        </div>
+      `).join('');
     } catch (err) {
-      console.error('Error loading doctors for dropdowns:', err);
-      const addDoctorSelect = document.getElementById('assignedDoctor');
-      const editDoctorSelect = document.getElementById('editAssignedDoctor');
-      if (addDoctorSelect) addDoctorSelect.innerHTML = '<option value="">Failed to load doctors</option>';
-      if (editDoctorSelect) editDoctorSelect.innerHTML = '<option value="">Failed to load doctors</option>';
+      console.error('loadDoctorLabOrders error:', err);
+      container.innerHTML = '<p class="text-sm text-red-600">Failed to load lab orders.</p>';
     }
   }
 
-  // Receptionist: list available doctors with details
-  async function loadReceptionDoctors() {
-    const el = document.getElementById('receptionDoctorsList');
-    if (!el) return;
-    el.innerHTML = 'Loading...';
+  const labOrderStatusFilter = document.getElementById('labOrderStatusFilter');
+  if (labOrderStatusFilter) labOrderStatusFilter.addEventListener('change', loadDoctorLabOrders);
+
+  // Nurse: outstanding orders, STAT first, with collect / enter result actions
+  async function loadLabWorklist() {
+    const container = document.getElementById('labWorklist');
+    if (!container) return;
+    container.innerHTML = 'Loading...';
+    const filterEl = document.getElementById('labWorklistFilter');
+    const status = filterEl ? filterEl.value : 'open';
     try {
-      const staff = await safeFetchJSON(`${API_BASE}/staff.php`);
-      const doctors = Array.isArray(staff) ? staff.filter(s => String(s.role).toLowerCase() === 'doctor') : [];
-      if (doctors.length === 0) { 
-        el.innerHTML = '<p class="text-sm text-gray-600">No doctors available. Admin can add doctors in the Staff section.</p>'; 
-        return; 
+      const orders = await safeFetchJSON(`${API_BASE}/lab.php?status=${encodeURIComponent(status)}`);
+      if (!Array.isArray(orders)) {
+        container.innerHTML = `<p class="text-sm text-red-600">${escapeHtml(orders.message || 'Failed to load worklist.')}</p>`;
+        return;
       }
-      
-      // Get patient counts for each doctor
-      const patients = await safeFetchJSON(`${API_BASE}/patients.php`);
-      const patientCounts = {};
-      if (Array.isArray(patients)) {
-        patients.forEach(p => {
-          const doc = p.doctor || '';
-          patientCounts[doc] = (patientCounts[doc] || 0) + 1;
-        });
+      if (orders.length === 0) {
+        container.innerHTML = '<p class="text-sm text-gray-600">Nothing on the worklist.</p>';
+        return;
       }
-      
-      const doctorCards = doctors.map(d => {
-        const count = patientCounts[d.username] || 0;
-        return `
-          <div class="p-3 border rounded-lg mb-2">
-            <div class="font-semibold">${escapeHtml(d.username)}</div>
-            <div class="text-sm text-gray-600">Patients assigned: ${count}</div>
+      container.innerHTML = orders.map(o => `
+        <div class="p-3 border rounded-lg mb-2 flex justify-between items-center">
+          <div>
+            <div class="font-semibold">${escapeHtml(o.test_name)} — ${escapeHtml(o.patient_name || '')} <span class="text-xs text-gray-500">${escapeHtml(o.patient_mrn || '')}</span>
+              <span class="px-2 py-0.5 text-xs rounded ${LAB_PRIORITY_CLASSES[o.priority] || ''}">${escapeHtml(o.priority)}</span></div>
+            <div class="text-sm">${escapeHtml(o.specimen)} · ${labResultHtml(o)}</div>
+            <div class="text-xs text-gray-500">Ordered ${escapeHtml(o.ordered_at)} by ${escapeHtml(o.ordered_by || '')}${o.clinical_notes ? ` · ${escapeHtml(o.clinical_notes)}` : ''}${o.collected_at ? ` · Collected ${escapeHtml(o.collected_at)}` : ''}</div>
           </div>
-        `;
-      }).join('');
-      
-      el.innerHTML = `<div class="space-y-2">${doctorCards}</div>`;
+          <div class="flex gap-2">
+            ${o.status === 'ordered' ? `<button class="px-2 py-1 text-xs rounded bg-blue-600 text-white" onclick="labAction(${o.id}, 'collect')">Collect</button>` : ''}
+            ${o.status === 'collected' ? `<button class="px-2 py-1 text-xs rounded bg-green-600 text-white" onclick="labAction(${o.id}, 'result')">Enter Result</button>` : ''}
+          </div>
+        </div>
+      `).join('');
     } catch (err) {
-      console.error('loadReceptionDoctors error:', err);
-      el.innerHTML = '<p class="text-sm text-red-600">Failed to load doctors.</p>';
+      console.error('loadLabWorklist error:', err);
+      container.innerHTML = '<p class="text-sm text-red-600">Failed to load worklist.</p>';
     }
   }
 
-  /**
-   * Login Handler
-   * Submits login form data to api/login.php and processes authentication response.
-   * On success, displays the appropriate dashboard and initializes navigation.
-   */
-  if (loginForm) {
-    loginForm.addEventListener("submit", async (e) => {
-      e.preventDefault();
-      const formData = new FormData(loginForm);
+  const labWorklistFilter = document.getElementById('labWorklistFilter');
+  if (labWorklistFilter) labWorklistFilter.addEventListener('change', loadLabWorklist);
 
+  window.labAction = async function (id, action) {
+    const payload = { id, action };
+    if (action === 'result') {
+      const value = prompt('Result value (numbers only):');
+      if (value === null) return;
+      payload.value = value.trim();
+      payload.comment = prompt('Comment (optional):') || '';
+    } else if (action === 'cancel') {
+      const reason = prompt('Reason for cancelling this test:');
+      if (reason === null) return;
+      payload.reason = reason;
+    }
+    try {
+      const result = await safeFetchJSON(`${API_BASE}/lab.php`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      if (!result || result.status !== 'success') {
+        alert((result && result.message) || 'Failed to update lab order');
+        return;
+      }
+      if (action === 'result' || action === 'cancel') alert(result.message);
+      if (currentUser && currentUser.role === 'doctor') loadDoctorLabOrders(); else loadLabWorklist();
+      refreshAlertBadge();
+    } catch (err) {
+      console.error('Error updating lab order:', err);
+      alert('Error connecting to server while updating lab order.');
+    }
+  };
+
+  const labOrderForm = document.getElementById('labOrderForm');
+  if (labOrderForm) {
+    labOrderForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const testIds = Array.from(labOrderForm.querySelectorAll('input[name="labTest"]:checked')).map(cb => cb.value);
+      if (testIds.length === 0) {
+        alert('Select at least one test');
+        return;
+      }
       try {
-        const data = await safeFetchJSON(`${API_BASE}/login.php`, { method: "POST", body: formData });
+        const data = await safeFetchJSON(`${API_BASE}/lab.php`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            patient_id: document.getElementById('labOrderPatient').value,
+            test_ids: testIds,
+            priority: document.getElementById('labOrderPriority').value,
+            clinical_notes: document.getElementById('labOrderNotes').value
+          })
+        });
+        if (data.status === 'success') {
+          labOrderForm.reset();
+          await loadDoctorLabOrders();
+          alert(data.message);
+        } else {
+          alert(data.message || 'Failed to order tests');
+        }
+      } catch (err) {
+        console.error('Error ordering tests:', err);
+        alert('Error connecting to server while ordering tests.');
+      }
+    });
+  }
 
-        if (data.status === "success") {
-          // normalize role to lowercase for dashboard id
-          const roleNormalized = String(data.role).toLowerCase();
-          localStorage.setItem("role", roleNormalized);
-          localStorage.setItem("username", data.username || "");
-          showSectionById(`${roleNormalized}-dashboard`);
-          setupSidebarNavigation(`${roleNormalized}-dashboard`);
-          // Render initial components for that dashboard
-          dashboards.forEach(d => {
-            if (d.id === `${roleNormalized}-dashboard`) setupSidebarNavigation(d.id);
+  // Patient note form handler (new draft/signed note, or saving an existing draft)
+  const patientNoteForm = document.getElementById('patientNoteForm');
+  if (patientNoteForm) {
+    patientNoteForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const sign = e.submitter && e.submitter.value === '1';
+      const noteId = document.getElementById('noteId').value;
+      const noteDate = document.getElementById('noteDate').value || new Date().toISOString().split('T')[0];
+      const content = document.getElementById('noteContent').value;
+      try {
+        let data;
+        if (noteId) {
+          data = await safeFetchJSON(`${API_BASE}/notes.php`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ id: noteId, note_date: noteDate, content })
+          });
+          if (data.status === 'success' && sign) {
+            data = await safeFetchJSON(`${API_BASE}/notes.php`, {
+              method: 'PUT',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ id: noteId, action: 'sign' })
+            });
+          }
+        } else {
+          data = await safeFetchJSON(`${API_BASE}/notes.php`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              patient_id: document.getElementById('notePatient').value,
+              note_date: noteDate,
+              content,
+              sign
+            })
           });
+        }
+        if (data.status === 'success') {
+          patientNoteForm.reset();
+          document.getElementById('noteId').value = '';
+          await loadDoctorNotes();
+          alert(data.message || 'Note saved successfully');
         } else {
-          alert(data.message || "Invalid credentials");
+          alert(data.message || 'Failed to save note');
         }
       } catch (err) {
-        console.error("Error connecting to server:", err);
-        alert("Error connecting to server. Please ensure XAMPP (Apache & MySQL) are running.");
+        console.error('Error saving note:', err);
+        alert('Error connecting to server while saving note.');
       }
     });
   }
 
+  // Helper functions for prescription status changes and note drafts/addenda
+  window.updatePrescriptionStatus = async function(id, status) {
+    const reason = prompt(`Reason for marking this prescription ${status} (optional):`, '');
+    if (reason === null) return;
+    try {
+      const data = await safeFetchJSON(`${API_BASE}/prescriptions.php`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id, status, reason })
+      });
+      if (data.status !== 'success') alert(data.message || 'Failed to update prescription');
+      await loadDoctorPrescriptions();
+    } catch (err) {
+      console.error('Error updating prescription:', err);
+      alert('Error updating prescription. Check console for details.');
+    }
+  };
+
+  window.editNote = async function(id) {
+    try {
+      const notes = await safeFetchJSON(`${API_BASE}/notes.php?mine=1`);
+      const note = Array.isArray(notes) ? notes.find(n => String(n.id) === String(id)) : null;
+      if (!note) return;
+      document.getElementById('noteId').value = note.id;
+      document.getElementById('notePatient').value = note.patient_id;
+      document.getElementById('noteDate').value = note.note_date || '';
+      document.getElementById('noteContent').value = note.content || '';
+      document.getElementById('noteContent').focus();
+    } catch (err) {
+      console.error('Error loading note:', err);
+    }
+  };
+
+  window.signNote = async function(id) {
+    if (!confirm('Sign this note? Signed notes can no longer be edited.')) return;
+    try {
+      const data = await safeFetchJSON(`${API_BASE}/notes.php`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id, action: 'sign' })
+      });
+      if (data.status !== 'success') alert(data.message || 'Failed to sign note');
+      await loadDoctorNotes();
+    } catch (err) {
+      console.error('Error signing note:', err);
+      alert('Error signing note. Check console for details.');
+    }
+  };
+
+  window.addNoteAddendum = async function(id) {
+    const content = prompt('Addendum text:');
+    if (!content) return;
+    try {
+      const data = await safeFetchJSON(`${API_BASE}/notes.php`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ parent_id: id, content })
+      });
+      if (data.status !== 'success') alert(data.message || 'Failed to add addendum');
+      await loadDoctorNotes();
+    } catch (err) {
+      console.error('Error adding addendum:', err);
+      alert('Error adding addendum. Check console for details.');
+    }
+  };
+
+  // Nurse: medication administration record (api/mar.php)
+  const MAR_STATUS_CLASSES = {
+    due: 'bg-blue-100 text-blue-800',
+    given: 'bg-green-100 text-green-800',
+    held: 'bg-amber-100 text-amber-800',
+    missed: 'bg-red-100 text-red-800'
+  };
+
+  async function loadNurseData() {
+    const medsEl = document.getElementById('nurseMedList');
+    const prnEl = document.getElementById('nursePrnList');
+    const dateEl = document.getElementById('nurseMedDate');
+    const today = new Date().toISOString().split('T')[0];
+    if (dateEl && !dateEl.value) dateEl.value = today;
+    const date = dateEl ? dateEl.value : today;
+
+    let mar = null;
+    try {
+      mar = await safeFetchJSON(`${API_BASE}/mar.php?date=${encodeURIComponent(date)}`);
+    } catch (err) {
+      console.error('loadNurseData error:', err);
+    }
+
+    if (medsEl) {
+      if (!mar || mar.status !== 'success') {
+        medsEl.innerHTML = `<li class="text-sm text-red-600">${escapeHtml((mar && mar.message) || 'Failed to load medications.')}</li>`;
+      } else if (mar.doses.length === 0) {
+        medsEl.innerHTML = '<li class="text-sm text-gray-600">No doses scheduled.</li>';
+      } else {
+        medsEl.innerHTML = mar.doses.map(d => {
+          const time = String(d.scheduled_at).slice(11, 16);
+          const recorded = d.recorded_by
+            ? `<div class="text-xs text-gray-500">${escapeHtml(d.status)} by ${escapeHtml(d.recorded_by)} at ${escapeHtml(String(d.administered_at || d.recorded_at).slice(11, 16))}${d.reason ? ` — ${escapeHtml(d.reason)}` : ''}</div>`
+            : '';
+          const actions = d.recorded_by ? '' : `
+              <div class="flex gap-1">
+                <button class="px-2 py-1 text-xs rounded bg-green-600 text-white" onclick="recordDose(${d.prescription_id}, '${escapeHtml(d.scheduled_at)}', 'given')">Give</button>
+                <button class="px-2 py-1 text-xs rounded bg-amber-500 text-white" onclick="recordDose(${d.prescription_id}, '${escapeHtml(d.scheduled_at)}', 'held')">Hold</button>
+                <button class="px-2 py-1 text-xs rounded bg-red-600 text-white" onclick="recordDose(${d.prescription_id}, '${escapeHtml(d.scheduled_at)}', 'missed')">Missed</button>
+              </div>`;
+          return `
+            <li class="p-2 border rounded-lg flex justify-between items-center">
+              <div>
+                <div class="font-semibold">${escapeHtml(d.patient_name || '')}</div>
+                <div class="text-sm text-gray-600">${escapeHtml(d.medication)} ${escapeHtml(d.dosage)} — ${escapeHtml(time)}</div>
+                ${recorded}
+              </div>
+              <div class="flex items-center gap-2">
+                <span class="px-2 py-0.5 text-xs rounded ${MAR_STATUS_CLASSES[d.status] || ''}">${escapeHtml(d.overdue ? 'overdue' : d.status)}</span>
+                ${actions}
+              </div>
+            </li>`;
+        }).join('');
+      }
+    }
+    if (prnEl && mar && mar.status === 'success') {
+      prnEl.innerHTML = mar.prn.length === 0
+        ? '<li class="text-sm text-gray-600">No PRN medications.</li>'
+        : mar.prn.map(p => `
+            <li class="p-2 border rounded-lg flex justify-between items-center">
+              <div>
+                <div class="font-semibold">${escapeHtml(p.patient_name || '')}</div>
+                <div class="text-sm text-gray-600">${escapeHtml(p.medication)} ${escapeHtml(p.dosage)}</div>
+              </div>
+              <button class="px-2 py-1 text-xs rounded bg-green-600 text-white" onclick="recordDose(${p.prescription_id}, '', 'given')">Give now</button>
+            </li>`).join('');
+    }
+  }
+
+  const nurseMedDate = document.getElementById('nurseMedDate');
+  if (nurseMedDate) nurseMedDate.addEventListener('change', loadNurseData);
+
+  window.recordDose = async function(prescriptionId, scheduledAt, status) {
+    let reason = '';
+    if (status !== 'given') {
+      reason = prompt(`Reason the dose was ${status}:`, '');
+      if (!reason) return;
+    }
+    try {
+      const data = await safeFetchJSON(`${API_BASE}/mar.php`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ prescription_id: prescriptionId, scheduled_at: scheduledAt, status, reason })
+      });
+      if (data.status !== 'success') alert(data.message || 'Failed to record dose');
+      await loadNurseData();
+      refreshAlertBadge();
+    } catch (err) {
+      console.error('Error recording dose:', err);
+      alert('Error recording dose. Check console for details.');
+    }
+  };
+
   /**
-   * Dark Mode Toggle Handler
-   * Updates theme and localStorage based on user selection.
+   * Inventory and dispensing (api/inventory.php)
+   * Admins keep the stock and its movement history; nurses dispense against prescriptions.
+   * Every .stock-warnings box (overviews, Inventory, Pharmacy) shows the low-stock and expiry warnings.
    */
-  darkModeToggle?.addEventListener("change", (e) => {
-    setThemeState(e.target.checked);
+  const STOCK_MOVEMENT_LABELS = { receive: 'Received', dispense: 'Dispensed', adjust: 'Adjusted', expire: 'Written off' };
+
+  async function loadStockWarnings() {
+    const boxes = document.querySelectorAll('.stock-warnings');
+    if (boxes.length === 0) return;
+    let html;
+    try {
+      const data = await safeFetchJSON(`${API_BASE}/inventory.php?warnings=1`);
+      if (!data || data.status !== 'success') {
+        html = `<p class="text-red-600">${escapeHtml((data && data.message) || 'Failed to load stock warnings.')}</p>`;
+      } else if (data.low_stock.length === 0 && data.expiring.length === 0) {
+        html = '<p class="text-gray-600">Stock levels and expiry dates are fine.</p>';
+      } else {
+        html = `<ul class="space-y-1">
+          ${data.low_stock.map(i => `<li class="${Number(i.quantity) === 0 ? 'text-red-600 font-semibold' : 'text-yellow-700'}">Low stock — ${escapeHtml(i.name)}: ${escapeHtml(String(i.quantity))} ${escapeHtml(i.unit)} left (reorder at ${escapeHtml(String(i.reorder_level))})</li>`).join('')}
+          ${data.expiring.map(b => `<li class="${Number(b.days_left) < 0 ? 'text-red-600 font-semibold' : 'text-yellow-700'}">${Number(b.days_left) < 0 ? 'Expired' : 'Expiring'} — ${escapeHtml(b.name)} batch ${escapeHtml(b.batch_number)}: ${escapeHtml(String(b.quantity_remaining))} ${escapeHtml(b.unit)}, ${Number(b.days_left) < 0 ? 'expired' : 'expires'} ${escapeHtml(b.expiry_date)}</li>`).join('')}
+        </ul>`;
+      }
+    } catch (err) {
+      console.error('Error loading stock warnings:', err);
+      html = '<p class="text-red-600">Failed to load stock warnings.</p>';
+    }
+    boxes.forEach(box => { box.innerHTML = html; });
+  }
+
+  // Admin: stock on hand, receiving, batches and the movement history
+  async function loadInventory() {
+    loadStockWarnings();
+    const container = document.getElementById('inventoryList');
+    if (!container) return;
+    container.innerHTML = 'Loading...';
+    const search = document.getElementById('inventorySearch');
+    try {
+      const q = search ? search.value.trim() : '';
+      const items = await safeFetchJSON(`${API_BASE}/inventory.php${q ? `?q=${encodeURIComponent(q)}` : ''}`);
+      if (!Array.isArray(items)) {
+        container.innerHTML = `<p class="text-sm text-red-600">${escapeHtml(items.message || 'Failed to load inventory.')}</p>`;
+        return;
+      }
+      if (!q) {
+        const options = items.map(i => `<option value="${i.id}">${escapeHtml(i.name)}</option>`).join('');
+        document.querySelectorAll('.inventory-item-select').forEach(sel => {
+          const selected = sel.value;
+          sel.innerHTML = (sel.id === 'movementItemFilter' ? '<option value="">All items</option>' : '<option value="">Select item...</option>') + options;
+          sel.value = selected;
+        });
+      }
+      container.innerHTML = items.length === 0 ? '<p class="text-sm text-gray-600">No stock items.</p>' : `
+        <div class="overflow-x-auto"><table class="min-w-full text-sm">
+          <thead><tr><th class="px-3 py-2 text-left">Item</th><th class="px-3 py-2 text-left">Category</th><th class="px-3 py-2 text-left">On Hand</th><th class="px-3 py-2 text-left">Reorder Level</th><th class="px-3 py-2 text-left">Next Expiry</th><th class="px-3 py-2 text-left">Actions</th></tr></thead>
+          <tbody>${items.map(i => `
+            <tr>
+              <td class="px-3 py-2">${escapeHtml(i.name)}</td>
+              <td class="px-3 py-2">${escapeHtml(i.category)}</td>
+              <td class="px-3 py-2 ${i.low ? 'text-red-600 font-semibold' : ''}">${escapeHtml(String(i.quantity))} ${escapeHtml(i.unit)}</td>
+              <td class="px-3 py-2">${escapeHtml(String(i.reorder_level))}</td>
+              <td class="px-3 py-2">${escapeHtml(i.next_expiry || '—')}</td>
+              <td class="px-3 py-2"><button class="px-2 py-1 text-xs rounded bg-blue-600 text-white" onclick="viewInventoryBatches(${i.id})">Batches</button></td>
+            </tr>`).join('')}</tbody>
+        </table></div>`;
+    } catch (err) {
+      console.error('loadInventory error:', err);
+      container.innerHTML = '<p class="text-sm text-red-600">Failed to load inventory.</p>';
+    }
+    loadStockMovements();
+  }
+
+  window.viewInventoryBatches = async function (itemId) {
+    const container = document.getElementById('inventoryBatches');
+    if (!container) return;
+    try {
+      const data = await safeFetchJSON(`${API_BASE}/inventory.php?id=${itemId}`);
+      if (!data || data.status !== 'success') {
+        container.innerHTML = `<p class="text-sm text-red-600">${escapeHtml((data && data.message) || 'Failed to load batches.')}</p>`;
+        return;
+      }
+      const item = data.item;
+      container.innerHTML = `
+        <h4 class="font-semibold mb-2">${escapeHtml(item.name)} — batches</h4>
+        ${item.batches.length === 0 ? '<p class="text-sm text-gray-600">No stock received yet.</p>' : `<ul class="space-y-1 text-sm">${item.batches.map(b => `
+          <li class="border-b pb-1 flex justify-between items-center ${b.expired ? 'text-red-600' : ''}">
+            <span><strong>${escapeHtml(b.batch_number)}</strong> · ${escapeHtml(String(b.quantity_remaining))} of ${escapeHtml(String(b.quantity_received))} ${escapeHtml(item.unit)} left · expires ${escapeHtml(b.expiry_date)}${b.expired ? ' (expired)' : ''}</span>
+            <span class="flex gap-2">
+              <button class="px-2 py-1 text-xs rounded bg-gray-300" onclick="inventoryBatchAction(${b.id}, ${item.id}, 'adjust')">Adjust</button>
+              ${b.expired && Number(b.quantity_remaining) > 0 ? `<button class="px-2 py-1 text-xs rounded bg-red-600 text-white" onclick="inventoryBatchAction(${b.id}, ${item.id}, 'write_off')">Write Off</button>` : ''}
+            </span>
+          </li>`).join('')}</ul>`}`;
+    } catch (err) {
+      console.error('Error loading batches:', err);
+      container.innerHTML = '<p class="text-sm text-red-600">Failed to load batches.</p>';
+    }
+  };
+
+  window.inventoryBatchAction = async function (batchId, itemId, action) {
+    const payload = { action, batch_id: batchId };
+    if (action === 'adjust') {
+      const quantity = prompt('Adjust by how many? Use a negative number to remove stock (e.g. -5):');
+      if (quantity === null) return;
+      const reason = prompt('Reason for the adjustment (e.g. stock count, damaged):');
+      if (!reason) return;
+      payload.quantity = quantity;
+      payload.reason = reason;
+    } else if (!confirm('Write off everything left in this expired batch?')) {
+      return;
+    }
+    try {
+      const result = await safeFetchJSON(`${API_BASE}/inventory.php`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      if (!result || result.status !== 'success') {
+        alert((result && result.message) || 'Failed to update stock');
+        return;
+      }
+      await loadInventory();
+      viewInventoryBatches(itemId);
+      refreshAlertBadge();
+    } catch (err) {
+      console.error('Error updating stock:', err);
+      alert('Error connecting to server while updating stock.');
+    }
+  };
+
+  async function loadStockMovements() {
+    const container = document.getElementById('stockMovementsList');
+    if (!container) return;
+    const query = new URLSearchParams({ movements: '1' });
+    const itemFilter = document.getElementById('movementItemFilter');
+    const typeFilter = document.getElementById('movementTypeFilter');
+    if (itemFilter && itemFilter.value) query.set('item_id', itemFilter.value);
+    if (typeFilter && typeFilter.value) query.set('type', typeFilter.value);
+    try {
+      const movements = await safeFetchJSON(`${API_BASE}/inventory.php?${query}`);
+      if (!Array.isArray(movements)) {
+        container.innerHTML = `<p class="text-sm text-red-600">${escapeHtml(movements.message || 'Failed to load stock movements.')}</p>`;
+        return;
+      }
+      container.innerHTML = movements.length === 0 ? '<p class="text-sm text-gray-600">No stock movements.</p>' : `
+        <div class="overflow-x-auto"><table class="min-w-full text-sm">
+          <thead><tr><th class="px-3 py-2 text-left">When</th><th class="px-3 py-2 text-left">Item</th><th class="px-3 py-2 text-left">Batch</th><th class="px-3 py-2 text-left">Movement</th><th class="px-3 py-2 text-left">Qty</th><th class="px-3 py-2 text-left">Details</th><th class="px-3 py-2 text-left">By</th></tr></thead>
+          <tbody>${movements.map(m => `
+            <tr>
+              <td class="px-3 py-2">${escapeHtml(m.created_at)}</td>
+              <td class="px-3 py-2">${escapeHtml(m.item_name)}</td>
+              <td class="px-3 py-2">${escapeHtml(m.batch_number || '')}</td>
+              <td class="px-3 py-2">${escapeHtml(STOCK_MOVEMENT_LABELS[m.type] || m.type)}</td>
+              <td class="px-3 py-2 ${Number(m.quantity) < 0 ? 'text-red-600' : 'text-green-700'}">${Number(m.quantity) > 0 ? '+' : ''}${escapeHtml(String(m.quantity))} ${escapeHtml(m.unit)}</td>
+              <td class="px-3 py-2">${m.prescription_id ? `Rx #${m.prescription_id} · ${escapeHtml(m.patient_name || '')}` : escapeHtml(m.reason || '')}</td>
+              <td class="px-3 py-2">${escapeHtml(m.created_by || '')}</td>
+            </tr>`).join('')}</tbody>
+        </table></div>`;
+    } catch (err) {
+      console.error('loadStockMovements error:', err);
+      container.innerHTML = '<p class="text-sm text-red-600">Failed to load stock movements.</p>';
+    }
+  }
+
+  ['movementItemFilter', 'movementTypeFilter'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener('change', loadStockMovements);
   });
-  darkModeToggles.forEach(toggle => {
-    toggle.addEventListener("change", (e) => {
-      setThemeState(e.target.checked);
+  const inventorySearch = document.getElementById('inventorySearch');
+  let inventorySearchTimer = null;
+  if (inventorySearch) {
+    inventorySearch.addEventListener('input', () => {
+      clearTimeout(inventorySearchTimer);
+      inventorySearchTimer = setTimeout(loadInventory, 300);
     });
-  });
+  }
 
-  /**
-   * Return & Logout Handler
-   * Handles logout and return actions, clearing localStorage and returning to landing page.
-   */
-  document.querySelectorAll(".return-btn, [id$='Logout']").forEach(btn => {
-    btn.addEventListener("click", (ev) => {
-      ev.preventDefault();
-      // call server logout to destroy session
-      try { safeFetchJSON(`${API_BASE}/logout.php`, { method: 'POST' }); } catch (e) { /* ignore */ }
-      localStorage.removeItem("role");
-      localStorage.removeItem("username");
-      showSectionById("landing");
+  // Submits an inventory.php form (POST to add an item, PUT to receive stock) and reloads the lists
+  async function submitInventoryForm(form, method, payload) {
+    try {
+      const result = await safeFetchJSON(`${API_BASE}/inventory.php`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      if (!result || result.status !== 'success') {
+        alert((result && result.message) || 'Failed to update inventory');
+        return;
+      }
+      form.reset();
+      await loadInventory();
+      refreshAlertBadge();
+      alert(result.message);
+    } catch (err) {
+      console.error('Error updating inventory:', err);
+      alert('Error connecting to server while updating inventory.');
+    }
+  }
+
+  const inventoryItemForm = document.getElementById('inventoryItemForm');
+  if (inventoryItemForm) {
+    inventoryItemForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      submitInventoryForm(inventoryItemForm, 'POST', {
+        name: document.getElementById('inventoryItemName').value.trim(),
+        category: document.getElementById('inventoryItemCategory').value,
+        unit: document.getElementById('inventoryItemUnit').value.trim(),
+        reorder_level: document.getElementById('inventoryItemReorder').value
+      });
     });
-  });
+  }
 
-  /**
-   * Receptionist: Patients CRUD
-   * Loads patient data and handles patient addition via API.
-   */
-  async function loadPatients() {
-    const recentTbody = document.getElementById("patientTableBody"); // Receptionist recent registrations
-    const adminTbody = document.getElementById("adminPatientsTbody"); // Admin patients list
-    if (!recentTbody && !adminTbody) return;
-    if (recentTbody) recentTbody.innerHTML = "<tr><td colspan='6'>Loading...</td></tr>";
-    if (adminTbody) adminTbody.innerHTML = "<tr><td colspan='6'>Loading...</td></tr>";
-    try {
-      const patients = await safeFetchJSON(`${API_BASE}/patients.php`);
-      if (!Array.isArray(patients)) {
-        if (recentTbody) recentTbody.innerHTML = "<tr><td colspan='6'>No patients or invalid response</td></tr>";
-        if (adminTbody) adminTbody.innerHTML = "<tr><td colspan='6'>No patients or invalid response</td></tr>";
+  const inventoryReceiveForm = document.getElementById('inventoryReceiveForm');
+  if (inventoryReceiveForm) {
+    inventoryReceiveForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      submitInventoryForm(inventoryReceiveForm, 'PUT', {
+        action: 'receive',
+        id: document.getElementById('receiveItem').value,
+        batch_number: document.getElementById('receiveBatch').value.trim(),
+        expiry_date: document.getElementById('receiveExpiry').value,
+        quantity: document.getElementById('receiveQuantity').value,
+        unit_cost: document.getElementById('receiveUnitCost').value
+      });
+    });
+  }
+
+  // Nurse: dispense stock against an active prescription
+  async function populateDispenseForm() {
+    loadStockWarnings();
+    const prescriptionSelect = document.getElementById('dispensePrescription');
+    const itemSelect = document.getElementById('dispenseItem');
+    if (!prescriptionSelect || !itemSelect) return;
+    try {
+      const [prescriptions, items] = await Promise.all([
+        safeFetchJSON(`${API_BASE}/prescriptions.php?status=active`),
+        safeFetchJSON(`${API_BASE}/inventory.php?category=medicine`)
+      ]);
+      prescriptionSelect.innerHTML = '<option value="">Select prescription...</option>' + (Array.isArray(prescriptions) ? prescriptions : []).map(p =>
+        `<option value="${p.id}" data-medication="${escapeHtml(p.medication)}">${escapeHtml(p.patient_name || '')} — ${escapeHtml(p.medication)} ${escapeHtml(p.dosage)} (${escapeHtml(p.frequency)})${Number(p.dispensed) > 0 ? ` · ${escapeHtml(String(p.dispensed))} dispensed` : ''}</option>`).join('');
+      itemSelect.innerHTML = '<option value="">Select item...</option>' + (Array.isArray(items) ? items : []).map(i =>
+        `<option value="${i.id}" data-name="${escapeHtml(i.name)}" data-empty="${Number(i.quantity) === 0 ? 1 : 0}" ${Number(i.quantity) === 0 ? 'disabled' : ''}>${escapeHtml(i.name)} (${escapeHtml(String(i.quantity))} ${escapeHtml(i.unit)})</option>`).join('');
+      matchDispenseItems();
+    } catch (err) {
+      console.error('Error loading dispensing form:', err);
+    }
+  }
+
+  // Only the items for the prescribed medication can be picked (the server checks the same)
+  function matchDispenseItems() {
+    const prescriptionSelect = document.getElementById('dispensePrescription');
+    const itemSelect = document.getElementById('dispenseItem');
+    if (!prescriptionSelect || !itemSelect) return;
+    const chosen = prescriptionSelect.selectedOptions[0];
+    const medication = String((chosen && chosen.dataset.medication) || '').trim().toLowerCase();
+    Array.from(itemSelect.options).forEach(opt => {
+      if (!opt.value) return;
+      const matches = !medication || String(opt.dataset.name || '').toLowerCase().startsWith(medication);
+      opt.hidden = !matches;
+      opt.disabled = !matches || opt.dataset.empty === '1';
+    });
+    if (itemSelect.selectedOptions[0] && itemSelect.selectedOptions[0].disabled) itemSelect.value = '';
+  }
+
+  const dispensePrescriptionSelect = document.getElementById('dispensePrescription');
+  if (dispensePrescriptionSelect) dispensePrescriptionSelect.addEventListener('change', matchDispenseItems);
+
+  const dispenseForm = document.getElementById('dispenseForm');
+  if (dispenseForm) {
+    dispenseForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      try {
+        const result = await safeFetchJSON(`${API_BASE}/inventory.php`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            action: 'dispense',
+            prescription_id: document.getElementById('dispensePrescription').value,
+            id: document.getElementById('dispenseItem').value,
+            quantity: document.getElementById('dispenseQuantity').value
+          })
+        });
+        if (!result || result.status !== 'success') {
+          alert((result && result.message) || 'Failed to dispense');
+          return;
+        }
+        dispenseForm.reset();
+        await populateDispenseForm();
+        alert(result.message);
+      } catch (err) {
+        console.error('Error dispensing:', err);
+        alert('Error connecting to server while dispensing.');
+      }
+    });
+  }
+
+  // Admin: audit log (api/logs.php) — who viewed or changed which record, with the values before and after
+  const auditState = { page: 1 };
+
+  function auditValue(v) {
+    if (v === null || v === undefined || v === '') return '—';
+    return typeof v === 'object' ? JSON.stringify(v) : String(v);
+  }
+
+  // Changed fields as "field: old → new"; records that were created or removed show their values in a fold-out
+  function auditChangesHtml(entry) {
+    const before = entry.before && typeof entry.before === 'object' ? entry.before : null;
+    const after = entry.after && typeof entry.after === 'object' ? entry.after : null;
+    const valuesList = values => `<ul class="mt-1 text-xs">${Object.keys(values).map(k => `<li><span class="text-gray-500">${escapeHtml(k)}:</span> ${escapeHtml(auditValue(values[k]))}</li>`).join('')}</ul>`;
+    let html = '';
+    if (before && after && !Array.isArray(before)) {
+      const changed = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter(k => JSON.stringify(before[k]) !== JSON.stringify(after[k]));
+      html = changed.length === 0 ? '<span class="text-gray-500">No field changes</span>' : `<ul class="text-xs">${changed.map(k => `
+        <li><span class="text-gray-500">${escapeHtml(k)}:</span> <span class="text-red-600">${escapeHtml(auditValue(before[k]))}</span> &rarr; <span class="text-green-700">${escapeHtml(auditValue(after[k]))}</span></li>`).join('')}</ul>`;
+    } else if (before || after) {
+      html = [before ? ['Before', before] : null, after ? ['After', after] : null].filter(Boolean)
+        .map(([label, values]) => `<details><summary class="cursor-pointer text-xs text-blue-600">${label}</summary>${valuesList(values)}</details>`).join('');
+    }
+    if (entry.details && typeof entry.details === 'object') {
+      const details = Object.keys(entry.details).filter(k => entry.details[k] !== null)
+        .map(k => `${escapeHtml(k)}: ${escapeHtml(auditValue(entry.details[k]))}`).join(' · ');
+      if (details) html += `<div class="text-xs text-gray-500 mt-1">${details}</div>`;
+    } else if (entry.details) {
+      html += `<div class="text-xs text-gray-500 mt-1">${escapeHtml(String(entry.details))}</div>`;
+    }
+    return html || '—';
+  }
+
+  async function populateAuditFilters() {
+    const userSelect = document.getElementById('auditUser');
+    if (!userSelect || userSelect.options.length > 1) return;
+    try {
+      const staff = await safeFetchJSON(`${API_BASE}/staff.php`);
+      if (!Array.isArray(staff)) return;
+      userSelect.insertAdjacentHTML('beforeend', staff.map(s => `<option value="${escapeHtml(s.username)}">${escapeHtml(s.username)} (${escapeHtml(s.role)})</option>`).join(''));
+    } catch (err) {
+      console.error('Error loading audit users:', err);
+    }
+  }
+
+  async function loadAuditLog() {
+    const container = document.getElementById('auditLogList');
+    if (!container) return;
+    const query = new URLSearchParams({ page: auditState.page });
+    [['auditUser', 'username'], ['auditEntity', 'entity'], ['auditEntityId', 'entity_id'], ['auditFrom', 'from'], ['auditTo', 'to']].forEach(([id, key]) => {
+      const el = document.getElementById(id);
+      if (el && el.value) query.set(key, el.value);
+    });
+    try {
+      const data = await safeFetchJSON(`${API_BASE}/logs.php?${query}`);
+      if (!data || data.status !== 'success') {
+        container.innerHTML = `<p class="text-sm text-red-600">${escapeHtml((data && data.message) || 'Failed to load the audit log.')}</p>`;
         return;
       }
-      if (recentTbody) {
-        recentTbody.innerHTML = "";
-        patients.forEach(p => {
-          const row = document.createElement("tr");
-          row.innerHTML = `
-            <td>${escapeHtml(p.name || "")}</td>
-            <td>${escapeHtml(String(p.age || ""))}</td>
-            <td>${escapeHtml(p.gender || "")}</td>
-            <td>${escapeHtml(p.date || "")}</td>
-            <td>${escapeHtml(p.doctor || "")}</td>
-            <td>
-              <div class="flex gap-2">
-                <button class="px-2 py-1 text-xs rounded bg-blue-600 text-white hover:bg-blue-700" data-action="view" data-id="${p.id}">View</button>
-                <button class="px-2 py-1 text-xs rounded bg-green-600 text-white hover:bg-green-700" data-action="edit" data-id="${p.id}">Edit</button>
-                <button class="px-2 py-1 text-xs rounded bg-amber-500 text-white hover:bg-amber-600" data-action="reschedule" data-id="${p.id}">Reschedule</button>
-              </div>
-            </td>
-          `;
-          row.querySelectorAll('button').forEach(btn => {
-            btn.addEventListener('click', () => {
-              const action = btn.getAttribute('data-action');
-              const pid = btn.getAttribute('data-id');
-              const patient = patients.find(pt => pt.id == pid);
-              if (!patient) return;
-              if (action === 'view') {
-                showPatientViewModal(patient);
-              } else if (action === 'edit') {
-                showPatientEditModal(patient);
-              } else if (action === 'reschedule') {
-                handleReschedule(patient);
-              }
-            });
-          });
-          recentTbody.appendChild(row);
-        });
+      const entitySelect = document.getElementById('auditEntity');
+      if (entitySelect) {
+        const selected = entitySelect.value;
+        entitySelect.innerHTML = '<option value="">All records</option>' + data.entities.map(e => `<option value="${escapeHtml(e)}">${escapeHtml(e.replace(/_/g, ' '))}</option>`).join('');
+        entitySelect.value = selected;
       }
-      if (adminTbody) {
-        adminTbody.innerHTML = "";
-        patients.forEach(p => {
-          const row = document.createElement("tr");
-          row.innerHTML = `
-            <td>${escapeHtml(p.name || "")}</td>
-            <td>${escapeHtml(String(p.age || ""))}</td>
-            <td>${escapeHtml(p.gender || "")}</td>
-            <td>${escapeHtml(p.doctor || "")}</td>
-            <td>${escapeHtml(p.date || "")}</td>
-            <td>
+      container.innerHTML = data.logs.length === 0 ? '<p class="text-sm text-gray-600">No audit entries match.</p>' : `
+        <div class="overflow-x-auto"><table class="min-w-full text-sm">
+          <thead><tr><th class="px-3 py-2 text-left">When</th><th class="px-3 py-2 text-left">User</th><th class="px-3 py-2 text-left">Action</th><th class="px-3 py-2 text-left">Record</th><th class="px-3 py-2 text-left">Changes</th><th class="px-3 py-2 text-left">IP</th></tr></thead>
+          <tbody>${data.logs.map(l => `
+            <tr class="align-top">
+              <td class="px-3 py-2 whitespace-nowrap">${escapeHtml(l.created_at)}</td>
+              <td class="px-3 py-2">${escapeHtml(l.username || '—')}${l.role ? `<div class="text-xs text-gray-500">${escapeHtml(l.role)}</div>` : ''}</td>
+              <td class="px-3 py-2">${escapeHtml(l.action.replace(/_/g, ' '))}<div class="text-xs text-gray-500">${escapeHtml([l.method, l.endpoint].filter(Boolean).join(' '))}</div></td>
+              <td class="px-3 py-2">${l.entity ? `${escapeHtml(l.entity.replace(/_/g, ' '))}${l.entity_id ? ` #${escapeHtml(String(l.entity_id))}` : ''}` : '—'}</td>
+              <td class="px-3 py-2">${auditChangesHtml(l)}</td>
+              <td class="px-3 py-2">${escapeHtml(l.ip_address || '')}</td>
+            </tr>`).join('')}</tbody>
+        </table></div>`;
+      const pager = document.getElementById('auditLogPager');
+      if (pager) {
+        const first = data.total ? (data.page - 1) * data.per_page + 1 : 0;
+        const last = Math.min(data.total, data.page * data.per_page);
+        pager.innerHTML = `
+          <span class="text-gray-500">${first}–${last} of ${data.total}</span>
+          <div class="flex gap-2 items-center">
+            <button class="px-2 py-1 rounded border disabled:opacity-50" ${data.page <= 1 ? 'disabled' : ''} onclick="auditLogPage(${data.page - 1})">&laquo; Prev</button>
+            <span>Page ${data.page} of ${data.pages}</span>
+            <button class="px-2 py-1 rounded border disabled:opacity-50" ${data.page >= data.pages ? 'disabled' : ''} onclick="auditLogPage(${data.page + 1})">Next &raquo;</button>
+          </div>`;
+      }
+    } catch (err) {
+      console.error('loadAuditLog error:', err);
+      container.innerHTML = '<p class="text-sm text-red-600">Failed to load the audit log.</p>';
+    }
+  }
+
+  window.auditLogPage = function(page) {
+    auditState.page = page;
+    loadAuditLog();
+  };
+
+  // Any filter change goes back to the first page
+  const auditFilterForm = document.getElementById('auditFilterForm');
+  let auditFilterTimer = null;
+  if (auditFilterForm) {
+    auditFilterForm.addEventListener('change', () => {
+      auditState.page = 1;
+      loadAuditLog();
+    });
+    auditFilterForm.addEventListener('submit', (e) => e.preventDefault());
+    const auditEntityId = document.getElementById('auditEntityId');
+    if (auditEntityId) {
+      auditEntityId.addEventListener('input', () => {
+        clearTimeout(auditFilterTimer);
+        auditFilterTimer = setTimeout(() => { auditState.page = 1; loadAuditLog(); }, 300);
+      });
+    }
+  }
+
+  // Nurse: shift roster, swap requests and handover (api/shifts.php, api/shift_swaps.php, api/handovers.php)
+  const SHIFT_LABELS = { day: 'Day', evening: 'Evening', night: 'Night' };
+
+  function renderHandoverCard(h) {
+    return `
+      <div class="p-3 border rounded-lg">
+        <div class="text-xs text-gray-500 mb-1">${escapeHtml(h.ward)} · ${escapeHtml(SHIFT_LABELS[h.shift_type] || h.shift_type)} shift ${escapeHtml(h.shift_date)} · by ${escapeHtml(h.author || '')}</div>
+        <div class="text-sm">${escapeHtml(h.summary).replace(/\n/g, '<br>')}</div>
+        ${h.pending_tasks ? `<div class="text-sm mt-1"><strong>Pending:</strong> ${escapeHtml(h.pending_tasks).replace(/\n/g, '<br>')}</div>` : ''}
+        ${h.concerns ? `<div class="text-sm mt-1 text-red-600"><strong>Concerns:</strong> ${escapeHtml(h.concerns).replace(/\n/g, '<br>')}</div>` : ''}
+      </div>`;
+  }
+
+  // Latest handover for each ward the nurse works today; shown on login and in the Shifts section
+  async function loadShiftHandover() {
+    const banner = document.getElementById('nurseHandoverBanner');
+    const bannerList = document.getElementById('nurseHandoverBannerList');
+    const listEl = document.getElementById('nurseHandoverList');
+    try {
+      const handovers = await safeFetchJSON(`${API_BASE}/handovers.php?for_me=1`);
+      const items = Array.isArray(handovers) ? handovers : [];
+      const html = items.map(renderHandoverCard).join('');
+      if (bannerList) bannerList.innerHTML = html;
+      if (banner) banner.classList.toggle('hidden', items.length === 0);
+      if (listEl) listEl.innerHTML = html || '<p class="text-sm text-gray-600">No handover for your wards today.</p>';
+    } catch (err) {
+      console.error('loadShiftHandover error:', err);
+      if (listEl) listEl.innerHTML = '<p class="text-sm text-red-600">Failed to load handover.</p>';
+    }
+  }
+
+  // Ward pickers (roster, handover) list the wards set up in api/wards.php
+  async function populateWardSelects() {
+    try {
+      const wards = await safeFetchJSON(`${API_BASE}/wards.php`);
+      if (!Array.isArray(wards)) return;
+      document.querySelectorAll('select.ward-select').forEach(sel => {
+        const selected = sel.value;
+        sel.innerHTML = wards.length > 0
+          ? wards.map(w => `<option value="${escapeHtml(w.name)}">${escapeHtml(w.name)}</option>`).join('')
+          : '<option value="">No wards — add them in Beds</option>';
+        if (wards.some(w => w.name === selected)) sel.value = selected;
+      });
+    } catch (err) {
+      console.error('Error loading wards:', err);
+    }
+  }
+
+  async function loadNurseShifts() {
+    populateWardSelects();
+    const shiftsEl = document.getElementById('nurseShiftList');
+    const swapsEl = document.getElementById('nurseSwapList');
+    const dateEl = document.getElementById('handoverDate');
+    if (dateEl && !dateEl.value) dateEl.value = new Date().toISOString().split('T')[0];
+    loadShiftHandover();
+    if (shiftsEl) {
+      shiftsEl.innerHTML = '<li>Loading...</li>';
+      try {
+        const today = new Date().toISOString().split('T')[0];
+        const to = new Date(Date.now() + 13 * 86400000).toISOString().split('T')[0];
+        const shifts = await safeFetchJSON(`${API_BASE}/shifts.php?mine=1&from=${today}&to=${to}`);
+        if (!Array.isArray(shifts) || shifts.length === 0) {
+          shiftsEl.innerHTML = '<li class="text-sm text-gray-600">No shifts rostered in the next two weeks.</li>';
+        } else {
+          shiftsEl.innerHTML = shifts.map(sh => `
+            <li class="p-2 border rounded-lg flex justify-between items-center">
+              <span>${escapeHtml(sh.shift_date)} · ${escapeHtml(SHIFT_LABELS[sh.shift_type] || sh.shift_type)} · ${escapeHtml(sh.ward)}</span>
+              <button class="px-2 py-1 text-xs rounded bg-amber-500 text-white" onclick="requestShiftSwap(${sh.id})">Request swap</button>
+            </li>`).join('');
+        }
+      } catch (err) {
+        console.error('loadNurseShifts error:', err);
+        shiftsEl.innerHTML = '<li class="text-sm text-red-600">Failed to load shifts.</li>';
+      }
+    }
+    if (swapsEl) {
+      try {
+        const swaps = await safeFetchJSON(`${API_BASE}/shift_swaps.php`);
+        swapsEl.innerHTML = Array.isArray(swaps) && swaps.length > 0
+          ? swaps.map(sw => `
+            <li class="text-sm">${escapeHtml(sw.shift_date || '')} ${escapeHtml(SHIFT_LABELS[sw.shift_type] || '')} (${escapeHtml(sw.ward || '')}):
+              ${escapeHtml(sw.requested_by_name || '')} → ${escapeHtml(sw.swap_with_name || '')} — <strong>${escapeHtml(sw.status)}</strong></li>`).join('')
+          : '<li class="text-sm text-gray-600">No swap requests.</li>';
+      } catch (err) {
+        console.error('Error loading swap requests:', err);
+        swapsEl.innerHTML = '<li class="text-sm text-red-600">Failed to load swap requests.</li>';
+      }
+    }
+  }
+
+  window.requestShiftSwap = async function(shiftId) {
+    try {
+      const nurses = await safeFetchJSON(`${API_BASE}/staff.php?role=Nurse`);
+      const others = Array.isArray(nurses) ? nurses.filter(n => !currentUser || String(n.id) !== String(currentUser.id)) : [];
+      if (others.length === 0) { alert('No other nurses to swap with.'); return; }
+      const name = prompt(`Swap with which nurse?\n${others.map(n => n.username).join(', ')}`);
+      if (!name) return;
+      const target = others.find(n => n.username.toLowerCase() === name.trim().toLowerCase());
+      if (!target) { alert('Unknown nurse'); return; }
+      const reason = prompt('Reason (optional):', '') || '';
+      const data = await safeFetchJSON(`${API_BASE}/shift_swaps.php`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ shift_id: shiftId, swap_with: target.id, reason })
+      });
+      alert(data.message || 'Failed to request swap');
+      await loadNurseShifts();
+    } catch (err) {
+      console.error('Error requesting swap:', err);
+      alert('Error requesting swap. Check console for details.');
+    }
+  };
+
+  const handoverForm = document.getElementById('handoverForm');
+  if (handoverForm) {
+    handoverForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      try {
+        const data = await safeFetchJSON(`${API_BASE}/handovers.php`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(Object.fromEntries(new FormData(handoverForm).entries()))
+        });
+        if (data.status === 'success') {
+          handoverForm.reset();
+          alert('Handover saved');
+        } else {
+          alert(data.message || 'Failed to save handover');
+        }
+      } catch (err) {
+        console.error('Error saving handover:', err);
+        alert('Error connecting to server while saving handover.');
+      }
+    });
+  }
+
+  // Admin: weekly nurse roster and swap approvals
+  async function loadRoster() {
+    const tbody = document.getElementById('rosterTbody');
+    const nurseSelect = document.getElementById('rosterNurse');
+    const weekEl = document.getElementById('rosterWeekStart');
+    const swapsEl = document.getElementById('adminSwapList');
+    if (!tbody) return;
+    populateWardSelects();
+    if (weekEl && !weekEl.value) weekEl.value = new Date().toISOString().split('T')[0];
+    const from = weekEl ? weekEl.value : new Date().toISOString().split('T')[0];
+    const days = Array.from({ length: 7 }, (_, i) => new Date(new Date(from).getTime() + i * 86400000).toISOString().split('T')[0]);
+
+    if (nurseSelect && nurseSelect.options.length <= 1) {
+      try {
+        const nurses = await safeFetchJSON(`${API_BASE}/staff.php?role=Nurse`);
+        nurseSelect.innerHTML = Array.isArray(nurses) && nurses.length > 0
+          ? nurses.map(n => `<option value="${n.id}">${escapeHtml(n.username)}</option>`).join('')
+          : '<option value="">No nurses — add them in Staff</option>';
+      } catch (err) {
+        console.error('Error loading nurses:', err);
+      }
+    }
+
+    tbody.innerHTML = "<tr><td colspan='4'>Loading...</td></tr>";
+    try {
+      const shifts = await safeFetchJSON(`${API_BASE}/shifts.php?from=${days[0]}&to=${days[6]}`);
+      const list = Array.isArray(shifts) ? shifts : [];
+      tbody.innerHTML = days.map(day => {
+        const cell = (type) => list
+          .filter(sh => sh.shift_date === day && sh.shift_type === type)
+          .map(sh => `<div class="text-sm">${escapeHtml(sh.username || '')} <span class="text-gray-500">(${escapeHtml(sh.ward)})</span>
+              <button class="text-red-600 text-xs ml-1" title="Remove" onclick="removeShift(${sh.id})">&times;</button></div>`)
+          .join('') || '<span class="text-xs text-gray-400">—</span>';
+        return `<tr><td>${escapeHtml(day)}</td><td>${cell('day')}</td><td>${cell('evening')}</td><td>${cell('night')}</td></tr>`;
+      }).join('');
+    } catch (err) {
+      console.error('loadRoster error:', err);
+      tbody.innerHTML = "<tr><td colspan='4'>Failed to load roster.</td></tr>";
+    }
+
+    if (swapsEl) {
+      try {
+        const swaps = await safeFetchJSON(`${API_BASE}/shift_swaps.php`);
+        swapsEl.innerHTML = Array.isArray(swaps) && swaps.length > 0
+          ? swaps.map(sw => `
+            <li class="p-2 border rounded-lg flex justify-between items-center">
+              <span class="text-sm">${escapeHtml(sw.shift_date || '')} ${escapeHtml(SHIFT_LABELS[sw.shift_type] || '')} (${escapeHtml(sw.ward || '')}):
+                ${escapeHtml(sw.requested_by_name || '')} → ${escapeHtml(sw.swap_with_name || '')}${sw.reason ? ` — ${escapeHtml(sw.reason)}` : ''}</span>
+              ${sw.status === 'pending' ? `
               <div class="flex gap-2">
-                <button class="px-2 py-1 text-xs rounded bg-blue-600 text-white hover:bg-blue-700" data-action="view" data-id="${p.id}">View</button>
-                <button class="px-2 py-1 text-xs rounded bg-green-600 text-white hover:bg-green-700" data-action="edit" data-id="${p.id}">Edit</button>
-                <button class="px-2 py-1 text-xs rounded bg-amber-500 text-white hover:bg-amber-600" data-action="reschedule" data-id="${p.id}">Reschedule</button>
-                <button class="px-2 py-1 text-xs rounded bg-red-600 text-white hover:bg-red-700" data-action="delete" data-id="${p.id}">Delete</button>
-              </div>
-            </td>
-          `;
-          row.querySelectorAll('button').forEach(btn => {
-            btn.addEventListener('click', () => {
-              const action = btn.getAttribute('data-action');
-              const pid = btn.getAttribute('data-id');
-              const patient = patients.find(pt => pt.id == pid);
-              if (!patient) return;
-              if (action === 'view') {
-                showPatientViewModal(patient);
-              } else if (action === 'edit') {
-                showPatientEditModal(patient);
-              } else if (action === 'reschedule') {
-                handleReschedule(patient);
-              } else if (action === 'delete') {
-                handleDeletePatient(patient);
-              }
+                <button class="px-2 py-1 text-xs rounded bg-green-600 text-white" onclick="decideShiftSwap(${sw.id}, 'approved')">Approve</button>
+                <button class="px-2 py-1 text-xs rounded bg-red-600 text-white" onclick="decideShiftSwap(${sw.id}, 'rejected')">Reject</button>
+              </div>` : `<span class="text-xs">${escapeHtml(sw.status)}</span>`}
+            </li>`).join('')
+          : '<li class="text-sm text-gray-600">No swap requests.</li>';
+      } catch (err) {
+        console.error('Error loading swap requests:', err);
+      }
+    }
+  }
+
+  const rosterWeekStart = document.getElementById('rosterWeekStart');
+  if (rosterWeekStart) rosterWeekStart.addEventListener('change', loadRoster);
+
+  const rosterForm = document.getElementById('rosterForm');
+  if (rosterForm) {
+    rosterForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      try {
+        const data = await safeFetchJSON(`${API_BASE}/shifts.php`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(Object.fromEntries(new FormData(rosterForm).entries()))
+        });
+        if (data.status === 'success') {
+          await loadRoster();
+        } else {
+          alert(data.message || 'Failed to add shift');
+        }
+      } catch (err) {
+        console.error('Error adding shift:', err);
+        alert('Error connecting to server while adding shift.');
+      }
+    });
+  }
+
+  window.removeShift = async function(id) {
+    if (!confirm('Remove this shift from the roster?')) return;
+    try {
+      const data = await safeFetchJSON(`${API_BASE}/shifts.php`, {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id })
+      });
+      if (data.status !== 'success') alert(data.message || 'Failed to remove shift');
+      await loadRoster();
+    } catch (err) {
+      console.error('Error removing shift:', err);
+      alert('Error removing shift. Check console for details.');
+    }
+  };
+
+  window.decideShiftSwap = async function(id, decision) {
+    try {
+      const data = await safeFetchJSON(`${API_BASE}/shift_swaps.php`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id, decision })
+      });
+      if (data.status !== 'success') alert(data.message || 'Failed to update swap request');
+      await loadRoster();
+    } catch (err) {
+      console.error('Error deciding swap:', err);
+      alert('Error updating swap request. Check console for details.');
+    }
+  };
+
+  /**
+   * Alerts
+   * Alerts are generated server-side by rules (api/alerts.php) and targeted by role or staff member.
+   * Every dashboard has an Alerts section and a sidebar badge with the unacknowledged count.
+   */
+  const ALERT_SEVERITY_CLASSES = {
+    critical: 'border-red-500 text-red-700',
+    warning: 'border-amber-500',
+    info: 'border-blue-400'
+  };
+  const BADGE_POLL_MS = 60000;
+  let badgePollTimer = null;
+
+  async function loadAlerts(dashboardId) {
+    const listEl = document.querySelector(`#${dashboardId} .alerts-list`);
+    if (!listEl) return;
+    listEl.innerHTML = '<li>Loading...</li>';
+    try {
+      const data = await safeFetchJSON(`${API_BASE}/alerts.php`);
+      if (!data || data.status !== 'success') {
+        listEl.innerHTML = `<li class="text-sm text-red-600">${escapeHtml((data && data.message) || 'Failed to load alerts.')}</li>`;
+        return;
+      }
+      setAlertBadge(data.unacknowledged);
+      if (data.alerts.length === 0) {
+        listEl.innerHTML = '<li class="text-sm text-gray-600">No active alerts.</li>';
+        return;
+      }
+      listEl.innerHTML = data.alerts.map(a => `
+        <li class="p-3 border-l-4 rounded ${ALERT_SEVERITY_CLASSES[a.severity] || ''} flex justify-between items-start">
+          <div>
+            <div class="font-semibold">${escapeHtml(a.title)}</div>
+            <div class="text-sm">${escapeHtml(a.details || '')}</div>
+            <div class="text-xs text-gray-500">${escapeHtml(a.severity)} · ${escapeHtml(a.created_at)}${a.assigned_to ? ` · assigned to ${escapeHtml(a.assigned_to)}` : ''}${a.acknowledged_by ? ` · acknowledged by ${escapeHtml(a.acknowledged_by)}` : ''}</div>
+          </div>
+          <div class="flex gap-2">
+            ${a.status === 'open' ? `<button class="px-2 py-1 text-xs rounded bg-blue-600 text-white" onclick="alertAction(${a.id}, 'acknowledge', '${dashboardId}')">Acknowledge</button>` : ''}
+            <button class="px-2 py-1 text-xs rounded bg-green-600 text-white" onclick="alertAction(${a.id}, 'resolve', '${dashboardId}')">Resolve</button>
+          </div>
+        </li>`).join('');
+    } catch (err) {
+      console.error('loadAlerts error:', err);
+      listEl.innerHTML = '<li class="text-sm text-red-600">Failed to load alerts.</li>';
+    }
+  }
+
+  function setAlertBadge(count) {
+    document.querySelectorAll('[data-alert-badge]').forEach(b => {
+      b.textContent = count > 99 ? '99+' : String(count || 0);
+      b.classList.toggle('hidden', !count);
+    });
+  }
+
+  async function refreshAlertBadge() {
+    if (!currentUser) return;
+    try {
+      const data = await safeFetchJSON(`${API_BASE}/alerts.php?count_only=1`);
+      if (data && data.status === 'success') setAlertBadge(data.unacknowledged);
+    } catch (err) {
+      console.error('refreshAlertBadge error:', err);
+    }
+  }
+
+  // Sidebar badges (alerts and unread messages) are refreshed together on one timer
+  function refreshBadges() {
+    refreshAlertBadge();
+    refreshMessageBadge();
+  }
+
+  function startBadgePolling() {
+    stopBadgePolling();
+    refreshBadges();
+    badgePollTimer = setInterval(refreshBadges, BADGE_POLL_MS);
+  }
+
+  function stopBadgePolling() {
+    if (badgePollTimer) clearInterval(badgePollTimer);
+    badgePollTimer = null;
+    setAlertBadge(0);
+    setMessageBadge(0);
+  }
+
+  window.alertAction = async function(id, action, dashboardId) {
+    let note = '';
+    if (action === 'resolve') {
+      note = prompt('Resolution note (optional):', '');
+      if (note === null) return;
+    }
+    try {
+      const data = await safeFetchJSON(`${API_BASE}/alerts.php`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id, action, note })
+      });
+      if (data.status !== 'success') alert(data.message || 'Failed to update alert');
+      await loadAlerts(dashboardId);
+    } catch (err) {
+      console.error('Error updating alert:', err);
+      alert('Error updating alert. Check console for details.');
+    }
+  };
+
+  /**
+   * Staff Messaging
+   * Direct messages and role-wide broadcasts between staff (api/messages.php).
+   * Each dashboard's Messages section holds a .messages-panel that is built on first open.
+   */
+  const MESSAGE_ROLES = ['Admin', 'Doctor', 'Nurse', 'Receptionist'];
+
+  async function buildMessagesPanel(panel) {
+    panel.innerHTML = `
+      <div class="card p-4 rounded-lg mb-4">
+        <h3 class="font-semibold mb-3">New Message</h3>
+        <form class="message-form space-y-3">
+          <div class="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <div>
+              <label class="block text-sm font-medium mb-1">To</label>
+              <select name="to" required class="form-control w-full px-3 py-2 rounded border"><option value="">Loading...</option></select>
+            </div>
+            <div>
+              <label class="block text-sm font-medium mb-1">About patient (optional)</label>
+              <select name="patient_id" class="form-control w-full px-3 py-2 rounded border"><option value="">None</option></select>
+            </div>
+          </div>
+          <textarea name="body" rows="3" required class="form-control w-full px-3 py-2 rounded border" placeholder="Write a message..."></textarea>
+          <button type="submit" class="px-4 py-2 bg-blue-600 text-white rounded">Send</button>
+        </form>
+      </div>
+      <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div class="card p-4 rounded-lg">
+          <h3 class="font-semibold mb-3">Inbox</h3>
+          <div class="messages-inbox space-y-2"></div>
+        </div>
+        <div class="card p-4 rounded-lg">
+          <h3 class="font-semibold mb-3">Sent</h3>
+          <div class="messages-sent space-y-2"></div>
+        </div>
+      </div>`;
+
+    const form = panel.querySelector('.message-form');
+    try {
+      const [staff, patients] = await Promise.all([
+        safeFetchJSON(`${API_BASE}/messages.php?recipients=1`),
+        fetchPatientPicker()
+      ]);
+      const roleOptions = MESSAGE_ROLES.map(r => `<option value="role:${r}">All ${r}s</option>`).join('');
+      const staffOptions = Array.isArray(staff)
+        ? staff.map(st => `<option value="staff:${st.id}">${escapeHtml(st.username)} (${escapeHtml(st.role)})</option>`).join('')
+        : '';
+      form.elements.to.innerHTML = `<option value="">Select recipient...</option><optgroup label="Broadcast">${roleOptions}</optgroup><optgroup label="Staff">${staffOptions}</optgroup>`;
+      form.elements.patient_id.innerHTML = '<option value="">None</option>' + patients.map(patientOption).join('');
+    } catch (err) {
+      console.error('Error loading message recipients:', err);
+    }
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const [kind, value] = String(form.elements.to.value).split(':');
+      const payload = {
+        body: form.elements.body.value,
+        patient_id: form.elements.patient_id.value
+      };
+      if (kind === 'role') payload.recipient_role = value;
+      else payload.recipient_id = value;
+      try {
+        const data = await safeFetchJSON(`${API_BASE}/messages.php`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(payload)
+        });
+        if (data.status === 'success') {
+          form.reset();
+          await renderMessageLists(panel);
+        } else {
+          alert(data.message || 'Failed to send message');
+        }
+      } catch (err) {
+        console.error('Error sending message:', err);
+        alert('Error connecting to server while sending message.');
+      }
+    });
+    panel.dataset.ready = '1';
+  }
+
+  function patientLink(m) {
+    if (!m.patient_id) return '';
+    return `<button class="text-xs text-blue-600 underline" onclick="openPatientRecord(${m.patient_id})">Patient: ${escapeHtml(m.patient_name || '#' + m.patient_id)}</button>`;
+  }
+
+  async function renderMessageLists(panel) {
+    const inboxEl = panel.querySelector('.messages-inbox');
+    const sentEl = panel.querySelector('.messages-sent');
+    try {
+      const [inbox, sent] = await Promise.all([
+        safeFetchJSON(`${API_BASE}/messages.php`),
+        safeFetchJSON(`${API_BASE}/messages.php?box=sent`)
+      ]);
+      if (inbox && inbox.status === 'success') {
+        setMessageBadge(inbox.unread);
+        inboxEl.innerHTML = inbox.messages.length === 0 ? '<p class="text-sm text-gray-600">No messages.</p>' : inbox.messages.map(m => `
+          <div class="p-3 border rounded-lg ${m.read_at ? '' : 'border-blue-500'}" data-message-id="${m.id}" data-unread="${m.read_at ? '0' : '1'}">
+            <div class="flex justify-between items-start mb-1">
+              <span class="${m.read_at ? '' : 'font-semibold'}">${escapeHtml(m.sender || '')}${m.recipient_role ? ` → all ${escapeHtml(m.recipient_role)}s` : ''}</span>
+              <span class="text-xs text-gray-500">${escapeHtml(m.created_at)}</span>
+            </div>
+            <div class="text-sm">${escapeHtml(m.body).replace(/\n/g, '<br>')}</div>
+            ${patientLink(m)}
+          </div>`).join('');
+        // Opening (clicking) an unread message marks it as read
+        inboxEl.querySelectorAll('[data-unread="1"]').forEach(el => {
+          el.addEventListener('click', async () => {
+            await safeFetchJSON(`${API_BASE}/messages.php`, {
+              method: 'PUT',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ id: el.dataset.messageId })
             });
-          });
-          adminTbody.appendChild(row);
+            await renderMessageLists(panel);
+          }, { once: true });
         });
       }
+      if (sent && sent.status === 'success') {
+        sentEl.innerHTML = sent.messages.length === 0 ? '<p class="text-sm text-gray-600">No sent messages.</p>' : sent.messages.map(m => {
+          const receipt = m.recipient_id
+            ? (m.read_at ? `Read ${escapeHtml(m.read_at)}` : 'Delivered')
+            : `Read by ${escapeHtml(String(m.read_count))}`;
+          return `
+          <div class="p-3 border rounded-lg">
+            <div class="flex justify-between items-start mb-1">
+              <span>To ${m.recipient_id ? escapeHtml(m.recipient || '') : `all ${escapeHtml(m.recipient_role)}s`}</span>
+              <span class="text-xs text-gray-500">${escapeHtml(m.created_at)}</span>
+            </div>
+            <div class="text-sm">${escapeHtml(m.body).replace(/\n/g, '<br>')}</div>
+            <div class="flex justify-between items-center">${patientLink(m)}<span class="text-xs text-gray-500">${receipt}</span></div>
+          </div>`;
+        }).join('');
+      }
+    } catch (err) {
+      console.error('renderMessageLists error:', err);
+      inboxEl.innerHTML = '<p class="text-sm text-red-600">Failed to load messages.</p>';
+    }
+  }
+
+  async function loadMessages(dashboardId) {
+    const panel = document.querySelector(`#${dashboardId} .messages-panel`);
+    if (!panel) return;
+    if (panel.dataset.ready !== '1') await buildMessagesPanel(panel);
+    await renderMessageLists(panel);
+  }
+
+  function setMessageBadge(count) {
+    document.querySelectorAll('[data-message-badge]').forEach(b => {
+      b.textContent = count > 99 ? '99+' : String(count || 0);
+      b.classList.toggle('hidden', !count);
+    });
+  }
+
+  async function refreshMessageBadge() {
+    if (!currentUser) return;
+    try {
+      const data = await safeFetchJSON(`${API_BASE}/messages.php?count_only=1`);
+      if (data && data.status === 'success') setMessageBadge(data.unread);
+    } catch (err) {
+      console.error('refreshMessageBadge error:', err);
+    }
+  }
+
+  // Opens a chart from the server rather than a cached list row, so the view is recorded in the audit log
+  window.openPatientRecord = async function(patientId) {
+    try {
+      const patients = await safeFetchJSON(`${API_BASE}/patients.php?id=${encodeURIComponent(patientId)}`);
+      const patient = Array.isArray(patients) ? patients[0] : null;
+      if (patient) showPatientViewModal(patient);
+      else alert('Patient record not found');
+    } catch (err) {
+      console.error('Error opening patient record:', err);
+    }
+  };
+
+  // Populate doctor dropdowns from staff API
+  async function populateDoctorDropdowns() {
+    try {
+      const staff = await safeFetchJSON(`${API_BASE}/staff.php`);
+      const doctors = Array.isArray(staff) ? staff.filter(s => String(s.role).toLowerCase() === 'doctor') : [];
+      const options = doctors.length > 0 
+        ? doctors.map(d => `<option value="${escapeHtml(d.username)}">${escapeHtml(d.username)}</option>`).join('')
+        : '<option value="">No doctors available</option>';
+      
+      const addDoctorSelect = document.getElementById('assignedDoctor');
+      const editDoctorSelect = document.getElementById('editAssignedDoctor');
+      
+      if (addDoctorSelect) {
+        addDoctorSelect.innerHTML = options;
+      }
+      if (editDoctorSelect) {
+        editDoctorSelect.innerHTML = options;
+      }
+      document.querySelectorAll('.pl-doctor').forEach(select => {
+        const selected = select.value;
+        select.innerHTML = '<option value="">All doctors</option>' + (doctors.length > 0 ? options : '');
+        select.value = selected;
+      });
+    } catch (err) {
+      console.error('Error loading doctors for dropdowns:', err);
+      const addDoctorSelect = document.getElementById('assignedDoctor');
+      const editDoctorSelect = document.getElementById('editAssignedDoctor');
+      if (addDoctorSelect) addDoctorSelect.innerHTML = '<option value="">Failed to load doctors</option>';
+      if (editDoctorSelect) editDoctorSelect.innerHTML = '<option value="">Failed to load doctors</option>';
+    }
+  }
+
+  // Receptionist: list available doctors with details
+  async function loadReceptionDoctors() {
+    const el = document.getElementById('receptionDoctorsList');
+    if (!el) return;
+    el.innerHTML = 'Loading...';
+    try {
+      const data = await safeFetchJSON(`${API_BASE}/availability.php`);
+      const doctors = data && Array.isArray(data.doctors) ? data.doctors : [];
+      if (doctors.length === 0) { 
+        el.innerHTML = '<p class="text-sm text-gray-600">No doctors available. Admin can add doctors in the Staff section.</p>'; 
+        return; 
+      }
+      
+      const doctorCards = doctors.map(d => {
+        const count = d.patients || 0;
+        let today;
+        if (d.on_leave) {
+          today = `<span class="text-red-600">On leave until ${escapeHtml(d.on_leave.end_date)}${d.on_leave.reason ? ` (${escapeHtml(d.on_leave.reason)})` : ''}</span>`;
+        } else if (d.schedule) {
+          today = `<span class="${d.free_slots > 0 ? 'text-green-600' : 'text-amber-600'}">Working ${escapeHtml(d.schedule.start)}–${escapeHtml(d.schedule.end)}</span>
+            · ${d.booked} booked · ${d.free_slots} free (${d.schedule.slot_minutes} min slots)`;
+        } else {
+          today = '<span class="text-gray-500">Not working today</span>';
+        }
+        const next = d.next_slot
+          ? `Next free slot: <strong>${escapeHtml(d.next_slot.date)} ${escapeHtml(d.next_slot.time)}</strong>
+             <button class="ml-2 px-2 py-1 text-xs rounded bg-green-600 text-white" onclick="bookWithDoctor('${escapeHtml(d.username)}', '${d.next_slot.date}', '${d.next_slot.time}')">Book</button>`
+          : 'No free slots in the next two weeks';
+        return `
+          <div class="p-3 border rounded-lg mb-2">
+            <div class="font-semibold">${escapeHtml(d.username)}</div>
+            <div class="text-sm">${today}</div>
+            <div class="text-sm">${next}</div>
+            <div class="text-sm text-gray-600">Patients assigned: ${count}</div>
+          </div>
+        `;
+      }).join('');
+      
+      el.innerHTML = `<div class="space-y-2">${doctorCards}</div>`;
+    } catch (err) {
+      console.error('loadReceptionDoctors error:', err);
+      el.innerHTML = '<p class="text-sm text-red-600">Failed to load doctors.</p>';
+    }
+  }
+
+  /**
+   * Dashboard Entry
+   * Records the authenticated user and opens the dashboard for their role.
+   * @param {Object} user - User object from login.php or me.php ({ username, role })
+   */
+  function enterDashboard(user) {
+    const roleNormalized = String(user.role || '').toLowerCase();
+    const dashboardId = `${roleNormalized}-dashboard`;
+    if (!document.getElementById(dashboardId)) {
+      currentUser = null;
+      showSectionById("landing");
+      return;
+    }
+    currentUser = { id: user.id || null, username: user.username || '', role: roleNormalized };
+    showSectionById(dashboardId);
+    setupSidebarNavigation(dashboardId);
+    if (roleNormalized === 'nurse') loadShiftHandover();
+    if (roleNormalized === 'receptionist' || roleNormalized === 'doctor') startQueuePolling(dashboardId);
+    if (roleNormalized === 'admin' || roleNormalized === 'nurse') startBedPolling(dashboardId);
+    startBadgePolling();
+  }
+
+  /**
+   * Login Handler
+   * Submits login form data to api/login.php and processes authentication response.
+   * On success, displays the appropriate dashboard and initializes navigation.
+   */
+  if (loginForm) {
+    loginForm.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const formData = new FormData(loginForm);
+
+      try {
+        const data = await safeFetchJSON(`${API_BASE}/login.php`, { method: "POST", body: formData });
+
+        if (data.status === "success") {
+          enterDashboard({ id: data.id, username: data.username, role: data.role });
+        } else {
+          alert(data.message || "Invalid credentials");
+        }
+      } catch (err) {
+        console.error("Error connecting to server:", err);
+        alert("Error connecting to server. Please ensure XAMPP (Apache & MySQL) are running.");
+      }
+    });
+  }
+
+  /**
+   * Dark Mode Toggle Handler
+   * Updates theme and localStorage based on user selection.
+   */
+  darkModeToggle?.addEventListener("change", (e) => {
+    setThemeState(e.target.checked);
+  });
+  darkModeToggles.forEach(toggle => {
+    toggle.addEventListener("change", (e) => {
+      setThemeState(e.target.checked);
+    });
+  });
+
+  /**
+   * Return & Logout Handler
+   * Handles logout and return actions, clearing the client session and returning to landing page.
+   */
+  document.querySelectorAll(".return-btn, [id$='Logout']").forEach(btn => {
+    btn.addEventListener("click", (ev) => {
+      ev.preventDefault();
+      // call server logout to destroy session
+      try { safeFetchJSON(`${API_BASE}/logout.php`, { method: 'POST' }); } catch (e) { /* ignore */ }
+      currentUser = null;
+      stopBadgePolling();
+      stopQueuePolling();
+      stopBedPolling();
+      // Message panels are built per user; rebuild them on the next login
+      document.querySelectorAll('.messages-panel').forEach(panel => { panel.innerHTML = ''; delete panel.dataset.ready; });
+      showSectionById("landing");
+    });
+  });
+
+  /**
+   * Receptionist: Patients CRUD
+   * Loads patient data and handles patient addition via API.
+   * The admin, reception and doctor patient tables are searched, filtered, sorted and paged on the
+   * server (api/patients.php with page=); each list keeps its own state in patientListState.
+   */
+  const PATIENT_PAGE_SIZE = 25;
+  const patientListState = {
+    admin: { sort: '', dir: 'asc', page: 1 },
+    reception: { sort: '', dir: 'asc', page: 1 },
+    doctor: { sort: 'name', dir: 'asc', page: 1 }
+  };
+
+  function patientListQuery(list) {
+    const state = patientListState[list];
+    const query = new URLSearchParams({ page: state.page, per_page: PATIENT_PAGE_SIZE });
+    if (state.sort) { query.set('sort', state.sort); query.set('dir', state.dir); }
+    const controls = document.querySelector(`.patient-list-controls[data-patient-list="${list}"]`);
+    if (controls) {
+      [['q', '.pl-search'], ['doctor', '.pl-doctor'], ['gender', '.pl-gender'], ['from', '.pl-from'], ['to', '.pl-to']].forEach(([key, selector]) => {
+        const el = controls.querySelector(selector);
+        if (el && el.value.trim()) query.set(key, el.value.trim());
+      });
+    }
+    return query;
+  }
+
+  // Sort arrows on the headers and the "1–25 of 240 · Prev / Next" pager under the table
+  function renderPatientListChrome(list, data) {
+    const state = patientListState[list];
+    document.querySelectorAll(`table[data-patient-list="${list}"] th[data-sort]`).forEach(th => {
+      th.textContent = th.textContent.replace(/ [▲▼]$/, '') + (th.dataset.sort === state.sort ? (state.dir === 'asc' ? ' ▲' : ' ▼') : '');
+    });
+    const pager = document.querySelector(`.patient-list-pager[data-patient-list="${list}"]`);
+    if (!pager) return;
+    const first = data.total ? (data.page - 1) * data.per_page + 1 : 0;
+    const last = Math.min(data.total, data.page * data.per_page);
+    pager.innerHTML = `
+      <span class="text-gray-500">${first}–${last} of ${data.total}</span>
+      <div class="flex gap-2 items-center">
+        <button class="px-2 py-1 rounded border disabled:opacity-50" ${data.page <= 1 ? 'disabled' : ''} onclick="patientListPage('${list}', ${data.page - 1})">&laquo; Prev</button>
+        <span>Page ${data.page} of ${data.pages}</span>
+        <button class="px-2 py-1 rounded border disabled:opacity-50" ${data.page >= data.pages ? 'disabled' : ''} onclick="patientListPage('${list}', ${data.page + 1})">Next &raquo;</button>
+      </div>`;
+  }
+
+  function reloadPatientList(list) {
+    if (list === 'doctor') loadDoctorPatients();
+    else loadPatientList(list);
+  }
+
+  window.patientListPage = function(list, page) {
+    patientListState[list].page = page;
+    reloadPatientList(list);
+  };
+
+  // Clicking a header sorts by it (again to reverse); any filter change goes back to page 1
+  document.addEventListener('click', (e) => {
+    const th = e.target.closest('table[data-patient-list] th[data-sort]');
+    if (!th) return;
+    const list = th.closest('table').dataset.patientList;
+    const state = patientListState[list];
+    state.dir = state.sort === th.dataset.sort && state.dir === 'asc' ? 'desc' : 'asc';
+    state.sort = th.dataset.sort;
+    state.page = 1;
+    reloadPatientList(list);
+  });
+
+  let patientSearchTimer = null;
+  document.querySelectorAll('.patient-list-controls').forEach(controls => {
+    const list = controls.dataset.patientList;
+    controls.addEventListener('input', (e) => {
+      if (!e.target.classList.contains('pl-search')) return;
+      clearTimeout(patientSearchTimer);
+      patientSearchTimer = setTimeout(() => { patientListState[list].page = 1; reloadPatientList(list); }, 300);
+    });
+    controls.addEventListener('change', (e) => {
+      if (e.target.classList.contains('pl-search')) return;
+      patientListState[list].page = 1;
+      reloadPatientList(list);
+    });
+  });
+
+  function loadPatients() {
+    return Promise.all([loadPatientList('reception'), loadPatientList('admin')]);
+  }
+
+  async function loadPatientList(list) {
+    const tbody = document.getElementById(list === 'admin' ? "adminPatientsTbody" : "patientTableBody");
+    if (!tbody) return;
+    const columns = list === 'admin' ? 9 : 8;
+    tbody.innerHTML = `<tr><td colspan='${columns}'>Loading...</td></tr>`;
+    try {
+      const data = await safeFetchJSON(`${API_BASE}/patients.php?${patientListQuery(list)}`);
+      if (!data || !Array.isArray(data.patients)) {
+        tbody.innerHTML = `<tr><td colspan='${columns}'>No patients or invalid response</td></tr>`;
+        return;
+      }
+      const patients = data.patients;
+      renderPatientListChrome(list, data);
+      if (patients.length === 0) {
+        tbody.innerHTML = `<tr><td colspan='${columns}'>No patients match.</td></tr>`;
+        if (list === 'admin') populateMergeForm(patients);
+        return;
+      }
+      if (list === 'reception') {
+        tbody.innerHTML = "";
+        patients.forEach(p => {
+          const row = document.createElement("tr");
+          row.innerHTML = `
+            <td>${escapeHtml(p.mrn || "")}</td>
+            <td>${escapeHtml(p.name || "")}</td>
+            <td>${escapeHtml(String(p.age ?? ""))}</td>
+            <td>${escapeHtml(p.gender || "")}</td>
+            <td>${escapeHtml(p.phone || "")}</td>
+            <td>${escapeHtml(p.date || "")}</td>
+            <td>${escapeHtml(p.doctor || "")}</td>
+            <td>
+              <div class="flex gap-2">
+                <button class="px-2 py-1 text-xs rounded bg-blue-600 text-white hover:bg-blue-700" data-action="view" data-id="${p.id}">View</button>
+                <button class="px-2 py-1 text-xs rounded bg-green-600 text-white hover:bg-green-700" data-action="edit" data-id="${p.id}">Edit</button>
+                <button class="px-2 py-1 text-xs rounded bg-amber-500 text-white hover:bg-amber-600" data-action="book" data-id="${p.id}">Book</button>
+              </div>
+            </td>
+          `;
+          row.querySelectorAll('button').forEach(btn => {
+            btn.addEventListener('click', () => {
+              const action = btn.getAttribute('data-action');
+              const pid = btn.getAttribute('data-id');
+              const patient = patients.find(pt => pt.id == pid);
+              if (!patient) return;
+              if (action === 'view') {
+                openPatientRecord(patient.id);
+              } else if (action === 'edit') {
+                showPatientEditModal(patient);
+              } else if (action === 'book') {
+                bookAppointmentFor(patient);
+              }
+            });
+          });
+          tbody.appendChild(row);
+        });
+      }
+      if (list === 'admin') {
+        populateMergeForm(patients);
+        tbody.innerHTML = "";
+        patients.forEach(p => {
+          const row = document.createElement("tr");
+          row.innerHTML = `
+            <td>${escapeHtml(p.mrn || "")}</td>
+            <td>${escapeHtml(p.name || "")}</td>
+            <td>${escapeHtml(String(p.age ?? ""))}</td>
+            <td>${escapeHtml(p.gender || "")}</td>
+            <td>${escapeHtml(p.blood_group || "")}</td>
+            <td class="${p.allergies ? 'text-red-600' : ''}">${escapeHtml(p.allergies || "None known")}</td>
+            <td>${escapeHtml(p.doctor || "")}</td>
+            <td>${escapeHtml(p.date || "")}</td>
+            <td>
+              <div class="flex gap-2">
+                <button class="px-2 py-1 text-xs rounded bg-blue-600 text-white hover:bg-blue-700" data-action="view" data-id="${p.id}">View</button>
+                <button class="px-2 py-1 text-xs rounded bg-green-600 text-white hover:bg-green-700" data-action="edit" data-id="${p.id}">Edit</button>
+                <button class="px-2 py-1 text-xs rounded bg-red-600 text-white hover:bg-red-700" data-action="delete" data-id="${p.id}">Delete</button>
+              </div>
+            </td>
+          `;
+          row.querySelectorAll('button').forEach(btn => {
+            btn.addEventListener('click', () => {
+              const action = btn.getAttribute('data-action');
+              const pid = btn.getAttribute('data-id');
+              const patient = patients.find(pt => pt.id == pid);
+              if (!patient) return;
+              if (action === 'view') {
+                openPatientRecord(patient.id);
+              } else if (action === 'edit') {
+                showPatientEditModal(patient);
+              } else if (action === 'delete') {
+                handleDeletePatient(patient);
+              }
+            });
+          });
+          tbody.appendChild(row);
+        });
+      }
+    } catch (err) {
+      console.error("loadPatients error:", err);
+      tbody.innerHTML = `<tr><td colspan='${columns}'>Failed to load patients.</td></tr>`;
+    }
+  }
+
+  const addPatientForm = document.getElementById("addPatientForm");
+  // confirmNew skips the duplicate check once reception has ruled out the suggested matches
+  async function submitNewPatient(confirmNew) {
+    const formData = new FormData(addPatientForm);
+    if (confirmNew) formData.append("confirmNew", "1");
+
+    try {
+      const data = await safeFetchJSON(`${API_BASE}/patients.php`, { method: "POST", body: formData });
+      if (!data) {
+        alert("Server returned unexpected response while adding patient. Check console.");
+        return;
+      }
+      if (data.status === "success") {
+        addPatientForm.reset();
+        await loadPatients();
+        alert(data.message || "Patient added");
+      } else if (data.status === "duplicate") {
+        showDuplicatePatients(data.candidates || []);
+      } else {
+        alert(data.message || "Failed to add patient");
+      }
+    } catch (err) {
+      console.error("Error adding patient:", err);
+      alert("Error connecting to server while adding patient.");
+    }
+  }
+
+  function showDuplicatePatients(candidates) {
+    const modal = document.getElementById('duplicatePatientModal');
+    const list = document.getElementById('duplicatePatientList');
+    list.innerHTML = candidates.map(c => `
+      <div class="border rounded p-3">
+        <div class="flex justify-between"><strong>${escapeHtml(c.name)}</strong><span class="text-xs text-gray-500">${escapeHtml(c.mrn || '')} · ${c.score}% match</span></div>
+        <div class="text-sm">Born ${escapeHtml(c.dob || '—')} · ${escapeHtml(c.gender || '')} · ${escapeHtml(c.phone || 'no phone')} · ${escapeHtml(c.doctor || '')}</div>
+        <div class="text-xs text-amber-600">${escapeHtml((c.reasons || []).join(', '))}</div>
+        <div class="flex gap-2 mt-2">
+          <button class="px-2 py-1 text-xs rounded bg-blue-600 text-white" onclick="useExistingPatient(${c.id}, 'view')">View</button>
+          <button class="px-2 py-1 text-xs rounded bg-amber-500 text-white" onclick="useExistingPatient(${c.id}, 'book')">Book for this patient</button>
+        </div>
+      </div>`).join('');
+    modal.classList.remove('hidden');
+    modal.classList.add('flex');
+  }
+
+  window.useExistingPatient = async function(patientId, action) {
+    const modal = document.getElementById('duplicatePatientModal');
+    modal.classList.add('hidden');
+    modal.classList.remove('flex');
+    addPatientForm.reset();
+    if (action === 'view') {
+      openPatientRecord(patientId);
+    } else {
+      bookAppointmentFor({ id: patientId });
+    }
+  };
+
+  if (addPatientForm) {
+    addPatientForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      submitNewPatient(false);
+    });
+    document.getElementById('registerAnywayBtn').addEventListener('click', () => {
+      const modal = document.getElementById('duplicatePatientModal');
+      modal.classList.add('hidden');
+      modal.classList.remove('flex');
+      submitNewPatient(true);
+    });
+  }
+
+  // Admin: merge a duplicate record into the one being kept; likely duplicates are listed first
+  let mergePatientCache = [];
+  function populateMergeForm(patients) {
+    const keepSelect = document.getElementById('mergeKeepPatient');
+    if (!keepSelect) return;
+    const selected = keepSelect.value;
+    keepSelect.innerHTML = '<option value="">Record to keep...</option>' + patients
+      .map(p => `<option value="${p.id}">${escapeHtml(p.name)} — ${escapeHtml(p.mrn || '')} (born ${escapeHtml(p.dob || '?')})</option>`).join('');
+    keepSelect.value = selected;
+    mergePatientCache = patients;
+    renderMergeCandidates();
+  }
+
+  async function renderMergeCandidates() {
+    const keepId = document.getElementById('mergeKeepPatient').value;
+    const dupSelect = document.getElementById('mergeDuplicatePatient');
+    if (!keepId) {
+      dupSelect.innerHTML = '<option value="">Choose the record to keep first</option>';
+      return;
+    }
+    let candidates = [];
+    try {
+      const data = await safeFetchJSON(`${API_BASE}/patients.php?duplicates=1&id=${keepId}`);
+      candidates = data && Array.isArray(data.candidates) ? data.candidates : [];
+    } catch (err) {
+      console.error('Error finding duplicates:', err);
+    }
+    const likely = new Set(candidates.map(c => String(c.id)));
+    const option = p => `<option value="${p.id}">${escapeHtml(p.name)} — ${escapeHtml(p.mrn || '')} (born ${escapeHtml(p.dob || '?')})</option>`;
+    dupSelect.innerHTML = '<option value="">Duplicate to fold in...</option>'
+      + (candidates.length ? `<optgroup label="Likely duplicates">${candidates.map(c => `<option value="${c.id}">${escapeHtml(c.name)} — ${escapeHtml(c.mrn || '')} · ${c.score}% (${escapeHtml(c.reasons.join(', '))})</option>`).join('')}</optgroup>` : '')
+      + `<optgroup label="Other patients">${mergePatientCache.filter(p => String(p.id) !== keepId && !likely.has(String(p.id))).map(option).join('')}</optgroup>`;
+  }
+
+  const patientMergeForm = document.getElementById('patientMergeForm');
+  if (patientMergeForm) {
+    document.getElementById('mergeKeepPatient').addEventListener('change', renderMergeCandidates);
+    patientMergeForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const keepSelect = document.getElementById('mergeKeepPatient');
+      const dupSelect = document.getElementById('mergeDuplicatePatient');
+      const keepLabel = keepSelect.options[keepSelect.selectedIndex].text;
+      const dupLabel = dupSelect.options[dupSelect.selectedIndex].text;
+      if (!confirm(`Merge ${dupLabel}\ninto ${keepLabel}?\n\nThe duplicate record is removed and this cannot be undone.`)) return;
+      try {
+        const data = await safeFetchJSON(`${API_BASE}/patients.php`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ action: 'merge', keep_id: keepSelect.value, merge_id: dupSelect.value })
+        });
+        alert(data.message || (data.status === 'success' ? 'Patients merged' : 'Failed to merge patients'));
+        if (data.status === 'success') loadPatients();
+      } catch (err) {
+        console.error('Error merging patients:', err);
+        alert('Error connecting to server while merging patients.');
+      }
+    });
+  }
+
+  /**
+   * Appointments / Staff / Billing Loaders
+   * Loads data for appointments, staff, and billing sections via API endpoints.
+   */
+  // Actions offered for each appointment status (see appointment_status_transitions in config.php)
+  const APPOINTMENT_ACTIONS = {
+    'Pending': [['Checked-in', 'Check in', 'bg-blue-600'], ['reschedule', 'Reschedule', 'bg-amber-500'], ['No-show', 'No-show', 'bg-gray-500'], ['Cancelled', 'Cancel', 'bg-red-600']],
+    'Checked-in': [['Completed', 'Complete', 'bg-green-600'], ['Cancelled', 'Cancel', 'bg-red-600']]
+  };
+  let receptionAppointments = [];
+
+  // Check-in is only offered on the day of the appointment
+  function appointmentActions(a) {
+    const today = isoDate(new Date());
+    return (APPOINTMENT_ACTIONS[a.status] || []).filter(([value]) => value !== 'Checked-in' || a.date === today);
+  }
+  // Last fetched appointments by id, shared by the tables, calendars and details panel
+  const appointmentCache = {};
+
+  async function loadAppointments() {
+    const container = document.querySelector("#receptionAppointmentsTbody");
+    if (!container) return;
+    renderAppointmentCalendar('reception');
+    container.innerHTML = "<tr><td colspan='6'>Loading...</td></tr>";
+    const filterEl = document.getElementById('appointmentFilterDate');
+    const query = filterEl && filterEl.value ? `?date=${encodeURIComponent(filterEl.value)}` : '';
+    try {
+      const appointments = await safeFetchJSON(`${API_BASE}/appointments.php${query}`);
+      container.innerHTML = "";
+      receptionAppointments = Array.isArray(appointments) ? appointments : [];
+      receptionAppointments.forEach(a => { appointmentCache[a.id] = a; });
+      if (receptionAppointments.length === 0) {
+        container.innerHTML = "<tr><td colspan='6'>No appointments</td></tr>";
+        return;
+      }
+      receptionAppointments.forEach(a => {
+        const actions = appointmentActions(a).map(([value, label, cls]) => value === 'reschedule'
+          ? `<button class="px-2 py-1 text-xs rounded ${cls} text-white" onclick="editAppointment(${a.id})">${label}</button>`
+          : `<button class="px-2 py-1 text-xs rounded ${cls} text-white" onclick="setAppointmentStatus(${a.id}, '${value}')">${label}</button>`).join('');
+        const row = document.createElement("tr");
+        row.innerHTML = `
+          <td>${escapeHtml(a.date || "")}</td>
+          <td>${escapeHtml(String(a.time || "").slice(0, 5))}</td>
+          <td>${escapeHtml(a.patient_name || a.patient || "")}</td>
+          <td>${escapeHtml(a.doctor || "")}</td>
+          <td>${escapeHtml(a.status || "")}${a.status_reason ? `<div class="text-xs text-gray-500">${escapeHtml(a.status_reason)}</div>` : ''}</td>
+          <td><div class="flex flex-wrap gap-1">${actions}</div></td>
+        `;
+        container.appendChild(row);
+      });
+    } catch (err) {
+      console.error("loadAppointments error:", err);
+      container.innerHTML = "<tr><td colspan='6'>Failed to load appointments.</td></tr>";
+    }
+  }
+
+  // Fill the patient and doctor selects of the booking and walk-in forms
+  async function populateAppointmentForm() {
+    const pairs = [['appointmentPatient', 'appointmentDoctor'], ['walkInPatient', 'walkInDoctor']]
+      .map(ids => ids.map(id => document.getElementById(id)))
+      .filter(([patientSelect, doctorSelect]) => patientSelect && doctorSelect);
+    if (pairs.length === 0) return;
+    try {
+      const [patients, doctors] = await Promise.all([
+        fetchPatientPicker(),
+        safeFetchJSON(`${API_BASE}/staff.php?role=Doctor`)
+      ]);
+      const patientOptions = '<option value="">Select patient...</option>' + patients.map(patientOption).join('');
+      const doctorOptions = '<option value="">Select doctor...</option>' + (Array.isArray(doctors) ? doctors : [])
+        .map(d => `<option value="${escapeHtml(d.username)}">${escapeHtml(d.username)}</option>`).join('');
+      pairs.forEach(([patientSelect, doctorSelect]) => {
+        const selectedPatient = patientSelect.value;
+        const selectedDoctor = doctorSelect.value;
+        patientSelect.innerHTML = patientOptions;
+        doctorSelect.innerHTML = doctorOptions;
+        patientSelect.value = selectedPatient;
+        doctorSelect.value = selectedDoctor;
+      });
+    } catch (err) {
+      console.error('Error loading booking form options:', err);
+    }
+  }
+
+  // Load the free slots for the chosen doctor and date into the time select
+  async function loadAppointmentSlots(keepTime) {
+    const doctor = document.getElementById('appointmentDoctor');
+    const date = document.getElementById('appointmentDate');
+    const timeSelect = document.getElementById('appointmentTime');
+    const idEl = document.getElementById('appointmentId');
+    if (!doctor || !date || !timeSelect) return;
+    if (!doctor.value || !date.value) {
+      timeSelect.innerHTML = '<option value="">Pick a doctor and date</option>';
+      return;
+    }
+    timeSelect.innerHTML = '<option value="">Loading...</option>';
+    try {
+      const exclude = idEl && idEl.value ? `&exclude_id=${idEl.value}` : '';
+      const data = await safeFetchJSON(`${API_BASE}/appointments.php?slots=1&doctor=${encodeURIComponent(doctor.value)}&date=${date.value}${exclude}`);
+      const slots = data && Array.isArray(data.slots) ? data.slots : [];
+      if (!data || !data.schedule) {
+        timeSelect.innerHTML = '<option value="">Doctor not available that day</option>';
+      } else if (slots.length === 0) {
+        timeSelect.innerHTML = '<option value="">No free slots</option>';
+      } else {
+        timeSelect.innerHTML = slots.map(t => `<option value="${t}">${t}</option>`).join('');
+        if (keepTime && slots.includes(keepTime)) timeSelect.value = keepTime;
+      }
+    } catch (err) {
+      console.error('Error loading slots:', err);
+      timeSelect.innerHTML = '<option value="">Failed to load slots</option>';
+    }
+  }
+
+  function resetAppointmentForm() {
+    const form = document.getElementById('appointmentForm');
+    if (!form) return;
+    form.reset();
+    document.getElementById('appointmentId').value = '';
+    document.getElementById('appointmentPatient').disabled = false;
+    document.getElementById('appointmentFormTitle').textContent = 'Book Appointment';
+    document.getElementById('appointmentSubmit').textContent = 'Book';
+    document.getElementById('appointmentCancelEdit').classList.add('hidden');
+    loadAppointmentSlots();
+  }
+
+  const appointmentForm = document.getElementById('appointmentForm');
+  if (appointmentForm) {
+    document.getElementById('appointmentDoctor').addEventListener('change', () => loadAppointmentSlots());
+    document.getElementById('appointmentDate').addEventListener('change', () => loadAppointmentSlots());
+    document.getElementById('appointmentCancelEdit').addEventListener('click', resetAppointmentForm);
+    const filterEl = document.getElementById('appointmentFilterDate');
+    if (filterEl) filterEl.addEventListener('change', loadAppointments);
+
+    appointmentForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const id = document.getElementById('appointmentId').value;
+      const payload = {
+        doctor: document.getElementById('appointmentDoctor').value,
+        date: document.getElementById('appointmentDate').value,
+        time: document.getElementById('appointmentTime').value
+      };
+      if (id) {
+        payload.id = id;
+      } else {
+        payload.patient_id = document.getElementById('appointmentPatient').value;
+        payload.reason = document.getElementById('appointmentReason').value;
+      }
+      if (!payload.time) { alert('Please pick a free time slot'); return; }
+      try {
+        const data = await safeFetchJSON(`${API_BASE}/appointments.php`, {
+          method: id ? 'PUT' : 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(payload)
+        });
+        if (data.status === 'success') {
+          alert(data.message || 'Appointment saved');
+          resetAppointmentForm();
+          await loadAppointments();
+        } else {
+          alert(data.message || 'Failed to save appointment');
+          await loadAppointmentSlots();
+        }
+      } catch (err) {
+        console.error('Error saving appointment:', err);
+        alert('Error connecting to server while saving appointment.');
+      }
+    });
+  }
+
+  // Switch the booking form into reschedule mode for an existing appointment
+  window.editAppointment = async function(id) {
+    const appt = appointmentCache[id];
+    if (!appt) return;
+    await populateAppointmentForm();
+    document.getElementById('appointmentId').value = appt.id;
+    const patientSelect = document.getElementById('appointmentPatient');
+    patientSelect.value = String(appt.patient_id || '');
+    patientSelect.disabled = true;
+    document.getElementById('appointmentDoctor').value = appt.doctor || '';
+    document.getElementById('appointmentDate').value = appt.date || '';
+    document.getElementById('appointmentReason').value = appt.reason || '';
+    document.getElementById('appointmentFormTitle').textContent = `Reschedule ${appt.patient_name || 'appointment'}`;
+    document.getElementById('appointmentSubmit').textContent = 'Reschedule';
+    document.getElementById('appointmentCancelEdit').classList.remove('hidden');
+    await loadAppointmentSlots(String(appt.time || '').slice(0, 5));
+    document.getElementById('appointmentForm').scrollIntoView({ behavior: 'smooth' });
+  };
+
+  window.setAppointmentStatus = async function(id, status) {
+    let reason = '';
+    if (status === 'Cancelled') {
+      reason = prompt('Reason for cancelling:');
+      if (!reason) return;
+    } else if (!confirm(`Mark appointment as ${status}?`)) {
+      return;
+    }
+    try {
+      const data = await safeFetchJSON(`${API_BASE}/appointments.php`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id, status, reason })
+      });
+      if (data.status !== 'success') alert(data.message || 'Failed to update appointment');
+      else closeAppointmentDetails();
+      await loadAppointments();
+      await loadDoctorAppointments();
+      if (status === 'Checked-in') await loadQueue('receptionist-dashboard');
+    } catch (err) {
+      console.error('Error updating appointment status:', err);
+      alert('Error updating appointment. Check console for details.');
+    }
+  };
+
+  /**
+   * Waiting Room Queue
+   * Reception sees today's queue for every doctor and registers walk-ins; doctors see their
+   * own queue and call the next patient. Refreshes every QUEUE_POLL_MS while the section is open.
+   */
+  const QUEUE_POLL_MS = 15000;
+  let queuePollTimer = null;
+
+  async function loadQueue(dashboardId) {
+    if (dashboardId === 'doctor-dashboard') return loadDoctorQueue();
+    const tbody = document.getElementById('receptionQueueTbody');
+    const countEl = document.getElementById('receptionQueueCount');
+    if (!tbody) return;
+    if (!tbody.children.length) tbody.innerHTML = "<tr><td colspan='7'>Loading...</td></tr>";
+    try {
+      const data = await safeFetchJSON(`${API_BASE}/queue.php`);
+      const entries = data && Array.isArray(data.entries) ? data.entries : [];
+      if (countEl) countEl.textContent = data ? `(${data.waiting || 0} waiting)` : '';
+      if (entries.length === 0) {
+        tbody.innerHTML = "<tr><td colspan='7'>Nobody is waiting.</td></tr>";
+        return;
+      }
+      tbody.innerHTML = entries.map(q => `
+        <tr class="${q.status === 'called' ? 'bg-green-50 dark:bg-slate-700' : ''}">
+          <td>${q.position || '—'}</td>
+          <td>${escapeHtml(q.patient_name || '')}
+            <div class="text-xs text-gray-500">${q.source === 'walk-in' ? 'Walk-in' : `Appointment ${escapeHtml(q.appointment_time || '')}`}${q.notes ? ` · ${escapeHtml(q.notes)}` : ''}</div></td>
+          <td>${escapeHtml(q.doctor || '')}</td>
+          <td>${escapeHtml(String(q.checked_in_at || '').slice(11, 16))}</td>
+          <td>${q.wait_minutes} min</td>
+          <td>${q.status === 'called' ? '<strong class="text-green-600">With doctor</strong>' : 'Waiting'}</td>
+          <td><button class="px-2 py-1 text-xs rounded bg-red-600 text-white" onclick="queueLeft(${q.id})">Left</button></td>
+        </tr>`).join('');
+    } catch (err) {
+      console.error('loadQueue error:', err);
+      tbody.innerHTML = "<tr><td colspan='7'>Failed to load queue.</td></tr>";
+    }
+  }
+
+  async function loadDoctorQueue() {
+    const listEl = document.getElementById('doctorQueueList');
+    const currentEl = document.getElementById('doctorQueueCurrent');
+    const countEl = document.getElementById('doctorQueueCount');
+    if (!listEl) return;
+    try {
+      const data = await safeFetchJSON(`${API_BASE}/queue.php?mine=1`);
+      const entries = data && Array.isArray(data.entries) ? data.entries : [];
+      const current = entries.find(q => q.status === 'called');
+      const waiting = entries.filter(q => q.status === 'waiting');
+      if (currentEl) {
+        currentEl.innerHTML = current
+          ? `${escapeHtml(current.patient_name || '')} <button class="text-blue-600 text-sm underline ml-1" onclick="openPatientRecord(${current.patient_id})">Open record</button>`
+          : '—';
+      }
+      if (countEl) countEl.textContent = `(${waiting.length})`;
+      listEl.innerHTML = waiting.length > 0
+        ? waiting.map(q => `
+          <li class="p-2 border rounded flex justify-between items-center">
+            <span><strong>${q.position}.</strong> ${escapeHtml(q.patient_name || '')}
+              <span class="text-xs text-gray-500">${q.source === 'walk-in' ? 'Walk-in' : `Appt ${escapeHtml(q.appointment_time || '')}`}${q.notes ? ` · ${escapeHtml(q.notes)}` : ''}</span></span>
+            <span class="text-sm text-gray-600">${q.wait_minutes} min</span>
+          </li>`).join('')
+        : '<li class="text-sm text-gray-600">Nobody is waiting.</li>';
+    } catch (err) {
+      console.error('loadDoctorQueue error:', err);
+      listEl.innerHTML = '<li class="text-sm text-red-600">Failed to load queue.</li>';
+    }
+  }
+
+  function startQueuePolling(dashboardId) {
+    stopQueuePolling();
+    queuePollTimer = setInterval(() => {
+      const section = document.querySelector(`#${dashboardId} [data-section="queue"]`);
+      if (section && !section.classList.contains('hidden')) loadQueue(dashboardId);
+    }, QUEUE_POLL_MS);
+  }
+
+  function stopQueuePolling() {
+    if (queuePollTimer) clearInterval(queuePollTimer);
+    queuePollTimer = null;
+  }
+
+  async function advanceQueue(action) {
+    try {
+      const data = await safeFetchJSON(`${API_BASE}/queue.php`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action })
+      });
+      if (data.status !== 'success' || !data.called) alert(data.message || 'Failed to update the queue');
+      await loadDoctorQueue();
+    } catch (err) {
+      console.error('Error updating queue:', err);
+      alert('Error updating the queue. Check console for details.');
+    }
+  }
+
+  const queueCallNextBtn = document.getElementById('queueCallNextBtn');
+  if (queueCallNextBtn) queueCallNextBtn.addEventListener('click', () => advanceQueue('call_next'));
+  const queueDoneBtn = document.getElementById('queueDoneBtn');
+  if (queueDoneBtn) queueDoneBtn.addEventListener('click', () => advanceQueue('done'));
+
+  window.queueLeft = async function(id) {
+    if (!confirm('Remove this patient from the queue?')) return;
+    try {
+      const data = await safeFetchJSON(`${API_BASE}/queue.php`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'left', id })
+      });
+      if (data.status !== 'success') alert(data.message || 'Failed to update the queue');
+      await loadQueue('receptionist-dashboard');
+    } catch (err) {
+      console.error('Error updating queue:', err);
+      alert('Error updating the queue. Check console for details.');
+    }
+  };
+
+  const walkInForm = document.getElementById('walkInForm');
+  if (walkInForm) {
+    walkInForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      try {
+        const data = await safeFetchJSON(`${API_BASE}/queue.php`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            patient_id: document.getElementById('walkInPatient').value,
+            doctor: document.getElementById('walkInDoctor').value,
+            notes: document.getElementById('walkInNotes').value
+          })
+        });
+        if (data.status === 'success') {
+          walkInForm.reset();
+          await loadQueue('receptionist-dashboard');
+        } else {
+          alert(data.message || 'Failed to add walk-in');
+        }
+      } catch (err) {
+        console.error('Error adding walk-in:', err);
+        alert('Error connecting to server while adding walk-in.');
+      }
+    });
+  }
+
+  /**
+   * Appointment Calendar
+   * Day, week and month views over api/appointments.php. The reception calendar can be
+   * filtered by doctor and supports drag-and-drop rescheduling of pending appointments;
+   * the doctor calendar shows the logged-in doctor's own appointments.
+   */
+  const APPOINTMENT_STATUS_CLASSES = {
+    'Pending': 'bg-amber-100 border-amber-500',
+    'Checked-in': 'bg-blue-100 border-blue-500',
+    'Completed': 'bg-green-100 border-green-600',
+    'No-show': 'bg-gray-200 border-gray-500',
+    'Cancelled': 'bg-red-100 border-red-500 line-through'
+  };
+  const CALENDAR_DAY_START = 7;
+  const CALENDAR_DAY_END = 19;
+  const calendarState = {};
+
+  function isoDate(d) {
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  }
+
+  function addDays(d, n) {
+    const copy = new Date(d);
+    copy.setDate(copy.getDate() + n);
+    return copy;
+  }
+
+  // Monday of the week containing d
+  function startOfWeek(d) {
+    return addDays(d, -((d.getDay() + 6) % 7));
+  }
+
+  // First and last date shown by the current view
+  function calendarRange(state) {
+    if (state.view === 'day') return [state.date, state.date];
+    if (state.view === 'week') {
+      const start = startOfWeek(state.date);
+      return [start, addDays(start, 6)];
+    }
+    const start = startOfWeek(new Date(state.date.getFullYear(), state.date.getMonth(), 1));
+    return [start, addDays(start, 41)];
+  }
+
+  function calendarChip(a, draggable) {
+    return `<button type="button" class="calendar-chip ${APPOINTMENT_STATUS_CLASSES[a.status] || 'bg-gray-100 border-gray-400'}"
+      data-appointment-id="${a.id}" draggable="${draggable && a.status === 'Pending'}"
+      title="${escapeHtml(`${a.time} ${a.patient_name || ''} — ${a.doctor || ''} (${a.status})`)}">${escapeHtml(a.time)} ${escapeHtml(a.patient_name || '')}</button>`;
+  }
+
+  async function renderAppointmentCalendar(scope) {
+    const el = document.querySelector(`.appointment-calendar[data-calendar-scope="${scope}"]`);
+    if (!el) return;
+    const dashboard = el.closest('.page-section');
+    if (dashboard && dashboard.classList.contains('hidden')) return;
+    const state = calendarState[scope] || (calendarState[scope] = { view: 'week', date: new Date(), doctor: '' });
+    const canDrag = scope === 'reception';
+    const doctor = scope === 'doctor' ? (currentUser ? currentUser.username : '') : state.doctor;
+
+    if (!el.dataset.calendarBound) {
+      el.dataset.calendarBound = '1';
+      bindCalendarEvents(el, scope);
+    }
+
+    const [from, to] = calendarRange(state);
+    const title = state.view === 'month'
+      ? state.date.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })
+      : state.view === 'week'
+        ? `${from.toLocaleDateString(undefined, { day: 'numeric', month: 'short' })} – ${to.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' })}`
+        : state.date.toLocaleDateString(undefined, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+    const viewBtn = (v, label) => `<button type="button" data-cal-view="${v}" class="px-2 py-1 text-sm rounded ${state.view === v ? 'bg-blue-600 text-white' : 'bg-gray-200 dark:bg-slate-700'}">${label}</button>`;
+
+    el.innerHTML = `
+      <div class="flex flex-wrap justify-between items-center gap-2 mb-3">
+        <div class="flex gap-1">
+          <button type="button" data-cal-nav="-1" class="px-2 py-1 text-sm rounded bg-gray-200 dark:bg-slate-700" aria-label="Previous"><i class="fa-solid fa-chevron-left"></i></button>
+          <button type="button" data-cal-nav="0" class="px-2 py-1 text-sm rounded bg-gray-200 dark:bg-slate-700">Today</button>
+          <button type="button" data-cal-nav="1" class="px-2 py-1 text-sm rounded bg-gray-200 dark:bg-slate-700" aria-label="Next"><i class="fa-solid fa-chevron-right"></i></button>
+        </div>
+        <div class="font-semibold">${escapeHtml(title)}</div>
+        <div class="flex gap-1 items-center">
+          ${scope === 'reception' ? '<select data-cal-doctor class="form-control px-2 py-1 rounded border text-sm"><option value="">All doctors</option></select>' : ''}
+          ${viewBtn('day', 'Day')}${viewBtn('week', 'Week')}${viewBtn('month', 'Month')}
+        </div>
+      </div>
+      <div class="calendar-body overflow-x-auto">Loading...</div>
+    `;
+
+    const doctorSelect = el.querySelector('[data-cal-doctor]');
+    if (doctorSelect) {
+      safeFetchJSON(`${API_BASE}/staff.php?role=Doctor`).then(doctors => {
+        doctorSelect.innerHTML = '<option value="">All doctors</option>' + (Array.isArray(doctors) ? doctors : [])
+          .map(d => `<option value="${escapeHtml(d.username)}">${escapeHtml(d.username)}</option>`).join('');
+        doctorSelect.value = state.doctor;
+      }).catch(err => console.error('Error loading calendar doctors:', err));
+    }
+
+    const body = el.querySelector('.calendar-body');
+    try {
+      const query = `from=${isoDate(from)}&to=${isoDate(to)}${doctor ? `&doctor=${encodeURIComponent(doctor)}` : ''}`;
+      const appointments = await safeFetchJSON(`${API_BASE}/appointments.php?${query}`);
+      const list = Array.isArray(appointments) ? appointments : [];
+      list.forEach(a => { appointmentCache[a.id] = a; });
+      const byDate = {};
+      list.forEach(a => { (byDate[a.date] = byDate[a.date] || []).push(a); });
+      Object.values(byDate).forEach(day => day.sort((x, y) => String(x.time).localeCompare(String(y.time))));
+      const today = isoDate(new Date());
+
+      if (state.view === 'month') {
+        const month = state.date.getMonth();
+        const cells = Array.from({ length: 42 }, (_, i) => addDays(from, i)).map(d => {
+          const key = isoDate(d);
+          return `<div class="calendar-month-cell ${d.getMonth() !== month ? 'calendar-muted' : ''} ${key === today ? 'calendar-today' : ''}" data-drop-date="${key}">
+            <div class="font-semibold mb-1">${d.getDate()}</div>
+            ${(byDate[key] || []).map(a => calendarChip(a, canDrag)).join('')}
+          </div>`;
+        }).join('');
+        const heads = WEEKDAY_NAMES.map(n => `<div class="calendar-head">${n.slice(0, 3)}</div>`).join('');
+        body.innerHTML = `<div class="calendar-grid" style="grid-template-columns: repeat(7, minmax(0, 1fr));">${heads}${cells}</div>`;
+        return;
+      }
+
+      // Day and week views: one row per half hour, appointments placed in the row they start in
+      const days = state.view === 'day' ? [from] : Array.from({ length: 7 }, (_, i) => addDays(from, i));
+      const rows = [];
+      for (let h = CALENDAR_DAY_START; h < CALENDAR_DAY_END; h++) {
+        rows.push(`${String(h).padStart(2, '0')}:00`, `${String(h).padStart(2, '0')}:30`);
+      }
+      const rowOf = (time) => {
+        const [h, m] = String(time).split(':').map(Number);
+        return `${String(h).padStart(2, '0')}:${m < 30 ? '00' : '30'}`;
+      };
+      const heads = '<div class="calendar-head"></div>' + days.map(d =>
+        `<div class="calendar-head ${isoDate(d) === today ? 'calendar-today' : ''}">${d.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' })}</div>`).join('');
+      const outside = [];
+      const grid = rows.map(row => `<div class="text-gray-500">${row}</div>` + days.map(d => {
+        const key = isoDate(d);
+        const chips = (byDate[key] || []).filter(a => rowOf(a.time) === row).map(a => calendarChip(a, canDrag)).join('');
+        return `<div data-drop-date="${key}" data-drop-time="${row}">${chips}</div>`;
+      }).join('')).join('');
+      days.forEach(d => (byDate[isoDate(d)] || []).forEach(a => { if (!rows.includes(rowOf(a.time))) outside.push(a); }));
+      body.innerHTML = `<div class="calendar-grid" style="grid-template-columns: 4rem repeat(${days.length}, minmax(0, 1fr));">${heads}${grid}</div>`
+        + (outside.length > 0 ? `<div class="mt-2 text-xs">Outside ${rows[0]}–${CALENDAR_DAY_END}:00: ${outside.map(a => calendarChip(a, false)).join('')}</div>` : '');
+    } catch (err) {
+      console.error('renderAppointmentCalendar error:', err);
+      body.innerHTML = '<p class="text-sm text-red-600">Failed to load appointments.</p>';
+    }
+  }
+
+  function bindCalendarEvents(el, scope) {
+    el.addEventListener('click', (e) => {
+      const state = calendarState[scope];
+      const nav = e.target.closest('[data-cal-nav]');
+      const view = e.target.closest('[data-cal-view]');
+      const chip = e.target.closest('[data-appointment-id]');
+      if (nav) {
+        const step = Number(nav.dataset.calNav);
+        if (step === 0) state.date = new Date();
+        else if (state.view === 'month') state.date = new Date(state.date.getFullYear(), state.date.getMonth() + step, 1);
+        else state.date = addDays(state.date, step * (state.view === 'week' ? 7 : 1));
+        renderAppointmentCalendar(scope);
+      } else if (view) {
+        state.view = view.dataset.calView;
+        renderAppointmentCalendar(scope);
+      } else if (chip) {
+        showAppointmentDetails(chip.dataset.appointmentId);
+      }
+    });
+    el.addEventListener('change', (e) => {
+      if (!e.target.matches('[data-cal-doctor]')) return;
+      calendarState[scope].doctor = e.target.value;
+      renderAppointmentCalendar(scope);
+    });
+    if (scope !== 'reception') return;
+
+    el.addEventListener('dragstart', (e) => {
+      const chip = e.target.closest('[data-appointment-id]');
+      if (chip) e.dataTransfer.setData('text/plain', chip.dataset.appointmentId);
+    });
+    el.addEventListener('dragover', (e) => {
+      const cell = e.target.closest('[data-drop-date]');
+      if (!cell) return;
+      e.preventDefault();
+      cell.classList.add('drag-over');
+    });
+    el.addEventListener('dragleave', (e) => {
+      const cell = e.target.closest('[data-drop-date]');
+      if (cell && !cell.contains(e.relatedTarget)) cell.classList.remove('drag-over');
+    });
+    el.addEventListener('drop', async (e) => {
+      const cell = e.target.closest('[data-drop-date]');
+      if (!cell) return;
+      e.preventDefault();
+      cell.classList.remove('drag-over');
+      const appt = appointmentCache[e.dataTransfer.getData('text/plain')];
+      if (!appt) return;
+      // Month cells keep the original time; time-grid cells use the row's time
+      const date = cell.dataset.dropDate;
+      const time = cell.dataset.dropTime || appt.time;
+      if (date === appt.date && time === appt.time) return;
+      if (!confirm(`Move ${appt.patient_name || 'appointment'} to ${date} ${time}?`)) return;
+      try {
+        const data = await safeFetchJSON(`${API_BASE}/appointments.php`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ id: appt.id, date, time })
+        });
+        if (data.status !== 'success') alert(data.message || 'Failed to reschedule appointment');
+        await loadAppointments();
+      } catch (err) {
+        console.error('Error rescheduling appointment:', err);
+        alert('Error rescheduling appointment. Check console for details.');
+      }
+    });
+  }
+
+  // Details panel with patient info and the status actions allowed for the user's role
+  window.showAppointmentDetails = function(id) {
+    const a = appointmentCache[id];
+    const modal = document.getElementById('appointmentDetailsModal');
+    if (!a || !modal) return;
+    document.getElementById('appointmentDetailsContent').innerHTML = `
+      <p><strong>Patient:</strong> ${escapeHtml(a.patient_name || '')}${a.patient_mrn ? ` <span class="text-sm text-gray-500">${escapeHtml(a.patient_mrn)}</span>` : ''}
+        ${a.patient_id ? `<button class="text-blue-600 text-sm underline ml-1" onclick="openPatientRecord(${a.patient_id})">Open record</button>` : ''}</p>
+      <p><strong>Age / Gender:</strong> ${escapeHtml(String(a.patient_age || '—'))} / ${escapeHtml(a.patient_gender || '—')}</p>
+      <p><strong>Doctor:</strong> ${escapeHtml(a.doctor || '')}</p>
+      <p><strong>When:</strong> ${escapeHtml(a.date || '')} ${escapeHtml(String(a.time || '').slice(0, 5))} (${escapeHtml(String(a.duration_minutes || ''))} min)</p>
+      <p><strong>Reason:</strong> ${escapeHtml(a.reason || '—')}</p>
+      <p><strong>Status:</strong> ${escapeHtml(a.status || '')}${a.status_reason ? ` — ${escapeHtml(a.status_reason)}` : ''}</p>
+    `;
+    const role = currentUser ? String(currentUser.role).toLowerCase() : '';
+    const actions = appointmentActions(a)
+      .filter(([value]) => role === 'doctor' ? value === 'Completed' : true)
+      .map(([value, label, cls]) => value === 'reschedule'
+        ? `<button class="px-3 py-1 text-sm rounded ${cls} text-white" onclick="closeAppointmentDetails(); editAppointment(${a.id})">${label}</button>`
+        : `<button class="px-3 py-1 text-sm rounded ${cls} text-white" onclick="setAppointmentStatus(${a.id}, '${value}')">${label}</button>`);
+    document.getElementById('appointmentDetailsActions').innerHTML = actions.join('');
+    modal.classList.remove('hidden');
+    modal.classList.add('flex');
+  };
+
+  window.closeAppointmentDetails = function() {
+    const modal = document.getElementById('appointmentDetailsModal');
+    if (!modal) return;
+    modal.classList.add('hidden');
+    modal.classList.remove('flex');
+  };
+
+  async function loadStaff() {
+    const listEl = document.querySelector('#staffList');
+    const elAdmin = document.getElementById('staffListAdmin');
+    const elDoctor = document.getElementById('staffListDoctor');
+    const elNurse = document.getElementById('staffListNurse');
+    const elReception = document.getElementById('staffListReceptionist');
+    if (listEl) listEl.innerHTML = '<li>Loading...</li>';
+    if (elAdmin) elAdmin.innerHTML = 'Loading...';
+    if (elDoctor) elDoctor.innerHTML = 'Loading...';
+    if (elNurse) elNurse.innerHTML = 'Loading...';
+    if (elReception) elReception.innerHTML = 'Loading...';
+    try {
+      const staff = await safeFetchJSON(`${API_BASE}/staff.php`);
+      if (listEl) {
+        listEl.innerHTML = '';
+        if (!Array.isArray(staff) || staff.length === 0) {
+          listEl.innerHTML = '<li>No staff</li>';
+        } else {
+          staff.forEach(s => {
+            const li = document.createElement('li');
+            li.className = 'flex justify-between items-center';
+            li.innerHTML = `<span>${escapeHtml(s.username)} — ${escapeHtml(s.role)}</span>`;
+            listEl.appendChild(li);
+          });
+        }
+      }
+      if (Array.isArray(staff)) {
+        const byRole = staff.reduce((acc, s) => {
+          const r = String(s.role || '').toLowerCase();
+          (acc[r] = acc[r] || []).push(s);
+          return acc;
+        }, {});
+        const render = (arr, el) => {
+          if (!el) return;
+          if (!arr || arr.length === 0) { el.innerHTML = '<li>No staff</li>'; return; }
+          el.innerHTML = '';
+          arr.forEach(s => {
+            const li = document.createElement('li');
+            li.className = 'flex justify-between items-center';
+            li.innerHTML = `<span>${escapeHtml(s.username)} — ${escapeHtml(s.role)}</span>`;
+            el.appendChild(li);
+          });
+        };
+        render(byRole['admin'], elAdmin);
+        render(byRole['doctor'], elDoctor);
+        render(byRole['nurse'], elNurse);
+        render(byRole['receptionist'], elReception);
+      }
+    } catch (err) {
+      console.error("loadStaff error:", err);
+      if (listEl) listEl.innerHTML = '<li>Failed to load staff.</li>';
+      if (elAdmin) elAdmin.innerHTML = 'Failed to load.';
+      if (elDoctor) elDoctor.innerHTML = 'Failed to load.';
+      if (elNurse) elNurse.innerHTML = 'Failed to load.';
+      if (elReception) elReception.innerHTML = 'Failed to load.';
+    }
+  }
+
+  // Add Staff form submission
+  const addStaffForm = document.getElementById('addStaffForm');
+  if (addStaffForm) {
+    addStaffForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const formData = new FormData(addStaffForm);
+      try {
+        const data = await safeFetchJSON(`${API_BASE}/staff.php`, { method: 'POST', body: formData });
+        if (data && data.status === 'success') {
+          addStaffForm.reset();
+          await loadStaff();
+          // If a doctor was added, refresh doctor dropdowns
+          const roleSelect = document.getElementById('staffRole');
+          if (roleSelect && roleSelect.value === 'Doctor') {
+            await populateDoctorDropdowns();
+          }
+          alert('Staff added');
+        } else {
+          alert(data.message || 'Failed to add staff');
+        }
+      } catch (err) {
+        console.error('Error adding staff:', err);
+        alert('Error connecting to server while adding staff.');
+      }
+    });
+  }
+
+  /**
+   * Bed Board
+   * Admins and nurses see every bed by ward and room, admit patients to free beds, transfer
+   * and discharge them, and mark beds clean (api/beds.php). Admins also add wards, rooms and
+   * beds (api/wards.php). Refreshes every BED_POLL_MS while the section is open.
+   */
+  const BED_POLL_MS = 30000;
+  let bedPollTimer = null;
+  const BED_STATUS_CLASSES = {
+    free: 'border-green-500 bg-green-50 dark:bg-green-900/20',
+    occupied: 'border-red-500 bg-red-50 dark:bg-red-900/20',
+    cleaning: 'border-amber-500 bg-amber-50 dark:bg-amber-900/20',
+    maintenance: 'border-gray-400 bg-gray-100 dark:bg-slate-800'
+  };
+  let bedCache = [];
+
+  function bedScope(dashboardId) {
+    return dashboardId === 'admin-dashboard' ? 'admin' : 'nurse';
+  }
+
+  async function loadBedBoard(dashboardId) {
+    const scope = bedScope(dashboardId);
+    const boardEl = document.querySelector(`.bed-board[data-bed-scope="${scope}"]`);
+    if (!boardEl) return;
+    try {
+      const beds = await safeFetchJSON(`${API_BASE}/beds.php`);
+      if (!Array.isArray(beds)) {
+        boardEl.innerHTML = `<p class="text-sm text-red-600">${escapeHtml((beds && beds.message) || 'Failed to load beds.')}</p>`;
+        return;
+      }
+      bedCache = beds;
+      const counts = { occupied: 0, free: 0, cleaning: 0, maintenance: 0 };
+      beds.forEach(b => { counts[b.status] = (counts[b.status] || 0) + 1; });
+      const summaryEl = document.querySelector(`.bed-summary[data-bed-scope="${scope}"]`);
+      if (summaryEl) {
+        summaryEl.innerHTML = Object.entries(counts).map(([status, n]) =>
+          `<span class="px-2 py-1 rounded border-l-4 ${BED_STATUS_CLASSES[status]}"><strong>${n}</strong> ${status}</span>`).join('');
+      }
+
+      // Group by ward, then room, keeping the server's ordering
+      const wards = [];
+      beds.forEach(b => {
+        let ward = wards.find(w => w.id === b.ward_id);
+        if (!ward) { ward = { id: b.ward_id, name: b.ward, rooms: [] }; wards.push(ward); }
+        let room = ward.rooms.find(r => r.id === b.room_id);
+        if (!room) { room = { id: b.room_id, name: b.room, beds: [] }; ward.rooms.push(room); }
+        room.beds.push(b);
+      });
+      if (wards.length === 0) {
+        boardEl.innerHTML = '<div class="card p-4 rounded-lg text-sm text-gray-600">No beds set up yet.</div>';
+      } else {
+        boardEl.innerHTML = wards.map(w => `
+          <div class="card p-4 rounded-lg">
+            <h3 class="font-semibold mb-2">${escapeHtml(w.name)} <span class="text-sm font-normal text-gray-500">${w.rooms.reduce((n, r) => n + r.beds.filter(b => b.status === 'occupied').length, 0)}/${w.rooms.reduce((n, r) => n + r.beds.length, 0)} occupied</span></h3>
+            ${w.rooms.map(r => `
+              <div class="mb-2">
+                <div class="text-xs text-gray-500 mb-1">Room ${escapeHtml(r.name)}</div>
+                <div class="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-2">${r.beds.map(b => bedTile(b, scope)).join('')}</div>
+              </div>`).join('')}
+          </div>`).join('');
+      }
+      populateBedAdmitForm(scope);
+    } catch (err) {
+      console.error('loadBedBoard error:', err);
+      boardEl.innerHTML = '<p class="text-sm text-red-600">Failed to load beds.</p>';
+    }
+  }
+
+  function bedTile(b, scope) {
+    const actions = [];
+    if (b.status === 'occupied') {
+      actions.push(`<button class="text-xs text-blue-600 underline" onclick="bedAction(${b.id}, 'transfer')">Transfer</button>`);
+      actions.push(`<button class="text-xs text-red-600 underline" onclick="bedAction(${b.id}, 'discharge')">Discharge</button>`);
+    } else if (b.status === 'free') {
+      actions.push(`<button class="text-xs text-green-700 underline" onclick="selectBedForAdmit('${scope}', ${b.id})">Admit</button>`);
+      actions.push(`<button class="text-xs text-gray-600 underline" onclick="bedAction(${b.id}, 'status', 'maintenance')">Maintenance</button>`);
+      if (scope === 'admin') actions.push(`<button class="text-xs text-red-600" title="Remove bed" onclick="removeBed(${b.id})">&times;</button>`);
+    } else {
+      actions.push(`<button class="text-xs text-green-700 underline" onclick="bedAction(${b.id}, 'status', 'free')">${b.status === 'cleaning' ? 'Mark clean' : 'Back in service'}</button>`);
+    }
+    return `
+      <div class="rounded p-2 border-l-4 ${BED_STATUS_CLASSES[b.status] || ''}">
+        <div class="flex justify-between text-sm"><strong>${escapeHtml(b.label)}</strong><span class="text-xs">${escapeHtml(b.status)}</span></div>
+        <div class="text-sm truncate" title="${escapeHtml(b.patient_name || '')}">${b.patient_name ? escapeHtml(b.patient_name) : '&nbsp;'}</div>
+        <div class="text-xs text-gray-500">${b.since ? `since ${escapeHtml(String(b.since).slice(0, 16))}` : (b.updated_at && b.status !== 'free' ? `since ${escapeHtml(String(b.updated_at).slice(0, 16))}` : '&nbsp;')}</div>
+        <div class="flex gap-2 mt-1">${actions.join('')}</div>
+      </div>`;
+  }
+
+  async function populateBedAdmitForm(scope) {
+    const form = document.querySelector(`.bed-admit-form[data-bed-scope="${scope}"]`);
+    if (!form) return;
+    const bedSelect = form.querySelector('.bed-admit-bed');
+    const patientSelect = form.querySelector('.bed-admit-patient');
+    const selectedBed = bedSelect.value;
+    bedSelect.innerHTML = '<option value="">Free bed...</option>' + bedCache.filter(b => b.status === 'free')
+      .map(b => `<option value="${b.id}">${escapeHtml(b.label)} — ${escapeHtml(b.ward)}</option>`).join('');
+    bedSelect.value = selectedBed;
+    try {
+      const patients = await fetchPatientPicker();
+      const inBed = new Set(bedCache.filter(b => b.patient_id).map(b => String(b.patient_id)));
+      const selectedPatient = patientSelect.value;
+      patientSelect.innerHTML = '<option value="">Patient to admit...</option>' + patients
+        .filter(p => !inBed.has(String(p.id)))
+        .map(patientOption).join('');
+      patientSelect.value = selectedPatient;
+    } catch (err) {
+      console.error('Error loading patients for admission:', err);
+    }
+  }
+
+  window.selectBedForAdmit = function(scope, bedId) {
+    const form = document.querySelector(`.bed-admit-form[data-bed-scope="${scope}"]`);
+    if (!form) return;
+    form.querySelector('.bed-admit-bed').value = bedId;
+    form.querySelector('.bed-admit-patient').focus();
+  };
+
+  document.querySelectorAll('.bed-admit-form').forEach(form => {
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      try {
+        const data = await safeFetchJSON(`${API_BASE}/beds.php`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            bed_id: form.querySelector('.bed-admit-bed').value,
+            patient_id: form.querySelector('.bed-admit-patient').value,
+            reason: form.querySelector('.bed-admit-reason').value
+          })
+        });
+        if (data.status !== 'success') {
+          alert(data.message || 'Failed to admit patient');
+          return;
+        }
+        form.reset();
+        loadBedBoard(form.dataset.bedScope === 'admin' ? 'admin-dashboard' : 'nurse-dashboard');
+      } catch (err) {
+        console.error('Error admitting patient:', err);
+        alert('Error connecting to server while admitting patient.');
+      }
+    });
+  });
+
+  // transfer: asks for the destination bed label; discharge: asks where the patient is going; status: free/cleaning/maintenance
+  window.bedAction = async function(bedId, action, status) {
+    const bed = bedCache.find(b => Number(b.id) === Number(bedId));
+    const payload = { action, bed_id: bedId };
+    if (action === 'transfer') {
+      const free = bedCache.filter(b => b.status === 'free');
+      if (free.length === 0) { alert('There are no free beds to transfer to.'); return; }
+      const label = prompt(`Transfer ${bed ? bed.patient_name : 'patient'} to which bed?\nFree: ${free.map(b => b.label).join(', ')}`);
+      if (!label) return;
+      const target = free.find(b => b.label.toLowerCase() === label.trim().toLowerCase());
+      if (!target) { alert(`${label} is not a free bed`); return; }
+      payload.to_bed_id = target.id;
+    } else if (action === 'discharge') {
+      const disposition = prompt(`Discharge ${bed ? bed.patient_name : 'the patient'} from bed ${bed ? bed.label : ''} to (${Object.keys(ADMISSION_DISPOSITIONS).join(', ')})? The bed will need cleaning.`, 'home');
+      if (!disposition) return;
+      payload.disposition = disposition.trim().toLowerCase();
+    } else {
+      payload.status = status;
+    }
+    try {
+      const data = await safeFetchJSON(`${API_BASE}/beds.php`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      if (data.status !== 'success') alert(data.message || 'Failed to update bed');
+      const dashboardId = currentUser && currentUser.role === 'admin' ? 'admin-dashboard' : 'nurse-dashboard';
+      loadBedBoard(dashboardId);
+      if (dashboardId === 'admin-dashboard') loadWardSetup();
+    } catch (err) {
+      console.error('Error updating bed:', err);
+      alert('Error updating bed. Check console for details.');
+    }
+  };
+
+  function startBedPolling(dashboardId) {
+    stopBedPolling();
+    bedPollTimer = setInterval(() => {
+      const section = document.querySelector(`#${dashboardId} [data-section="beds"]`);
+      if (section && !section.classList.contains('hidden')) loadBedBoard(dashboardId);
+    }, BED_POLL_MS);
+  }
+
+  function stopBedPolling() {
+    if (bedPollTimer) clearInterval(bedPollTimer);
+    bedPollTimer = null;
+  }
+
+  // Admin overview: occupancy doughnut from the live bed board
+  async function renderOccupancyChart() {
+    try {
+      const data = await safeFetchJSON(`${API_BASE}/beds.php?summary=1`);
+      if (!data || data.status !== 'success') return;
+      const rateEl = document.getElementById('adminOccupancyRate');
+      if (rateEl) rateEl.textContent = `· ${data.occupancy_percent}% of beds in service`;
+      createChartSafe(document.getElementById("adminOccupancyChart"), {
+        type: "doughnut",
+        data: {
+          labels: ["Occupied", "Free", "Cleaning", "Maintenance"],
+          datasets: [{
+            data: [data.counts.occupied, data.counts.free, data.counts.cleaning, data.counts.maintenance],
+            backgroundColor: ['#dc2626', '#16a34a', '#f59e0b', '#9ca3af']
+          }]
+        },
+        options: { responsive: true, plugins: { legend: { position: 'bottom' } } }
+      });
+    } catch (err) {
+      console.error('Error loading bed occupancy:', err);
+    }
+  }
+
+  // Admin: ward / room / bed setup; the parent select lists wards (for a room) or rooms (for a bed)
+  let wardSetupCache = [];
+  async function loadWardSetup() {
+    const parent = document.getElementById('wardSetupParent');
+    if (!parent) return;
+    try {
+      const wards = await safeFetchJSON(`${API_BASE}/wards.php`);
+      wardSetupCache = Array.isArray(wards) ? wards : [];
+      renderWardSetupParent();
+    } catch (err) {
+      console.error('Error loading wards:', err);
+    }
+  }
+
+  function renderWardSetupParent() {
+    const kind = document.getElementById('wardSetupKind').value;
+    const parent = document.getElementById('wardSetupParent');
+    document.getElementById('wardSetupParentLabel').textContent = kind === 'bed' ? 'Room' : (kind === 'room' ? 'Ward' : 'Specialty');
+    parent.classList.toggle('hidden', kind === 'ward');
+    document.getElementById('wardSetupSpecialty').classList.toggle('hidden', kind !== 'ward');
+    parent.innerHTML = (kind === 'room'
+      ? wardSetupCache.map(w => `<option value="${w.id}">${escapeHtml(w.name)}</option>`)
+      : wardSetupCache.flatMap(w => w.rooms.map(r => `<option value="${r.id}">${escapeHtml(w.name)} — ${escapeHtml(r.name)} (${r.beds} beds)</option>`))).join('');
+  }
+
+  const wardSetupForm = document.getElementById('wardSetupForm');
+  if (wardSetupForm) {
+    document.getElementById('wardSetupKind').addEventListener('change', renderWardSetupParent);
+    wardSetupForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const kind = document.getElementById('wardSetupKind').value;
+      const parent = document.getElementById('wardSetupParent').value;
+      const name = document.getElementById('wardSetupName').value;
+      const payload = kind === 'bed' ? { room_id: parent, bed: name }
+        : kind === 'room' ? { ward_id: parent, room: name }
+        : { ward: name, specialty: document.getElementById('wardSetupSpecialty').value };
+      try {
+        const data = await safeFetchJSON(`${API_BASE}/wards.php`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(payload)
+        });
+        if (data.status !== 'success') {
+          alert(data.message || 'Failed to save');
+          return;
+        }
+        document.getElementById('wardSetupName').value = '';
+        document.getElementById('wardSetupSpecialty').value = '';
+        await loadWardSetup();
+        loadBedBoard('admin-dashboard');
+      } catch (err) {
+        console.error('Error saving ward setup:', err);
+        alert('Error connecting to server while saving.');
+      }
+    });
+  }
+
+  window.removeBed = async function(bedId) {
+    const bed = bedCache.find(b => Number(b.id) === Number(bedId));
+    if (!confirm(`Remove bed ${bed ? bed.label : ''}? Its occupancy history is kept.`)) return;
+    try {
+      const data = await safeFetchJSON(`${API_BASE}/wards.php`, {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ bed_id: bedId })
+      });
+      if (data.status !== 'success') alert(data.message || 'Failed to remove bed');
+      loadBedBoard('admin-dashboard');
+      loadWardSetup();
+    } catch (err) {
+      console.error('Error removing bed:', err);
+      alert('Error removing bed. Check console for details.');
+    }
+  };
+
+  /**
+   * Inpatient Admissions
+   * Doctors admit their patients (optionally straight into a free bed), record diagnoses and
+   * discharge them (api/admissions.php). Discharging stores a summary of the stay — diagnoses,
+   * beds, prescriptions and signed notes — that can be printed for the patient.
+   */
+  const ADMISSION_DISPOSITIONS = { home: 'Home', transferred: 'Transferred', against_advice: 'Against medical advice', deceased: 'Deceased' };
+
+  async function populateAdmissionForm() {
+    const bedSelect = document.getElementById('admissionBed');
+    if (!bedSelect) return;
+    try {
+      const [beds, admitted] = await Promise.all([
+        safeFetchJSON(`${API_BASE}/beds.php`),
+        safeFetchJSON(`${API_BASE}/admissions.php?status=admitted`)
+      ]);
+      bedSelect.innerHTML = '<option value="">Assign later</option>' + (Array.isArray(beds) ? beds : [])
+        .filter(b => b.status === 'free')
+        .map(b => `<option value="${b.id}">${escapeHtml(b.label)} — ${escapeHtml(b.ward)}</option>`).join('');
+      await populateDoctorPatientSelects();
+      // Patients already in hospital cannot be admitted twice
+      const inHospital = new Set((Array.isArray(admitted) ? admitted : []).map(a => String(a.patient_id)));
+      const patientSelect = document.getElementById('admissionPatient');
+      Array.from(patientSelect.options).forEach(o => { if (inHospital.has(o.value)) o.remove(); });
+    } catch (err) {
+      console.error('Error loading admission form:', err);
+    }
+  }
+
+  async function loadDoctorInpatients() {
+    const container = document.getElementById('doctorInpatientsList');
+    if (!container) return;
+    container.innerHTML = 'Loading...';
+    const filterEl = document.getElementById('admissionStatusFilter');
+    try {
+      const query = new URLSearchParams({ mine: '1' });
+      if (filterEl && filterEl.value) query.set('status', filterEl.value);
+      const admissions = await safeFetchJSON(`${API_BASE}/admissions.php?${query}`);
+      if (!Array.isArray(admissions) || admissions.length === 0) {
+        container.innerHTML = '<p class="text-sm text-gray-600">No admissions.</p>';
+        return;
+      }
+      container.innerHTML = `
+        <table class="w-full text-sm">
+          <thead><tr class="text-left border-b"><th class="py-2">Patient</th><th>Admitted</th><th>Reason / Diagnosis</th><th>Bed</th><th>Status</th><th></th></tr></thead>
+          <tbody>${admissions.map(a => `
+            <tr class="border-b">
+              <td class="py-2">${escapeHtml(a.patient_name || '')}</td>
+              <td>${escapeHtml(String(a.admitted_at || '').slice(0, 16))}</td>
+              <td>${escapeHtml(a.admit_reason || '')}${a.diagnosis ? `<div class="text-xs text-gray-500">${escapeHtml(a.diagnosis)}</div>` : ''}</td>
+              <td>${escapeHtml(a.bed || '—')}</td>
+              <td>${a.status === 'admitted' ? '<span class="text-green-600">Admitted</span>'
+                : `Discharged ${escapeHtml(String(a.discharged_at || '').slice(0, 10))}<div class="text-xs text-gray-500">${escapeHtml(ADMISSION_DISPOSITIONS[a.disposition] || a.disposition || '')}</div>`}</td>
+              <td class="space-x-2 whitespace-nowrap">
+                <button class="text-blue-600 underline" onclick="viewAdmission(${a.id})">Summary</button>
+                ${a.status === 'admitted' ? `
+                  <button class="text-blue-600 underline" onclick="admissionAction(${a.id}, 'diagnosis')">Add Diagnosis</button>
+                  <button class="text-red-600 underline" onclick="admissionAction(${a.id}, 'discharge')">Discharge</button>` : ''}
+              </td>
+            </tr>`).join('')}</tbody>
+        </table>`;
+    } catch (err) {
+      console.error('Error loading admissions:', err);
+      container.innerHTML = '<p class="text-sm text-red-600">Failed to load admissions.</p>';
+    }
+  }
+
+  const admissionStatusFilter = document.getElementById('admissionStatusFilter');
+  if (admissionStatusFilter) admissionStatusFilter.addEventListener('change', loadDoctorInpatients);
+
+  const admissionForm = document.getElementById('admissionForm');
+  if (admissionForm) {
+    admissionForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      try {
+        const data = await safeFetchJSON(`${API_BASE}/admissions.php`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            patient_id: document.getElementById('admissionPatient').value,
+            reason: document.getElementById('admissionReason').value,
+            bed_id: document.getElementById('admissionBed').value || null
+          })
+        });
+        if (data.status !== 'success') {
+          alert(data.message || 'Failed to admit patient');
+          return;
+        }
+        admissionForm.reset();
+        loadDoctorInpatients();
+        populateAdmissionForm();
+      } catch (err) {
+        console.error('Error admitting patient:', err);
+        alert('Error connecting to server while admitting patient.');
+      }
+    });
+  }
+
+  // diagnosis: asks for the description, code and type; discharge: asks for disposition and instructions
+  window.admissionAction = async function(id, action) {
+    const payload = { id, action };
+    if (action === 'diagnosis') {
+      const description = prompt('Diagnosis:');
+      if (!description) return;
+      payload.description = description;
+      payload.code = prompt('ICD-10 code (optional):', '') || '';
+      payload.type = confirm('Is this the primary diagnosis? (Cancel for secondary)') ? 'primary' : 'secondary';
+    } else {
+      const disposition = prompt(`Discharge to (${Object.keys(ADMISSION_DISPOSITIONS).join(', ')}):`, 'home');
+      if (!disposition) return;
+      payload.disposition = disposition.trim().toLowerCase();
+      payload.instructions = prompt('Discharge instructions for the patient (optional):', '') || '';
+    }
+    try {
+      const data = await safeFetchJSON(`${API_BASE}/admissions.php`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      if (data.status !== 'success') {
+        alert(data.message || 'Failed to update admission');
+        return;
+      }
+      loadDoctorInpatients();
+      if (action === 'discharge') {
+        populateAdmissionForm();
+        viewAdmission(id);
+      }
+    } catch (err) {
+      console.error('Error updating admission:', err);
+      alert('Error updating admission. Check console for details.');
+    }
+  };
+
+  function buildAdmissionSummary(a, hospital) {
+    const h = hospital || {};
+    const list = (rows, render, empty) => rows && rows.length ? rows.map(render).join('') : `<tr><td colspan="4" class="muted">${empty}</td></tr>`;
+    return `
+      <div class="doc">
+        <div class="head">
+          <div>
+            <h1>${escapeHtml(h.name || 'MediSync Hospital')}</h1>
+            <div class="muted">${escapeHtml(h.address || '')}<br>${escapeHtml(h.phone || '')}</div>
+          </div>
+          <div style="text-align:right">
+            <div class="title">${a.status === 'discharged' ? 'Discharge Summary' : 'Interim Summary'}</div>
+            <div><strong>ADM-${String(a.id).padStart(6, '0')}</strong></div>
+          </div>
+        </div>
+        <p><strong>Patient:</strong> ${escapeHtml(a.patient_name || '')} <span class="muted">(${a.patient_mrn ? escapeHtml(a.patient_mrn) : `Patient #${a.patient_id}`}${a.patient_age ? `, ${escapeHtml(String(a.patient_age))} y` : ''}${a.patient_gender ? `, ${escapeHtml(a.patient_gender)}` : ''})</span></p>
+        <p><strong>Attending:</strong> ${escapeHtml(a.attending_doctor || '')}</p>
+        <p><strong>Admitted:</strong> ${escapeHtml(String(a.admitted_at || '').slice(0, 16))} · <strong>${a.discharged_at ? 'Discharged' : 'In hospital'}:</strong>
+          ${a.discharged_at ? escapeHtml(String(a.discharged_at).slice(0, 16)) : ''} (${a.length_of_stay_days} day${Number(a.length_of_stay_days) === 1 ? '' : 's'})</p>
+        <p><strong>Reason for admission:</strong> ${escapeHtml(a.admit_reason || '')}</p>
+        <h3>Diagnoses</h3>
+        <table><tbody>${list(a.diagnoses, d => `<tr><td>${escapeHtml(d.code || '')}</td><td>${escapeHtml(d.description)}</td><td>${escapeHtml(d.type)}</td><td class="muted">${escapeHtml(d.recorded_by || '')}</td></tr>`, 'None recorded.')}</tbody></table>
+        <h3>Beds</h3>
+        <table><tbody>${list(a.beds, b => `<tr><td>${escapeHtml(b.label)} — ${escapeHtml(b.ward)}</td><td>${escapeHtml(String(b.start_at || '').slice(0, 16))}</td><td>${escapeHtml(String(b.end_at || '').slice(0, 16))}</td><td>${escapeHtml(b.end_reason || '')}</td></tr>`, 'No bed assigned.')}</tbody></table>
+        <h3>Medications</h3>
+        <table><tbody>${list(a.prescriptions, p => `<tr><td>${escapeHtml(p.medication)}</td><td>${escapeHtml(p.dosage)} ${escapeHtml(p.frequency)}</td><td>${escapeHtml(p.start_date)}${p.end_date ? ` – ${escapeHtml(p.end_date)}` : ''}</td><td>${escapeHtml(p.status)}</td></tr>`, 'No prescriptions during the stay.')}</tbody></table>
+        <h3>Clinical notes</h3>
+        <table><tbody>${list(a.notes, n => `<tr><td>${escapeHtml(n.note_date)}</td><td colspan="2">${n.parent_id ? '<em>Addendum:</em> ' : ''}${escapeHtml(n.content)}</td><td class="muted">${escapeHtml(n.author || '')}</td></tr>`, 'No signed notes during the stay.')}</tbody></table>
+        ${a.status === 'discharged' ? `
+          <p><strong>Disposition:</strong> ${escapeHtml(ADMISSION_DISPOSITIONS[a.disposition] || a.disposition || '')}${a.discharged_by ? ` · discharged by ${escapeHtml(a.discharged_by)}` : ''}</p>
+          <p><strong>Instructions:</strong> ${escapeHtml(a.discharge_instructions || 'None')}</p>` : ''}
+        <div class="foot muted">Generated ${escapeHtml(new Date().toLocaleString())}${currentUser ? ` by ${escapeHtml(currentUser.username)}` : ''}.</div>
+      </div>`;
+  }
+
+  let admissionSummaryShown = null;
+  window.viewAdmission = async function(id) {
+    try {
+      const data = await safeFetchJSON(`${API_BASE}/admissions.php?id=${id}`);
+      if (!data || data.status !== 'success') { alert((data && data.message) || 'Admission not found'); return; }
+      const html = buildAdmissionSummary(data.admission, data.hospital);
+      document.getElementById('admissionSummaryContent').innerHTML = `<style>#admissionSummaryContent .head { display: flex; justify-content: space-between; } #admissionSummaryContent h3 { font-weight: 600; margin-top: 8px; }
+        #admissionSummaryContent td { padding: 2px 6px; } #admissionSummaryContent .muted { color: #6b7280; }</style>${html}`;
+      document.getElementById('admissionSummaryActions').innerHTML =
+        `<button class="px-3 py-2 bg-gray-700 text-white rounded" onclick="printAdmissionSummary()"><i class="fa-solid fa-print mr-1"></i> Print</button>`;
+      admissionSummaryShown = { id, html };
+      const modal = document.getElementById('admissionSummaryModal');
+      modal.classList.remove('hidden');
+      modal.classList.add('flex');
+    } catch (err) {
+      console.error('Error loading admission:', err);
+      alert('Error loading admission. Check console for details.');
+    }
+  };
+
+  // Reuses the invoice document styles so printed summaries share the letterhead layout
+  window.printAdmissionSummary = function() {
+    if (!admissionSummaryShown) return;
+    const win = window.open('', '_blank');
+    if (!win) { alert('Allow pop-ups for this site to print summaries.'); return; }
+    win.document.write(`<!DOCTYPE html><html><head><meta charset="utf-8"><title>Discharge summary ADM-${String(admissionSummaryShown.id).padStart(6, '0')}</title>
+      <style>${BILLING_DOCUMENT_CSS}</style></head><body>${admissionSummaryShown.html}</body></html>`);
+    win.document.close();
+    win.focus();
+    if (win.document.readyState === 'complete') win.print();
+    else win.onload = () => win.print();
+  };
+
+  // Billing: invoices with line items, payments, refunds and voids (api/billing.php)
+  const BILLING_STATUS_CLASSES = {
+    'Pending': 'text-amber-600',
+    'Partially Paid': 'text-blue-600',
+    'Paid': 'text-green-600',
+    'Refunded': 'text-gray-500',
+    'Void': 'text-red-600 line-through'
+  };
+  const BILLING_CATEGORIES = { consultation: 'Consultation', lab: 'Lab', medication: 'Medication', bed: 'Bed days', procedure: 'Procedure', other: 'Other' };
+  const PAYMENT_METHODS = { cash: 'Cash', card: 'Card', mobile_money: 'Mobile money', insurance: 'Insurance' };
+
+  function formatMoney(n) {
+    return Number(n || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  }
+
+  async function loadBilling() {
+    const container = document.querySelector("#billingTbody");
+    if (!container) return;
+    container.innerHTML = "<tr><td colspan='7'>Loading...</td></tr>";
+    loadBillingSummary();
+    const filterEl = document.getElementById('billingStatusFilter');
+    const query = filterEl && filterEl.value ? `?status=${encodeURIComponent(filterEl.value)}` : '';
+    try {
+      const bills = await safeFetchJSON(`${API_BASE}/billing.php${query}`);
+      container.innerHTML = "";
+      if (!Array.isArray(bills) || bills.length === 0) {
+        container.innerHTML = "<tr><td colspan='7'>No billing records</td></tr>";
+        return;
+      }
+      bills.forEach(b => {
+        const open = b.status === 'Pending' || b.status === 'Partially Paid';
+        const row = document.createElement("tr");
+        row.innerHTML = `
+          <td>${escapeHtml(b.invoice_number || `#${b.id}`)}</td>
+          <td>${escapeHtml(b.date || "")}</td>
+          <td>${escapeHtml(b.patient_name || "")}</td>
+          <td>${formatMoney(b.amount)}${Number(b.insurer_portion) > 0 ? `<div class="text-xs text-gray-500">Insurer ${formatMoney(b.insurer_portion)}</div>` : ''}</td>
+          <td>${formatMoney(b.balance)}</td>
+          <td class="${BILLING_STATUS_CLASSES[b.status] || ''}">${escapeHtml(b.status || "")}</td>
+          <td>
+            <div class="flex flex-wrap gap-1">
+              <button class="px-2 py-1 text-xs rounded bg-blue-600 text-white" onclick="showInvoice(${b.id})">View</button>
+              <button class="px-2 py-1 text-xs rounded bg-gray-600 text-white" title="Print invoice" onclick="billingDocument(${b.id}, 'invoice', 'print')"><i class="fa-solid fa-print"></i></button>
+              ${Number(b.amount_paid) > 0 ? `<button class="px-2 py-1 text-xs rounded bg-gray-600 text-white" title="Print receipt" onclick="billingDocument(${b.id}, 'receipt', 'print')"><i class="fa-solid fa-receipt"></i></button>` : ''}
+              ${open ? `<button class="px-2 py-1 text-xs rounded bg-green-600 text-white" onclick="billingAction(${b.id}, 'payment', ${Number(b.balance)})">Pay</button>` : ''}
+            </div>
+          </td>
+        `;
+        container.appendChild(row);
+      });
+    } catch (err) {
+      console.error("loadBilling error:", err);
+      container.innerHTML = "<tr><td colspan='7'>Failed to load billing.</td></tr>";
+    }
+  }
+
+  async function loadBillingSummary() {
+    try {
+      const data = await safeFetchJSON(`${API_BASE}/billing.php?summary=1`);
+      if (!data || data.status !== 'success') return;
+      const set = (id, text) => { const el = document.getElementById(id); if (el) el.textContent = text; };
+      set('billingToday', formatMoney(data.today));
+      set('billingPending', `${data.pending} (${formatMoney(data.outstanding)} due)`);
+      set('billingMonth', formatMoney(data.month));
+    } catch (err) {
+      console.error('loadBillingSummary error:', err);
+    }
+  }
+
+  // Invoice form: editable line items with a running total
+  function addInvoiceItemRow() {
+    const itemsEl = document.getElementById('invoiceItems');
+    if (!itemsEl) return;
+    const row = document.createElement('div');
+    row.className = 'invoice-item grid grid-cols-12 gap-2 items-center';
+    row.innerHTML = `
+      <select class="invoice-category form-control col-span-3 px-2 py-1 rounded border">
+        ${Object.entries(BILLING_CATEGORIES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+      </select>
+      <input type="text" class="invoice-description form-control col-span-4 px-2 py-1 rounded border" placeholder="Description" required />
+      <input type="number" class="invoice-quantity form-control col-span-1 px-2 py-1 rounded border" min="0.01" step="0.01" value="1" required />
+      <input type="number" class="invoice-price form-control col-span-2 px-2 py-1 rounded border" min="0" step="0.01" placeholder="Unit price" required />
+      <span class="invoice-line-total col-span-1 text-sm text-right">0.00</span>
+      <button type="button" class="text-red-600 col-span-1" title="Remove line" onclick="this.closest('.invoice-item').remove(); updateInvoiceTotals();">&times;</button>
+    `;
+    itemsEl.appendChild(row);
+  }
+
+  // Mirrors billing_recalculate() in config.php so the preview matches the saved invoice
+  window.updateInvoiceTotals = function() {
+    const totalsEl = document.getElementById('invoiceTotals');
+    if (!totalsEl) return;
+    let subtotal = 0;
+    document.querySelectorAll('#invoiceItems .invoice-item').forEach(row => {
+      const line = Math.round(Number(row.querySelector('.invoice-quantity').value || 0) * Number(row.querySelector('.invoice-price').value || 0) * 100) / 100;
+      row.querySelector('.invoice-line-total').textContent = formatMoney(line);
+      subtotal += line;
+    });
+    const discount = Number(document.getElementById('invoiceDiscount').value || 0);
+    const taxable = Math.max(0, subtotal - discount);
+    const tax = Math.round(taxable * Number(document.getElementById('invoiceTaxRate').value || 0)) / 100;
+    totalsEl.innerHTML = `Subtotal ${formatMoney(subtotal)} · Discount ${formatMoney(discount)} · Tax ${formatMoney(tax)} · <strong>Total ${formatMoney(taxable + tax)}</strong>`;
+    // Insurer share before any annual limit, which the server applies when it files the claim
+    const policyOption = document.querySelector('#invoicePolicy option:checked');
+    const coverage = policyOption ? Number(policyOption.dataset.coverage || 0) : 0;
+    if (coverage > 0) {
+      const insurer = Math.round((taxable + tax) * coverage) / 100;
+      totalsEl.innerHTML += `<br>Insurer ${formatMoney(insurer)} · Patient ${formatMoney(taxable + tax - insurer)}`;
+    }
+  };
+
+  // Active policies for the invoice's patient; leaving "Self-pay" bills the patient for everything
+  async function populateInvoicePolicies() {
+    const select = document.getElementById('invoicePolicy');
+    const patientId = document.getElementById('invoicePatient').value;
+    if (!select) return;
+    select.innerHTML = '<option value="">Self-pay</option>';
+    if (patientId) {
+      try {
+        const policies = await safeFetchJSON(`${API_BASE}/insurance.php?patient_id=${encodeURIComponent(patientId)}&active=1`);
+        (Array.isArray(policies) ? policies : []).forEach(p => {
+          select.innerHTML += `<option value="${p.id}" data-coverage="${Number(p.coverage_percent)}">${escapeHtml(p.insurer)} ${escapeHtml(p.policy_number)} (${Number(p.coverage_percent)}%)</option>`;
+        });
+      } catch (err) {
+        console.error('Error loading insurance policies:', err);
+      }
+    }
+    updateInvoiceTotals();
+  }
+
+  async function populateInvoicePatients() {
+    const select = document.getElementById('invoicePatient');
+    if (!select) return;
+    try {
+      const patients = await fetchPatientPicker();
+      const selected = select.value;
+      select.innerHTML = '<option value="">Select patient...</option>' + patients.map(patientOption).join('');
+      select.value = selected;
+    } catch (err) {
+      console.error('Error loading patients for invoice:', err);
+    }
+  }
+
+  function resetInvoiceForm() {
+    const form = document.getElementById('invoiceForm');
+    if (!form) return;
+    form.reset();
+    document.getElementById('invoiceItems').innerHTML = '';
+    document.getElementById('invoicePolicy').innerHTML = '<option value="">Self-pay</option>';
+    addInvoiceItemRow();
+    updateInvoiceTotals();
+  }
+
+  const invoiceForm = document.getElementById('invoiceForm');
+  if (invoiceForm) {
+    resetInvoiceForm();
+    document.getElementById('invoiceAddItem').addEventListener('click', addInvoiceItemRow);
+    invoiceForm.addEventListener('input', updateInvoiceTotals);
+    document.getElementById('invoicePatient').addEventListener('change', populateInvoicePolicies);
+    document.getElementById('invoicePolicy').addEventListener('change', updateInvoiceTotals);
+    const filterEl = document.getElementById('billingStatusFilter');
+    if (filterEl) filterEl.addEventListener('change', loadBilling);
+
+    invoiceForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const items = Array.from(document.querySelectorAll('#invoiceItems .invoice-item')).map(row => ({
+        category: row.querySelector('.invoice-category').value,
+        description: row.querySelector('.invoice-description').value,
+        quantity: row.querySelector('.invoice-quantity').value,
+        unit_price: row.querySelector('.invoice-price').value
+      }));
+      if (items.length === 0) { alert('Add at least one line item'); return; }
+      try {
+        const data = await safeFetchJSON(`${API_BASE}/billing.php`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            patient_id: document.getElementById('invoicePatient').value,
+            due_date: document.getElementById('invoiceDueDate').value,
+            discount: document.getElementById('invoiceDiscount').value,
+            tax_rate: document.getElementById('invoiceTaxRate').value,
+            notes: document.getElementById('invoiceNotes').value,
+            policy_id: document.getElementById('invoicePolicy').value,
+            items
+          })
+        });
+        if (data.status === 'success') {
+          resetInvoiceForm();
+          await loadBilling();
+          showInvoice(data.id);
+        } else {
+          alert(data.message || 'Failed to create invoice');
+        }
+      } catch (err) {
+        console.error('Error creating invoice:', err);
+        alert('Error connecting to server while creating invoice.');
+      }
+    });
+  }
+
+  window.showInvoice = async function(id) {
+    const modal = document.getElementById('invoiceModal');
+    const content = document.getElementById('invoiceModalContent');
+    const actions = document.getElementById('invoiceModalActions');
+    if (!modal || !content) return;
+    content.innerHTML = 'Loading...';
+    actions.innerHTML = '';
+    modal.classList.remove('hidden');
+    modal.classList.add('flex');
+    try {
+      const b = await safeFetchJSON(`${API_BASE}/billing.php?id=${id}`);
+      if (!b || !b.id) {
+        content.innerHTML = `<p class="text-sm text-red-600">${escapeHtml((b && b.message) || 'Invoice not found')}</p>`;
+        return;
+      }
+      content.innerHTML = `
+        <div class="flex justify-between">
+          <div><strong>${escapeHtml(b.invoice_number || '')}</strong><br>${escapeHtml(b.patient_name || '')}</div>
+          <div class="text-right text-sm">Date: ${escapeHtml(b.date || '')}${b.due_date ? `<br>Due: ${escapeHtml(b.due_date)}` : ''}
+            <br><span class="${BILLING_STATUS_CLASSES[b.status] || ''}">${escapeHtml(b.status)}</span></div>
+        </div>
+        ${b.void_reason ? `<p class="text-sm text-red-600">Voided: ${escapeHtml(b.void_reason)}</p>` : ''}
+        <table class="min-w-full text-sm">
+          <thead><tr><th class="text-left">Item</th><th class="text-right">Qty</th><th class="text-right">Unit</th><th class="text-right">Amount</th></tr></thead>
+          <tbody>${b.items.map(i => `<tr><td>${escapeHtml(BILLING_CATEGORIES[i.category] || i.category)} — ${escapeHtml(i.description)}</td>
+            <td class="text-right">${escapeHtml(String(Number(i.quantity)))}</td><td class="text-right">${formatMoney(i.unit_price)}</td><td class="text-right">${formatMoney(i.line_total)}</td></tr>`).join('')}</tbody>
+        </table>
+        <div class="text-sm text-right">
+          Subtotal ${formatMoney(b.subtotal)}<br>
+          Discount −${formatMoney(b.discount)}<br>
+          Tax (${escapeHtml(String(Number(b.tax_rate)))}%) ${formatMoney(b.tax)}<br>
+          <strong>Total ${formatMoney(b.amount)}</strong><br>
+          Paid ${formatMoney(b.amount_paid)}<br>
+          <strong>Balance due ${formatMoney(b.balance)}</strong>
+          ${Number(b.insurer_portion) > 0 ? `<br><span class="text-gray-500">Insurer portion ${formatMoney(b.insurer_portion)} · Patient portion ${formatMoney(b.patient_portion)}</span>
+            ${Number(b.insurer_outstanding) > 0 ? `<br>Awaiting insurer ${formatMoney(b.insurer_outstanding)} · <strong>Patient owes ${formatMoney(b.patient_balance)}</strong>` : ''}` : ''}
+        </div>
+        ${b.claims.length > 0 ? `<div>
+          <h4 class="font-semibold text-sm mb-1">Insurance Claims</h4>
+          <ul class="text-sm space-y-1">${b.claims.map(c => `
+            <li>${escapeHtml(c.claim_number || '')} — ${escapeHtml(c.insurer)} ${escapeHtml(c.policy_number || '')}:
+              claimed ${formatMoney(c.claimed_amount)}${c.approved_amount !== null ? `, approved ${formatMoney(c.approved_amount)}` : ''}${c.remitted_amount !== null ? `, remitted ${formatMoney(c.remitted_amount)}` : ''}
+              <span class="${CLAIM_STATUS_CLASSES[c.status] || ''}">${escapeHtml(c.status)}</span>${c.status_reason ? ` — ${escapeHtml(c.status_reason)}` : ''}</li>`).join('')}</ul>
+        </div>` : ''}
+        <div>
+          <h4 class="font-semibold text-sm mb-1">Payments</h4>
+          ${b.payments.length > 0 ? `<ul class="text-sm space-y-1">${b.payments.map(p => `
+            <li>${escapeHtml(String(p.created_at || '').slice(0, 16))} — ${p.type === 'refund' ? '<span class="text-red-600">Refund</span> ' : ''}${formatMoney(p.amount)}
+              by ${escapeHtml(PAYMENT_METHODS[p.method] || p.method)}${p.reference ? ` (${escapeHtml(p.reference)})` : ''}${p.reason ? ` — ${escapeHtml(p.reason)}` : ''}
+              <span class="text-gray-500">${escapeHtml(p.received_by || '')}</span>
+              <button class="text-blue-600 text-xs underline ml-1" onclick="billingDocument(${b.id}, 'receipt', 'print', ${p.id})">Receipt</button></li>`).join('')}</ul>` : '<p class="text-sm text-gray-600">No payments yet.</p>'}
+        </div>
+      `;
+      const isAdmin = currentUser && currentUser.role === 'admin';
+      const buttons = [
+        `<button class="px-3 py-1 text-sm rounded bg-gray-600 text-white" onclick="billingDocument(${b.id}, 'invoice', 'print')"><i class="fa-solid fa-print mr-1"></i> Print</button>`,
+        `<button class="px-3 py-1 text-sm rounded bg-gray-600 text-white" onclick="billingDocument(${b.id}, 'invoice', 'pdf')"><i class="fa-solid fa-file-pdf mr-1"></i> PDF</button>`
+      ];
+      if (b.payments.length > 0) buttons.push(`<button class="px-3 py-1 text-sm rounded bg-gray-600 text-white" onclick="billingDocument(${b.id}, 'receipt', 'pdf')"><i class="fa-solid fa-receipt mr-1"></i> Receipt PDF</button>`);
+      const open = b.status === 'Pending' || b.status === 'Partially Paid';
+      if (open && Number(b.patient_balance) > 0) buttons.push(`<button class="px-3 py-1 text-sm rounded bg-green-600 text-white" onclick="billingAction(${b.id}, 'payment', ${Number(b.patient_balance)})">Record Payment</button>`);
+      if (open && !b.claims.some(c => c.status === 'submitted' || c.status === 'approved')) buttons.push(`<button class="px-3 py-1 text-sm rounded bg-indigo-600 text-white" onclick="submitClaim(${b.id}, ${Number(b.patient_id)})"><i class="fa-solid fa-shield-heart mr-1"></i> Claim Insurance</button>`);
+      if (isAdmin && Number(b.amount_paid) > 0 && b.status !== 'Void') buttons.push(`<button class="px-3 py-1 text-sm rounded bg-amber-500 text-white" onclick="billingAction(${b.id}, 'refund', ${Number(b.amount_paid)})">Refund</button>`);
+      if (isAdmin && Number(b.amount_paid) === 0 && b.status !== 'Void') buttons.push(`<button class="px-3 py-1 text-sm rounded bg-red-600 text-white" onclick="billingAction(${b.id}, 'void', 0)">Void</button>`);
+      actions.innerHTML = buttons.join('');
     } catch (err) {
-      console.error("loadPatients error:", err);
-      if (recentTbody) recentTbody.innerHTML = "<tr><td colspan='6'>Failed to load patients.</td></tr>";
-      if (adminTbody) adminTbody.innerHTML = "<tr><td colspan='6'>Failed to load patients.</td></tr>";
+      console.error('Error loading invoice:', err);
+      content.innerHTML = '<p class="text-sm text-red-600">Failed to load invoice.</p>';
     }
+  };
+
+  /**
+   * Invoice & Receipt Documents
+   * Builds a self-contained, print-ready document for an invoice (line items, payments,
+   * balance due) or a receipt (one payment, or all payments when paymentId is omitted).
+   */
+  const BILLING_DOCUMENT_CSS = `
+    body { font-family: Inter, Arial, sans-serif; color: #111827; margin: 0; padding: 32px; font-size: 13px; }
+    .doc { max-width: 720px; margin: 0 auto; }
+    .head { display: flex; justify-content: space-between; border-bottom: 2px solid #2563eb; padding-bottom: 12px; margin-bottom: 16px; }
+    .head h1 { margin: 0; font-size: 22px; color: #2563eb; }
+    .muted { color: #6b7280; }
+    .title { font-size: 18px; font-weight: 700; text-transform: uppercase; letter-spacing: 1px; }
+    table { width: 100%; border-collapse: collapse; margin: 12px 0; }
+    th, td { padding: 6px 8px; border-bottom: 1px solid #e5e7eb; text-align: left; }
+    th { background: #f3f4f6; }
+    .num { text-align: right; }
+    .totals { width: 280px; margin-left: auto; }
+    .totals td { border: none; padding: 3px 8px; }
+    .grand td { font-weight: 700; border-top: 1px solid #111827; }
+    .stamp { display: inline-block; padding: 2px 10px; border: 2px solid; border-radius: 4px; font-weight: 700; }
+    .foot { margin-top: 28px; border-top: 1px solid #e5e7eb; padding-top: 8px; font-size: 11px; }
+    @media print { body { padding: 0; } }
+  `;
+
+  // The same styles for a PDF rendered inside the app: every selector is put under .billing-pdf
+  // (body becomes .billing-pdf itself) so none of them reach the page while html2pdf works
+  const BILLING_PDF_CSS = BILLING_DOCUMENT_CSS.replace(/(?<=^|[{}])([^{}]+)\{/g, (match, selectors) => {
+    if (selectors.trim().startsWith('@')) return match;
+    return selectors.split(',').map(sel => {
+      const selector = sel.trim();
+      return selector === 'body' ? '.billing-pdf' : `.billing-pdf ${selector}`;
+    }).join(', ') + ' {';
+  });
+
+  function buildBillingDocument(b, kind, paymentId) {
+    const h = b.hospital || {};
+    const payments = (b.payments || []).filter(p => !paymentId || String(p.id) === String(paymentId));
+    const isReceipt = kind === 'receipt';
+    const docNumber = isReceipt
+      ? (paymentId ? `RCPT-${String(paymentId).padStart(6, '0')}` : `RCPT-${b.invoice_number || b.id}`)
+      : (b.invoice_number || `#${b.id}`);
+    const paymentRows = payments.map(p => `
+      <tr><td>${escapeHtml(String(p.created_at || '').slice(0, 16))}</td>
+        <td>${p.type === 'refund' ? 'Refund' : 'Payment'}${p.reason ? ` — ${escapeHtml(p.reason)}` : ''}</td>
+        <td>${escapeHtml(PAYMENT_METHODS[p.method] || p.method)}${p.reference ? ` (${escapeHtml(p.reference)})` : ''}</td>
+        <td class="num">${p.type === 'refund' ? '−' : ''}${formatMoney(p.amount)}</td></tr>`).join('');
+    const received = payments.reduce((sum, p) => sum + (p.type === 'refund' ? -1 : 1) * Number(p.amount), 0);
+
+    const body = isReceipt ? `
+      <p>Received from <strong>${escapeHtml(b.patient_name || '')}</strong> against invoice <strong>${escapeHtml(b.invoice_number || '')}</strong>.</p>
+      <table><thead><tr><th>Date</th><th>Description</th><th>Method</th><th class="num">Amount</th></tr></thead>
+        <tbody>${paymentRows || '<tr><td colspan="4">No payments recorded.</td></tr>'}</tbody></table>
+      <table class="totals"><tbody>
+        <tr><td>Amount received</td><td class="num">${formatMoney(received)}</td></tr>
+        <tr><td>Invoice total</td><td class="num">${formatMoney(b.amount)}</td></tr>
+        <tr><td>Total paid to date</td><td class="num">${formatMoney(b.amount_paid)}</td></tr>
+        <tr class="grand"><td>Balance due</td><td class="num">${formatMoney(b.balance)}</td></tr>
+      </tbody></table>` : `
+      <table><thead><tr><th>Category</th><th>Description</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Amount</th></tr></thead>
+        <tbody>${(b.items || []).map(i => `<tr><td>${escapeHtml(BILLING_CATEGORIES[i.category] || i.category)}</td><td>${escapeHtml(i.description)}</td>
+          <td class="num">${escapeHtml(String(Number(i.quantity)))}</td><td class="num">${formatMoney(i.unit_price)}</td><td class="num">${formatMoney(i.line_total)}</td></tr>`).join('')}</tbody></table>
+      <table class="totals"><tbody>
+        <tr><td>Subtotal</td><td class="num">${formatMoney(b.subtotal)}</td></tr>
+        <tr><td>Discount</td><td class="num">−${formatMoney(b.discount)}</td></tr>
+        <tr><td>Tax (${escapeHtml(String(Number(b.tax_rate)))}%)</td><td class="num">${formatMoney(b.tax)}</td></tr>
+        <tr class="grand"><td>Total</td><td class="num">${formatMoney(b.amount)}</td></tr>
+        <tr><td>Paid</td><td class="num">${formatMoney(b.amount_paid)}</td></tr>
+        <tr class="grand"><td>Balance due</td><td class="num">${formatMoney(b.balance)}</td></tr>
+        ${Number(b.insurer_outstanding) > 0 ? `<tr><td>Awaiting insurer</td><td class="num">${formatMoney(b.insurer_outstanding)}</td></tr>
+        <tr class="grand"><td>Patient to pay</td><td class="num">${formatMoney(b.patient_balance)}</td></tr>` : ''}
+      </tbody></table>
+      ${Number(b.insurer_portion) > 0 ? `<p>Insurer portion ${formatMoney(b.insurer_portion)} (${(b.claims || []).filter(c => c.status !== 'rejected').map(c => `${escapeHtml(c.insurer)} claim ${escapeHtml(c.claim_number || '')}`).join(', ')}) · Patient portion ${formatMoney(b.patient_portion)}</p>` : ''}
+      ${paymentRows ? `<h3>Payments</h3><table><thead><tr><th>Date</th><th>Description</th><th>Method</th><th class="num">Amount</th></tr></thead><tbody>${paymentRows}</tbody></table>` : ''}
+      ${b.notes ? `<p><strong>Notes:</strong> ${escapeHtml(b.notes)}</p>` : ''}`;
+
+    return `
+      <div class="doc">
+        <div class="head">
+          <div>
+            <h1>${escapeHtml(h.name || 'MediSync Hospital')}</h1>
+            <div class="muted">${escapeHtml(h.address || '')}<br>${escapeHtml(h.phone || '')}${h.email ? ` · ${escapeHtml(h.email)}` : ''}${h.tax_id ? `<br>Tax ID: ${escapeHtml(h.tax_id)}` : ''}</div>
+          </div>
+          <div style="text-align:right">
+            <div class="title">${isReceipt ? 'Receipt' : 'Invoice'}</div>
+            <div><strong>${escapeHtml(docNumber)}</strong></div>
+            <div class="muted">Date: ${escapeHtml(isReceipt && payments.length === 1 ? String(payments[0].created_at || '').slice(0, 10) : (b.date || ''))}</div>
+            ${!isReceipt && b.due_date ? `<div class="muted">Due: ${escapeHtml(b.due_date)}</div>` : ''}
+            ${b.status === 'Void' ? '<div class="stamp" style="color:#dc2626">VOID</div>' : b.status === 'Paid' ? '<div class="stamp" style="color:#16a34a">PAID</div>' : ''}
+          </div>
+        </div>
+        ${isReceipt ? '' : `<p><strong>Bill to:</strong> ${escapeHtml(b.patient_name || '')}${b.patient_id ? ` <span class="muted">(Patient #${b.patient_id})</span>` : ''}</p>`}
+        ${b.void_reason ? `<p style="color:#dc2626"><strong>Voided:</strong> ${escapeHtml(b.void_reason)}</p>` : ''}
+        ${body}
+        <div class="foot muted">Generated ${escapeHtml(new Date().toLocaleString())}${currentUser ? ` by ${escapeHtml(currentUser.username)}` : ''}. Thank you for choosing ${escapeHtml(h.name || 'MediSync Hospital')}.</div>
+      </div>`;
   }
 
-  const addPatientForm = document.getElementById("addPatientForm");
-  if (addPatientForm) {
-    addPatientForm.addEventListener("submit", async (e) => {
-      e.preventDefault();
-      const formData = new FormData(addPatientForm);
+  // output: 'print' opens the browser print dialog; 'pdf' downloads a PDF via html2pdf.js
+  window.billingDocument = async function(id, kind, output, paymentId) {
+    try {
+      const b = await safeFetchJSON(`${API_BASE}/billing.php?id=${id}`);
+      if (!b || !b.id) { alert((b && b.message) || 'Invoice not found'); return; }
+      const html = buildBillingDocument(b, kind, paymentId);
+      const fileName = `${kind === 'receipt' ? 'receipt' : 'invoice'}-${b.invoice_number || b.id}${paymentId ? `-${paymentId}` : ''}.pdf`;
 
-      try {
-        const data = await safeFetchJSON(`${API_BASE}/patients.php`, { method: "POST", body: formData });
-        if (!data) {
-          alert("Server returned unexpected response while adding patient. Check console.");
-          console.error("Add patient non-json:", text);
-          return;
-        }
-        if (data.status === "success") {
-          addPatientForm.reset();
-          await loadPatients();
-          alert(data.message || "Patient added");
-        } else {
-          alert(data.message || "Failed to add patient");
-        }
-      } catch (err) {
-        console.error("Error adding patient:", err);
-        alert("Error connecting to server while adding patient.");
+      if (output === 'pdf' && window.html2pdf) {
+        const holder = document.createElement('div');
+        holder.innerHTML = `<style>${BILLING_PDF_CSS}</style><div class="billing-pdf">${html}</div>`;
+        await window.html2pdf().set({ margin: 10, filename: fileName, jsPDF: { unit: 'mm', format: 'a4' } }).from(holder).save();
+        return;
       }
-    });
-  }
+      const win = window.open('', '_blank');
+      if (!win) { alert('Allow pop-ups for this site to print invoices.'); return; }
+      win.document.write(`<!DOCTYPE html><html><head><meta charset="utf-8"><title>${escapeHtml(fileName.replace(/\.pdf$/, ''))}</title>
+        <style>${BILLING_DOCUMENT_CSS}</style></head><body>${html}</body></html>`);
+      win.document.close();
+      win.focus();
+      // PDF library unavailable: the print dialog's "Save as PDF" still gives a file
+      if (win.document.readyState === 'complete') win.print();
+      else win.onload = () => win.print();
+    } catch (err) {
+      console.error('Error generating billing document:', err);
+      alert('Error generating document. Check console for details.');
+    }
+  };
+
+  // Payment, refund or void; amounts default to the balance (payment) or amount paid (refund)
+  window.billingAction = async function(id, action, suggestedAmount) {
+    const payload = { id, action };
+    if (action !== 'void') {
+      const amount = prompt(`${action === 'refund' ? 'Refund' : 'Payment'} amount:`, Number(suggestedAmount).toFixed(2));
+      if (!amount) return;
+      // Insurance payments are only recorded by settling a claim
+      const methods = Object.keys(PAYMENT_METHODS).filter(m => action !== 'payment' || m !== 'insurance');
+      const method = prompt(`Method (${methods.join(', ')}):`, 'cash');
+      if (!method) return;
+      payload.amount = amount;
+      payload.method = method.trim().toLowerCase().replace(/\s+/g, '_');
+      if (action === 'payment') payload.reference = prompt('Reference (optional, e.g. M-Pesa code or card slip):', '') || '';
+    }
+    if (action !== 'payment') {
+      const reason = prompt(`Reason for ${action === 'void' ? 'voiding this invoice' : 'the refund'}:`);
+      if (!reason) return;
+      payload.reason = reason;
+    }
+    try {
+      const data = await safeFetchJSON(`${API_BASE}/billing.php`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      if (data.status !== 'success') {
+        alert(data.message || 'Failed to update invoice');
+        return;
+      }
+      await loadBilling();
+      const modal = document.getElementById('invoiceModal');
+      if (modal && !modal.classList.contains('hidden')) await showInvoice(id);
+    } catch (err) {
+      console.error('Error updating invoice:', err);
+      alert('Error updating invoice. Check console for details.');
+    }
+  };
 
   /**
-   * Appointments / Staff / Billing Loaders
-   * Loads data for appointments, staff, and billing sections via API endpoints.
+   * Insurance
+   * Patient policies, claims against invoices and the claims aging report (api/insurance.php, api/claims.php)
    */
-  async function loadAppointments() {
-    const container = document.querySelector("#receptionAppointmentsTbody");
-    if (!container) return;
-    container.innerHTML = "<tr><td colspan='4'>Loading...</td></tr>";
+  const CLAIM_STATUS_CLASSES = {
+    submitted: 'text-amber-600',
+    approved: 'text-blue-600',
+    rejected: 'text-red-600',
+    paid: 'text-green-600'
+  };
+
+  function loadInsurance() {
+    loadClaimAging();
+    loadClaims();
+    loadPolicies();
+    populatePolicyPatients();
+  }
+
+  async function loadClaimAging() {
+    const tbody = document.getElementById('claimAgingTbody');
+    if (!tbody) return;
+    tbody.innerHTML = "<tr><td colspan='7'>Loading...</td></tr>";
     try {
-      const appointments = await safeFetchJSON(`${API_BASE}/appointments.php`);
-      container.innerHTML = "";
-      if (!Array.isArray(appointments) || appointments.length === 0) {
-        container.innerHTML = "<tr><td colspan='4'>No appointments</td></tr>";
+      const data = await safeFetchJSON(`${API_BASE}/claims.php?aging=1`);
+      if (!data || data.status !== 'success') {
+        tbody.innerHTML = `<tr><td colspan='7'>${escapeHtml((data && data.message) || 'Failed to load aging report.')}</td></tr>`;
         return;
       }
-      appointments.forEach(a => {
-        const row = document.createElement("tr");
-        row.innerHTML = `
-          <td>${escapeHtml(a.time || "")}</td>
-          <td>${escapeHtml(a.patient_name || a.patient || "")}</td>
-          <td>${escapeHtml(a.doctor || "")}</td>
-          <td>${escapeHtml(a.status || "")}</td>
-        `;
-        container.appendChild(row);
-      });
+      const asOf = document.getElementById('claimAgingAsOf');
+      if (asOf) asOf.textContent = `As of ${data.as_of}`;
+      if (data.insurers.length === 0) {
+        tbody.innerHTML = "<tr><td colspan='7'>No outstanding claims</td></tr>";
+        return;
+      }
+      const row = (r, label) => `
+        <td class="px-3 py-2">${label}</td>
+        <td class="px-3 py-2">${r.claims}</td>
+        <td class="px-3 py-2">${formatMoney(r.current)}</td>
+        <td class="px-3 py-2">${formatMoney(r.days_31_60)}</td>
+        <td class="px-3 py-2 ${r.days_61_90 > 0 ? 'text-amber-600' : ''}">${formatMoney(r.days_61_90)}</td>
+        <td class="px-3 py-2 ${r.over_90 > 0 ? 'text-red-600 font-semibold' : ''}">${formatMoney(r.over_90)}</td>
+        <td class="px-3 py-2 font-semibold">${formatMoney(r.total)}</td>`;
+      tbody.innerHTML = data.insurers.map(r => `<tr>${row(r, escapeHtml(r.insurer))}</tr>`).join('')
+        + `<tr class="border-t">${row(data.totals, '<strong>Total</strong>')}</tr>`;
     } catch (err) {
-      console.error("loadAppointments error:", err);
-      container.innerHTML = "<tr><td colspan='4'>Failed to load appointments.</td></tr>";
+      console.error('loadClaimAging error:', err);
+      tbody.innerHTML = "<tr><td colspan='7'>Failed to load aging report.</td></tr>";
     }
   }
 
-  async function loadStaff() {
-    const listEl = document.querySelector('#staffList');
-    const elAdmin = document.getElementById('staffListAdmin');
-    const elDoctor = document.getElementById('staffListDoctor');
-    const elNurse = document.getElementById('staffListNurse');
-    const elReception = document.getElementById('staffListReceptionist');
-    if (listEl) listEl.innerHTML = '<li>Loading...</li>';
-    if (elAdmin) elAdmin.innerHTML = 'Loading...';
-    if (elDoctor) elDoctor.innerHTML = 'Loading...';
-    if (elNurse) elNurse.innerHTML = 'Loading...';
-    if (elReception) elReception.innerHTML = 'Loading...';
+  async function loadClaims() {
+    const tbody = document.getElementById('claimsTbody');
+    if (!tbody) return;
+    tbody.innerHTML = "<tr><td colspan='9'>Loading...</td></tr>";
+    const filterEl = document.getElementById('claimStatusFilter');
+    const query = filterEl && filterEl.value ? `?status=${encodeURIComponent(filterEl.value)}` : '';
     try {
-      const staff = await safeFetchJSON(`${API_BASE}/staff.php`);
-      if (listEl) {
-        listEl.innerHTML = '';
-        if (!Array.isArray(staff) || staff.length === 0) {
-          listEl.innerHTML = '<li>No staff</li>';
-        } else {
-          staff.forEach(s => {
-            const li = document.createElement('li');
-            li.className = 'flex justify-between items-center';
-            li.innerHTML = `<span>${escapeHtml(s.username)} — ${escapeHtml(s.role)}</span>`;
-            listEl.appendChild(li);
-          });
-        }
+      const claims = await safeFetchJSON(`${API_BASE}/claims.php${query}`);
+      if (!Array.isArray(claims) || claims.length === 0) {
+        tbody.innerHTML = "<tr><td colspan='9'>No claims</td></tr>";
+        return;
       }
-      if (Array.isArray(staff)) {
-        const byRole = staff.reduce((acc, s) => {
-          const r = String(s.role || '').toLowerCase();
-          (acc[r] = acc[r] || []).push(s);
-          return acc;
-        }, {});
-        const render = (arr, el) => {
-          if (!el) return;
-          if (!arr || arr.length === 0) { el.innerHTML = '<li>No staff</li>'; return; }
-          el.innerHTML = '';
-          arr.forEach(s => {
-            const li = document.createElement('li');
-            li.className = 'flex justify-between items-center';
-            li.innerHTML = `<span>${escapeHtml(s.username)} — ${escapeHtml(s.role)}</span>`;
-            el.appendChild(li);
-          });
-        };
-        render(byRole['admin'], elAdmin);
-        render(byRole['doctor'], elDoctor);
-        render(byRole['nurse'], elNurse);
-        render(byRole['receptionist'], elReception);
+      tbody.innerHTML = claims.map(c => {
+        const actions = [];
+        if (c.status === 'submitted') actions.push(`<button class="px-2 py-1 text-xs rounded bg-blue-600 text-white" onclick="claimAction(${c.id}, 'approved', ${Number(c.claimed_amount)})">Approve</button>`);
+        if (c.status === 'approved') actions.push(`<button class="px-2 py-1 text-xs rounded bg-green-600 text-white" onclick="claimAction(${c.id}, 'paid', ${Number(c.approved_amount)})">Paid</button>`);
+        if (c.status === 'submitted' || c.status === 'approved') actions.push(`<button class="px-2 py-1 text-xs rounded bg-red-600 text-white" onclick="claimAction(${c.id}, 'rejected', 0)">Reject</button>`);
+        return `<tr>
+          <td class="px-3 py-2">${escapeHtml(c.claim_number || '')}<div class="text-xs text-gray-500">${escapeHtml(String(c.submitted_at || '').slice(0, 10))}${c.days_outstanding !== null ? ` · ${c.days_outstanding} days` : ''}</div></td>
+          <td class="px-3 py-2"><button class="text-blue-600 underline" onclick="showInvoice(${c.bill_id})">${escapeHtml(c.invoice_number || `#${c.bill_id}`)}</button></td>
+          <td class="px-3 py-2">${escapeHtml(c.patient_name || '')}</td>
+          <td class="px-3 py-2">${escapeHtml(c.insurer)}<div class="text-xs text-gray-500">${escapeHtml(c.policy_number || '')}</div></td>
+          <td class="px-3 py-2">${formatMoney(c.claimed_amount)}</td>
+          <td class="px-3 py-2">${c.approved_amount !== null ? formatMoney(c.approved_amount) : '—'}</td>
+          <td class="px-3 py-2">${c.remitted_amount !== null ? formatMoney(c.remitted_amount) : '—'}${c.remittance_reference ? `<div class="text-xs text-gray-500">${escapeHtml(c.remittance_reference)}</div>` : ''}</td>
+          <td class="px-3 py-2 ${CLAIM_STATUS_CLASSES[c.status] || ''}">${escapeHtml(c.status)}${c.status_reason ? `<div class="text-xs text-gray-500">${escapeHtml(c.status_reason)}</div>` : ''}</td>
+          <td class="px-3 py-2"><div class="flex flex-wrap gap-1">${actions.join('')}</div></td>
+        </tr>`;
+      }).join('');
+    } catch (err) {
+      console.error('loadClaims error:', err);
+      tbody.innerHTML = "<tr><td colspan='9'>Failed to load claims.</td></tr>";
+    }
+  }
+
+  async function loadPolicies() {
+    const tbody = document.getElementById('policiesTbody');
+    if (!tbody) return;
+    tbody.innerHTML = "<tr><td colspan='7'>Loading...</td></tr>";
+    try {
+      const policies = await safeFetchJSON(`${API_BASE}/insurance.php`);
+      if (!Array.isArray(policies) || policies.length === 0) {
+        tbody.innerHTML = "<tr><td colspan='7'>No policies on record</td></tr>";
+        return;
       }
+      tbody.innerHTML = policies.map(p => `<tr class="${p.active ? '' : 'text-gray-400'}">
+          <td class="px-3 py-2">${escapeHtml(p.patient_name || '')}</td>
+          <td class="px-3 py-2">${escapeHtml(p.insurer)}</td>
+          <td class="px-3 py-2">${escapeHtml(p.policy_number)}${p.member_name ? `<div class="text-xs text-gray-500">${escapeHtml(p.member_name)}</div>` : ''}</td>
+          <td class="px-3 py-2">${Number(p.coverage_percent)}%</td>
+          <td class="px-3 py-2">${p.annual_limit !== null ? formatMoney(p.annual_limit) : 'None'}</td>
+          <td class="px-3 py-2">${escapeHtml(p.valid_from)} – ${escapeHtml(p.valid_to || 'open')}</td>
+          <td class="px-3 py-2">
+            <button class="px-2 py-1 text-xs rounded ${p.active ? 'bg-gray-600' : 'bg-green-600'} text-white" onclick="setPolicyActive(${p.id}, ${p.active ? 0 : 1})">${p.active ? 'Deactivate' : 'Reactivate'}</button>
+            ${p.open_claims > 0 ? `<span class="text-xs text-amber-600 ml-1">${p.open_claims} open claim(s)</span>` : ''}
+          </td>
+        </tr>`).join('');
     } catch (err) {
-      console.error("loadStaff error:", err);
-      if (listEl) listEl.innerHTML = '<li>Failed to load staff.</li>';
-      if (elAdmin) elAdmin.innerHTML = 'Failed to load.';
-      if (elDoctor) elDoctor.innerHTML = 'Failed to load.';
-      if (elNurse) elNurse.innerHTML = 'Failed to load.';
-      if (elReception) elReception.innerHTML = 'Failed to load.';
+      console.error('loadPolicies error:', err);
+      tbody.innerHTML = "<tr><td colspan='7'>Failed to load policies.</td></tr>";
     }
   }
 
-  // Add Staff form submission
-  const addStaffForm = document.getElementById('addStaffForm');
-  if (addStaffForm) {
-    addStaffForm.addEventListener('submit', async (e) => {
+  async function populatePolicyPatients() {
+    const select = document.getElementById('policyPatient');
+    if (!select) return;
+    try {
+      const patients = await fetchPatientPicker();
+      const selected = select.value;
+      select.innerHTML = '<option value="">Select patient...</option>' + patients.map(patientOption).join('');
+      select.value = selected;
+    } catch (err) {
+      console.error('Error loading patients for policy:', err);
+    }
+  }
+
+  const policyForm = document.getElementById('policyForm');
+  if (policyForm) {
+    policyForm.addEventListener('submit', async (e) => {
       e.preventDefault();
-      const formData = new FormData(addStaffForm);
       try {
-        const data = await safeFetchJSON(`${API_BASE}/staff.php`, { method: 'POST', body: formData });
-        if (data && data.status === 'success') {
-          addStaffForm.reset();
-          await loadStaff();
-          // If a doctor was added, refresh doctor dropdowns
-          const roleSelect = document.getElementById('staffRole');
-          if (roleSelect && roleSelect.value === 'Doctor') {
-            await populateDoctorDropdowns();
-          }
-          alert('Staff added');
+        const data = await safeFetchJSON(`${API_BASE}/insurance.php`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            patient_id: document.getElementById('policyPatient').value,
+            insurer: document.getElementById('policyInsurer').value,
+            policy_number: document.getElementById('policyNumber').value,
+            member_name: document.getElementById('policyMember').value,
+            coverage_percent: document.getElementById('policyCoverage').value,
+            annual_limit: document.getElementById('policyLimit').value,
+            valid_from: document.getElementById('policyValidFrom').value,
+            valid_to: document.getElementById('policyValidTo').value
+          })
+        });
+        if (data.status === 'success') {
+          policyForm.reset();
+          loadPolicies();
         } else {
-          alert(data.message || 'Failed to add staff');
+          alert(data.message || 'Failed to add policy');
         }
       } catch (err) {
-        console.error('Error adding staff:', err);
-        alert('Error connecting to server while adding staff.');
+        console.error('Error adding policy:', err);
+        alert('Error connecting to server while adding policy.');
       }
     });
+    const claimFilter = document.getElementById('claimStatusFilter');
+    if (claimFilter) claimFilter.addEventListener('change', loadClaims);
   }
 
-  async function loadBilling() {
-    const container = document.querySelector("#billingTbody");
-    if (!container) return;
-    container.innerHTML = "<tr><td colspan='4'>Loading...</td></tr>";
+  window.setPolicyActive = async function(id, active) {
+    if (!active && !confirm('Deactivate this policy? Open claims are not affected, but no new claims can be filed against it.')) return;
     try {
-      const bills = await safeFetchJSON(`${API_BASE}/billing.php`);
-      container.innerHTML = "";
-      if (!Array.isArray(bills) || bills.length === 0) {
-        container.innerHTML = "<tr><td colspan='4'>No billing records</td></tr>";
+      const data = await safeFetchJSON(`${API_BASE}/insurance.php`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id, active })
+      });
+      if (data.status !== 'success') alert(data.message || 'Failed to update policy');
+      loadPolicies();
+    } catch (err) {
+      console.error('Error updating policy:', err);
+      alert('Error updating policy. Check console for details.');
+    }
+  };
+
+  // Files a claim for the insurer's share of an invoice's unpaid balance
+  window.submitClaim = async function(billId, patientId) {
+    try {
+      const policies = await safeFetchJSON(`${API_BASE}/insurance.php?patient_id=${patientId}&active=1`);
+      if (!Array.isArray(policies) || policies.length === 0) {
+        alert('This patient has no active insurance policy. Add one in the Insurance section first.');
         return;
       }
-      bills.forEach(b => {
-        const row = document.createElement("tr");
-        row.innerHTML = `
-          <td>${escapeHtml(b.patient_name || "")}</td>
-          <td>${escapeHtml(b.amount || "")}</td>
-          <td>${escapeHtml(b.date || "")}</td>
-          <td>${escapeHtml(b.status || "")}</td>
-        `;
-        container.appendChild(row);
+      let policy = policies[0];
+      if (policies.length > 1) {
+        const choice = prompt('Claim against which policy?\n' + policies.map((p, i) => `${i + 1}. ${p.insurer} ${p.policy_number} (${Number(p.coverage_percent)}%)`).join('\n'), '1');
+        if (!choice) return;
+        policy = policies[Number(choice) - 1];
+        if (!policy) { alert('Pick one of the listed numbers'); return; }
+      } else if (!confirm(`Submit a claim to ${policy.insurer} (${Number(policy.coverage_percent)}% cover)?`)) {
+        return;
+      }
+      const data = await safeFetchJSON(`${API_BASE}/claims.php`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ bill_id: billId, policy_id: policy.id })
       });
+      alert(data.message || (data.status === 'success' ? 'Claim submitted' : 'Failed to submit claim'));
+      if (data.status === 'success') {
+        await loadBilling();
+        await showInvoice(billId);
+      }
     } catch (err) {
-      console.error("loadBilling error:", err);
-      container.innerHTML = "<tr><td colspan='4'>Failed to load billing.</td></tr>";
+      console.error('Error submitting claim:', err);
+      alert('Error submitting claim. Check console for details.');
     }
-  }
+  };
+
+  // approved: approved amount; paid: remittance amount and reference; rejected: reason
+  window.claimAction = async function(id, status, suggestedAmount) {
+    const payload = { id, status };
+    if (status === 'approved') {
+      const amount = prompt('Amount approved by the insurer:', Number(suggestedAmount).toFixed(2));
+      if (!amount) return;
+      payload.approved_amount = amount;
+    } else if (status === 'paid') {
+      const amount = prompt('Amount remitted by the insurer:', Number(suggestedAmount).toFixed(2));
+      if (!amount) return;
+      payload.remitted_amount = amount;
+      payload.reference = prompt('Remittance reference (optional, e.g. EFT or cheque number):', '') || '';
+    } else {
+      const reason = prompt('Reason given by the insurer for rejecting the claim:');
+      if (!reason) return;
+      payload.reason = reason;
+    }
+    try {
+      const data = await safeFetchJSON(`${API_BASE}/claims.php`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      if (data.status !== 'success') {
+        alert(data.message || 'Failed to update claim');
+        return;
+      }
+      loadClaims();
+      loadClaimAging();
+    } catch (err) {
+      console.error('Error updating claim:', err);
+      alert('Error updating claim. Check console for details.');
+    }
+  };
 
   /**
    * Patient Action Handlers
-   * Functions to handle view, edit, delete, and reschedule actions
+   * Functions to handle view, edit, delete, and book actions
    */
   function showPatientViewModal(patient) {
     const modal = document.getElementById('patientViewModal');
     const content = document.getElementById('patientViewContent');
+    const canViewLab = currentUser && ['admin', 'doctor', 'nurse'].includes(currentUser.role);
     content.innerHTML = `
+      <p><strong>MRN:</strong> ${escapeHtml(patient.mrn || '')}</p>
       <p><strong>Name:</strong> ${escapeHtml(patient.name || '')}</p>
-      <p><strong>Age:</strong> ${escapeHtml(String(patient.age || ''))}</p>
+      <p><strong>Date of Birth:</strong> ${escapeHtml(patient.dob || '')} (${escapeHtml(String(patient.age ?? ''))} years)</p>
       <p><strong>Gender:</strong> ${escapeHtml(patient.gender || '')}</p>
+      <p><strong>Phone:</strong> ${escapeHtml(patient.phone || '—')}</p>
+      <p><strong>Address:</strong> ${escapeHtml(patient.address || '—')}</p>
+      <p><strong>National ID:</strong> ${escapeHtml(patient.national_id || '—')}</p>
+      <p><strong>Next of Kin:</strong> ${patient.next_of_kin_name
+        ? `${escapeHtml(patient.next_of_kin_name)}${patient.next_of_kin_relation ? ` (${escapeHtml(patient.next_of_kin_relation)})` : ''}${patient.next_of_kin_phone ? ` · ${escapeHtml(patient.next_of_kin_phone)}` : ''}`
+        : '—'}</p>
+      <p><strong>Blood Group:</strong> ${escapeHtml(patient.blood_group || 'Unknown')}</p>
+      <p><strong>Allergies:</strong> <span class="${patient.allergies ? 'text-red-600 font-semibold' : ''}">${escapeHtml(patient.allergies || 'None known')}</span></p>
       <p><strong>Assigned Doctor:</strong> ${escapeHtml(patient.doctor || '')}</p>
       <p><strong>Appointment Date:</strong> ${escapeHtml(patient.date || '')}</p>
+      <h4 class="font-semibold pt-2">Care Team</h4>
+      <div id="patientCareTeam" class="text-sm">Loading...</div>
+      ${canViewLab ? `<h4 class="font-semibold pt-2">Lab Results</h4>
+      <div id="patientLabResults" class="text-sm">Loading...</div>` : ''}
+      <h4 class="font-semibold pt-2">Visit History</h4>
+      <div id="patientVisitHistory" class="text-sm">Loading...</div>
     `;
     modal.classList.remove('hidden');
     modal.classList.add('flex');
+    loadCareTeam(patient.id);
+    if (canViewLab) loadPatientLabResults(patient.id);
+    loadPatientVisitHistory(patient.id);
+  }
+
+  async function loadPatientLabResults(patientId) {
+    const container = document.getElementById('patientLabResults');
+    if (!container) return;
+    try {
+      const orders = await safeFetchJSON(`${API_BASE}/lab.php?patient_id=${patientId}`);
+      if (!Array.isArray(orders)) {
+        container.innerHTML = `<p class="text-red-600">${escapeHtml(orders.message || 'Failed to load lab results.')}</p>`;
+        return;
+      }
+      const shown = orders.filter(o => o.status !== 'cancelled');
+      container.innerHTML = shown.length
+        ? `<ul class="space-y-1">${shown.map(o => `<li class="border-b pb-1"><strong>${escapeHtml(o.test_name)}</strong> ${escapeHtml(String(o.resulted_at || o.ordered_at).slice(0, 10))} · ${labResultHtml(o)}${o.result_comment ? ` <span class="text-gray-500">— ${escapeHtml(o.result_comment)}</span>` : ''}</li>`).join('')}</ul>`
+        : '<p class="text-gray-600">No lab tests ordered.</p>';
+    } catch (err) {
+      console.error('Error loading lab results:', err);
+      container.innerHTML = '<p class="text-red-600">Failed to load lab results.</p>';
+    }
+  }
+
+  // Staff granted access to the patient besides their doctor; the doctor and Admins can add or remove them
+  async function loadCareTeam(patientId) {
+    const container = document.getElementById('patientCareTeam');
+    if (!container) return;
+    try {
+      const data = await safeFetchJSON(`${API_BASE}/care_team.php?patient_id=${patientId}`);
+      if (!data || data.status !== 'success') {
+        container.innerHTML = `<p class="text-red-600">${escapeHtml((data && data.message) || 'Failed to load care team.')}</p>`;
+        return;
+      }
+      const members = data.members.map(m => `
+        <li class="border-b pb-1 ${m.expired ? 'text-gray-400' : ''}">
+          <strong>${escapeHtml(m.username)}</strong> (${escapeHtml(m.role)})${m.reason ? ` — ${escapeHtml(m.reason)}` : ''}
+          · ${m.expires_at ? `${m.expired ? 'expired' : 'until'} ${escapeHtml(m.expires_at)}` : 'no expiry'}
+          ${data.can_manage ? ` <button class="text-red-600 underline" onclick="removeCareTeamMember(${m.id}, ${patientId})">Remove</button>` : ''}
+        </li>`).join('');
+      const form = data.can_manage && data.candidates.length ? `
+        <div class="flex flex-wrap gap-2 mt-2">
+          <select id="careTeamStaff" class="p-1 border rounded">
+            ${data.candidates.map(c => `<option value="${c.id}">${escapeHtml(c.username)} (${escapeHtml(c.role)})</option>`).join('')}
+          </select>
+          <input id="careTeamReason" type="text" placeholder="Reason" class="p-1 border rounded flex-1">
+          <input id="careTeamExpires" type="date" title="Access until" class="p-1 border rounded">
+          <button class="px-2 py-1 text-xs rounded bg-blue-600 text-white" onclick="addCareTeamMember(${patientId})">Add</button>
+        </div>` : '';
+      container.innerHTML = `
+        <p class="text-gray-600">Assigned doctor: ${escapeHtml(data.doctor || '—')}</p>
+        ${members ? `<ul class="space-y-1">${members}</ul>` : '<p class="text-gray-600">No one else on the care team.</p>'}
+        ${form}`;
+    } catch (err) {
+      console.error('Error loading care team:', err);
+      container.innerHTML = '<p class="text-red-600">Failed to load care team.</p>';
+    }
+  }
+
+  window.addCareTeamMember = async function (patientId) {
+    const payload = {
+      patient_id: patientId,
+      staff_id: document.getElementById('careTeamStaff').value,
+      reason: document.getElementById('careTeamReason').value.trim(),
+      expires_at: document.getElementById('careTeamExpires').value
+    };
+    try {
+      const result = await safeFetchJSON(`${API_BASE}/care_team.php`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      if (!result || result.status !== 'success') {
+        alert((result && result.message) || 'Failed to add care team member');
+        return;
+      }
+      loadCareTeam(patientId);
+    } catch (err) {
+      console.error('Error adding care team member:', err);
+      alert('Error connecting to server while updating the care team.');
+    }
+  };
+
+  window.removeCareTeamMember = async function (id, patientId) {
+    if (!confirm('Remove this member from the care team? They will lose access to the patient.')) return;
+    try {
+      const result = await safeFetchJSON(`${API_BASE}/care_team.php`, {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id })
+      });
+      if (!result || result.status !== 'success') {
+        alert((result && result.message) || 'Failed to remove care team member');
+        return;
+      }
+      loadCareTeam(patientId);
+    } catch (err) {
+      console.error('Error removing care team member:', err);
+      alert('Error connecting to server while updating the care team.');
+    }
+  };
+
+  // Admissions and appointments for one patient, newest first
+  async function loadPatientVisitHistory(patientId) {
+    const container = document.getElementById('patientVisitHistory');
+    if (!container) return;
+    try {
+      const [admissions, appointments] = await Promise.all([
+        safeFetchJSON(`${API_BASE}/admissions.php?patient_id=${patientId}`),
+        safeFetchJSON(`${API_BASE}/appointments.php?patient_id=${patientId}`)
+      ]);
+      const canViewSummary = currentUser && ['admin', 'doctor', 'nurse'].includes(currentUser.role);
+      const visits = [
+        ...(Array.isArray(admissions) ? admissions : []).map(a => ({
+          when: String(a.admitted_at || ''),
+          html: `<strong>Admission</strong> ${escapeHtml(String(a.admitted_at || '').slice(0, 10))}${a.discharged_at ? ` – ${escapeHtml(String(a.discharged_at).slice(0, 10))}` : ' (in hospital)'}
+            · ${escapeHtml(a.admit_reason || '')}${a.diagnosis ? ` <span class="text-gray-500">— ${escapeHtml(a.diagnosis)}</span>` : ''}
+            ${canViewSummary ? ` <button class="text-blue-600 underline" onclick="viewAdmission(${a.id})">Summary</button>` : ''}`
+        })),
+        ...(Array.isArray(appointments) ? appointments : []).map(a => ({
+          when: `${a.date} ${a.time || ''}`,
+          html: `<strong>Appointment</strong> ${escapeHtml(a.date || '')} ${escapeHtml(a.time || '')} · ${escapeHtml(a.doctor || '')} · ${escapeHtml(a.status || '')}${a.reason ? ` <span class="text-gray-500">— ${escapeHtml(a.reason)}</span>` : ''}`
+        }))
+      ].sort((x, y) => y.when.localeCompare(x.when));
+      container.innerHTML = visits.length
+        ? `<ul class="space-y-1">${visits.map(v => `<li class="border-b pb-1">${v.html}</li>`).join('')}</ul>`
+        : '<p class="text-gray-600">No visits yet.</p>';
+    } catch (err) {
+      console.error('Error loading visit history:', err);
+      container.innerHTML = '<p class="text-red-600">Failed to load visit history.</p>';
+    }
   }
 
   function showPatientEditModal(patient) {
     const modal = document.getElementById('patientEditModal');
     document.getElementById('editPatientId').value = patient.id || '';
+    document.getElementById('editPatientMrn').textContent = patient.mrn || '';
     document.getElementById('editPatientName').value = patient.name || '';
-    document.getElementById('editPatientAge').value = patient.age || '';
+    document.getElementById('editPatientDob').value = patient.dob || '';
     document.getElementById('editPatientGender').value = patient.gender || 'Male';
+    document.getElementById('editPatientPhone').value = patient.phone || '';
+    document.getElementById('editPatientAddress').value = patient.address || '';
+    document.getElementById('editNationalId').value = patient.national_id || '';
+    document.getElementById('editNextOfKinName').value = patient.next_of_kin_name || '';
+    document.getElementById('editNextOfKinRelation').value = patient.next_of_kin_relation || '';
+    document.getElementById('editNextOfKinPhone').value = patient.next_of_kin_phone || '';
+    document.getElementById('editBloodGroup').value = patient.blood_group || '';
+    document.getElementById('editAllergies').value = patient.allergies || '';
     document.getElementById('editAppointmentDate').value = patient.date || '';
     modal.classList.remove('hidden');
     modal.classList.add('flex');
@@ -913,32 +4636,27 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   }
 
-  async function handleReschedule(patient) {
-    const newDate = prompt('Enter new appointment date (YYYY-MM-DD):', patient.date || '');
-    if (!newDate) return;
-    try {
-      const data = await safeFetchJSON(`${API_BASE}/patients.php`, {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          id: patient.id,
-          patientName: patient.name,
-          patientAge: patient.age,
-          patientGender: patient.gender,
-          assignedDoctor: patient.doctor,
-          appointmentDate: newDate
-        })
-      });
-      if (data.status === 'success') {
-        alert('Appointment rescheduled successfully');
-        await loadPatients();
-      } else {
-        alert(data.message || 'Failed to reschedule appointment');
-      }
-    } catch (err) {
-      console.error('Error rescheduling:', err);
-      alert('Error rescheduling appointment. Check console for details.');
-    }
+  // Open the reception booking form at a doctor's free slot (from the Doctors section)
+  window.bookWithDoctor = async function(doctor, date, time) {
+    const navBtn = document.querySelector('#receptionist-dashboard .reception-side-btn[data-target="appointments"]');
+    if (!navBtn) return;
+    navBtn.click();
+    await populateAppointmentForm();
+    resetAppointmentForm();
+    document.getElementById('appointmentDoctor').value = doctor;
+    document.getElementById('appointmentDate').value = date;
+    await loadAppointmentSlots(time);
+  };
+
+  // Open the reception booking form with the patient preselected
+  async function bookAppointmentFor(patient) {
+    const navBtn = document.querySelector('#receptionist-dashboard .reception-side-btn[data-target="appointments"]');
+    if (!navBtn) return;
+    navBtn.click();
+    await populateAppointmentForm();
+    resetAppointmentForm();
+    const patientSelect = document.getElementById('appointmentPatient');
+    if (patientSelect) patientSelect.value = String(patient.id);
   }
 
   // Edit form submission
@@ -950,8 +4668,16 @@ document.addEventListener("DOMContentLoaded", () => {
       const formData = {
         id: id,
         patientName: document.getElementById('editPatientName').value,
-        patientAge: document.getElementById('editPatientAge').value,
+        patientDob: document.getElementById('editPatientDob').value,
         patientGender: document.getElementById('editPatientGender').value,
+        patientPhone: document.getElementById('editPatientPhone').value,
+        patientAddress: document.getElementById('editPatientAddress').value,
+        nationalId: document.getElementById('editNationalId').value,
+        nextOfKinName: document.getElementById('editNextOfKinName').value,
+        nextOfKinRelation: document.getElementById('editNextOfKinRelation').value,
+        nextOfKinPhone: document.getElementById('editNextOfKinPhone').value,
+        bloodGroup: document.getElementById('editBloodGroup').value,
+        allergies: document.getElementById('editAllergies').value,
         assignedDoctor: document.getElementById('editAssignedDoctor').value,
         appointmentDate: document.getElementById('editAppointmentDate').value
       };
@@ -1000,37 +4726,26 @@ document.addEventListener("DOMContentLoaded", () => {
   dashboards.forEach(d => setupSidebarNavigation(d.id));
 
   /**
-   * Role Persistence
-   * Automatically displays the dashboard for the stored role in localStorage.
+   * Session Restore
+   * Asks the server (me.php) whether the PHP session is still valid and, if so,
+   * brings back the dashboard for that user's role. Otherwise the login form is shown.
    */
-  const savedRole = localStorage.getItem("role");
-  if (savedRole) {
-    const dash = document.getElementById(`${savedRole}-dashboard`);
-    if (dash) {
-      showSectionById(`${savedRole}-dashboard`);
-      setupSidebarNavigation(`${savedRole}-dashboard`);
-    } else {
-      // fallback to landing
-      showSectionById("landing");
-    }
-  } else {
-    showSectionById("landing");
-  }
-
-  // Try to restore session from server (me.php)
+  showSectionById("landing");
   (async function restoreSession() {
+    // Identity used to live in localStorage; drop any leftovers so they are never read again
+    localStorage.removeItem('role');
+    localStorage.removeItem('username');
     try {
       const me = await safeFetchJSON(`${API_BASE}/me.php`);
       if (me && me.status === 'success' && me.user && me.user.role) {
-        const roleNormalized = String(me.user.role).toLowerCase();
-        localStorage.setItem('role', roleNormalized);
-        localStorage.setItem('username', me.user.username || '');
-        showSectionById(`${roleNormalized}-dashboard`);
-        setupSidebarNavigation(`${roleNormalized}-dashboard`);
+        enterDashboard(me.user);
+        return;
       }
     } catch (err) {
-      // ignore
+      console.error('restoreSession error:', err);
     }
+    currentUser = null;
+    showSectionById("landing");
   })();
 
   /**
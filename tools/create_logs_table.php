@@ -1,6 +1,48 @@
 <?php
-require_once __DIR__ . '/../config.php';
+// tools/create_logs_table.php
+// Usage: php tools/create_logs_table.php
+// Creates the append-only audit_log table (and its guard triggers) on an existing database,
+// matching db/seed.sql. Safe to run more than once.
+require __DIR__ . '/../config.php';
 
-// Logs table creation removed — logging is intentionally disabled.
-fwrite(STDOUT, "Logs table creation script removed: logging is disabled in this installation.\n");
-exit(0);
+$sql = "CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  staff_id INT NULL,
+  username VARCHAR(50) NULL,
+  role VARCHAR(30) NULL,
+  action VARCHAR(60) NOT NULL,
+  entity VARCHAR(40) NULL,
+  entity_id INT NULL,
+  before_values TEXT NULL,
+  after_values TEXT NULL,
+  details TEXT NULL,
+  ip_address VARCHAR(45) NULL,
+  method VARCHAR(10) NULL,
+  endpoint VARCHAR(60) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_audit_log_user (username, created_at),
+  INDEX idx_audit_log_entity (entity, entity_id),
+  INDEX idx_audit_log_created (created_at)
+)";
+if (!$conn->query($sql)) {
+    echo "Create table failed: " . $conn->error . "\n";
+    exit(1);
+}
+echo "audit_log table ready\n";
+
+foreach (['UPDATE' => 'audit_log_no_update', 'DELETE' => 'audit_log_no_delete'] as $event => $name) {
+    $res = $conn->query("SHOW TRIGGERS WHERE `Trigger` = '$name'");
+    if ($res && $res->num_rows > 0) {
+        echo "Trigger $name already exists\n";
+        continue;
+    }
+    $sql = "CREATE TRIGGER $name BEFORE $event ON audit_log FOR EACH ROW
+              SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only'";
+    if ($conn->query($sql)) {
+        echo "Created trigger $name\n";
+    } else {
+        echo "Create trigger $name failed: " . $conn->error . "\n";
+        exit(1);
+    }
+}
+$conn->close();
@@ -35,8 +35,14 @@ $newId = $stmt->insert_id;
 $stmt->close();
 
 echo "Created test user: $username (id=$newId)\n";
-// Logging has been disabled in this installation; skipping log write and queries.
-echo "Note: logging is disabled — skipped creating log entry and log queries.\n";
+// Write an audit entry and read it back (audit_log is append-only, so the entry stays)
+if (!log_action('e2e_test', ['username' => $username], 'staff', $newId)) {
+    echo "ERROR: audit log write failed.\n";
+} else {
+    $res = $conn->query("SELECT action, entity, entity_id FROM audit_log WHERE entity = 'staff' AND entity_id = $newId ORDER BY id DESC LIMIT 1");
+    $entry = $res ? $res->fetch_assoc() : null;
+    echo $entry && $entry['action'] === 'e2e_test' ? "Audit log entry written and read back.\n" : "ERROR: audit log entry not found.\n";
+}
 
 // Cleanup: delete the test user
 $del = $conn->prepare("DELETE FROM staff WHERE id = ?");
@@ -0,0 +1,88 @@
+<?php
+// tools/migrate_patient_dob.php
+// Usage: php tools/migrate_patient_dob.php
+// Upgrades the patients table of an existing database to match db/seed.sql: the age column becomes
+// a date of birth (worked back from the stored age, so the age shown stays the same), the demographic
+// and next-of-kin columns are added, and every patient gets an MRN. Safe to run more than once.
+require __DIR__ . '/../config.php';
+
+function patient_columns($conn)
+{
+    $columns = [];
+    $res = $conn->query("SHOW COLUMNS FROM patients");
+    while ($res && $row = $res->fetch_assoc()) {
+        $columns[$row['Field']] = $row;
+    }
+    return $columns;
+}
+
+function run_or_exit($conn, $sql, $done)
+{
+    if (!$conn->query($sql)) {
+        echo "Failed: " . $conn->error . "\n";
+        exit(1);
+    }
+    echo "$done\n";
+}
+
+$columns = patient_columns($conn);
+if (!$columns) {
+    echo "patients table not found: " . $conn->error . "\n";
+    exit(1);
+}
+
+$added = [
+    'mrn' => "VARCHAR(20) NULL AFTER id",
+    'dob' => "DATE NULL AFTER name",
+    'phone' => "VARCHAR(30) NULL AFTER gender",
+    'address' => "VARCHAR(255) NULL AFTER phone",
+    'national_id' => "VARCHAR(30) NULL AFTER address",
+    'next_of_kin_name' => "VARCHAR(100) NULL AFTER national_id",
+    'next_of_kin_relation' => "VARCHAR(50) NULL AFTER next_of_kin_name",
+    'next_of_kin_phone' => "VARCHAR(30) NULL AFTER next_of_kin_relation",
+    'blood_group' => "VARCHAR(3) NULL AFTER next_of_kin_phone",
+    'allergies' => "TEXT NULL AFTER blood_group"
+];
+foreach ($added as $name => $definition) {
+    if (isset($columns[$name])) continue;
+    run_or_exit($conn, "ALTER TABLE patients ADD COLUMN $name $definition", "Added patients.$name");
+}
+
+if (isset($columns['age'])) {
+    $conn->begin_transaction();
+    if (!$conn->query("UPDATE patients SET dob = CURDATE() - INTERVAL age YEAR WHERE dob IS NULL")) {
+        $conn->rollback();
+        echo "Converting age to dob failed: " . $conn->error . "\n";
+        exit(1);
+    }
+    $conn->commit();
+    echo "Worked out dob from age for existing patients\n";
+    run_or_exit($conn, "ALTER TABLE patients DROP COLUMN age", "Dropped patients.age");
+}
+
+// Patients registered without an age or dob cannot be guessed; they must be fixed by hand first
+$res = $conn->query("SELECT COUNT(*) FROM patients WHERE dob IS NULL");
+$missing = $res ? (int)$res->fetch_row()[0] : 0;
+if ($missing > 0) {
+    echo "$missing patient(s) have no date of birth; set one before running this again\n";
+    exit(1);
+}
+if (patient_columns($conn)['dob']['Null'] === 'YES') {
+    run_or_exit($conn, "ALTER TABLE patients MODIFY dob DATE NOT NULL", "patients.dob is now required");
+}
+
+if (!$conn->query("UPDATE patients SET mrn = CONCAT('MRN-', LPAD(id, 6, '0')) WHERE mrn IS NULL")) {
+    echo "Assigning MRNs failed: " . $conn->error . "\n";
+    exit(1);
+}
+echo "Assigned MRNs to " . $conn->affected_rows . " patient(s)\n";
+
+foreach (['uniq_patients_mrn' => 'mrn', 'uniq_patients_national_id' => 'national_id'] as $index => $column) {
+    $res = $conn->query("SHOW INDEX FROM patients WHERE Key_name = '$index'");
+    if ($res && $res->num_rows > 0) {
+        echo "Index $index already exists\n";
+        continue;
+    }
+    run_or_exit($conn, "ALTER TABLE patients ADD UNIQUE KEY $index ($column)", "Created index $index");
+}
+$conn->close();
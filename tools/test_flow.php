@@ -50,7 +50,7 @@ echo "Cookies: "; print_r($cookies);
 // 2) Attempt to add patient (should be allowed for Receptionist)
 $patient = [
     'patientName' => 'Unit Test Patient',
-    'patientAge' => 30,
+    'patientDob' => date('Y-m-d', strtotime('-30 years')),
     'patientGender' => 'Male',
     'assignedDoctor' => 'Dr. Miller',
     'appointmentDate' => date('Y-m-d')